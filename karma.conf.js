@@ -17,14 +17,12 @@ module.exports = function(config) {
     files: [
       'test/index.js',
       { pattern: 'public/fonts/icomoon.ttf', served: true, included: false },
-      { pattern: 'public/blank.html', served: true, included: false },
-      { pattern: 'test/files/*', served: true, included: false }
+      { pattern: 'public/blank.html', served: true, included: false }
     ],
     proxies: {
       '/fonts/': '/base/public/fonts/',
       '/blank.html': '/base/public/blank.html',
-      '/v1/backup': '/base/public/blank.html',
-      '/test/files/': '/base/test/files/'
+      '/v1/backup': '/base/public/blank.html'
     },
     preprocessors: {
       'test/index.js': ['webpack', 'sourcemap']
@@ -30,6 +30,7 @@ property:
     directly mutate this property after defining it.
 */
 
+import { changesRoute } from '../util/router';
 import { configForPossibleBackendRequest, isProblem, logAxiosError, requestAlertMessage } from '../util/request';
 
 /*
@@ -71,7 +72,8 @@ Return Value
 
 request() returns a promise. The promise will be rejected if the request results
 in an error or if the user navigates away from the route that sent the request.
-Otherwise the promise should be fulfilled.
+(A change to only the route query does not reject the promise: see
+changesRoute().) Otherwise the promise should be fulfilled.
 
 If you call then() on the promise, note that the request will no longer be in
 progress when the then() callback is run (awaitingResponse will equal `false`).
@@ -100,7 +102,7 @@ function request({
     .catch(error => {
       // this.$store seems to be defined even after the component has been
       // destroyed.
-      if (this.$store.state.router.currentRoute !== currentRoute)
+      if (changesRoute(currentRoute, this.$store.state.router.currentRoute))
         throw new Error('route change');
       if (this.awaitingResponse != null) this.awaitingResponse = false;
 
@@ -117,7 +119,7 @@ function request({
       throw error;
     })
     .then(response => {
-      if (this.$store.state.router.currentRoute !== currentRoute)
+      if (changesRoute(currentRoute, this.$store.state.router.currentRoute))
         throw new Error('route change');
       if (this.awaitingResponse != null) this.awaitingResponse = false;
 
@@ -128,8 +130,9 @@ function request({
 // @vue/component
 const mixin = {
   watch: {
-    $route() {
-      if (this.awaitingResponse != null) this.awaitingResponse = false;
+    $route(to, from) {
+      if (changesRoute(from, to) && this.awaitingResponse != null)
+        this.awaitingResponse = false;
     }
   },
   methods: {
@@ -72,6 +72,22 @@ const mixin = {
       }
       return _formPath(projectIdOrSuffix, xmlFormId, suffix);
     },
+    /*
+    Returns a path to a submission page. The path of a submission to a form
+    draft is different from the path of a submission to the form.
+
+    Examples:
+
+    submissionPath(1, 'f', false, 'a b')  // '/projects/1/forms/f/submissions/a%20b'
+    submissionPath(1, 'f', true, 'a b')   // '/projects/1/forms/f/draft/submissions/a%20b'
+    */
+    submissionPath(projectId, xmlFormId, draft, instanceId) {
+      const encodedId = encodeURIComponent(instanceId);
+      const suffix = draft
+        ? `draft/submissions/${encodedId}`
+        : `submissions/${encodedId}`;
+      return _formPath(projectId, xmlFormId, suffix);
+    },
     // Returns the path to the primary page for a form. This changes based on
     // the current user's role, as well as whether the form has a published
     // version.
@@ -4,7 +4,9 @@ const props = [
   'path',
   'name',
   'type',
-  'binary'
+  'binary',
+  // `true` if the field is a select_multiple field
+  'selectMultiple'
 ];
 
 export default class Field extends presenterClass(props) {
@@ -333,6 +333,35 @@ const routes = [
           }
         }
       }),
+      asyncRoute({
+        path: 'analyze',
+        component: 'FormAnalyze',
+        props: true,
+        loading: 'tab',
+        meta: {
+          validateData: {
+            project: (project) => project.permits([
+              'form.read',
+              'submission.list',
+              'submission.read'
+            ]),
+            form: (form) => form.publishedAt != null
+          }
+        }
+      }),
+      asyncRoute({
+        path: 'submissions/:instanceId',
+        component: 'SubmissionShow',
+        props: true,
+        loading: 'tab',
+        meta: {
+          validateData: {
+            project: (project) =>
+              project.permits(['form.read', 'submission.read']),
+            form: (form) => form.publishedAt != null
+          }
+        }
+      }),
       asyncRoute({
         path: 'public-links',
         component: 'PublicLinkList',
@@ -403,6 +432,22 @@ const routes = [
             formDraft: (formDraft) => formDraft.isDefined()
           }
         }
+      }),
+      asyncRoute({
+        path: 'draft/submissions/:instanceId',
+        component: 'SubmissionShow',
+        // The route for a form draft submission needs its own name, because
+        // SubmissionShow is also used for a submission to the published form.
+        name: 'FormDraftSubmissionShow',
+        props: (route) => ({ ...route.params, draft: true }),
+        loading: 'tab',
+        meta: {
+          validateData: {
+            project: (project) =>
+              project.permits(['form.read', 'submission.read']),
+            formDraft: (formDraft) => formDraft.isDefined()
+          }
+        }
       })
     ]
   }),
@@ -579,11 +624,14 @@ preserveDataForKey({
     'FormOverview',
     'FormVersionList',
     'FormSubmissions',
+    'FormAnalyze',
     'PublicLinkList',
     'FormSettings',
     'FormDraftStatus',
     'FormAttachmentList',
-    'FormDraftTesting'
+    'FormDraftTesting',
+    'SubmissionShow',
+    'FormDraftSubmissionShow'
   ],
   params: ['projectId', 'xmlFormId']
 });
@@ -601,11 +649,14 @@ preserveDataForKey({
     'FormOverview',
     'FormVersionList',
     'FormSubmissions',
+    'FormAnalyze',
     'PublicLinkList',
     'FormSettings',
     'FormDraftStatus',
     'FormAttachmentList',
-    'FormDraftTesting'
+    'FormDraftTesting',
+    'SubmissionShow',
+    'FormDraftSubmissionShow'
   ],
   params: ['projectId']
 });
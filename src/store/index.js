@@ -12,9 +12,10 @@ except according to the terms contained in the LICENSE file.
 import Vuex from 'vuex';
 
 import alert from './modules/alert';
+import download from './modules/download';
 import request from './modules/request';
 import router from './modules/router';
 
 export default new Vuex.Store({
-  modules: { alert, request, router }
+  modules: { alert, download, request, router }
 });
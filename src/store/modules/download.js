@@ -0,0 +1,394 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+The download module tracks files that are downloaded from Backend, for example,
+submission exports. We fetch the file using fetch(), which allows us to show
+how much of the file has been received, to cancel the download, and to report
+an error response. DownloadList shows the recent downloads.
+
+An export can be large, especially one with media files. Where the browser
+supports the File System Access API, we ask the user where to save the file,
+then write the file to disk as it is received. Otherwise, we hold the file in
+memory until it has been received, then save it as a Blob. We only hold up to
+maxBlobSize bytes in memory: if a file is larger, we stop the download and have
+the browser download the file itself (see downloadNatively()). DownloadList
+still lists the download, but can no longer show its progress.
+*/
+
+import { configForPossibleBackendRequest, isProblem, requestAlertMessage } from '../../util/request';
+import { noop } from '../../util/util';
+
+// The maximum number of downloads to list
+const maxDownloads = 10;
+
+// The maximum size in bytes of a file that we hold in memory
+export const maxBlobSize = 256 * 1024 * 1024;
+
+// The AbortController of each download in progress, by download ID. These are
+// not part of the state, because they are not reactive.
+const controllers = new Map();
+
+let lastId = 0;
+
+// Returns `true` if the user can choose where to save a file, in which case the
+// file is written to disk as it is received.
+const savesToDisk = () => typeof window.showSaveFilePicker === 'function';
+
+// Returns the last segment of the URL path, which we suggest as the name of
+// the file.
+const filenameFromUrl = (url) => {
+  const path = url.replace(/[?#].*$/, '');
+  return decodeURIComponent(path.slice(path.lastIndexOf('/') + 1));
+};
+
+// Returns the filename from the Content-Disposition header of a response, or
+// `null` if there is none.
+const filenameFromResponse = (response) => {
+  const header = response.headers.get('Content-Disposition');
+  if (header == null) return null;
+  const encoded = header.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded != null) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch (e) {}
+  }
+  const quoted = header.match(/filename="([^"]*)"/i);
+  if (quoted != null) return quoted[1];
+  const plain = header.match(/filename=([^;]+)/i);
+  return plain != null ? plain[1].trim() : null;
+};
+
+const problemFromResponse = (response) => response.json()
+  .catch(() => null);
+
+// The iframes of downloadNatively()
+const iframes = new Set();
+let lastIframeId = 0;
+
+// Backend starts to send a file soon after it receives a request. We remove
+// the iframe of downloadNatively() once this many milliseconds have passed:
+// by then, the browser is downloading the file, and removing the iframe does
+// not stop the download.
+const iframeLifetime = 60000;
+
+const removeIframe = (iframe) => {
+  iframe.remove();
+  iframes.delete(iframe);
+};
+
+/*
+downloadNatively() has the browser download a file itself, as if the user had
+followed a link. We navigate a hidden iframe rather than the page itself so that
+Frontend stays open. For a POST request, we submit a form whose target is the
+iframe.
+
+If the download starts, the iframe does not change pages. If Backend returns a
+Problem, the iframe shows the Problem, and we show its message in an alert.
+*/
+const downloadNatively = ({ commit, rootState }, { url, method, data }) => {
+  lastIframeId += 1;
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('name', `download-${lastIframeId}`);
+  iframe.style.display = 'none';
+  iframe.addEventListener('load', () => {
+    const doc = iframe.contentWindow.document;
+    let problem = null;
+    try {
+      // The Problem may be wrapped in another element, for example, a <pre>
+      // element.
+      problem = JSON.parse(doc.body.textContent);
+    } catch (e) {}
+    if (isProblem(problem)) {
+      commit('setAlert', { type: 'danger', message: problem.message });
+      removeIframe(iframe);
+    }
+  });
+  document.body.appendChild(iframe);
+  iframes.add(iframe);
+  setTimeout(() => { removeIframe(iframe); }, iframeLifetime);
+
+  if (method === 'GET') {
+    iframe.setAttribute('src', url);
+    return;
+  }
+  const form = document.createElement('form');
+  form.setAttribute('method', 'post');
+  form.setAttribute('action', url);
+  form.setAttribute('target', iframe.name);
+  const { session } = rootState.request.data;
+  const fields = data != null ? [...data] : [];
+  fields.push(['__csrf', session != null ? session.csrf : '']);
+  for (const [name, value] of fields) {
+    const input = document.createElement('input');
+    input.setAttribute('type', 'password');
+    input.setAttribute('name', name);
+    input.setAttribute('autocomplete', 'off');
+    input.value = value;
+    form.appendChild(input);
+  }
+  document.body.appendChild(form);
+  form.submit();
+  // Remove the form so that the values of the inputs, which may include a
+  // passphrase, are no longer in the DOM.
+  form.remove();
+};
+
+/*
+A sink receives the body of a response. It has the following methods:
+
+  - write(chunk). Returns a promise.
+  - close(). Called once the body has been received. Returns a promise.
+  - abort(). Discards what has been received.
+*/
+
+// Returns a promise for a sink that writes to a file that the user has chosen.
+const fileSink = (handle) => handle.createWritable().then(writable => ({
+  write: (chunk) => writable.write(chunk),
+  close: () => writable.close(),
+  abort: () => { writable.abort().catch(noop); }
+}));
+
+// The error of a sink that has received more bytes than it can hold
+const tooLarge = () => Object.assign(new Error(), { tooLarge: true });
+
+// Saves a Blob as a file, as if the user had followed a link to it.
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.setAttribute('href', url);
+  a.setAttribute('download', filename);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // The browser may read the Blob after click() returns.
+  setTimeout(() => { URL.revokeObjectURL(url); }, iframeLifetime);
+};
+
+// Returns a sink that holds the body in memory, then saves it as a Blob.
+const blobSink = (getFilename, type) => {
+  let chunks = [];
+  let size = 0;
+  return {
+    write: (chunk) => {
+      size += chunk.length;
+      if (size > maxBlobSize) return Promise.reject(tooLarge());
+      chunks.push(chunk);
+      return Promise.resolve();
+    },
+    close: () => {
+      const blob = new Blob(chunks, type != null ? { type } : undefined);
+      chunks = [];
+      saveBlob(blob, getFilename());
+      return Promise.resolve();
+    },
+    abort: () => { chunks = []; }
+  };
+};
+
+// Writes the body of a response to a sink, one chunk at a time. Calls
+// `progress` with the number of bytes written so far after each chunk.
+const writeResponse = (response, sink, progress) => {
+  const reader = response.body.getReader();
+  let received = 0;
+  const write = () => reader.read().then(({ done, value }) => {
+    if (done) return sink.close();
+    return sink.write(value).then(() => {
+      received += value.length;
+      progress(received);
+      return write();
+    });
+  });
+  return write();
+};
+
+/*
+trackDownload() fetches a file and adds the download to the list. `handle` is
+the file that the user has chosen, or `null` if the file is to be held in
+memory.
+*/
+const trackDownload = (context, options, handle) => {
+  const { commit, rootState } = context;
+  const { url, method, data } = options;
+  lastId += 1;
+  const id = lastId;
+  commit('createDownload', {
+    id,
+    url,
+    filename: handle != null ? handle.name : filenameFromUrl(url),
+    status: 'loading',
+    received: 0,
+    total: null,
+    message: null
+  });
+  const download = () => rootState.download.downloads.find(d => d.id === id);
+
+  const { session } = rootState.request.data;
+  const token = session != null ? session.token : null;
+  const config = configForPossibleBackendRequest({ url }, token);
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  // The sink is opened once a successful response is received.
+  let sink = null;
+  return window.fetch(config.url, {
+    method,
+    headers: config.headers,
+    body: data,
+    signal: controller.signal
+  })
+    .then(response => {
+      if (!response.ok) {
+        return problemFromResponse(response).then(problem => {
+          // requestAlertMessage() expects an axios error.
+          const error = { request: {}, response: { data: problem } };
+          throw new Error(requestAlertMessage(error));
+        });
+      }
+
+      const length = response.headers.get('Content-Length');
+      const total = length != null ? Number.parseInt(length, 10) : null;
+      const props = { id, total };
+      if (handle == null) {
+        if (total != null && total > maxBlobSize) throw tooLarge();
+        const filename = filenameFromResponse(response);
+        if (filename != null) props.filename = filename;
+      }
+      commit('updateDownload', props);
+      const opened = handle != null
+        ? fileSink(handle)
+        : Promise.resolve(blobSink(
+          () => download().filename,
+          response.headers.get('Content-Type')
+        ));
+      return opened.then(openedSink => {
+        sink = openedSink;
+        return writeResponse(response, sink, (received) => {
+          commit('updateDownload', { id, received });
+        });
+      });
+    })
+    .then(() => {
+      commit('updateDownload', { id, status: 'success' });
+    })
+    .catch(error => {
+      if (sink != null) sink.abort();
+      if (error.tooLarge === true) {
+        // Stop the download, then download the file again, this time without
+        // holding it in memory.
+        controller.abort();
+        commit('updateDownload', { id, status: 'native' });
+        downloadNatively(context, options);
+        return;
+      }
+      if (controller.signal.aborted) {
+        commit('updateDownload', { id, status: 'canceled' });
+        return;
+      }
+      // If fetch() itself fails, there was no response.
+      const message = error instanceof TypeError
+        ? requestAlertMessage({ request: {} })
+        : error.message;
+      commit('updateDownload', { id, status: 'error', message });
+      commit('setAlert', { type: 'danger', message });
+    })
+    .then(() => {
+      controllers.delete(id);
+      return download();
+    });
+};
+
+export default {
+  state: {
+    // The recent downloads, from newest to oldest. Each download has the
+    // following properties:
+    //
+    //   - id
+    //   - url
+    //   - filename. The name of the file.
+    //   - status. 'loading', 'success', 'error', or 'canceled', or 'native'
+    //     if the file was too large to hold in memory, and the browser is
+    //     downloading it itself.
+    //   - received. The number of bytes received so far.
+    //   - total. The size of the file in bytes, or `null` if it is not known.
+    //   - message. If status is 'error', the error message.
+    downloads: []
+  },
+  getters: {
+    downloading: ({ downloads }) =>
+      downloads.some(download => download.status === 'loading')
+  },
+  mutations: {
+    /* eslint-disable no-param-reassign */
+    createDownload({ downloads }, download) {
+      downloads.unshift(download);
+      if (downloads.length > maxDownloads) downloads.pop();
+    },
+    updateDownload({ downloads }, { id, ...props }) {
+      const download = downloads.find(d => d.id === id);
+      if (download != null) Object.assign(download, props);
+    },
+    // Removes the downloads that are no longer in progress.
+    clearDownloads(state) {
+      state.downloads = state.downloads
+        .filter(download => download.status === 'loading');
+    },
+    resetDownloads(state) {
+      state.downloads = [];
+    }
+    /* eslint-enable no-param-reassign */
+  },
+  actions: {
+    /*
+    download() downloads a file from Backend. It accepts the following options:
+
+      - url. The URL of the file.
+      - method (default: 'GET')
+      - data (optional). The body of the request, for example, a
+        URLSearchParams object.
+
+    download() must be called in response to a user action, because it may
+    show a file picker. If the response is a Backend Problem, download() shows
+    an alert with the message of the Problem.
+
+    download() returns a promise that is fulfilled with the download once the
+    download is complete, has failed, has been canceled, or has been handed to
+    the browser. The promise is fulfilled with `null` if the user closes the
+    file picker. The promise is never rejected.
+    */
+    download(context, { url, method = 'GET', data = undefined }) {
+      const options = { url, method, data };
+      if (!savesToDisk()) return trackDownload(context, options, null);
+      return window.showSaveFilePicker({ suggestedName: filenameFromUrl(url) })
+        .then(
+          (handle) => trackDownload(context, options, handle),
+          (error) => {
+            // The user closed the file picker.
+            if (error.name === 'AbortError') return null;
+            // The file picker may not be shown, for example, if too much time
+            // has passed since the user action.
+            return trackDownload(context, options, null);
+          }
+        );
+    },
+    cancelDownload(_, id) {
+      const controller = controllers.get(id);
+      if (controller != null) controller.abort();
+    },
+    // Cancels all downloads and removes them from the list, for example, when
+    // the user logs out.
+    cancelDownloads({ commit }) {
+      for (const controller of controllers.values()) controller.abort();
+      for (const iframe of iframes) removeIframe(iframe);
+      commit('resetDownloads');
+    }
+  }
+};
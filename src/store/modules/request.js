@@ -161,6 +161,8 @@ export default {
       - headers (optional). The headers of the request.
       - extended (default: false). `true` if extended metadata is requested and
         `false` if not.
+      - responseType (optional). The type of data that the response will
+        contain, for example, 'arraybuffer'. See the axios documentation.
 
       Response Handling
       -----------------
@@ -173,6 +175,8 @@ export default {
         Problem. (Any error response that is not a Problem is automatically
         considered unsuccessful.) fulfillProblem should return `true` if the
         response should be considered successful and `false` if not.
+      - transformOptions (optional). Options to pass to the transform for the
+        key, along with the response. See transforms in request/keys.js.
       - alert (default: true). Specify `true` to show an alert for an
         unsuccessful response and to log it. Specify `false` not to display an
         unsuccessful response.
@@ -259,9 +263,11 @@ export default {
           url,
           headers = undefined,
           extended = false,
+          responseType = undefined,
 
           // Response handling
           fulfillProblem = undefined,
+          transformOptions = undefined,
           alert = true,
           success,
 
@@ -311,6 +317,7 @@ export default {
         baseConfig.headers = extended
           ? { ...headers, 'X-Extended-Metadata': 'true' }
           : headers;
+        if (responseType != null) baseConfig.responseType = responseType;
         const { session } = data;
         const token = session != null ? session.token : null;
         const axiosConfig = configForPossibleBackendRequest(baseConfig, token);
@@ -346,7 +353,7 @@ export default {
             if (update == null) {
               const transform = transforms[key];
               const transformed = transform != null
-                ? transform(response)
+                ? transform(response, transformOptions)
                 : response.data;
               commit('setData', { key, value: transformed });
             } else {
@@ -9,6 +9,8 @@ https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
 including this file, may be copied, modified, propagated, or distributed
 except according to the terms contained in the LICENSE file.
 */
+import { last } from 'ramda';
+
 import Audit from '../../../presenters/audit';
 import Field from '../../../presenters/field';
 import FieldKey from '../../../presenters/field-key';
@@ -47,6 +49,35 @@ export const keys = [
   'attachments',
   // A single chunk of submissions OData for a particular form version
   'odataChunk',
+  // Submissions OData for submissions created since the submissions table was
+  // fetched
+  'newSubmissions',
+  // The ID of each submission that matches the filters of the submissions
+  // table, for selecting all such submissions
+  'matchingSubmissions',
+  // The ID and system metadata of each submission of a form, for finding the
+  // submissions of an import that are already on the server
+  'existingSubmissions',
+  // Submissions OData for submissions that have been deleted but not purged
+  'deletedSubmissions',
+  // A single chunk of submissions OData for the summary statistics of the
+  // Analyze tab
+  'statsChunk',
+  // A single chunk of submissions OData for an export that is built in the
+  // browser
+  'exportChunk',
+  // OData for a single submission, including its repeat groups
+  'submission',
+  // Comments on a single submission
+  'comments',
+  // The versions of a single submission that has been edited, along with the
+  // changes made by each edit
+  'submissionVersions',
+  'submissionDiffs',
+  // The envelope and the encrypted XML of a single encrypted submission, for
+  // decryption in the browser
+  'submissionEnvelope',
+  'encryptedSubmissionXml',
   // Encryption keys for a particular form version
   'keys',
   'submitters',
@@ -62,7 +93,8 @@ export const keys = [
 ////////////////////////////////////////////////////////////////////////////////
 // TRANSFORM RESPONSES
 
-// Define functions to transform responses.
+// Define functions to transform responses. A transform is passed the response
+// and the transformOptions of the request (see the get() action).
 
 const option = (transform = undefined) => (response) => (response.status === 200
   ? Option.of(transform != null ? transform(response) : response.data)
@@ -87,10 +119,16 @@ export const transforms = {
   formDraft: option(formPresenter),
   attachments: option(({ data }) =>
     data.map(attachment => new FormAttachment(attachment))),
-  odataChunk: ({ data, config }) => ({
+  // `table` is the OData table of the chunk: either 'Submissions' or a repeat
+  // table.
+  odataChunk: ({ data, config }, { table }) => ({
     ...data,
-    filtered: config.url.includes('%24filter=')
+    filtered: config.url.includes('%24filter='),
+    // `true` if the chunk is of a repeat table and `false` if it is of the
+    // top-level table
+    repeat: table !== 'Submissions'
   }),
+  submission: ({ data }) => data.value[0],
   fieldKeys: ({ data }) => data.map(fieldKey => new FieldKey(fieldKey)),
 
   backupsConfig: option(),
@@ -145,6 +183,42 @@ const dataGetters = {
     }
     return selectable;
   },
+  /*
+  selectableFieldsByTable returns the fields that can be shown as columns of
+  each OData table, keyed by table name. The top-level table is named
+  'Submissions', and each repeat group has its own table: for example, the
+  repeat group /r/r2 corresponds to the table 'Submissions.r.r2'. The tables
+  are in the same order as their repeat groups in `fields`.
+
+  The path of a field within a repeat table is relative to the repeat group:
+  the field /r/g/s corresponds to the path /g/s within 'Submissions.r'. The
+  fields of the top-level table are the same as selectableFields.
+  */
+  selectableFieldsByTable: ({ data: { fields } }) => {
+    if (fields == null) return null;
+    const byTable = { Submissions: [] };
+    // The repeat groups that contain the field currently being traversed,
+    // innermost last
+    const repeats = [];
+    for (const field of fields) {
+      const { path } = field;
+      while (repeats.length !== 0 && !path.startsWith(`${last(repeats)}/`))
+        repeats.pop();
+      const repeat = repeats.length !== 0 ? last(repeats) : '';
+      const { type } = field;
+      if (type === 'repeat') {
+        repeats.push(path);
+        byTable[`Submissions${path.replace(/\//g, '.')}`] = [];
+      } else if (type !== 'structure' && path !== '/meta/instanceID' &&
+        path !== '/instanceID') {
+        const table = `Submissions${repeat.replace(/\//g, '.')}`;
+        byTable[table].push(repeat === ''
+          ? field
+          : field.with({ path: path.slice(repeat.length) }));
+      }
+    }
+    return byTable;
+  },
   missingAttachmentCount: ({ data: { attachments } }) => {
     if (attachments == null) return null;
     if (attachments.isEmpty()) return 0;
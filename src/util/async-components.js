@@ -47,6 +47,10 @@ const loaders = new Map()
     /* webpackChunkName: "component-field-key-list" */
     '../components/field-key/list.vue'
   )))
+  .set('FormAnalyze', loader(() => import(
+    /* webpackChunkName: "component-form-analyze" */
+    '../components/form/analyze.vue'
+  )))
   .set('FormAttachmentList', loader(() => import(
     /* webpackChunkName: "component-form-attachment-list" */
     '../components/form-attachment/list.vue'
@@ -119,6 +123,10 @@ const loaders = new Map()
     /* webpackChunkName: "component-public-link-list" */
     '../components/public-link/list.vue'
   )))
+  .set('SubmissionShow', loader(() => import(
+    /* webpackChunkName: "component-submission-show" */
+    '../components/submission/show.vue'
+  )))
   .set('SystemHome', loader(() => import(
     /* webpackChunkName: "component-system-home" */
     '../components/system/home.vue'
@@ -0,0 +1,30 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// Copies text to the clipboard, returning a promise. The Clipboard API is only
+// available in a secure context, so if it is not available, we fall back to
+// document.execCommand(), which requires a selection.
+// eslint-disable-next-line import/prefer-default-export
+export const copyText = (text) => {
+  if (navigator.clipboard != null && navigator.clipboard.writeText != null)
+    return navigator.clipboard.writeText(text);
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.top = '-1000px';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textarea);
+  return copied ? Promise.resolve() : Promise.reject(new Error('copy failed'));
+};
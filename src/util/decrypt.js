@@ -0,0 +1,339 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This file decrypts submissions in the browser, so that the passphrase of a
+managed key never leaves the user's machine. It uses WebCrypto wherever it can.
+
+A managed key consists of an RSA key pair. Backend stores the private key
+encrypted with the passphrase: the key object includes a `private` property with
+three base64 strings:
+
+  - privkey. The private key in PKCS #8 PEM format, encrypted using AES-256-CBC.
+  - salt and iv. The AES key is derived from the passphrase using PBKDF2 with
+    SHA-256, 128000 iterations, and the salt.
+
+An encrypted submission consists of an envelope and one or more encrypted
+files: a file for each attachment, followed by submission.xml.enc. The envelope
+includes the symmetric key of the submission, encrypted using RSA-OAEP. Each
+file is encrypted using AES-256-CFB with PKCS #5 padding, with an
+initialization vector that is derived from the instance ID, the symmetric key,
+and the index of the file.
+
+The functions of this file throw a DecryptionError if decryption fails. Its
+`reason` property indicates why:
+
+  - 'passphrase'. The passphrase is incorrect.
+  - 'key'. The submission key could not be decrypted using the private key. The
+    submission may have been encrypted using a different key.
+  - 'envelope'. The envelope is missing something.
+  - 'data'. The submission data could not be decrypted or is not valid XML.
+*/
+
+/* global BigInt */
+/* eslint-disable no-bitwise */
+
+import md5 from './md5';
+
+export class DecryptionError extends Error {
+  constructor(reason) {
+    super(`decryption failed: ${reason}`);
+    this.reason = reason;
+  }
+}
+
+// `true` if the browser supports everything needed to decrypt submissions and
+// `false` if not.
+export const canDecrypt = () => window.crypto != null &&
+  window.crypto.subtle != null && typeof BigInt === 'function';
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// ENCODING
+
+const base64ToBytes = (base64) => {
+  const binary = window.atob(base64.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+// Converts a nonnegative BigInt to a big-endian Uint8Array of `length` bytes.
+const bigIntToBytes = (n, length) => {
+  const hex = n.toString(16).padStart(length * 2, '0');
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 1)
+    bytes[i] = Number.parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+};
+
+const bytesToBigInt = (bytes) => {
+  let hex = '';
+  for (const byte of bytes) hex += byte.toString(16).padStart(2, '0');
+  return BigInt(`0x${hex}`);
+};
+
+const base64UrlToBigInt = (base64Url) => bytesToBigInt(
+  base64ToBytes(base64Url.replace(/-/g, '+').replace(/_/g, '/'))
+);
+
+const concatBytes = (...arrays) => {
+  const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// PRIVATE KEY
+
+const pemToDer = (pem) =>
+  base64ToBytes(pem.replace(/-----[^-]+-----/g, ''));
+
+/*
+decryptPrivateKey() decrypts the private key of a managed key using the
+passphrase. It returns the components of the key as BigInts.
+
+WebCrypto supports RSA-OAEP, but only if the same hash function is used for
+OAEP and for MGF1. Collect and Enketo use SHA-256 for OAEP, but may use SHA-1
+for MGF1. For that reason, we do not use WebCrypto to decrypt the submission
+key. Instead, we export the components of the private key, then use them below.
+*/
+export const decryptPrivateKey = async (privateKey, passphrase) => {
+  const passphraseKey = await window.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  const aesKey = await window.crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: base64ToBytes(privateKey.salt),
+      iterations: 128000,
+      hash: 'SHA-256'
+    },
+    passphraseKey,
+    { name: 'AES-CBC', length: 256 },
+    false,
+    ['decrypt']
+  );
+
+  let jwk;
+  try {
+    const pem = await window.crypto.subtle.decrypt(
+      { name: 'AES-CBC', iv: base64ToBytes(privateKey.iv) },
+      aesKey,
+      base64ToBytes(privateKey.privkey)
+    );
+    // If the passphrase is incorrect, decryption usually fails because the
+    // padding is invalid. Rarely, the padding will happen to be valid, but the
+    // result will not be a valid key.
+    const rsaKey = await window.crypto.subtle.importKey(
+      'pkcs8',
+      pemToDer(new TextDecoder().decode(pem)),
+      { name: 'RSA-OAEP', hash: 'SHA-256' },
+      true,
+      ['decrypt']
+    );
+    jwk = await window.crypto.subtle.exportKey('jwk', rsaKey);
+  } catch (e) {
+    throw new DecryptionError('passphrase');
+  }
+
+  const components = {};
+  for (const name of ['n', 'p', 'q', 'dp', 'dq', 'qi'])
+    components[name] = base64UrlToBigInt(jwk[name]);
+  components.length = Math.ceil(components.n.toString(16).length / 2);
+  return components;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SUBMISSION KEY
+
+const modPow = (base, exponent, modulus) => {
+  const zero = BigInt(0);
+  const one = BigInt(1);
+  const two = BigInt(2);
+  let result = one;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > zero) {
+    if (e % two === one) result = (result * b) % modulus;
+    e /= two;
+    b = (b * b) % modulus;
+  }
+  return result;
+};
+
+// Raw RSA decryption, using the Chinese remainder theorem
+const rsaDecrypt = (key, bytes) => {
+  const c = bytesToBigInt(bytes);
+  if (c >= key.n) throw new DecryptionError('key');
+  const m1 = modPow(c, key.dp, key.p);
+  const m2 = modPow(c, key.dq, key.q);
+  const h = ((((m1 - m2) % key.p) + key.p) * key.qi) % key.p;
+  return bigIntToBytes(m2 + h * key.q, key.length);
+};
+
+const digest = async (hash, bytes) =>
+  new Uint8Array(await window.crypto.subtle.digest(hash, bytes));
+
+const mgf1 = async (hash, seed, length) => {
+  const blocks = [];
+  let total = 0;
+  for (let counter = 0; total < length; counter += 1) {
+    const c = new Uint8Array([
+      counter >>> 24, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff,
+      counter & 0xff
+    ]);
+    // eslint-disable-next-line no-await-in-loop
+    const block = await digest(hash, concatBytes(seed, c));
+    blocks.push(block);
+    total += block.length;
+  }
+  return concatBytes(...blocks).subarray(0, length);
+};
+
+const xor = (a, b) => a.map((byte, i) => byte ^ b[i]);
+
+// Decodes an OAEP-encoded message (RFC 8017, section 7.1.2). Returns `null` if
+// the message cannot be decoded.
+const oaepDecode = async (encoded, mgfHash) => {
+  const lHash = await digest('SHA-256', new Uint8Array(0));
+  const hLen = lHash.length;
+  const maskedSeed = encoded.subarray(1, hLen + 1);
+  const maskedDb = encoded.subarray(hLen + 1);
+  const seed = xor(maskedSeed, await mgf1(mgfHash, maskedDb, hLen));
+  const db = xor(maskedDb, await mgf1(mgfHash, seed, maskedDb.length));
+  if (encoded[0] !== 0 || db.subarray(0, hLen).some((b, i) => b !== lHash[i]))
+    return null;
+  let i = hLen;
+  while (i < db.length && db[i] === 0) i += 1;
+  return i < db.length && db[i] === 1 ? db.slice(i + 1) : null;
+};
+
+const decryptSubmissionKey = async (privateKey, base64EncryptedKey) => {
+  const encoded = rsaDecrypt(privateKey, base64ToBytes(base64EncryptedKey));
+  const symmetricKey = await oaepDecode(encoded, 'SHA-1') ||
+    await oaepDecode(encoded, 'SHA-256');
+  if (symmetricKey == null || symmetricKey.length !== 32)
+    throw new DecryptionError('key');
+  return symmetricKey;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SUBMISSION FILES
+
+// Returns the initialization vector of the file at the specified index. For
+// each file, one more byte of the seed is incremented.
+const initializationVector = (seed, index) => {
+  const iv = seed.slice();
+  for (let i = 0; i <= index; i += 1)
+    iv[i % iv.length] = (iv[i % iv.length] + 1) & 0xff;
+  return iv;
+};
+
+/*
+WebCrypto does not support AES-CFB. However, in CFB mode, each block of
+plaintext is the XOR of the block of ciphertext and the encryption of the
+previous block of ciphertext (or of the initialization vector). We encrypt each
+block individually using AES-CBC with an IV of zeros, ignoring the padding block
+that AES-CBC adds.
+*/
+const aesCfbDecrypt = async (keyBytes, iv, ciphertext) => {
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    'AES-CBC',
+    false,
+    ['encrypt']
+  );
+  const zeros = new Uint8Array(16);
+  const blocks = [];
+  for (let offset = 0; offset < ciphertext.length; offset += 16) {
+    const previous = offset === 0
+      ? iv
+      : ciphertext.subarray(offset - 16, offset);
+    const encryption = window.crypto.subtle.encrypt(
+      { name: 'AES-CBC', iv: zeros },
+      key,
+      previous
+    );
+    blocks.push(encryption.then(encrypted => xor(
+      ciphertext.subarray(offset, offset + 16),
+      new Uint8Array(encrypted, 0, 16)
+    )));
+  }
+  const plaintext = concatBytes(...await Promise.all(blocks));
+
+  // Remove the PKCS #5 padding.
+  const padding = plaintext[plaintext.length - 1];
+  if (plaintext.length === 0 || padding < 1 || padding > 16 ||
+    plaintext.subarray(-padding).some(byte => byte !== padding))
+    throw new DecryptionError('data');
+  return plaintext.subarray(0, plaintext.length - padding);
+};
+
+const elementText = (doc, name) => {
+  const element = doc.getElementsByTagNameNS('*', name)[0];
+  return element != null ? element.textContent.trim() : null;
+};
+
+/*
+decryptSubmission() decrypts the XML of a submission. It returns the XML as a
+Document.
+
+  - privateKey. The result of decryptPrivateKey().
+  - instanceId. The instance ID of the submission.
+  - envelope. The XML of the envelope, as a string.
+  - encryptedXml. The content of submission.xml.enc, as an ArrayBuffer.
+*/
+export const decryptSubmission = async (privateKey, instanceId, envelope,
+  encryptedXml) => {
+  const envelopeDoc = new DOMParser().parseFromString(envelope, 'text/xml');
+  const base64EncryptedKey = elementText(envelopeDoc, 'base64EncryptedKey');
+  if (base64EncryptedKey == null) throw new DecryptionError('envelope');
+  const symmetricKey = await decryptSubmissionKey(privateKey,
+    base64EncryptedKey);
+
+  const seed = md5(concatBytes(
+    new TextEncoder().encode(instanceId),
+    symmetricKey
+  ));
+  // submission.xml.enc follows the attachments.
+  const index = envelopeDoc.getElementsByTagNameNS('*', 'file').length;
+  const plaintext = await aesCfbDecrypt(
+    symmetricKey,
+    initializationVector(seed, index),
+    new Uint8Array(encryptedXml)
+  );
+
+  const doc = new DOMParser().parseFromString(
+    new TextDecoder().decode(plaintext),
+    'text/xml'
+  );
+  if (doc.getElementsByTagName('parsererror').length !== 0)
+    throw new DecryptionError('data');
+  return doc;
+};
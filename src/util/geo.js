@@ -0,0 +1,205 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This module contains the functions that SubmissionMap uses to draw submission
+geodata. The OData value of a geo field is a GeoJSON geometry: a Point for a
+geopoint field, a LineString for a geotrace field, and a Polygon for a geoshape
+field. Coordinates are [longitude, latitude], optionally followed by altitude
+and accuracy.
+
+The map uses the Web Mercator projection. A location is projected to "world
+coordinates" between 0 and 1, where [0, 0] is the top-left corner of the world
+and [1, 1] is the bottom-right corner. At zoom level z, the world is 256 * 2^z
+pixels wide, the same as a standard tile server.
+*/
+
+export const geoTypes = ['geopoint', 'geotrace', 'geoshape'];
+
+export const isGeoField = (field) => geoTypes.includes(field.type);
+
+// The latitude beyond which Web Mercator is not defined
+const maxLatitude = 85.0511287798;
+
+export const tileSize = 256;
+export const maxZoom = 18;
+
+// Projects [longitude, latitude] to world coordinates.
+export const project = ([lon, lat]) => {
+  const clamped = Math.max(Math.min(lat, maxLatitude), -maxLatitude);
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return [
+    (lon + 180) / 360,
+    0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  ];
+};
+
+// The inverse of project()
+export const unproject = ([x, y]) => {
+  const n = Math.PI - 2 * Math.PI * y;
+  return [
+    x * 360 - 180,
+    (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)))
+  ];
+};
+
+const validPosition = (position) => Array.isArray(position) &&
+  position.length >= 2 && Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]);
+
+// Returns the positions of an OData geo value as an array of [longitude,
+// latitude], or `null` if the value is not a geometry that the map can draw.
+export const geometryPositions = (value) => {
+  if (value == null || typeof value !== 'object') return null;
+  const { type, coordinates } = value;
+  let positions;
+  if (type === 'Point')
+    positions = [coordinates];
+  else if (type === 'LineString')
+    positions = coordinates;
+  // A geoshape has a single ring.
+  else if (type === 'Polygon' && Array.isArray(coordinates))
+    [positions] = coordinates;
+  else
+    return null;
+  return Array.isArray(positions) && positions.length !== 0 &&
+    positions.every(validPosition)
+    ? positions.map(position => [position[0], position[1]])
+    : null;
+};
+
+// Returns the Well-Known Text (WKT) representation of an OData geo value, or
+// `null` if the value is not a geometry. Altitude and accuracy are omitted.
+export const wkt = (value) => {
+  const positions = geometryPositions(value);
+  if (positions == null) return null;
+  const text = positions.map(([lon, lat]) => `${lon} ${lat}`).join(', ');
+  if (value.type === 'Point') return `POINT (${text})`;
+  return value.type === 'LineString'
+    ? `LINESTRING (${text})`
+    : `POLYGON ((${text}))`;
+};
+
+// The mean radius of the earth in meters
+const earthRadius = 6371008.8;
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+
+// Returns the length in meters of a line through the specified positions (each
+// [longitude, latitude]), using the haversine formula.
+export const geoLength = (positions) => {
+  let length = 0;
+  for (let i = 1; i < positions.length; i += 1) {
+    const [lon1, lat1] = positions[i - 1];
+    const [lon2, lat2] = positions[i];
+    const sinLat = Math.sin(radians(lat2 - lat1) / 2);
+    const sinLon = Math.sin(radians(lon2 - lon1) / 2);
+    const a = sinLat * sinLat +
+      Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * sinLon * sinLon;
+    length += 2 * earthRadius * Math.asin(Math.min(Math.sqrt(a), 1));
+  }
+  return length;
+};
+
+// Returns the area in square meters of a ring of positions (each [longitude,
+// latitude]) on a sphere. The ring may or may not repeat its first position at
+// the end.
+export const geoArea = (positions) => {
+  const count = positions.length;
+  if (count < 3) return 0;
+  let sum = 0;
+  for (let i = 0; i < count; i += 1) {
+    const [lon1, lat1] = positions[i];
+    const [lon2, lat2] = positions[(i + 1) % count];
+    sum += radians(lon2 - lon1) *
+      (2 + Math.sin(radians(lat1)) + Math.sin(radians(lat2)));
+  }
+  return Math.abs((sum * earthRadius * earthRadius) / 2);
+};
+
+// Returns the bounds of an array of world coordinates as
+// [[minX, minY], [maxX, maxY]], or `null` if the array is empty.
+export const worldBounds = (points) => {
+  if (points.length === 0) return null;
+  let [minX, minY] = points[0];
+  let [maxX, maxY] = points[0];
+  for (const [x, y] of points) {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  return [[minX, minY], [maxX, maxY]];
+};
+
+/*
+fitBounds() returns the center and zoom that show all of the specified bounds
+in a viewport of the specified size. The zoom is an integer so that tiles are
+not scaled.
+
+  - bounds. Bounds returned by worldBounds().
+  - width, height. The size of the viewport in pixels.
+  - padding (default: 20). The number of pixels to leave around the bounds.
+*/
+export const fitBounds = (bounds, width, height, padding = 20) => {
+  const [[minX, minY], [maxX, maxY]] = bounds;
+  const center = [(minX + maxX) / 2, (minY + maxY) / 2];
+  const availableWidth = Math.max(width - 2 * padding, 1);
+  const availableHeight = Math.max(height - 2 * padding, 1);
+  let zoom = maxZoom;
+  while (zoom > 0) {
+    const worldSize = tileSize * (2 ** zoom);
+    if ((maxX - minX) * worldSize <= availableWidth &&
+      (maxY - minY) * worldSize <= availableHeight)
+      break;
+    zoom -= 1;
+  }
+  return { center, zoom };
+};
+
+/*
+clusterPoints() groups points that are close together on the screen, so that
+the map is still readable when there are many points. Points are grouped by the
+cell of a grid that they fall in: each cluster is positioned at the average of
+its points. Returns an array of objects with the properties `x`, `y`, and
+`items`.
+
+  - points. An array of objects, each with the properties `x` and `y` (in
+    pixels) and `item`.
+  - cellSize (default: 40). The size of each cell of the grid in pixels.
+*/
+export const clusterPoints = (points, cellSize = 40) => {
+  const clusters = new Map();
+  for (const { x, y, item } of points) {
+    const key = `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+    const cluster = clusters.get(key);
+    if (cluster == null) {
+      clusters.set(key, { sumX: x, sumY: y, items: [item] });
+    } else {
+      cluster.sumX += x;
+      cluster.sumY += y;
+      cluster.items.push(item);
+    }
+  }
+  return [...clusters.values()].map(({ sumX, sumY, items }) => ({
+    x: sumX / items.length,
+    y: sumY / items.length,
+    items
+  }));
+};
+
+// Returns the URL of a tile given a URL template with the placeholders {x},
+// {y}, and {z}, for example, 'https://tile.example.com/{z}/{x}/{y}.png'.
+export const tileUrl = (template, { x, y, z }) => template
+  .replace('{x}', x)
+  .replace('{y}', y)
+  .replace('{z}', z);
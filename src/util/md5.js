@@ -0,0 +1,88 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+An implementation of MD5 (RFC 1321). WebCrypto does not support MD5, but ODK
+uses it to derive the initialization vectors of an encrypted submission: see
+util/decrypt.js. MD5 should not be used for anything else.
+*/
+
+/* eslint-disable no-bitwise */
+
+// The per-round shift amounts
+const shifts = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+// The binary integer part of the sines of integers
+const constants = shifts.map((_, i) =>
+  Math.floor(Math.abs(Math.sin(i + 1)) * (2 ** 32)) >>> 0);
+
+// Returns the MD5 digest of a Uint8Array as a Uint8Array of 16 bytes.
+export default (bytes) => {
+  // Pad the message to a multiple of 64 bytes, appending the length in bits.
+  const paddedLength = (((bytes.length + 8) >>> 6) + 1) << 6;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  const bitLength = bytes.length * 8;
+  view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bitLength / (2 ** 32)), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+    for (let i = 0; i < 64; i += 1) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const sum = (a + f + constants[i] +
+        view.getUint32(offset + g * 4, true)) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shifts[i]) | (sum >>> (32 - shifts[i])))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  [a0, b0, c0, d0].forEach((word, i) => {
+    digestView.setUint32(i * 4, word, true);
+  });
+  return digest;
+};
@@ -0,0 +1,108 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This file generates code that fetches an OData table in an analysis tool.
+SubmissionAnalyze shows the code so that the user can copy it into their tool.
+Each function accepts the following arguments:
+
+  - serviceUrl. The absolute URL of the OData service, ending in .svc.
+  - table. The name of the OData table, for example, 'Submissions' or the name
+    of a repeat table.
+  - query. The query parameters of the table, for example, $filter and $select.
+    Parameters whose value is `null` are ignored.
+
+The code uses HTTP Basic authentication. Rather than including the user's
+credentials in the code, it reads them from environment variables (or in Power
+Query, from the data source settings).
+*/
+
+import { queryString } from './request';
+
+const queryEntries = (query) => Object.entries(query)
+  .filter(([, value]) => value != null);
+
+// Returns a double-quoted string literal that R and Python both accept.
+const stringLiteral = (value) =>
+  `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+export const feedUrl = (serviceUrl, table, query) =>
+  `${serviceUrl}/${table}${queryString(query)}`;
+
+export const rCode = (serviceUrl, table, query) => {
+  const entries = queryEntries(query);
+  const lines = [
+    'library(httr)',
+    'library(jsonlite)',
+    '',
+    'response <- GET(',
+    `  ${stringLiteral(`${serviceUrl}/${table}`)},`
+  ];
+  if (entries.length !== 0) {
+    lines.push('  query = list(');
+    entries.forEach(([name, value], i) => {
+      const comma = i !== entries.length - 1 ? ',' : '';
+      lines.push(`    \`${name}\` = ${stringLiteral(value)}${comma}`);
+    });
+    lines.push('  ),');
+  }
+  lines.push(
+    '  authenticate(Sys.getenv("ODK_EMAIL"), Sys.getenv("ODK_PASSWORD"))',
+    ')',
+    'stop_for_status(response)',
+    'data <- fromJSON(',
+    '  content(response, as = "text", encoding = "UTF-8"),',
+    '  flatten = TRUE',
+    ')$value'
+  );
+  return lines.join('\n');
+};
+
+export const pythonCode = (serviceUrl, table, query) => {
+  const entries = queryEntries(query);
+  const lines = [
+    'import os',
+    '',
+    'import pandas as pd',
+    'import requests',
+    '',
+    'response = requests.get(',
+    `    ${stringLiteral(`${serviceUrl}/${table}`)},`
+  ];
+  if (entries.length !== 0) {
+    lines.push('    params={');
+    for (const [name, value] of entries)
+      lines.push(`        ${stringLiteral(name)}: ${stringLiteral(value)},`);
+    lines.push('    },');
+  }
+  lines.push(
+    '    auth=(os.environ["ODK_EMAIL"], os.environ["ODK_PASSWORD"]),',
+    ')',
+    'response.raise_for_status()',
+    'data = pd.json_normalize(response.json()["value"])'
+  );
+  return lines.join('\n');
+};
+
+// Power Query M escapes a double quote by doubling it.
+const mStringLiteral = (value) => `"${value.replace(/"/g, '""')}"`;
+
+export const powerQueryCode = (serviceUrl, table, query) => [
+  'let',
+  '    Source = OData.Feed(',
+  `        ${mStringLiteral(feedUrl(serviceUrl, table, query))},`,
+  '        null,',
+  '        [Implementation = "2.0"]',
+  '    )',
+  'in',
+  '    Source'
+].join('\n');
@@ -0,0 +1,385 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { DateTime, Settings } from 'luxon';
+import { last } from 'ramda';
+
+import i18n from '../i18n';
+import { formatDate, formatDateTime, formatTime } from './date-time';
+import { geoArea, geoLength, geometryPositions, wkt } from './geo';
+
+// Returns an OData string literal. Single quotes are escaped by doubling them.
+export const odataLiteral = (value) => `'${value.replace(/'/g, "''")}'`;
+
+// Returns the path to a single submission in the OData feed. `baseUrl` is the
+// path to the form or form draft.
+export const odataEntityPath = (baseUrl, instanceId) => {
+  const encodedKey = encodeURIComponent(odataLiteral(instanceId));
+  return `${baseUrl}.svc/Submissions(${encodedKey})`;
+};
+
+// Returns the path of a field in OData, for example, for $filter or $orderby.
+export const odataPath = (field) => field.splitPath().join('/');
+
+export const attachmentPath = (baseUrl, instanceId, name) => {
+  const encodedId = encodeURIComponent(instanceId);
+  const encodedName = encodeURIComponent(name);
+  return `${baseUrl}/submissions/${encodedId}/attachments/${encodedName}`;
+};
+
+// The MIME type of each file extension that Frontend recognizes. The OData feed
+// does not include the MIME type of an attachment, and a file in a zip does not
+// have a MIME type.
+const mimeTypes = {
+  '3ga': 'audio/3gpp',
+  '3gp': 'video/3gpp',
+  aac: 'audio/aac',
+  amr: 'audio/amr',
+  bmp: 'image/bmp',
+  csv: 'text/csv',
+  flac: 'audio/flac',
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  m4a: 'audio/mp4',
+  m4v: 'video/x-m4v',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  mpeg: 'video/mpeg',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  ogv: 'video/ogg',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  wav: 'audio/wav',
+  webm: 'video/webm',
+  webp: 'image/webp'
+};
+
+const extension = (name) => {
+  const index = name.lastIndexOf('.');
+  return index !== -1 ? name.slice(index + 1).toLowerCase() : null;
+};
+
+// Returns the MIME type of a file based on its filename, or
+// 'application/octet-stream' if the type is not known.
+export const mimeType = (name) => {
+  const type = mimeTypes[extension(name)];
+  return type != null ? type : 'application/octet-stream';
+};
+
+const mediaTypes = new Set(['image', 'audio', 'video']);
+
+// Returns the type of media of an attachment based on its filename: 'image',
+// 'audio', 'video', or `null` if the type is not known.
+export const mediaType = (name) => {
+  const type = mimeTypes[extension(name)];
+  if (type == null) return null;
+  const mediaTypeOfMime = type.slice(0, type.indexOf('/'));
+  return mediaTypes.has(mediaTypeOfMime) ? mediaTypeOfMime : null;
+};
+
+/*
+formatValue() formats the OData value of a non-binary field for display. It is
+used for each cell of the submissions table, so performance matters here.
+
+  - rawValue. The OData value. It must not be null.
+  - type. The type of the field.
+*/
+export const formatValue = (rawValue, type) => {
+  switch (type) {
+    case 'int':
+      return i18n.n(rawValue, 'default');
+    // The ODK XForms specification seems to allow decimal values that cannot
+    // be precisely stored as a Number. However, Collect limits decimal input to
+    // 15 characters, resulting in only values that can be precisely stored as a
+    // Number.
+    case 'decimal': {
+      if (Number.isInteger(rawValue)) return i18n.n(rawValue, 'default');
+      // Non-integers outside this range are more than 15 characters (including
+      // the sign and decimal point).
+      if (rawValue >= 10000000000000 || rawValue <= -1000000000000)
+        return i18n.n(rawValue, 'maximumFractionDigits1');
+      const integerDigits = Math.floor(Math.abs(rawValue)).toString().length;
+      const signCharacters = rawValue < 0 ? 1 : 0;
+      // 14, not 15, because the decimal point consumes a character.
+      const fractionDigits = 14 - integerDigits - signCharacters;
+      return i18n.n(rawValue, `maximumFractionDigits${fractionDigits}`);
+    }
+
+    // There may be differences between ISO 8601 and the the ODK XForms
+    // specification for date or time values, but the values that Collect sends
+    // seem to be ISO 8601. Here, we attempt to parse a date or time value as
+    // ISO 8601, but if the resulting DateTime is invalid, we indicate that to
+    // the user.
+    case 'date':
+      return formatDate(DateTime.fromISO(rawValue));
+    case 'time': {
+      /* Collect does not allow the user to select a time value's associated
+      time zone. However, Collect may add a time zone designator to the value
+      nonetheless. In that case, we will remove the time zone designator before
+      displaying the value. By default, DateTime.fromISO() returns a local
+      DateTime. However, if the system date is the date of a DST shift, rawValue
+      may imply an invalid or ambiguous time: since rawValue includes a time but
+      not a date, DateTime will use the system date. To avoid that, we
+      temporarily set the default time zone to UTC. */
+      const originalZoneName = Settings.defaultZoneName;
+      Settings.defaultZoneName = 'utc';
+      const time = DateTime.fromISO(rawValue, { setZone: true });
+      Settings.defaultZoneName = originalZoneName;
+      return formatTime(time);
+    }
+    // rawValue is an Edm.DateTimeOffset. Again, there may be differences
+    // between ISO 8601 and the Edm.DateTimeOffset specification. However, ISO
+    // 8601 is the only likely format for rawValue. As with a date or time
+    // value, we attempt to parse a dateTime value as ISO 8601, indicating any
+    // failure to the user.
+    case 'dateTime':
+      return formatDateTime(DateTime.fromISO(rawValue));
+
+    case 'geopoint': {
+      const { coordinates } = rawValue;
+      // Limiting the number of decimal places helps ensure that the formatted
+      // value fits within the column width. For longitude and latitude, 7
+      // fraction digits provide precision of 0.011m at the equator.
+      const lon = i18n.n(coordinates[0], 'fractionDigits7');
+      const lat = i18n.n(coordinates[1], 'fractionDigits7');
+      const altitude = coordinates.length > 2
+        ? i18n.n(coordinates[2], 'fractionDigits1')
+        : null;
+      return altitude != null ? `${lon} ${lat} ${altitude}` : `${lon} ${lat}`;
+    }
+    // A line or shape may have many points, so we return its WKT, which the
+    // user can copy into a GIS tool. SubmissionRow shows a summary instead: see
+    // formatGeoSummary().
+    case 'geotrace':
+    case 'geoshape': {
+      const text = wkt(rawValue);
+      return text != null ? text : JSON.stringify(rawValue);
+    }
+
+    default:
+      return rawValue;
+  }
+};
+
+const formatLength = (meters) => (meters < 1000
+  ? i18n.t('submission.length.m', { length: i18n.n(Math.round(meters), 'default') })
+  : i18n.t('submission.length.km', {
+    length: i18n.n(meters / 1000, 'maximumFractionDigits2')
+  }));
+
+const formatArea = (squareMeters) => {
+  if (squareMeters < 10000) {
+    const area = i18n.n(Math.round(squareMeters), 'default');
+    return i18n.t('submission.area.m2', { area });
+  }
+  if (squareMeters < 1000000) {
+    const area = i18n.n(squareMeters / 10000, 'maximumFractionDigits2');
+    return i18n.t('submission.area.ha', { area });
+  }
+  const area = i18n.n(squareMeters / 1000000, 'maximumFractionDigits2');
+  return i18n.t('submission.area.km2', { area });
+};
+
+// Returns a short summary of the OData value of a geotrace or geoshape field:
+// the number of vertices, along with the length of a line or the area of a
+// shape. Returns `null` if the value is not a geometry.
+export const formatGeoSummary = (rawValue, type) => {
+  const positions = geometryPositions(rawValue);
+  if (positions == null) return null;
+  if (type === 'geoshape') {
+    // The ring of a shape repeats its first vertex at the end.
+    const [first] = positions;
+    const lastPosition = last(positions);
+    const count = positions.length > 1 && first[0] === lastPosition[0] &&
+      first[1] === lastPosition[1]
+      ? positions.length - 1
+      : positions.length;
+    return i18n.tc('submission.geoshape', count, {
+      count: i18n.n(count, 'default'),
+      area: formatArea(geoArea(positions))
+    });
+  }
+  return i18n.tc('submission.geotrace', positions.length, {
+    count: i18n.n(positions.length, 'default'),
+    length: formatLength(geoLength(positions))
+  });
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SUBMISSION XML
+
+// Converts an ODK geo position ("lat lon alt accuracy") to a GeoJSON position.
+const geoPosition = (text) => {
+  const [lat, lon, altitude] = text.trim().split(/\s+/).map(Number);
+  return altitude != null ? [lon, lat, altitude] : [lon, lat];
+};
+
+const geoPositions = (text) => text.split(';')
+  .filter(position => position.trim() !== '')
+  .map(geoPosition);
+
+// Converts the text of an XML element to an OData value. Returns `null` if the
+// text cannot be converted.
+const odataValue = (text, type) => {
+  switch (type) {
+    case 'int':
+    case 'decimal': {
+      const number = Number(text);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'geopoint': {
+      const accuracy = text.trim().split(/\s+/)[3];
+      const point = { type: 'Point', coordinates: geoPosition(text) };
+      if (accuracy != null) point.properties = { accuracy: Number(accuracy) };
+      return point;
+    }
+    case 'geotrace':
+      return { type: 'LineString', coordinates: geoPositions(text) };
+    case 'geoshape':
+      return { type: 'Polygon', coordinates: [geoPositions(text)] };
+    default:
+      return text;
+  }
+};
+
+const childElement = (parent, name) => {
+  for (const child of parent.children)
+    if (child.localName === name) return child;
+  return null;
+};
+
+/*
+odataFromXml() converts the XML of a submission to a row of the top-level
+OData table. It is used for submissions that are decrypted in the browser (see
+util/decrypt.js): Backend cannot return their OData.
+
+  - doc. The XML of the submission as a Document.
+  - fields. The fields of the top-level table (see selectableFieldsByTable).
+
+The row includes the values of the fields, but not the submission metadata.
+Attachments are also encrypted, so the row does not include the values of
+binary fields.
+*/
+export const odataFromXml = (doc, fields) => {
+  const row = {};
+  for (const field of fields) {
+    if (field.binary !== true) {
+      const names = field.splitPath();
+      const element = names.reduce(
+        (parent, name) => (parent != null ? childElement(parent, name) : null),
+        doc.documentElement
+      );
+      const text = element != null ? element.textContent : '';
+      const value = text.trim() !== '' ? odataValue(text, field.type) : null;
+      if (value != null) {
+        let group = row;
+        for (const name of names.slice(0, -1)) {
+          if (group[name] == null) group[name] = {};
+          group = group[name];
+        }
+        group[last(names)] = value;
+      }
+    }
+  }
+  return row;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// FILTER CONDITIONS
+
+// The comparison operators that can be used in a filter condition, by field
+// type. A field whose type is not listed cannot be filtered.
+export const filterOperators = {
+  string: ['eq', 'ne', 'contains'],
+  int: ['eq', 'ne', 'gt', 'ge', 'lt', 'le'],
+  decimal: ['eq', 'ne', 'gt', 'ge', 'lt', 'le'],
+  date: ['eq', 'ne', 'gt', 'ge', 'lt', 'le'],
+  // The user specifies a date for a dateTime field, so we only support
+  // operators that make sense for a date range.
+  dateTime: ['ge', 'le']
+};
+
+// The comparison operators that can be used in a condition about a select_one
+// field whose choices are known. Rather than entering a value, the user selects
+// one of the choices.
+export const choiceOperators = ['eq', 'ne'];
+
+// Returns a number in decimal notation. Number.prototype.toString() uses
+// exponential notation for very large and very small numbers, which we do not
+// use in a filter expression.
+const decimalNotation = (number) => {
+  const [coefficient, exponent] = number.toString().split('e');
+  if (exponent == null) return coefficient;
+  const sign = number < 0 ? '-' : '';
+  const [whole, fraction = ''] = coefficient.replace('-', '').split('.');
+  const digits = `${whole}${fraction}`;
+  // The position of the decimal point within `digits`
+  const point = whole.length + Number(exponent);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length)
+    return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+odataCondition() returns an expression for $filter that compares the value of
+a field to a value that the user has entered. It returns `null` if the value is
+incomplete or invalid for the type of the field.
+
+  - field. A Field.
+  - operator. One of filterOperators[field.type].
+  - value. A string. A date is in the format yyyy-MM-dd.
+  - root (default: ''). A prefix for the path of the field. For example, a
+    condition about a field of the top-level table can be used to filter a
+    repeat table by specifying '$root/Submissions/'.
+*/
+export const odataCondition = (field, operator, value, root = '') => {
+  if (value === '') return null;
+  let literal;
+  switch (field.type) {
+    case 'int':
+    case 'decimal': {
+      const number = value.trim() !== '' ? Number(value) : NaN;
+      if (!Number.isFinite(number) ||
+        (field.type === 'int' && !Number.isInteger(number)))
+        return null;
+      literal = decimalNotation(number);
+      break;
+    }
+    case 'date':
+      if (!datePattern.test(value) || !DateTime.fromISO(value).isValid)
+        return null;
+      literal = value;
+      break;
+    case 'dateTime': {
+      const date = DateTime.fromISO(value);
+      if (!datePattern.test(value) || !date.isValid) return null;
+      literal = operator === 'le' ? date.endOf('day').toISO() : date.toISO();
+      break;
+    }
+    default:
+      literal = odataLiteral(value);
+  }
+  const path = `${root}${odataPath(field)}`;
+  return operator === 'contains'
+    ? `contains(${path},${literal})`
+    : `${path} ${operator} ${literal}`;
+};
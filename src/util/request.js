@@ -35,6 +35,11 @@ const formPath = (suffix, queryDefaults = undefined) =>
     const qs = queryString(combinedQuery);
     return `/v1/projects/${projectId}/forms/${encodedFormId}${suffix}${qs}`;
   };
+const submissionPath = (suffix) => (projectId, xmlFormId, instanceId) => {
+  const encodedFormId = encodeURIComponent(xmlFormId);
+  const encodedInstanceId = encodeURIComponent(instanceId);
+  return `/v1/projects/${projectId}/forms/${encodedFormId}/submissions/${encodedInstanceId}${suffix}`;
+};
 export const apiPaths = {
   // Backend generates session tokens that are URL-safe.
   session: (token) => `/v1/sessions/${token}`,
@@ -79,6 +84,29 @@ export const apiPaths = {
   },
   formDraftSubmissionKeys: formPath('/draft/submissions/keys'),
   submissionKeys: formPath('/submissions/keys'),
+  odataSubmissions: formPath('.svc/Submissions'),
+  submissions: formPath('/submissions'),
+  submission: submissionPath(''),
+  submissionComments: submissionPath('/comments'),
+  submissionRestore: submissionPath('/restore'),
+  editSubmission: submissionPath('/edit'),
+  submissionVersions: submissionPath('/versions'),
+  submissionDiffs: submissionPath('/diffs'),
+  submissionXml: submissionPath('.xml'),
+  encryptedSubmissionXml: submissionPath('/attachments/submission.xml.enc'),
+  submissionAttachment: (projectId, xmlFormId, instanceId, attachmentName) => {
+    const encodedFormId = encodeURIComponent(xmlFormId);
+    const encodedInstanceId = encodeURIComponent(instanceId);
+    const encodedName = encodeURIComponent(attachmentName);
+    return `/v1/projects/${projectId}/forms/${encodedFormId}/submissions/${encodedInstanceId}/attachments/${encodedName}`;
+  },
+  // The views of the submissions table that have been shared with the project
+  submissionViews: formPath('/submission-views'),
+  submissionView: (projectId, xmlFormId, name) => {
+    const encodedFormId = encodeURIComponent(xmlFormId);
+    const encodedName = encodeURIComponent(name);
+    return `/v1/projects/${projectId}/forms/${encodedFormId}/submission-views/${encodedName}`;
+  },
   publicLinks: formPath('/public-links'),
   fieldKeys: projectPath('/app-users'),
   serverUrlForFieldKey: (token, projectId) =>
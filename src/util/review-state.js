@@ -0,0 +1,46 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+A submission can be reviewed by setting its review state. In OData, the review
+state is __system/reviewState. A submission that has not been reviewed does not
+have a review state: its reviewState property is `null`. In Frontend, we use
+'received' for that state.
+
+The 'edited' state is set by Backend when a submission is edited. The user can
+set any of the other review states except 'received'.
+*/
+
+export const reviewStates = [
+  'received',
+  'hasIssues',
+  'edited',
+  'approved',
+  'rejected'
+];
+
+// The review states that the user can set
+export const updatableReviewStates = ['hasIssues', 'approved', 'rejected'];
+
+// Returns the review state of a submission given its OData.
+export const odataReviewState = (submission) => {
+  const { reviewState } = submission.__system;
+  return reviewState != null ? reviewState : 'received';
+};
+
+export const reviewStateIcons = {
+  received: 'icon-circle-o',
+  hasIssues: 'icon-exclamation-triangle',
+  edited: 'icon-pencil-square-o',
+  approved: 'icon-check-circle',
+  rejected: 'icon-times-circle'
+};
@@ -26,6 +26,22 @@ export const routeProps = (route, props) => {
   return props;
 };
 
+/*
+changesRoute() returns `true` if the current route has changed from `from` to
+`to` and `false` if the two are the same route. Two routes that differ only in
+their query are considered the same route: some components, for example,
+SubmissionList, replace the query in order to reflect their state, which should
+not be treated as navigating away.
+
+  - from. A Route object or `null`.
+  - to. A Route object or `null`.
+*/
+export const changesRoute = (from, to) => {
+  if (to === from) return false;
+  if (to == null || from == null) return true;
+  return to.path !== from.path;
+};
+
 /*
 preservesData() returns `true` if the data for `key` should not be cleared when
 the route changes from `from` to `to`. Otherwise it returns `false`.
@@ -0,0 +1,306 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This module builds files from submissions OData in the browser, for exports that
+Backend does not provide. Each function that builds a file is passed the rows of
+an OData table, so a file can be built for a repeat table as well as for the
+top-level table.
+*/
+
+import { DateTime } from 'luxon';
+import { path } from 'ramda';
+
+import zip from './zip';
+import { attachmentPath, formatValue } from './odata';
+import { formatDateTime } from './date-time';
+import { geometryPositions } from './geo';
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Saves a file to the user's computer, as if it had been downloaded.
+export const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  // Revoking the URL immediately can cancel the download in some browsers.
+  setTimeout(() => { URL.revokeObjectURL(url); });
+};
+
+/*
+rowProperties() returns the properties to export for a row: the IDs of the row,
+the submitter and submission date of a submission, and the value of each of the
+specified fields. Properties are named after the column headers of the
+submissions table.
+
+  - row. A row of an OData table.
+  - fields. The fields to export.
+  - parentKey. See SubmissionList.
+*/
+export const rowProperties = (row, fields, parentKey = null) => {
+  const properties = { __id: row.__id };
+  if (parentKey == null) {
+    properties.SubmitterName = row.__system.submitterName;
+    properties.SubmissionDate = row.__system.submissionDate;
+  } else {
+    properties[parentKey] = row[parentKey];
+  }
+  for (const field of fields) {
+    const value = path(field.splitPath(), row);
+    properties[field.header()] = value != null ? value : null;
+  }
+  return properties;
+};
+
+// Returns the rows that have a location for the geo field. Encrypted
+// submissions are excluded.
+export const rowsWithLocation = (rows, geoField, parentKey = null) => rows
+  .filter(row => parentKey != null || row.__system.status == null)
+  .filter(row => geometryPositions(path(geoField.splitPath(), row)) != null);
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// GEOJSON
+
+// The OData value of a geopoint can include the accuracy after the altitude,
+// but a GeoJSON position only has room for the altitude.
+const geoJsonPosition = (position) => position.slice(0, 3);
+
+const geoJsonGeometry = ({ type, coordinates }) => {
+  if (type === 'Point')
+    return { type, coordinates: geoJsonPosition(coordinates) };
+  if (type === 'LineString')
+    return { type, coordinates: coordinates.map(geoJsonPosition) };
+  return {
+    type,
+    coordinates: coordinates.map(ring => ring.map(geoJsonPosition))
+  };
+};
+
+/*
+geoJson() returns a GeoJSON FeatureCollection as a string. Each feature is a
+row with a location for the geo field.
+
+  - rows. The rows of an OData table.
+  - geoField. The field whose values are the geometries of the features.
+  - fields. The fields to export as the properties of each feature.
+  - parentKey. See SubmissionList.
+*/
+export const geoJson = (rows, geoField, fields, parentKey = null) => {
+  const features = rowsWithLocation(rows, geoField, parentKey).map(row => ({
+    type: 'Feature',
+    id: row.__id,
+    geometry: geoJsonGeometry(path(geoField.splitPath(), row)),
+    properties: rowProperties(row, fields, parentKey)
+  }));
+  return JSON.stringify({ type: 'FeatureCollection', features });
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// KML
+
+const kmlCoordinates = (positions) => positions
+  .map(position => position.slice(0, 3).join(','))
+  .join(' ');
+
+const kmlGeometry = ({ type, coordinates }) => {
+  if (type === 'Point')
+    return `<Point><coordinates>${kmlCoordinates([coordinates])}</coordinates></Point>`;
+  if (type === 'LineString')
+    return `<LineString><coordinates>${kmlCoordinates(coordinates)}</coordinates></LineString>`;
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+};
+
+const kmlValue = (value) => {
+  if (value == null) return '';
+  return escapeXml(typeof value === 'object'
+    ? JSON.stringify(value)
+    : value.toString());
+};
+
+/*
+kml() returns a KML document as a string. Each placemark is a row with a
+location for the geo field. kml() accepts the same arguments as geoJson(), as
+well as the name of the document.
+*/
+export const kml = (rows, geoField, fields, parentKey = null, name = '') => {
+  const placemarks = rowsWithLocation(rows, geoField, parentKey).map(row => {
+    const data = Object.entries(rowProperties(row, fields, parentKey))
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${kmlValue(value)}</value></Data>`)
+      .join('');
+    const geometry = kmlGeometry(path(geoField.splitPath(), row));
+    return `<Placemark><name>${escapeXml(row.__id)}</name><ExtendedData>${data}</ExtendedData>${geometry}</Placemark>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    '</Document></kml>'
+  ].join('\n');
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// TABLE
+
+/*
+tableValues() returns the values of the cells of a row of the submissions table,
+in the order that SubmissionTable shows them: the parent ID of a repeat group
+instance or the submitter and submission date of a submission, then the fields,
+then the instance ID. Values are formatted in the same way as SubmissionRow
+unless raw values are requested. It accepts the following options:
+
+  - fields. The fields that the table shows.
+  - raw (default: false). `true` to return the OData values rather than the
+    formatted values.
+  - baseUrl. The URL of the form or form draft, used to link to files.
+  - parentKey. See SubmissionList.
+  - showsSubmitter (default: true). `true` if the table shows the submitter.
+*/
+export const tableValues = (row, {
+  fields,
+  raw = false,
+  baseUrl = '',
+  parentKey = null,
+  showsSubmitter = true
+}) => {
+  const values = [];
+  if (parentKey != null) {
+    values.push(row[parentKey]);
+  } else {
+    if (showsSubmitter) values.push(row.__system.submitterName);
+    const { submissionDate } = row.__system;
+    values.push(raw
+      ? submissionDate
+      : formatDateTime(DateTime.fromISO(submissionDate)));
+  }
+  // The data of an encrypted submission is not available.
+  const encrypted = parentKey == null && row.__system.status != null;
+  for (const field of fields) {
+    const rawValue = encrypted ? null : path(field.splitPath(), row);
+    if (rawValue == null) {
+      values.push(null);
+    } else if (raw) {
+      values.push(rawValue);
+    } else if (field.binary === true) {
+      // See SubmissionRow.formattedValue().
+      const instanceId = parentKey == null
+        ? row.__id
+        : row['__Submissions-id'];
+      values.push(instanceId != null
+        ? `${window.location.origin}${attachmentPath(baseUrl, instanceId, rawValue)}`
+        : null);
+    } else {
+      values.push(formatValue(rawValue, field.type));
+    }
+  }
+  values.push(row.__id);
+  return values;
+};
+
+const cellText = (value) => {
+  if (value == null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+};
+
+// A spreadsheet program may evaluate text that starts with one of these
+// characters as a formula.
+const formulaStart = /^[=+\-@\t\r]/;
+
+// Submission data may come from anyone with a Public Access Link, so we prefix
+// text that could be evaluated as a formula with an apostrophe, which a
+// spreadsheet program treats as a sign that the text is not a formula. A
+// number such as -1 is left as is.
+const neutralizeFormula = (text) =>
+  (formulaStart.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text);
+
+// Returns a CSV file as a string given an array of rows, each an array of
+// values. The file starts with a byte order mark so that Excel reads it as
+// UTF-8.
+export const csv = (rows) => {
+  const lines = rows.map(values => values
+    .map(value => {
+      const text = typeof value === 'number'
+        ? cellText(value)
+        : neutralizeFormula(cellText(value));
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(','));
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+};
+
+// Characters that are not allowed in XML 1.0
+// eslint-disable-next-line no-control-regex
+const invalidXmlCharacters = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+// Text is stored as an inline string rather than as a formula, so a
+// spreadsheet program does not evaluate text that looks like a formula.
+const xlsxCell = (value) => {
+  if (value == null) return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value))
+    return `<c><v>${value}</v></c>`;
+  const text = escapeXml(cellText(value).replace(invalidXmlCharacters, ''));
+  return `<c t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const relationshipType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+/*
+xlsx() returns an Excel workbook with a single sheet as a Uint8Array. It is
+passed an array of rows, each an array of values, as well as the name of the
+sheet. Numbers are stored as numbers, and other values are stored as text.
+*/
+export const xlsx = (rows, sheetName) => {
+  // Excel limits sheet names to 31 characters and disallows some characters.
+  const name = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) ||
+    'Sheet1');
+  const sheetData = rows
+    .map(values => `<row>${values.map(xlsxCell).join('')}</row>`)
+    .join('');
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlDeclaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="${contentType}.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="${contentType}.worksheet+xml"/></Types>`
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlDeclaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${relationshipType}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlDeclaration}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationshipType}"><sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlDeclaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${relationshipType}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xmlDeclaration}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetData}</sheetData></worksheet>`
+    }
+  ]);
+};
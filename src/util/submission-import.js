@@ -0,0 +1,392 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This file reads the submissions of a zip file that was exported from another
+server (see SubmissionImport). Two kinds of zip are supported:
+
+  - A zip of an ODK Briefcase storage directory. Briefcase stores each instance
+    in its own directory, which is in a directory named "instances":
+
+      [Form name]/instances/[instance directory]/submission.xml
+
+    The media files of an instance are in the same directory as its XML.
+  - A zip that Central exported with media files. The zip contains a CSV file
+    of the submissions, a CSV file for each repeat group, and a directory named
+    "media" that contains the media files. Because the zip does not contain the
+    XML of each submission, we build the XML from the CSV files, using the
+    fields of the form.
+*/
+
+import { buf2string } from 'pako/lib/utils/strings';
+
+import { invalidReason, parseInstance } from './submission-upload';
+
+const dirname = (path) => {
+  const index = path.lastIndexOf('/');
+  return index !== -1 ? path.slice(0, index) : '';
+};
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Parses CSV as specified by RFC 4180, returning an array of rows, each an
+// array of strings.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  // Skip the byte order mark.
+  const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  for (let i = start; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') {
+        value += c;
+      } else if (text[i + 1] === '"') {
+        value += c;
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(value);
+      value = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (value !== '' || row.length !== 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const readText = (file) => file.read().then(buf2string);
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// BRIEFCASE
+
+const isBriefcaseInstance = (file) =>
+  basename(dirname(dirname(file.name))) === 'instances';
+
+const readBriefcase = (files, formVersion) => {
+  const directories = new Map();
+  for (const file of files) {
+    if (isBriefcaseInstance(file)) {
+      const directory = dirname(file.name);
+      const directoryFiles = directories.get(directory);
+      if (directoryFiles != null)
+        directoryFiles.push(file);
+      else
+        directories.set(directory, [file]);
+    }
+  }
+
+  const instances = [];
+  const invalid = [];
+  const instanceIds = new Set();
+  // Read one instance at a time so that we do not read all of the zip at once.
+  return [...directories].reduce(
+    (promise, [directory, directoryFiles]) => promise.then(() => {
+      const xmlFile = directoryFiles
+        .find(file => basename(file.name) === 'submission.xml');
+      if (xmlFile == null) {
+        invalid.push({ name: directory, reason: 'missingXml' });
+        return null;
+      }
+      return readText(xmlFile).then(xml => {
+        const instance = parseInstance(xml);
+        const reason = invalidReason(instance, formVersion, instanceIds);
+        if (reason != null) {
+          invalid.push({ name: directory, reason });
+          return;
+        }
+        instanceIds.add(instance.instanceId);
+        instances.push({
+          name: directory,
+          instanceId: instance.instanceId,
+          xml,
+          media: directoryFiles.filter(file => file !== xmlFile &&
+            instance.values.has(basename(file.name)))
+        });
+      });
+    }),
+    Promise.resolve()
+  )
+    .then(() => ({ instances, invalid }));
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// CENTRAL
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+const escapeAttribute = (text) => escapeXml(text).replace(/"/g, '&quot;');
+
+// Central splits a geopoint field into a column for each of its parts.
+const geopointParts = ['Latitude', 'Longitude', 'Altitude', 'Accuracy'];
+
+/*
+A table is the contents of a CSV file: the file of the form or the file of a
+repeat group. It is an object with the following properties:
+
+  - repeatPath. The path of the repeat group, or the empty string for the file
+    of the form. The headers of the file of a repeat group are relative to the
+    repeat group.
+  - columns. A Map from each header to its index.
+  - rows. An array of the rows, each an array of strings.
+*/
+const readTable = (file, repeatPath) => readText(file).then(text => {
+  const [headers = [], ...rows] = parseCsv(text);
+  const columns = new Map(headers.map((header, index) => [header, index]));
+  return { repeatPath, columns, rows };
+});
+
+// Returns `true` if a row is a blank line, for example, at the end of a file.
+const isBlank = (row) => row.length === 1 && row[0] === '';
+
+// Returns the value of a field from a row of a table.
+const csvValue = (field, row, { repeatPath, columns }) => {
+  const header = field.path.slice(repeatPath.length + 1).replace(/\//g, '-');
+  if (columns.has(header)) return row[columns.get(header)];
+  if (field.type !== 'geopoint') return '';
+  const parts = geopointParts.map(part => {
+    const index = columns.get(`${header}-${part}`);
+    return index != null ? row[index] : '';
+  });
+  while (parts.length !== 0 && parts[parts.length - 1] === '') parts.pop();
+  return parts.join(' ');
+};
+
+const isChild = (field, parentPath) =>
+  field.path.startsWith(`${parentPath}/`) &&
+  !field.path.includes('/', parentPath.length + 1);
+
+/*
+Builds the XML of the children of a group from a row of a table. The rows of a
+repeat group are nested in the row of their parent: the PARENT_KEY column of a
+repeat group's table refers to the KEY column of the parent's table.
+
+  - context. An object with the properties `fields` (the fields of the form) and
+    `repeatTables` (a Map from the path of each repeat group to its table, whose
+    rows are grouped by PARENT_KEY in a property named `rowsByParent`).
+  - mediaNames. The names of the files that the binary fields refer to are
+    added to this Set.
+*/
+const buildChildren = (parentPath, row, table, context, mediaNames) => {
+  let xml = '';
+  for (const field of context.fields) {
+    if (isChild(field, parentPath)) {
+      const { name } = field;
+      if (field.type === 'structure') {
+        const children = buildChildren(field.path, row, table, context, mediaNames);
+        xml += `<${name}>${children}</${name}>`;
+      } else if (field.type === 'repeat') {
+        const repeatTable = context.repeatTables.get(field.path);
+        const key = row[table.columns.get('KEY')];
+        const rows = repeatTable.rowsByParent.get(key);
+        if (rows != null) {
+          for (const repeatRow of rows) {
+            const children = buildChildren(field.path, repeatRow, repeatTable, context, mediaNames);
+            xml += `<${name}>${children}</${name}>`;
+          }
+        }
+      } else if (field.path !== '/meta/deprecatedID') {
+        // The CSV contains the latest version of each submission, which we
+        // upload as a new submission, not as an edit, so we skip deprecatedID.
+        const value = csvValue(field, row, table);
+        if (field.binary === true && value !== '') mediaNames.add(value);
+        xml += `<${name}>${escapeXml(value)}</${name}>`;
+      }
+    }
+  }
+  return xml;
+};
+
+// Builds the XML of a submission from a row of the form's table. Backend
+// identifies the form using the attributes of the root element, not its name,
+// so we name it `data`, which is the default name.
+const buildXml = (row, table, context, formVersion, mediaNames) => {
+  const { xmlFormId, version } = formVersion;
+  const versionAttribute = version !== ''
+    ? ` version="${escapeAttribute(version)}"`
+    : '';
+  const children = buildChildren('', row, table, context, mediaNames);
+  return `<data id="${escapeAttribute(xmlFormId)}"${versionAttribute}>${children}</data>`;
+};
+
+// Reads the table of each repeat group. Central names the CSV file of a repeat
+// group after the CSV file of the form and the repeat group. Resolves to
+// `null` if a file is missing.
+const readRepeatTables = (files, csvFile, fields) => {
+  const prefix = csvFile.name.replace(/\.csv$/i, '');
+  return fields.filter(field => field.type === 'repeat').reduce(
+    (promise, repeat) => promise.then(repeatTables => {
+      if (repeatTables == null) return null;
+      const file = files.find(f => f.name === `${prefix}-${repeat.name}.csv`);
+      if (file == null) return null;
+      return readTable(file, repeat.path).then(table => {
+        const parentIndex = table.columns.get('PARENT_KEY');
+        if (parentIndex == null) return null;
+        const rowsByParent = new Map();
+        for (const row of table.rows) {
+          if (!isBlank(row)) {
+            const parentKey = row[parentIndex];
+            const rows = rowsByParent.get(parentKey);
+            if (rows != null)
+              rows.push(row);
+            else
+              rowsByParent.set(parentKey, [row]);
+          }
+        }
+        repeatTables.set(repeat.path, { ...table, rowsByParent });
+        return repeatTables;
+      });
+    }),
+    Promise.resolve(new Map())
+  );
+};
+
+const readCentral = (files, formVersion, fields) => {
+  const csvFiles = files.filter(file =>
+    !file.name.includes('/') && /\.csv$/i.test(file.name));
+  const csvFile = csvFiles.length === 1
+    ? csvFiles[0]
+    : csvFiles.find(file => file.name === `${formVersion.xmlFormId}.csv`);
+  if (csvFile == null) return Promise.resolve({ error: 'format' });
+
+  const media = new Map();
+  for (const file of files)
+    if (dirname(file.name) === 'media') media.set(basename(file.name), file);
+
+  return Promise.all([
+    readTable(csvFile, ''),
+    readRepeatTables(files, csvFile, fields)
+  ]).then(([table, repeatTables]) => {
+    const { columns } = table;
+    // The rows of a repeat group refer to the KEY column of their parent.
+    if (repeatTables == null ||
+      (repeatTables.size !== 0 && !columns.has('KEY')))
+      return { error: 'repeat' };
+    const context = { fields, repeatTables };
+    const instanceIdIndex = columns.has('meta-instanceID')
+      ? columns.get('meta-instanceID')
+      : columns.get('KEY');
+    const versionIndex = columns.get('FormVersion');
+    const instances = [];
+    const invalid = [];
+    const instanceIds = new Set();
+    table.rows.forEach((row, i) => {
+      if (isBlank(row)) return;
+      const instanceId = instanceIdIndex != null && row[instanceIdIndex] !== ''
+        ? row[instanceIdIndex]
+        : null;
+      // The line number of the row, for the user to refer to
+      const name = `${csvFile.name}:${i + 2}`;
+      const reason = invalidReason(
+        {
+          formId: formVersion.xmlFormId,
+          version: versionIndex != null
+            ? row[versionIndex]
+            : formVersion.version,
+          instanceId
+        },
+        formVersion,
+        instanceIds
+      );
+      if (reason != null) {
+        invalid.push({ name, reason });
+        return;
+      }
+      instanceIds.add(instanceId);
+      const mediaNames = new Set();
+      const xml = buildXml(row, table, context, formVersion, mediaNames);
+      instances.push({
+        name,
+        instanceId,
+        xml,
+        media: [...mediaNames]
+          .map(mediaName => media.get(mediaName))
+          .filter(file => file != null)
+      });
+    });
+    return { instances, invalid };
+  });
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// EXPORT
+
+/*
+readExport() reads the submissions of a zip file. `files` is the result of
+readZip(). `fields` is an array of the fields of the form version, which is
+needed to read a Central export.
+
+readExport() returns a promise that resolves to an object with the following
+properties:
+
+  - format. 'briefcase', 'central', or `null` if the zip is neither.
+  - error. `null` if the submissions were read. Otherwise, the reason that they
+    could not be:
+    - 'format'. The zip is neither a Briefcase nor a Central export.
+    - 'repeat'. The zip is a Central export of a form with a repeat group, but
+      the CSV file of a repeat group is missing or cannot be matched to the
+      CSV file of the form.
+  - instances. An array of the submissions that can be uploaded, in the order
+    of the zip. Each element is an object with the following properties:
+    - name. A name that identifies the submission within the zip.
+    - instanceId. The instance ID.
+    - xml. The XML of the submission as a string.
+    - media. An array of the media files of the submission, each an element of
+      `files`.
+  - invalid. An array of the submissions that cannot be uploaded. Each element
+    is an object with the properties `name` and `reason`. `reason` is one of the
+    reasons that planUpload() returns or is 'missingXml' if a Briefcase
+    instance directory does not contain a submission.xml file.
+
+The promise is rejected if a file cannot be read.
+*/
+export const readExport = (files, formVersion, fields) => {
+  let format = null;
+  let promise;
+  if (files.some(isBriefcaseInstance)) {
+    format = 'briefcase';
+    promise = readBriefcase(files, formVersion);
+  } else if (files.some(file => /\.csv$/i.test(file.name))) {
+    format = 'central';
+    promise = readCentral(files, formVersion, fields);
+  } else {
+    promise = Promise.resolve({ error: 'format' });
+  }
+  return promise.then(({ error = null, instances = [], invalid = [] }) => ({
+    format: error !== 'format' ? format : null,
+    error,
+    instances,
+    invalid
+  }));
+};
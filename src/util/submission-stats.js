@@ -0,0 +1,216 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { DateTime } from 'luxon';
+import { path } from 'ramda';
+
+/*
+The functions in this module compute summary statistics for the fields of a
+form. Submissions are fetched in chunks, so statistics are accumulated one chunk
+at a time: createStats() returns an accumulator for a field, addSubmissions()
+adds a chunk of submissions to the accumulators, and summarize() returns the
+statistics for an accumulator. Only the accumulators hold data about the
+submissions, so the submissions themselves do not need to be kept in memory.
+
+The statistics for a field depend on its kind:
+
+  - 'number' (int and decimal fields). The minimum, maximum, and mean, as well
+    as a histogram.
+  - 'date' (date and dateTime fields). The earliest and latest dates, as well as
+    the number of values by day or by month.
+  - 'frequency' (string fields, including select fields). The most common
+    values. Each choice of a select_multiple field is counted separately.
+  - 'count' (all other fields). Only the number of values.
+
+summarize() returns an object with the following properties:
+
+  - field. The field.
+  - kind. One of the kinds above.
+  - count. The number of submissions with a value for the field.
+  - min, max, mean (only for 'number' and 'date'). For 'date', min and max are
+    strings in the format yyyy-MM-dd, and there is no mean.
+  - bins (only for 'number' and 'date'). An array of objects, each with the
+    properties `start`, `end`, and `count`. For 'number', `start` and `end` are
+    numbers, and the bin includes `start` but excludes `end` (except for the
+    last bin, which includes `end`). For a bin of an int field that contains a
+    single value, `start` equals `end`. For 'date', `start` and `end` are the
+    first and last days of the bin.
+  - unit (only for 'date'). Either 'day' or 'month'.
+  - top (only for 'frequency'). An array of objects with the properties `value`
+    and `count`, sorted from the most to the least common value.
+  - other (only for 'frequency'). The number of values that are not in `top`.
+    Each choice of a select_multiple field is a separate value, so for such a
+    field, the counts of `top` and `other` may add up to more than `count`.
+  - distinct (only for 'frequency'). The number of distinct values.
+*/
+
+const fieldKind = (field) => {
+  // Backend treats the `binary` property as authoritative.
+  if (field.binary === true) return 'count';
+  switch (field.type) {
+    case 'int':
+    case 'decimal':
+      return 'number';
+    case 'date':
+    case 'dateTime':
+      return 'date';
+    case 'string':
+      return 'frequency';
+    default:
+      return 'count';
+  }
+};
+
+export const createStats = (field) => {
+  const kind = fieldKind(field);
+  const stats = { field, kind, count: 0 };
+  if (kind === 'number')
+    stats.values = [];
+  else if (kind === 'date' || kind === 'frequency')
+    stats.counts = new Map();
+  return stats;
+};
+
+const increment = (map, key) => {
+  const count = map.get(key);
+  map.set(key, count != null ? count + 1 : 1);
+};
+
+// Adds a chunk of submissions to an array of accumulators. Encrypted
+// submissions do not have values, so they are skipped.
+export const addSubmissions = (statsArray, submissions) => {
+  for (const submission of submissions) {
+    if (submission.__system.status == null) {
+      for (const stats of statsArray) {
+        const value = path(stats.field.splitPath(), submission);
+        if (value != null && value !== '') {
+          stats.count += 1;
+          if (stats.kind === 'number') {
+            if (typeof value === 'number') stats.values.push(value);
+          } else if (stats.kind === 'date') {
+            // For a dateTime value, we use the date in the value's own offset.
+            const date = typeof value === 'string' ? value.slice(0, 10) : '';
+            if (DateTime.fromISO(date).isValid) increment(stats.counts, date);
+          } else if (stats.kind === 'frequency') {
+            // The value of a select_multiple field is a space-separated list
+            // of choices.
+            if (stats.field.selectMultiple === true && typeof value === 'string') {
+              for (const choice of value.split(/\s+/))
+                if (choice !== '') increment(stats.counts, choice);
+            } else {
+              increment(stats.counts, value);
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const maxBins = 10;
+
+const summarizeNumbers = ({ field, values }) => {
+  if (values.length === 0)
+    return { min: null, max: null, mean: null, bins: [] };
+  let min = values[0];
+  let max = values[0];
+  let sum = 0;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+  }
+  const mean = sum / values.length;
+
+  // If there are only a few possible int values, each value has its own bin.
+  if (field.type === 'int' && max - min < maxBins) {
+    const bins = [];
+    for (let value = min; value <= max; value += 1)
+      bins.push({ start: value, end: value, count: 0 });
+    for (const value of values)
+      bins[value - min].count += 1;
+    return { min, max, mean, bins };
+  }
+  if (min === max) {
+    const bins = [{ start: min, end: max, count: values.length }];
+    return { min, max, mean, bins };
+  }
+
+  const width = (max - min) / maxBins;
+  const bins = [];
+  for (let i = 0; i < maxBins; i += 1) {
+    bins.push({
+      start: min + i * width,
+      end: i === maxBins - 1 ? max : min + (i + 1) * width,
+      count: 0
+    });
+  }
+  for (const value of values)
+    bins[Math.min(Math.floor((value - min) / width), maxBins - 1)].count += 1;
+  return { min, max, mean, bins };
+};
+
+// The number of days that can be shown by day. If the dates span more days,
+// they are shown by month.
+const maxDays = 31;
+
+const summarizeDates = ({ counts }) => {
+  if (counts.size === 0)
+    return { min: null, max: null, unit: 'day', bins: [] };
+  const dates = [...counts.keys()].sort();
+  const min = dates[0];
+  const max = dates[dates.length - 1];
+  const first = DateTime.fromISO(min, { zone: 'utc' });
+  const last = DateTime.fromISO(max, { zone: 'utc' });
+  const unit = last.diff(first, 'days').days < maxDays ? 'day' : 'month';
+  // Include a bin for every day or month in the range, including ones without
+  // values, so that the distribution is shown to scale.
+  const bins = [];
+  const binsByStart = new Map();
+  for (let start = first.startOf(unit); start <= last;
+    start = start.plus({ [unit]: 1 })) {
+    const bin = {
+      start: start.toISODate(),
+      end: start.endOf(unit).toISODate(),
+      count: 0
+    };
+    bins.push(bin);
+    binsByStart.set(bin.start, bin);
+  }
+  for (const [date, count] of counts) {
+    const start = DateTime.fromISO(date, { zone: 'utc' }).startOf(unit)
+      .toISODate();
+    binsByStart.get(start).count += count;
+  }
+  return { min, max, unit, bins };
+};
+
+// The number of the most common values to show
+const maxTop = 10;
+
+const summarizeFrequencies = ({ counts }) => {
+  const entries = [...counts.entries()]
+    .map(([value, valueCount]) => ({ value, count: valueCount }));
+  const valueCount = entries.reduce((sum, entry) => sum + entry.count, 0);
+  const top = entries.sort((a, b) => b.count - a.count).slice(0, maxTop);
+  const topCount = top.reduce((sum, entry) => sum + entry.count, 0);
+  return { top, other: valueCount - topCount, distinct: counts.size };
+};
+
+export const summarize = (stats) => {
+  const { field, kind, count } = stats;
+  const summary = { field, kind, count };
+  if (kind === 'number') return { ...summary, ...summarizeNumbers(stats) };
+  if (kind === 'date') return { ...summary, ...summarizeDates(stats) };
+  if (kind === 'frequency')
+    return { ...summary, ...summarizeFrequencies(stats) };
+  return summary;
+};
@@ -0,0 +1,130 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This file prepares the manual upload of submissions (see SubmissionUpload).
+If a device cannot reach the server, the user can copy the instance folders off
+the device, then upload each instance XML file along with its media files. A
+media file is matched to an instance using its filename: the instance XML
+refers to each of its media files by filename.
+*/
+
+const readText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => { resolve(reader.result); };
+  reader.onerror = () => { reject(reader.error); };
+  reader.readAsText(file);
+});
+
+/*
+parseInstance() parses the XML of an instance. It returns `null` if the XML
+cannot be parsed. Otherwise, it returns an object with the following
+properties:
+
+  - formId. The form ID that the instance specifies, or `null` if there is none.
+  - version. The form version that the instance specifies. The version is the
+    empty string if the instance does not specify one.
+  - instanceId. The instance ID, or `null` if there is none.
+  - values. A Set of the values of the instance. A media file is matched to an
+    instance if its filename is one of the values.
+*/
+export const parseInstance = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length !== 0) return null;
+  const root = doc.documentElement;
+  const instanceIdElement = doc.getElementsByTagNameNS('*', 'instanceID')[0];
+  const values = new Set();
+  for (const element of root.getElementsByTagName('*')) {
+    if (element.children.length === 0) {
+      const value = element.textContent.trim();
+      if (value !== '') values.add(value);
+    }
+  }
+  return {
+    formId: root.getAttribute('id'),
+    version: root.hasAttribute('version') ? root.getAttribute('version') : '',
+    instanceId: instanceIdElement != null
+      ? instanceIdElement.textContent.trim() || null
+      : null,
+    values
+  };
+};
+
+const isXml = (file) => /\.xml$/i.test(file.name);
+
+// Returns the reason that an instance is invalid, or `null` if it is valid. See
+// planUpload() for the possible reasons. `instanceIds` is a Set of the instance
+// IDs of the instances that are valid so far.
+export const invalidReason = (instance, formVersion, instanceIds) => {
+  if (instance == null) return 'parse';
+  if (instance.formId !== formVersion.xmlFormId) return 'formId';
+  if (instance.version !== formVersion.version) return 'version';
+  if (instance.instanceId == null) return 'instanceId';
+  if (instanceIds.has(instance.instanceId)) return 'duplicate';
+  return null;
+};
+
+/*
+planUpload() reads the files that the user has selected, validates each
+instance XML file against the form version, and matches each media file to an
+instance. It returns a promise that resolves to an object with the following
+properties:
+
+  - instances. An array of the valid instances, in the order of the files. Each
+    element is an object with the following properties:
+    - file. The instance XML file.
+    - instanceId. The instance ID.
+    - media. An array of the media files of the instance.
+  - invalid. An array of the instance XML files that are invalid. Each element
+    is an object with the properties `file` and `reason`. `reason` is one of
+    the following:
+    - 'parse'. The XML cannot be parsed.
+    - 'formId'. The instance is of a different form.
+    - 'version'. The instance is of a different version of the form.
+    - 'instanceId'. The instance does not have an instance ID.
+    - 'duplicate'. Another file has the same instance ID.
+  - unmatched. An array of the media files that no valid instance refers to.
+
+The promise is rejected if a file cannot be read.
+*/
+export const planUpload = (files, formVersion) => {
+  const xmlFiles = files.filter(isXml);
+  return Promise.all(xmlFiles.map(readText)).then(texts => {
+    const instances = [];
+    const invalid = [];
+    const instanceIds = new Set();
+    const values = [];
+    xmlFiles.forEach((file, i) => {
+      const instance = parseInstance(texts[i]);
+      const reason = invalidReason(instance, formVersion, instanceIds);
+      if (reason != null) {
+        invalid.push({ file, reason });
+      } else {
+        instanceIds.add(instance.instanceId);
+        instances.push({ file, instanceId: instance.instanceId, media: [] });
+        values.push(instance.values);
+      }
+    });
+
+    const unmatched = [];
+    for (const file of files) {
+      if (!isXml(file)) {
+        const index = values.findIndex(set => set.has(file.name));
+        if (index !== -1)
+          instances[index].media.push(file);
+        else
+          unmatched.push(file);
+      }
+    }
+    return { instances, invalid, unmatched };
+  });
+};
@@ -0,0 +1,480 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { DateTime } from 'luxon';
+
+import { filterOperators, odataCondition, odataPath } from './odata';
+import { reviewStates } from './review-state';
+
+/*
+A view is the state of the submissions table that the user can change: the
+table, the selected fields, the filters, and the sort order. A view is a plain
+object that can be stored as JSON or encoded in the query of a route:
+
+  - table. The name of the OData table.
+  - fields. An array with the path of each selected field, or `null` if the
+    default fields are selected.
+  - submitterId. A string, or '' if submissions are not filtered by submitter.
+  - submissionDate. An array with two dates in the format yyyy-MM-dd, or an
+    empty array if submissions are not filtered by submission date.
+  - reviewState. A review state (see util/review-state.js), or '' if
+    submissions are not filtered by review state.
+  - attachments. Either 'incomplete' to show only submissions that are missing
+    attachments, or '' if submissions are not filtered by attachments.
+  - conditions. An array of conditions about the values of fields. Each
+    condition is an object with the properties `field` (the path of the field),
+    `operator`, and `value`.
+  - combinator. Either 'and' or 'or'.
+  - sort. Either `null` or an object with the properties `path` (an OData path)
+    and `desc`.
+*/
+
+export const defaultView = () => ({
+  table: 'Submissions',
+  fields: null,
+  submitterId: '',
+  submissionDate: [],
+  reviewState: '',
+  attachments: '',
+  conditions: [],
+  combinator: 'and',
+  sort: null
+});
+
+let lastConditionKey = 0;
+// Returns a condition for SubmissionFilters, adding a `key` property that
+// uniquely identifies the condition.
+export const createCondition = ({ field, operator, value }) => {
+  lastConditionKey += 1;
+  return { key: lastConditionKey, field, operator, value };
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// ROUTE QUERY
+
+const queryKeys = [
+  'table',
+  'fields',
+  'submitterId',
+  'submissionDate',
+  'reviewState',
+  'attachments',
+  'condition',
+  'combinator',
+  'sort'
+];
+
+// Returns the query for a view. Parts of the view that have their default
+// value are omitted.
+export const viewQuery = (view) => {
+  const query = {};
+  if (view.table !== 'Submissions') query.table = view.table;
+  if (view.fields != null) query.fields = view.fields.join(',');
+  if (view.submitterId !== '') query.submitterId = view.submitterId;
+  if (view.submissionDate.length !== 0)
+    query.submissionDate = view.submissionDate.join(',');
+  if (view.reviewState !== '') query.reviewState = view.reviewState;
+  if (view.attachments !== '') query.attachments = view.attachments;
+  // A condition is encoded as its path, its operator, and its value,
+  // separated by spaces. Neither the path nor the operator contain a space.
+  if (view.conditions.length !== 0) {
+    query.condition = view.conditions.map(({ field, operator, value }) =>
+      `${field} ${operator} ${value}`);
+  }
+  if (view.combinator !== 'and') query.combinator = view.combinator;
+  if (view.sort != null)
+    query.sort = view.sort.desc ? `-${view.sort.path}` : view.sort.path;
+  return query;
+};
+
+const filterQueryKeys = [
+  'submitterId',
+  'submissionDate',
+  'reviewState',
+  'attachments',
+  'condition',
+  'combinator'
+];
+
+// Returns the part of a query that specifies the filters of a view.
+export const filterQuery = (query) => {
+  const result = {};
+  for (const key of filterQueryKeys) {
+    if (query[key] !== undefined) result[key] = query[key];
+  }
+  return result;
+};
+
+// The value of a query parameter may be a string, an array (if the parameter
+// is repeated), or `null` (if the parameter does not have a value).
+const queryValues = (value) => {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .filter(element => typeof element === 'string');
+};
+const queryValue = (value) => {
+  const values = queryValues(value);
+  return values.length !== 0 ? values[0] : null;
+};
+
+// Returns the view encoded in a query, or `null` if the query does not specify
+// any part of a view. The view still needs to be validated using
+// validateView().
+export const parseViewQuery = (query) => {
+  if (!queryKeys.some(key => query[key] !== undefined)) return null;
+  const view = defaultView();
+  const table = queryValue(query.table);
+  if (table != null) view.table = table;
+  const fields = queryValue(query.fields);
+  if (fields != null) view.fields = fields.split(',');
+  const submitterId = queryValue(query.submitterId);
+  if (submitterId != null) view.submitterId = submitterId;
+  const submissionDate = queryValue(query.submissionDate);
+  if (submissionDate != null) view.submissionDate = submissionDate.split(',');
+  const reviewState = queryValue(query.reviewState);
+  if (reviewState != null) view.reviewState = reviewState;
+  const attachments = queryValue(query.attachments);
+  if (attachments != null) view.attachments = attachments;
+  view.conditions = queryValues(query.condition).map(condition => {
+    const [field, operator = '', ...value] = condition.split(' ');
+    return { field, operator, value: value.join(' ') };
+  });
+  const combinator = queryValue(query.combinator);
+  if (combinator != null) view.combinator = combinator;
+  const sort = queryValue(query.sort);
+  if (sort != null) {
+    view.sort = sort.startsWith('-')
+      ? { path: sort.slice(1), desc: true }
+      : { path: sort, desc: false };
+  }
+  return view;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// VALIDATION
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  DateTime.fromISO(value).isValid;
+
+const systemSortPaths = [
+  '__id',
+  '__system/submissionDate',
+  '__system/submitterName'
+];
+
+/*
+validateView() returns a copy of a view in which any part of the view that is
+invalid or that refers to a field that no longer exists has been replaced with
+its default value. That way, a view that was encoded before the form changed
+can still be used.
+
+  - view. The view to validate. It may have been parsed from untrusted input.
+  - selectableFieldsByTable. The getter of the same name.
+*/
+export const validateView = (view, selectableFieldsByTable) => {
+  const result = defaultView();
+
+  if (typeof view.table === 'string' &&
+    Object.prototype.hasOwnProperty.call(selectableFieldsByTable, view.table))
+    result.table = view.table;
+  const tableFields = selectableFieldsByTable[result.table];
+  if (Array.isArray(view.fields)) {
+    const fields = view.fields.filter(path =>
+      tableFields.some(field => field.path === path));
+    if (fields.length !== 0) result.fields = fields;
+  }
+
+  if (typeof view.submitterId === 'string' && /^\d+$/.test(view.submitterId))
+    result.submitterId = view.submitterId;
+  if (Array.isArray(view.submissionDate) &&
+    view.submissionDate.length === 2 && view.submissionDate.every(isDate) &&
+    view.submissionDate[0] <= view.submissionDate[1])
+    result.submissionDate = [...view.submissionDate];
+  if (reviewStates.includes(view.reviewState))
+    result.reviewState = view.reviewState;
+  if (view.attachments === 'incomplete') result.attachments = 'incomplete';
+
+  // Conditions are about the fields of the top-level table.
+  if (Array.isArray(view.conditions)) {
+    const fields = selectableFieldsByTable.Submissions;
+    result.conditions = view.conditions
+      .filter(condition => {
+        if (condition == null || typeof condition.value !== 'string')
+          return false;
+        const field = fields.find(({ path }) => path === condition.field);
+        if (field == null) return false;
+        const operators = filterOperators[field.type];
+        return operators != null && operators.includes(condition.operator);
+      })
+      .map(({ field, operator, value }) => ({ field, operator, value }));
+  }
+  if (view.combinator === 'or') result.combinator = 'or';
+
+  if (view.sort != null && typeof view.sort.path === 'string') {
+    const { path } = view.sort;
+    const valid = path.startsWith('__')
+      ? systemSortPaths.includes(path) &&
+        (result.table === 'Submissions' || path === '__id')
+      : tableFields.some(field => odataPath(field) === path);
+    if (valid) result.sort = { path, desc: view.sort.desc === true };
+  }
+
+  return result;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// FILTERS
+
+/*
+The filters of a view are shown using SubmissionFilters. SubmissionFilters
+expects a filters object with the following properties:
+
+  - submitterId. Same as for a view.
+  - submissionDate. An array with two Luxon DateTime objects, or an empty array.
+  - reviewState. Same as for a view.
+  - attachments. Same as for a view.
+  - conditions. Same as for a view, except that each condition also has a `key`
+    property: see createCondition().
+  - combinator. Same as for a view.
+*/
+
+// Returns the filters of a view that has been validated.
+export const viewFilters = (view) => ({
+  submitterId: view.submitterId,
+  submissionDate: view.submissionDate.map(date => DateTime.fromISO(date)),
+  reviewState: view.reviewState,
+  attachments: view.attachments,
+  conditions: view.conditions.map(createCondition),
+  combinator: view.combinator
+});
+
+// The inverse of viewFilters(): returns the parts of a view that correspond to
+// the filters.
+export const filtersView = (filters) => ({
+  submitterId: filters.submitterId,
+  submissionDate: filters.submissionDate.map(dateTime => dateTime.toISODate()),
+  reviewState: filters.reviewState,
+  attachments: filters.attachments,
+  conditions: filters.conditions
+    .map(({ field, operator, value }) => ({ field, operator, value })),
+  combinator: filters.combinator
+});
+
+/*
+filterExpression() returns the expression for $filter, or `null` if there are no
+filters.
+
+  - filters. The filters object.
+  - fields. The fields of the top-level table, or `null` if they have not been
+    received. A condition about a field is ignored until the fields have been
+    received.
+  - root (default: ''). The path to the top-level table from the table that is
+    being filtered: either '' or '$root/Submissions/'.
+
+The attachments filter is not part of the expression: Backend cannot compare
+one field of a submission to another. Use missingAttachments() to apply it to
+the submissions that have been received.
+*/
+export const filterExpression = (filters, fields, root = '') => {
+  const system = `${root}__system`;
+  const conditions = [];
+  if (filters.submitterId !== '')
+    conditions.push(`${system}/submitterId eq ${filters.submitterId}`);
+  if (filters.submissionDate.length !== 0) {
+    const start = filters.submissionDate[0].toISO();
+    const end = filters.submissionDate[1].endOf('day').toISO();
+    conditions.push(`${system}/submissionDate ge ${start}`);
+    conditions.push(`${system}/submissionDate le ${end}`);
+  }
+  if (filters.reviewState !== '') {
+    // A submission that has been received but not reviewed does not have a
+    // review state.
+    const value = filters.reviewState !== 'received'
+      ? `'${filters.reviewState}'`
+      : 'null';
+    conditions.push(`${system}/reviewState eq ${value}`);
+  }
+  // An expression for each complete condition about a field
+  const fieldConditions = fields != null
+    ? filters.conditions.reduce((expressions, condition) => {
+      const field = fields.find(({ path }) => path === condition.field);
+      const expression = field != null
+        ? odataCondition(field, condition.operator, condition.value, root)
+        : null;
+      if (expression != null) expressions.push(expression);
+      return expressions;
+    }, [])
+    : [];
+  if (fieldConditions.length === 1) {
+    conditions.push(fieldConditions[0]);
+  } else if (fieldConditions.length > 1) {
+    const separator = ` ${filters.combinator} `;
+    conditions.push(`(${fieldConditions.join(separator)})`);
+  }
+  return conditions.length !== 0 ? conditions.join(' and ') : null;
+};
+
+
+
+// Returns `true` if a submission is missing attachments. A submission may be
+// received before all its attachments have been uploaded.
+export const missingAttachments = (submission) => {
+  const { attachmentsPresent, attachmentsExpected } = submission.__system;
+  return attachmentsPresent != null && attachmentsExpected != null &&
+    attachmentsPresent < attachmentsExpected;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SAVED VIEWS
+
+/*
+The user can save named views. The saved views for a form are stored in
+localStorage for each user as an object with the following properties:
+
+  - views. An array of objects, each with the properties `name` and `view`.
+  - defaultName. The name of the view to apply when the submissions table is
+    first shown, or `null` if there is no default view.
+
+A user who can update the form can also share a view with the project. Shared
+views are stored by Backend (see apiPaths.submissionViews) as an array of
+objects with the properties `name` and `view`. A shared view cannot be the
+default view, which is a setting of each user.
+
+A saved view may be stale: it should be validated using validateView() before
+it is applied.
+*/
+
+export const savedViewsKey = (userId, baseUrl) =>
+  `submissionViews:${userId}:${baseUrl}`;
+
+const isSavedView = (element) => element != null &&
+  typeof element.name === 'string' && element.view != null &&
+  typeof element.view === 'object';
+
+export const readSavedViews = (key) => {
+  const empty = { views: [], defaultName: null };
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(key));
+  } catch (e) {
+    return empty;
+  }
+  if (saved == null || !Array.isArray(saved.views)) return empty;
+  const views = saved.views.filter(isSavedView);
+  const defaultName = views.some(({ name }) => name === saved.defaultName)
+    ? saved.defaultName
+    : null;
+  return { views, defaultName };
+};
+
+// Returns `true` if the saved views were written and `false` if not, for
+// example, because localStorage is full.
+export const writeSavedViews = (key, saved) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(saved));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Returns the shared views from the response data of
+// apiPaths.submissionViews(), ignoring any element that is not a view.
+export const readSharedViews = (data) =>
+  (Array.isArray(data) ? data.filter(isSavedView) : []);
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// COLUMN LAYOUT
+
+/*
+The user can change the layout of the columns of the submissions table: which
+fields are shown and in what order, the width of each column, and which columns
+are pinned to the left. The layout for a form is stored in localStorage for
+each user as an object with the following properties:
+
+  - fields. An object that maps the name of an OData table to an array with the
+    path of each field that is shown, in order.
+  - widths. An object that maps the path of a field to the width of its column
+    in pixels.
+  - pinned. An array with the path of each field whose column is pinned.
+  - metadata. An array with the name of each metadata column that is shown
+    (see metadataColumns).
+
+Like a saved view, a layout may be stale: paths of fields that no longer exist
+should be ignored.
+*/
+
+export const layoutKey = (userId, baseUrl) =>
+  `submissionLayout:${userId}:${baseUrl}`;
+
+// The columns of submission metadata (__system) that the user can add to the
+// table of the top-level submissions, in the order that they are shown
+export const metadataColumns = [
+  'attachments',
+  'deviceId',
+  'instanceName',
+  'edits'
+];
+
+export const emptyLayout = () => ({
+  fields: {},
+  widths: {},
+  pinned: [],
+  metadata: []
+});
+
+const isPathArray = (value) => Array.isArray(value) &&
+  value.every(path => typeof path === 'string');
+
+export const readLayout = (key) => {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(key));
+  } catch (e) {
+    return emptyLayout();
+  }
+  const layout = emptyLayout();
+  if (saved == null || typeof saved !== 'object') return layout;
+  if (saved.fields != null && typeof saved.fields === 'object') {
+    for (const [table, paths] of Object.entries(saved.fields))
+      if (isPathArray(paths)) layout.fields[table] = paths;
+  }
+  if (saved.widths != null && typeof saved.widths === 'object') {
+    for (const [path, width] of Object.entries(saved.widths))
+      if (Number.isFinite(width) && width > 0) layout.widths[path] = width;
+  }
+  if (isPathArray(saved.pinned)) layout.pinned = saved.pinned;
+  if (Array.isArray(saved.metadata)) {
+    layout.metadata = metadataColumns
+      .filter(column => saved.metadata.includes(column));
+  }
+  return layout;
+};
+
+// Returns `true` if the layout was written and `false` if not.
+export const writeLayout = (key, layout) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(layout));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
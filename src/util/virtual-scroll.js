@@ -0,0 +1,73 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+The functions in this module determine which items of a long list (for example,
+the rows or columns of a table) to render, given which items are visible. Each
+function returns a range [start, end), where `start` is the index of the first
+item to render, and `end` is the index after the last item to render.
+
+So that the range does not change every time the user scrolls by a single item,
+the range is rounded to multiples of `block`. The range is also extended by one
+block on either side, so that items are rendered shortly before they become
+visible.
+*/
+
+const blockRange = (first, last, count, block) => {
+  const start = Math.min(
+    Math.max(Math.floor(first / block) * block - block, 0),
+    count
+  );
+  const end = Math.min(Math.ceil(last / block) * block + block, count);
+  return [start, Math.max(start, end)];
+};
+
+/*
+Returns the range of rows to render. All rows are assumed to have the same
+height.
+
+  - count. The number of rows.
+  - rowHeight. The height of each row in pixels.
+  - offset. The distance in pixels from the top of the first row to the top of
+    the viewport. The offset is negative if the first row is below the top of
+    the viewport.
+  - height. The height of the viewport in pixels.
+*/
+export const rowRange = ({ count, rowHeight, offset, height, block = 20 }) => {
+  const first = Math.floor(Math.max(offset, 0) / rowHeight);
+  const last = Math.ceil(Math.max(offset + height, 0) / rowHeight);
+  return blockRange(first, last, count, block);
+};
+
+/*
+Returns the range of columns to render.
+
+  - widths. An array with the width of each column in pixels.
+  - offset. The distance in pixels that the columns have been scrolled
+    horizontally.
+  - width. The width of the viewport in pixels.
+*/
+export const columnRange = ({ widths, offset, width, block = 5 }) => {
+  let first = widths.length;
+  let last = widths.length;
+  let left = 0;
+  for (let i = 0; i < widths.length; i += 1) {
+    const right = left + widths[i];
+    if (first === widths.length && right > offset) first = i;
+    if (left >= offset + width) {
+      last = i;
+      break;
+    }
+    left = right;
+  }
+  return blockRange(first, last, widths.length, block);
+};
@@ -0,0 +1,319 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This file reads the labels of a form from its XML (the XForm). The fields of a
+form (see the fields request key) only include the name of each field, so we
+parse the XForm in order to show the label of each field and the label of each
+choice of a select field.
+
+A label is either specified directly in the body of the form or is specified
+using itext, which provides a translation for each language of the form. We
+represent a label as an object that maps each language to the text of the
+label. A label that is specified directly has a single text whose language is
+the empty string.
+*/
+
+// The controls of the form body that have a label and that correspond to a
+// field
+const controls = new Set([
+  'input', 'select', 'select1', 'upload', 'range', 'rank', 'trigger', 'textarea'
+]);
+const selectControls = new Set(['select', 'select1', 'rank']);
+
+const childElements = (parent, localName) => {
+  const result = [];
+  for (const child of parent.children)
+    if (child.localName === localName) result.push(child);
+  return result;
+};
+
+const childElement = (parent, localName) => {
+  for (const child of parent.children)
+    if (child.localName === localName) return child;
+  return null;
+};
+
+// Collapses the whitespace of the text content of an element.
+const elementText = (element) =>
+  element.textContent.replace(/\s+/g, ' ').trim();
+
+const itextPattern = /jr:itext\(\s*'([^']+)'\s*\)/;
+const itextRefPattern = /jr:itext\(\s*([^)'\s]+)\s*\)/;
+
+// Returns a map of itext translations: each language maps to an object that
+// maps each itext ID to its text.
+const parseItext = (model) => {
+  const translations = new Map();
+  let defaultLanguage = null;
+  const itext = childElement(model, 'itext');
+  if (itext == null) return { translations, defaultLanguage };
+  for (const translation of childElements(itext, 'translation')) {
+    const language = translation.getAttribute('lang');
+    const texts = {};
+    for (const text of childElements(translation, 'text')) {
+      // A text may have a value for each of several forms, for example, an
+      // image or audio. We use the value without a form.
+      const value = childElements(text, 'value')
+        .find(element => !element.hasAttribute('form'));
+      if (value != null) {
+        const content = elementText(value);
+        if (content !== '') texts[text.getAttribute('id')] = content;
+      }
+    }
+    translations.set(language, texts);
+    if (defaultLanguage == null && translation.hasAttribute('default'))
+      defaultLanguage = language;
+  }
+  if (defaultLanguage == null && translations.size !== 0)
+    defaultLanguage = translations.keys().next().value;
+  return { translations, defaultLanguage };
+};
+
+// Returns the label for an itext ID, or `null` if there is no such text.
+const itextLabel = (translations, id) => {
+  const label = {};
+  let found = false;
+  for (const [language, texts] of translations) {
+    if (texts[id] != null) {
+      label[language] = texts[id];
+      found = true;
+    }
+  }
+  return found ? label : null;
+};
+
+// Returns the label specified by a <label> element, or `null` if there is
+// none.
+const labelOf = (labelElement, translations) => {
+  if (labelElement == null) return null;
+  const ref = labelElement.getAttribute('ref');
+  if (ref != null) {
+    const match = itextPattern.exec(ref);
+    return match != null ? itextLabel(translations, match[1]) : null;
+  }
+  const text = elementText(labelElement);
+  return text !== '' ? { '': text } : null;
+};
+
+const resolveRef = (ref, context) => {
+  if (ref.startsWith('/')) return ref;
+  const path = ref.replace(/^\.\//, '');
+  return path === '.' ? context : `${context}/${path}`;
+};
+
+// Returns the elements of a secondary instance that an itemset nodeset
+// specifies, for example, instance('list')/root/item.
+const itemsetElements = (model, nodeset) => {
+  const match = /^\s*instance\(\s*'([^']+)'\s*\)((?:\/[^/[]+(?:\[[^\]]*\])?)+)/
+    .exec(nodeset);
+  if (match == null) return [];
+  const instance = childElements(model, 'instance')
+    .find(element => element.getAttribute('id') === match[1]);
+  if (instance == null) return [];
+  const names = match[2].split('/').slice(1)
+    .map(segment => segment.replace(/\[.*$/, ''));
+  let elements = [instance];
+  for (const name of names) {
+    elements = elements.reduce(
+      (result, element) => result.concat(childElements(element, name)),
+      []
+    );
+  }
+  return elements;
+};
+
+const parseChoices = (control, model, translations) => {
+  const choices = new Map();
+  for (const item of childElements(control, 'item')) {
+    const value = childElement(item, 'value');
+    const label = labelOf(childElement(item, 'label'), translations);
+    if (value != null && label != null) choices.set(elementText(value), label);
+  }
+
+  const itemset = childElement(control, 'itemset');
+  if (itemset != null) {
+    const valueElement = childElement(itemset, 'value');
+    const labelElement = childElement(itemset, 'label');
+    const valueRef = valueElement != null
+      ? valueElement.getAttribute('ref')
+      : null;
+    const labelRef = labelElement != null
+      ? labelElement.getAttribute('ref')
+      : null;
+    if (valueRef != null && labelRef != null) {
+      const itextMatch = itextRefPattern.exec(labelRef);
+      for (const item of itemsetElements(model, itemset.getAttribute('nodeset'))) {
+        const value = childElement(item, valueRef);
+        let label = null;
+        if (itextMatch != null) {
+          const id = childElement(item, itextMatch[1]);
+          if (id != null) label = itextLabel(translations, elementText(id));
+        } else {
+          const text = childElement(item, labelRef);
+          if (text != null && elementText(text) !== '')
+            label = { '': elementText(text) };
+        }
+        if (value != null && label != null)
+          choices.set(elementText(value), label);
+      }
+    }
+  }
+  return choices;
+};
+
+// Returns an object that describes a control of the form body. The `type`
+// property is the name of the element, for example, 'select' for a
+// select_multiple field. The control of a range field also has `start` and
+// `end` properties.
+const parseControl = (element) => {
+  const type = element.localName;
+  if (type !== 'range') return { type };
+  const start = Number.parseFloat(element.getAttribute('start'));
+  const end = Number.parseFloat(element.getAttribute('end'));
+  return Number.isFinite(start) && Number.isFinite(end)
+    ? { type, start, end }
+    : { type };
+};
+
+/*
+parseXForm() parses the XML of a form. It returns an object with the following
+properties:
+
+  - languages. The languages of the form, in the order that the form specifies
+    them. The array is empty if the form does not use itext.
+  - defaultLanguage. The default language of the form, or `null` if there are
+    no languages.
+  - labels. A Map that maps the path of each field to its label. The path is in
+    the same format as Field.prototype.path.
+  - choices. A Map that maps the path of each select field to a Map of its
+    choices, from each value to its label.
+  - controls. A Map that maps the path of each field in the body to its
+    control (see parseControl()).
+
+parseXForm() returns `null` if the XML cannot be parsed.
+*/
+export const parseXForm = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length !== 0) return null;
+  const model = doc.getElementsByTagNameNS('*', 'model')[0];
+  const body = doc.getElementsByTagNameNS('*', 'body')[0];
+  if (model == null) return null;
+  const primaryInstance = childElements(model, 'instance')
+    .find(element => !element.hasAttribute('id'));
+  const root = primaryInstance != null
+    ? primaryInstance.firstElementChild
+    : null;
+  if (root == null) return null;
+
+  const { translations, defaultLanguage } = parseItext(model);
+  const labels = new Map();
+  const choices = new Map();
+  const controlsByPath = new Map();
+  // The path of a field removes the name of the root element.
+  const rootPath = `/${root.localName}`;
+  const fieldPath = (ref) => (ref.startsWith(`${rootPath}/`)
+    ? ref.slice(rootPath.length)
+    : null);
+  const visit = (parent, context) => {
+    for (const element of parent.children) {
+      const name = element.localName;
+      if (controls.has(name) || name === 'group' || name === 'repeat') {
+        const ref = element.getAttribute(name === 'repeat' ? 'nodeset' : 'ref');
+        const absolute = ref != null ? resolveRef(ref, context) : null;
+        const path = absolute != null ? fieldPath(absolute) : null;
+        if (path != null) {
+          const label = labelOf(childElement(element, 'label'), translations);
+          if (label != null && !labels.has(path)) labels.set(path, label);
+          if (controls.has(name) && !controlsByPath.has(path))
+            controlsByPath.set(path, parseControl(element));
+          if (selectControls.has(name)) {
+            const fieldChoices = parseChoices(element, model, translations);
+            if (fieldChoices.size !== 0) choices.set(path, fieldChoices);
+          }
+        }
+        if (name === 'group' || name === 'repeat')
+          visit(element, absolute != null ? absolute : context);
+      }
+    }
+  };
+  if (body != null) visit(body, rootPath);
+
+  return {
+    languages: [...translations.keys()],
+    defaultLanguage,
+    labels,
+    choices,
+    controls: controlsByPath
+  };
+};
+
+// Returns the text of a label in the specified language. If the label does not
+// have a text in that language, the text in the default language is returned.
+const labelText = (label, language, defaultLanguage) => {
+  if (label[language] != null) return label[language];
+  if (defaultLanguage != null && label[defaultLanguage] != null)
+    return label[defaultLanguage];
+  if (label[''] != null) return label[''];
+  return Object.values(label)[0];
+};
+
+// Returns the entries of a Map keyed by path whose path is within the repeat
+// group `repeatPath`. Each path is made relative to the repeat group, as with
+// the selectableFieldsByTable getter. If `repeatPath` is the empty string, the
+// Map is returned as is.
+const withinRepeat = (map, repeatPath) => {
+  if (repeatPath === '') return map;
+  const result = new Map();
+  for (const [path, value] of map) {
+    if (path.startsWith(`${repeatPath}/`))
+      result.set(path.slice(repeatPath.length), value);
+  }
+  return result;
+};
+
+/*
+xformLabels() returns the text of the labels of a form in the specified
+language. It returns an object with two properties:
+
+  - fields. A Map from the path of each field to the text of its label.
+  - choices. A Map from the path of each select field to a Map from each value
+    to the text of its label.
+
+`xform` is the result of parseXForm(). If the form does not have languages,
+specify the empty string for `language`.
+
+The paths of a repeat table are relative to its repeat group (see the
+selectableFieldsByTable getter). In order to return the labels of such a table,
+specify the path of the repeat group for `repeatPath`. Only the labels of fields
+within the repeat group are returned, keyed by relative path.
+*/
+export const xformLabels = (xform, language, repeatPath = '') => {
+  const { defaultLanguage } = xform;
+  const fields = new Map();
+  for (const [path, label] of withinRepeat(xform.labels, repeatPath))
+    fields.set(path, labelText(label, language, defaultLanguage));
+  const choices = new Map();
+  for (const [path, fieldChoices] of withinRepeat(xform.choices, repeatPath)) {
+    const texts = new Map();
+    for (const [value, label] of fieldChoices)
+      texts.set(value, labelText(label, language, defaultLanguage));
+    choices.set(path, texts);
+  }
+  return { fields, choices };
+};
+
+// Returns the controls of the fields of a form: see parseXForm(). As with
+// xformLabels(), specify `repeatPath` in order to return the controls of the
+// fields within a repeat group, keyed by the path relative to the repeat group.
+export const xformControls = (xform, repeatPath = '') =>
+  withinRepeat(xform.controls, repeatPath);
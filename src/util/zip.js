@@ -0,0 +1,196 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import crc32 from 'pako/lib/zlib/crc32';
+import { buf2string, string2buf } from 'pako/lib/utils/strings';
+import { deflateRaw } from 'pako/lib/deflate';
+import { inflateRaw } from 'pako/lib/inflate';
+
+// The date of each file in the zip in MS-DOS format: 1980-01-01, the earliest
+// date that the format supports. The time of each file is 00:00.
+const dosDate = 33;
+
+// Writes the little-endian integers of a header to a Uint8Array.
+const header = (fields, name) => {
+  const size = fields.reduce((sum, [bytes]) => sum + bytes, 0);
+  const bytes = new Uint8Array(size + name.length);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  for (const [length, value] of fields) {
+    if (length === 2)
+      view.setUint16(offset, value, true);
+    else
+      view.setUint32(offset, value, true);
+    offset += length;
+  }
+  bytes.set(name, offset);
+  return bytes;
+};
+
+/*
+zip() returns a zip file as a Uint8Array. It is passed an array of files, each
+an object with the following properties:
+
+  - name. The path of the file within the zip.
+  - content. The content of the file as a string. It is encoded as UTF-8 and
+    compressed.
+*/
+export default (files) => {
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+  for (const { name, content } of files) {
+    const encodedName = string2buf(name);
+    const data = string2buf(content);
+    const compressed = deflateRaw(data);
+    // eslint-disable-next-line no-bitwise
+    const crc = crc32(0, data, data.length, 0) >>> 0;
+    // Bit 11 of the general purpose flag indicates that the name is UTF-8.
+    const common = [
+      [2, 20], [2, 0x0800], [2, 8], [2, 0], [2, dosDate], [4, crc],
+      [4, compressed.length], [4, data.length], [2, encodedName.length],
+      [2, 0]
+    ];
+    const localHeader = header([[4, 0x04034b50], ...common], encodedName);
+    centralDirectory.push(header(
+      [
+        [4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0],
+        [4, offset]
+      ],
+      encodedName
+    ));
+    parts.push(localHeader, compressed);
+    offset += localHeader.length + compressed.length;
+  }
+  const directorySize = centralDirectory
+    .reduce((sum, entry) => sum + entry.length, 0);
+  const end = header(
+    [
+      [4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length],
+      [4, directorySize], [4, offset], [2, 0]
+    ],
+    new Uint8Array(0)
+  );
+
+  const all = [...parts, ...centralDirectory, end];
+  const result = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of all) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// READ
+
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => { resolve(new Uint8Array(reader.result)); };
+  reader.onerror = () => { reject(reader.error); };
+  reader.readAsArrayBuffer(blob);
+});
+
+// The end of central directory record is at least 22 bytes, followed by a
+// comment of up to 65535 bytes.
+const maxEndSize = 22 + 65535;
+
+// Returns the offset of the end of central directory record, or -1 if there is
+// none.
+const findEnd = (view) => {
+  for (let i = view.byteLength - 22; i >= 0; i -= 1)
+    if (view.getUint32(i, true) === 0x06054b50) return i;
+  return -1;
+};
+
+// Reads and decompresses a single file of a zip. `location` is the information
+// from the central directory that is needed to read the file.
+const readFile = (blob, { flags, method, compressedSize, headerOffset }) => {
+  // eslint-disable-next-line no-bitwise
+  if ((flags & 1) !== 0)
+    return Promise.reject(new Error('Encryption is not supported.'));
+  if (method !== 0 && method !== 8)
+    return Promise.reject(new Error('The compression method is not supported.'));
+  // The extra field of the local file header may differ from the one in the
+  // central directory, so we read the local file header for its length.
+  return readBytes(blob.slice(headerOffset, headerOffset + 30))
+    .then(localHeader => {
+      const view = new DataView(localHeader.buffer);
+      const start = headerOffset + 30 + view.getUint16(26, true) +
+        view.getUint16(28, true);
+      return readBytes(blob.slice(start, start + compressedSize));
+    })
+    .then(data => (method === 8 ? inflateRaw(data) : data));
+};
+
+/*
+readZip() reads the central directory of a zip file. It does not read the
+contents of the files in the zip until they are requested, so that it is
+possible to read a large zip without loading all of it into memory.
+
+`blob` is a Blob or File. readZip() returns a promise that resolves to an array
+of the files in the zip, excluding directories. Each element is an object with
+the following properties:
+
+  - name. The path of the file within the zip.
+  - size. The uncompressed size of the file.
+  - read(). A function that returns a promise that resolves to the contents of
+    the file as a Uint8Array.
+
+The promise is rejected if the blob is not a zip file or uses a feature that
+readZip() does not support (Zip64, encryption, or a compression method other
+than deflate).
+*/
+export const readZip = (blob) => {
+  const tailStart = Math.max(blob.size - maxEndSize, 0);
+  return readBytes(blob.slice(tailStart)).then(tail => {
+    const view = new DataView(tail.buffer);
+    const end = findEnd(view);
+    if (end === -1) throw new Error('The file is not a zip file.');
+    const count = view.getUint16(end + 10, true);
+    const directorySize = view.getUint32(end + 12, true);
+    const directoryOffset = view.getUint32(end + 16, true);
+    if (count === 0xffff || directoryOffset === 0xffffffff)
+      throw new Error('Zip64 is not supported.');
+    return readBytes(blob.slice(directoryOffset, directoryOffset + directorySize))
+      .then(directory => {
+        const directoryView = new DataView(directory.buffer);
+        const files = [];
+        let offset = 0;
+        for (let i = 0; i < count; i += 1) {
+          if (directoryView.getUint32(offset, true) !== 0x02014b50)
+            throw new Error('The central directory is invalid.');
+          const flags = directoryView.getUint16(offset + 8, true);
+          const method = directoryView.getUint16(offset + 10, true);
+          const compressedSize = directoryView.getUint32(offset + 20, true);
+          const size = directoryView.getUint32(offset + 24, true);
+          const nameLength = directoryView.getUint16(offset + 28, true);
+          const extraLength = directoryView.getUint16(offset + 30, true);
+          const commentLength = directoryView.getUint16(offset + 32, true);
+          const headerOffset = directoryView.getUint32(offset + 42, true);
+          const name = buf2string(directory.subarray(
+            offset + 46,
+            offset + 46 + nameLength
+          ));
+          offset += 46 + nameLength + extraLength + commentLength;
+
+          if (!name.endsWith('/')) {
+            const location = { flags, method, compressedSize, headerOffset };
+            files.push({ name, size, read: () => readFile(blob, location) });
+          }
+        }
+        return files;
+      });
+  });
+};
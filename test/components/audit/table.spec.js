@@ -124,7 +124,12 @@ describe('AuditTable', () => {
       ['form.attachment.update', ['Form', 'Update Attachments']],
       ['form.delete', ['Form', 'Delete']],
       ['upgrade.process.form', ['Server Upgrade', 'Process Form']],
-      ['upgrade.process.form.draft', ['Server Upgrade', 'Process Form Draft']]
+      ['upgrade.process.form.draft', ['Server Upgrade', 'Process Form Draft']],
+      ['submission.update', ['Submission', 'Update Review State']],
+      ['submission.delete', ['Submission', 'Delete']],
+      ['submission.restore', ['Submission', 'Restore']],
+      ['submission.purge', ['Submission', 'Purge']],
+      ['comment.create', ['Submission', 'Comment']]
     ];
 
     for (const [action, type] of cases) {
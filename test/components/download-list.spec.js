@@ -0,0 +1,105 @@
+import sinon from 'sinon';
+
+import DownloadList from '../../src/components/download-list.vue';
+
+import store from '../../src/store';
+
+import { mount } from '../util/lifecycle';
+import { trigger } from '../util/event';
+
+const createDownload = (props) => {
+  store.commit('createDownload', {
+    id: store.state.download.downloads.length + 1,
+    url: '/v1/projects/1/forms/f/submissions.csv',
+    filename: 'submissions.csv',
+    status: 'success',
+    received: 0,
+    total: null,
+    message: null,
+    ...props
+  });
+};
+
+describe('DownloadList', () => {
+  it('is not shown if there are no downloads', () => {
+    const component = mount(DownloadList);
+    component.vm.$el.nodeType.should.equal(Node.COMMENT_NODE);
+  });
+
+  it('shows the filename', () => {
+    createDownload();
+    const component = mount(DownloadList);
+    const filename = component.first('.download-list-filename');
+    filename.text().trim().should.equal('submissions.csv');
+    filename.getAttribute('title').should.equal('submissions.csv');
+  });
+
+  it('shows text while waiting for the server', () => {
+    createDownload({ filename: null, status: 'loading' });
+    const text = mount(DownloadList).first('.download-list-filename').text();
+    text.trim().should.equal('Waiting for server…');
+  });
+
+  describe('status', () => {
+    const status = (props) => {
+      createDownload(props);
+      const text = mount(DownloadList).first('.download-list-status').text();
+      return text.trim().replace(/\s+/g, ' ');
+    };
+
+    it('shows the amount received if the total is not known', () => {
+      status({ status: 'loading', received: 512 })
+        .should.equal('512 B received Cancel');
+    });
+
+    it('shows progress if the total is known', () => {
+      status({ status: 'loading', received: 1536, total: 3072 })
+        .should.equal('1.5 KB of 3 KB (50%) Cancel');
+    });
+
+    it('shows the size of a downloaded file', () => {
+      status({ received: 2 * 1024 * 1024 }).should.equal('Downloaded (2 MB)');
+    });
+
+    it('shows the message of an error', () => {
+      status({ status: 'error', message: 'Could not decrypt.' })
+        .should.equal('Could not decrypt.');
+    });
+
+    it('shows that the browser is downloading the file', () => {
+      status({ status: 'native' })
+        .should.equal('Too large to show progress. Your browser is downloading the file.');
+    });
+
+    it('shows that the download was canceled', () => {
+      status({ status: 'canceled' }).should.equal('Canceled');
+    });
+  });
+
+  it('cancels a download after the cancel button is clicked', async () => {
+    createDownload({ status: 'loading' });
+    const component = mount(DownloadList);
+    const dispatch = sinon.fake();
+    sinon.replace(component.vm.$store, 'dispatch', dispatch);
+    await trigger.click(component, '.download-list-status .btn-link');
+    dispatch.calledWith('cancelDownload', 1).should.be.true();
+  });
+
+  describe('clear button', () => {
+    it('clears the downloads', async () => {
+      createDownload();
+      createDownload({ status: 'error', message: 'Something went wrong.' });
+      const component = mount(DownloadList);
+      await trigger.click(component, '.modal-body > .btn-link');
+      store.state.download.downloads.length.should.equal(0);
+      component.vm.$el.nodeType.should.equal(Node.COMMENT_NODE);
+    });
+
+    it('is disabled while a file is downloading', () => {
+      createDownload({ status: 'loading' });
+      const component = mount(DownloadList);
+      component.first('.modal-body > .btn-link').should.be.disabled();
+      component.first('.close').should.be.disabled();
+    });
+  });
+});
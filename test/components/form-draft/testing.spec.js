@@ -53,6 +53,14 @@ describe('FormDraftTesting', () => {
           formVersion.version.should.equal('v2');
         });
     });
+
+    it('passes the draft prop to SubmissionList', () => {
+      testData.extendedForms.createPast(1, { draft: true });
+      return load('/projects/1/forms/f/draft/testing', { component: true }, {})
+        .then(component => {
+          component.first(SubmissionList).getProp('draft').should.be.true();
+        });
+    });
   });
 
   it('updates the draft checklist if the submission count changes', () => {
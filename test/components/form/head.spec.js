@@ -81,6 +81,7 @@ describe('FormHead', () => {
           'Overview',
           'Versions',
           'Submissions',
+          'Analyze',
           'Public Access',
           'Settings',
           'Status',
@@ -98,7 +99,7 @@ describe('FormHead', () => {
       return load('/projects/1/forms/f/draft/testing').then(app => {
         const tabs = app.find('#form-head-form-nav .nav-tabs a');
         const text = tabs.map(tab => tab.text().trim());
-        text.should.eql(['Versions', 'Submissions', 'Testing']);
+        text.should.eql(['Versions', 'Submissions', 'Analyze', 'Testing']);
       });
     });
 
@@ -107,7 +108,7 @@ describe('FormHead', () => {
       testData.extendedForms.createPast(1, { draft: true });
       return load('/projects/1/forms/f/draft').then(app => {
         const tabs = app.find('#form-head-form-tabs li');
-        tabs.length.should.equal(5);
+        tabs.length.should.equal(6);
         for (const tab of tabs) {
           tab.hasClass('disabled').should.be.true();
           tab.getAttribute('title').should.equal('These functions will become available once you publish your Draft Form');
@@ -121,7 +122,7 @@ describe('FormHead', () => {
       testData.extendedFormVersions.createPast(1, { draft: true });
       return load('/projects/1/forms/f/draft').then(app => {
         const tabs = app.find('#form-head-form-tabs li');
-        tabs.length.should.equal(5);
+        tabs.length.should.equal(6);
         for (const tab of tabs) {
           tab.hasClass('disabled').should.be.false();
           tab.hasAttribute('title').should.be.false();
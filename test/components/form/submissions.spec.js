@@ -1,8 +1,12 @@
 import EnketoFill from '../../../src/components/enketo/fill.vue';
+import SubmissionImport from '../../../src/components/submission/import.vue';
 import SubmissionList from '../../../src/components/submission/list.vue';
+import SubmissionUpload from '../../../src/components/submission/upload.vue';
 import testData from '../../data';
 import { load } from '../../util/http';
 import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+import { waitUntil } from '../../util/util';
 
 describe('FormSubmissions', () => {
   describe('new submission button', () => {
@@ -24,6 +28,98 @@ describe('FormSubmissions', () => {
     });
   });
 
+  describe('submission upload', () => {
+    it('shows the drop zone to an administrator', async () => {
+      mockLogin({ role: 'admin' });
+      testData.extendedForms.createPast(1);
+      const path = '/projects/1/forms/f/submissions';
+      const component = await load(path, { component: true }, {});
+      component.find(SubmissionUpload).length.should.equal(1);
+    });
+
+    it('does not render the drop zone for a project viewer', async () => {
+      mockLogin({ role: 'none' });
+      testData.extendedProjects.createPast(1, { role: 'viewer', forms: 1 });
+      testData.extendedForms.createPast(1);
+      const path = '/projects/1/forms/f/submissions';
+      const component = await load(path, { component: true }, {});
+      component.find(SubmissionUpload).length.should.equal(0);
+    });
+
+    it('refreshes the table after submissions are uploaded', () => {
+      mockLogin();
+      testData.extendedForms.createPast(1);
+      return load('/projects/1/forms/f/submissions', { component: true }, {})
+        .complete()
+        .request(component => {
+          testData.extendedSubmissions.createPast(1);
+          component.first(SubmissionUpload).vm.$emit('uploaded');
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponse(component => {
+          const rows = component.find('#submission-table1 tbody tr');
+          rows.length.should.equal(1);
+        });
+    });
+
+    it('continues the upload after the query changes', () => {
+      mockLogin();
+      testData.extendedForms.createPast(1);
+      const xml = (instanceId) => `<data id="f" version="v1"><meta><instanceID>${instanceId}</instanceID></meta></data>`;
+      const files = ['1', '2'].map(instanceId =>
+        new File([xml(instanceId)], `${instanceId}.xml`, { type: 'text/xml' }));
+      return load('/projects/1/forms/f/submissions')
+        .complete()
+        .request(async (app) => {
+          const upload = app.first(SubmissionUpload);
+          const input = upload.first('input[type="file"]');
+          $(input.element).trigger($.Event('change', { target: { files } }));
+          await waitUntil(() => upload.data().phase === 'planned');
+          await upload.vm.$nextTick();
+          return trigger.click(upload, '.submission-upload-actions .btn-primary');
+        })
+        .beforeEachResponse(async (app, config, index) => {
+          if (index !== 0) return;
+          app.vm.$router.replace({ query: { sort: '__id' } });
+          await app.vm.$nextTick();
+        })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .respondWithData(testData.submissionOData)
+        .afterResponses(app => {
+          const upload = app.first(SubmissionUpload);
+          upload.data().phase.should.equal('done');
+          const statuses = upload.find('.submission-upload-status')
+            .map(status => status.text().trim());
+          statuses.should.eql(['Uploaded', 'Uploaded']);
+          app.vm.$route.query.should.eql({ sort: '__id' });
+        });
+    });
+  });
+
+  describe('import button', () => {
+    it('shows the import modal after the button is clicked', () => {
+      mockLogin();
+      testData.extendedForms.createPast(1);
+      return load('/projects/1/forms/f/submissions', { component: true }, {})
+        .afterResponses(async (component) => {
+          component.first(SubmissionImport).getProp('state').should.be.false();
+          await trigger.click(component, '#form-submissions-import-button');
+          component.first(SubmissionImport).getProp('state').should.be.true();
+        });
+    });
+
+    it('does not render the button for a project viewer', async () => {
+      mockLogin({ role: 'none' });
+      testData.extendedProjects.createPast(1, { role: 'viewer', forms: 1 });
+      testData.extendedForms.createPast(1);
+      const path = '/projects/1/forms/f/submissions';
+      const component = await load(path, { component: true }, {});
+      component.find('#form-submissions-import-button').length.should.equal(0);
+      component.find(SubmissionImport).length.should.equal(0);
+    });
+  });
+
   describe('SubmissionList props', () => {
     beforeEach(mockLogin);
 
@@ -69,4 +165,152 @@ describe('FormSubmissions', () => {
         p.text().should.not.containEql('10 ');
       });
   });
+
+  describe('view in the route query', () => {
+    beforeEach(mockLogin);
+
+    const param = ({ url }, name) => new URL(url, window.location.origin)
+      .searchParams.get(name);
+    // If the route query specifies a view, SubmissionList waits for the fields
+    // before fetching the first chunk of submissions.
+    const loadView = (query) =>
+      load(`/projects/1/forms/f/submissions?${query}`, {}, { odataChunk: false })
+        .respondWithData(testData.submissionOData);
+
+    it('restores the filters and sort order', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')]
+      });
+      return loadView('submitterId=1&condition=%2Fs%20contains%20a%20b&sort=-__id')
+        .beforeEachResponse((_, config, index) => {
+          if (index === 7) {
+            config.url.should.startWith('/v1/projects/1/forms/f.svc/Submissions?');
+            param(config, '$filter').should.equal("__system/submitterId eq 1 and contains(s,'a b')");
+            param(config, '$orderby').should.equal('__id desc');
+          }
+        })
+        .afterResponses(app => {
+          const list = app.first(SubmissionList);
+          list.vm.filters.submitterId.should.equal('1');
+          list.vm.sort.should.eql({ path: '__id', desc: true });
+          app.first('.condition-value').element.value.should.equal('a b');
+        });
+    });
+
+    it('restores the selected fields', () => {
+      const fields = [];
+      for (let i = 1; i <= 12; i += 1)
+        fields.push(testData.fields.string(`/s${i}`));
+      testData.extendedForms.createPast(1, { fields });
+      return loadView('fields=%2Fs12,%2Fs1')
+        .afterResponses(app => {
+          const paths = app.first(SubmissionList).vm.selectedFields
+            .map(field => field.path);
+          paths.should.eql(['/s12', '/s1']);
+        });
+    });
+
+    it('restores a repeat table', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.repeat('/r'), testData.fields.int('/r/i')]
+      });
+      return load('/projects/1/forms/f/submissions?table=Submissions.r', {}, {
+        odataChunk: false
+      })
+        .respondWithData(() => ({ '@odata.count': 0, value: [] }))
+        .beforeEachResponse((_, { url }, index) => {
+          if (index === 7)
+            url.should.startWith('/v1/projects/1/forms/f.svc/Submissions.r?');
+        });
+    });
+
+    it('ignores invalid and stale values', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')]
+      });
+      const query = [
+        'table=Submissions.x',
+        'fields=%2Fx',
+        'submitterId=a',
+        'submissionDate=2021-01-02,2021-01-01',
+        'condition=%2Fx%20eq%201',
+        'condition=%2Fs%20gt%201',
+        'combinator=xor',
+        'sort=-%2Fs'
+      ].join('&');
+      return loadView(query)
+        .beforeEachResponse((_, config, index) => {
+          if (index === 7) {
+            config.url.should.startWith('/v1/projects/1/forms/f.svc/Submissions?');
+            should.not.exist(param(config, '$filter'));
+            should.not.exist(param(config, '$orderby'));
+          }
+        })
+        .afterResponses(app => {
+          // The query is replaced with the valid view.
+          app.vm.$route.query.should.eql({});
+          app.vm.$route.path.should.equal('/projects/1/forms/f/submissions');
+        });
+    });
+
+    it('updates the query after the sort order changes', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+      return load('/projects/1/forms/f/submissions')
+        .complete()
+        .request(app => {
+          const links = app.find('#submission-table2 .submission-table-sort');
+          return trigger.click(links[links.length - 1]);
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponse(app => {
+          app.vm.$route.query.should.eql({ sort: '__id' });
+        });
+    });
+
+    it('updates the query after a condition is added', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.int('/i')]
+      });
+      return load('/projects/1/forms/f/submissions')
+        .complete()
+        .request(async (app) => {
+          await trigger.click(app, '#submission-filters-add-condition');
+          app.vm.$route.query.should.eql({ condition: ['/i eq '] });
+          return trigger.changeValue(app, '.condition-value', '1');
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponse(app => {
+          app.vm.$route.query.should.eql({ condition: ['/i eq 1'] });
+        });
+    });
+
+    it('does not interrupt a request after the query changes', () => {
+      testData.extendedForms.createPast(1, { submissions: 2 });
+      testData.extendedSubmissions.createPast(2);
+      return load('/projects/1/forms/f/submissions')
+        .complete()
+        .request(async (app) => {
+          const checkboxes = app.find('#submission-table1 tbody input[type="checkbox"]');
+          await trigger.check(checkboxes[0]);
+          await trigger.check(checkboxes[1]);
+          return trigger.click(app, '#submission-bulk-actions a[data-review-state="approved"]');
+        })
+        .beforeEachResponse(async (app, config, index) => {
+          if (index !== 0) return;
+          // SubmissionList replaces the query in the same way after the view
+          // changes.
+          app.vm.$router.replace({ query: { sort: '__id' } });
+          await app.vm.$nextTick();
+          app.vm.$route.query.should.eql({ sort: '__id' });
+        })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(app => {
+          app.should.alert('success', 'The review state of 2 Submissions has been set to Approved.');
+          const td = app.find('#submission-table1 td.review-state');
+          td.map(cell => cell.text().trim()).should.eql(['Approved', 'Approved']);
+        });
+    });
+  });
 });
@@ -1,3 +1,5 @@
+import sinon from 'sinon';
+
 import SubmissionAnalyze from '../../../src/components/submission/analyze.vue';
 
 import testData from '../../data';
@@ -64,9 +66,71 @@ describe('SubmissionAnalyze', () => {
         assertContent('R', '', 'from R,');
       }));
 
+    it('renders the Python tab correctly', () =>
+      clickTab(modal, 'Python').then(() => {
+        assertContent('Python', '', 'from Python,');
+      }));
+
     it('renders the Other tab correctly', () =>
       clickTab(modal, 'Other').then(() => {
         assertContent('Other', '', 'For a full description of our OData support,');
       }));
   });
+
+  describe('code', () => {
+    const mountModal = () => mount(SubmissionAnalyze, {
+      propsData: {
+        state: true,
+        baseUrl: '/v1/projects/1/forms/f',
+        table: 'Submissions.g',
+        odataQuery: {
+          $filter: '__system/submitterId eq 1',
+          $select: '__id,__Submissions-id,g/i'
+        }
+      }
+    });
+    const code = (modal) => modal.first('#submission-analyze-code pre').text();
+    const url = `${window.location.origin}/v1/projects/1/forms/f.svc/Submissions.g`;
+
+    it('shows Power Query code', () => {
+      const text = code(mountModal());
+      text.should.startWith('let\n    Source = OData.Feed(');
+      text.should.containEql(`"${url}?%24filter=__system%2FsubmitterId+eq+1&%24select=__id%2C__Submissions-id%2Cg%2Fi"`);
+    });
+
+    it('shows R code', async () => {
+      const modal = mountModal();
+      await clickTab(modal, 'R');
+      const text = code(modal);
+      text.should.containEql(`GET(\n  "${url}",`);
+      text.should.containEql('`$filter` = "__system/submitterId eq 1",');
+      text.should.containEql('`$select` = "__id,__Submissions-id,g/i"\n');
+    });
+
+    it('shows Python code', async () => {
+      const modal = mountModal();
+      await clickTab(modal, 'Python');
+      const text = code(modal);
+      text.should.containEql(`requests.get(\n    "${url}",`);
+      text.should.containEql('"$filter": "__system/submitterId eq 1",');
+      text.should.containEql('"$select": "__id,__Submissions-id,g/i",');
+    });
+
+    it('shows the URL of the table for other tools', async () => {
+      const modal = mountModal();
+      await clickTab(modal, 'Other');
+      code(modal).should.startWith(`${url}?%24filter=`);
+    });
+
+    it('copies the code', async () => {
+      const writeText = sinon.fake.resolves();
+      sinon.replaceGetter(navigator, 'clipboard', () => ({ writeText }));
+      const modal = mountModal();
+      await clickTab(modal, 'R');
+      await trigger.click(modal, '#submission-analyze-code .btn');
+      writeText.calledWith(code(modal)).should.be.true();
+      await modal.vm.$nextTick();
+      modal.should.alert('success');
+    });
+  });
 });
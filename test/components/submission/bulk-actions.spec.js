@@ -0,0 +1,142 @@
+import SubmissionBulkActions from '../../../src/components/submission/bulk-actions.vue';
+
+import testData from '../../data';
+import { load } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+
+const selectRows = (app, count) => {
+  const checkboxes = app.find('#submission-table1 tbody input[type="checkbox"]');
+  return checkboxes.slice(0, count).reduce(
+    (promise, checkbox) => promise.then(() => trigger.check(checkbox)),
+    Promise.resolve()
+  )
+    .then(() => app);
+};
+
+describe('SubmissionBulkActions', () => {
+  beforeEach(mockLogin);
+
+  const createSubmissions = () => {
+    testData.extendedForms.createPast(1, { submissions: 2 });
+    testData.extendedSubmissions.createPast(2);
+  };
+
+  it('is shown after a row is selected', () => {
+    createSubmissions();
+    return load('/projects/1/forms/f/submissions')
+      .then(app => {
+        app.find(SubmissionBulkActions).length.should.equal(0);
+        return selectRows(app, 1);
+      })
+      .then(app => {
+        const text = app.first('#submission-bulk-actions-count').text().trim();
+        text.should.equal('1 Submission selected');
+      });
+  });
+
+  it('selects all submissions that match the filters', () => {
+    createSubmissions();
+    const instanceIds = testData.submissionOData().value
+      .map(({ __id }) => __id);
+    return load('/projects/1/forms/f/submissions')
+      .afterResponses(app => selectRows(app, 1))
+      .request(trigger.click('#submission-bulk-actions-select-all'))
+      .beforeEachResponse((app, { url }) => {
+        const text = app.first('#submission-bulk-actions-select-all').text();
+        text.trim().should.equal('Select all 2 matching Submissions');
+        url.should.equal('/v1/projects/1/forms/f.svc/Submissions?%24select=__id');
+      })
+      .respondWithData(() => ({
+        value: instanceIds.map(instanceId => ({ __id: instanceId }))
+      }))
+      .afterResponse(app => {
+        const text = app.first('#submission-bulk-actions-count').text().trim();
+        text.should.equal('2 Submissions selected');
+        app.find('#submission-bulk-actions-select-all').length
+          .should.equal(0);
+      });
+  });
+
+  it('does not show checkboxes to a project viewer', () => {
+    testData.extendedProjects.createPast(1, {
+      currentUser: testData.extendedUsers.createPast(1, { role: 'none' }).last(),
+      role: 'viewer',
+      forms: 1
+    });
+    createSubmissions();
+    return load('/projects/1/forms/f/submissions').then(app => {
+      app.find('#submission-table1 input[type="checkbox"]').length
+        .should.equal(0);
+    });
+  });
+
+  it('clears the selection after the clear button is clicked', () => {
+    createSubmissions();
+    return load('/projects/1/forms/f/submissions')
+      .then(app => selectRows(app, 2))
+      .then(app => trigger.click(app, '#submission-bulk-actions-clear'))
+      .then(app => {
+        app.find(SubmissionBulkActions).length.should.equal(0);
+        const checkboxes = app.find('#submission-table1 input[type="checkbox"]');
+        for (const checkbox of checkboxes)
+          checkbox.element.checked.should.be.false();
+      });
+  });
+
+  it('updates the review state of each selected submission', () => {
+    createSubmissions();
+    const instanceIds = testData.submissionOData().value
+      .map(({ __id }) => __id);
+    return load('/projects/1/forms/f/submissions')
+      .afterResponses(app => selectRows(app, 2))
+      .request(app => trigger.click(app, '#submission-bulk-actions a[data-review-state="approved"]'))
+      .beforeEachResponse((_, { method, url, data }, index) => {
+        method.should.equal('PATCH');
+        url.should.equal(`/v1/projects/1/forms/f/submissions/${instanceIds[index]}`);
+        data.should.eql({ reviewState: 'approved' });
+      })
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .afterResponses(app => {
+        app.should.alert('success', 'The review state of 2 Submissions has been set to Approved.');
+        const td = app.find('#submission-table1 td.review-state');
+        td.map(cell => cell.text().trim()).should.eql(['Approved', 'Approved']);
+        app.find(SubmissionBulkActions).length.should.equal(0);
+      });
+  });
+
+  it('keeps the submissions that were updated if a request fails', () => {
+    createSubmissions();
+    const instanceIds = testData.submissionOData().value
+      .map(({ __id }) => __id);
+    return load('/projects/1/forms/f/submissions')
+      .afterResponses(app => selectRows(app, 2))
+      .request(app => trigger.click(app, '#submission-bulk-actions a[data-review-state="rejected"]'))
+      .respondWithSuccess()
+      .respondWithProblem({ code: 500.1, message: 'Internal error.' })
+      .afterResponses(app => {
+        app.should.alert('danger', 'The review state of 1 of 2 Submissions was set to Rejected before the update stopped. Internal error.');
+        const td = app.find('#submission-table1 td.review-state');
+        td.map(cell => cell.text().trim()).should.eql(['Rejected', 'Received']);
+        const selected = app.first(SubmissionBulkActions).getProp('selected');
+        [...selected].should.eql([instanceIds[1]]);
+      });
+  });
+
+  it('reports the submissions that were updated if the route changes', () => {
+    createSubmissions();
+    return load('/projects/1/forms/f/submissions')
+      .afterResponses(app => selectRows(app, 2))
+      .request(app => trigger.click(app, '#submission-bulk-actions a[data-review-state="approved"]'))
+      .beforeEachResponse((app, config, index) => {
+        if (index === 1) app.vm.$router.push('/projects/1/forms/f/settings');
+      })
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .afterResponses(app => {
+        app.vm.$route.path.should.equal('/projects/1/forms/f/settings');
+        app.should.alert('danger', 'The review state of 1 of 2 Submissions was set to Approved before the update stopped.');
+      });
+  });
+});
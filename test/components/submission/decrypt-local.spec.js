@@ -0,0 +1,161 @@
+import SubmissionDecryptLocal from '../../../src/components/submission/decrypt-local.vue';
+import SubmissionList from '../../../src/components/submission/list.vue';
+
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+import { waitUntil } from '../../util/util';
+
+const { encryption } = testData;
+
+const base64ToArrayBuffer = (base64) =>
+  Uint8Array.from(window.atob(base64), c => c.charCodeAt(0)).buffer;
+
+const createData = ({ privateKey = encryption.private } = {}) => {
+  const key = testData.standardKeys
+    .createPast(1, { managed: true, private: privateKey })
+    .last();
+  testData.extendedProjects.createPast(1, { key, forms: 1 });
+  testData.extendedForms.createPast(1, {
+    fields: [
+      testData.fields.string('/s'),
+      testData.fields.group('/g'),
+      testData.fields.int('/g/i'),
+      testData.fields.geopoint('/g/p'),
+      testData.fields.binary('/b')
+    ]
+  });
+  testData.extendedSubmissions
+    .createPast(1, { s: 'plain' })
+    .createPast(1, {
+      instanceId: encryption.instanceId,
+      status: 'notDecrypted',
+      s: 'encrypted'
+    });
+};
+const loadSubmissionList = () => {
+  const form = testData.extendedForms.last();
+  return mockHttp()
+    .mount(SubmissionList, {
+      propsData: {
+        baseUrl: '/v1/projects/1/forms/f',
+        formVersion: new Form(form)
+      },
+      requestData: { keys: testData.standardKeys.sorted() }
+    })
+    .respondWithData(() => form._fields)
+    .respondWithData(testData.submissionOData);
+};
+const submit = (passphrase) => (component) =>
+  trigger.click(component, '#submission-list-decrypt-button')
+    .then(() => trigger.submit(component, '#submission-decrypt-local form', [
+      ['input', passphrase]
+    ]));
+const decrypting = (component) =>
+  component.first(SubmissionDecryptLocal).data().decrypting;
+
+describe('SubmissionDecryptLocal', () => {
+  beforeEach(mockLogin);
+
+  it('shows the decrypt button if there is an encrypted submission', () => {
+    createData();
+    return loadSubmissionList().afterResponses(component => {
+      const button = component.first('#submission-list-decrypt-button');
+      button.text().trim().should.equal('Decrypt in Browser');
+    });
+  });
+
+  it('does not show the button if the private key is unavailable', () => {
+    createData({ privateKey: null });
+    return loadSubmissionList().afterResponses(component => {
+      component.find('#submission-list-decrypt-button').length
+        .should.equal(0);
+    });
+  });
+
+  it('decrypts the submission and shows its values', () => {
+    createData();
+    return loadSubmissionList()
+      .complete()
+      .request(submit(encryption.passphrase))
+      .beforeEachResponse((_, { url }, index) => {
+        const prefix = '/v1/projects/1/forms/f/submissions/uuid%3A0b4b3ca9-4cb0-4b94-9b54-6a5c33c4d1b3';
+        url.should.equal(index === 0
+          ? `${prefix}.xml`
+          : `${prefix}/attachments/submission.xml.enc`);
+      })
+      .respondWithData(() => encryption.envelope)
+      .respondWithData(() => base64ToArrayBuffer(encryption.encryptedXml))
+      .afterResponses({
+        pollWork: (component) => !decrypting(component),
+        callback: (component) => {
+          component.should.alert('success', '1 Submission has been decrypted.');
+          component.first(SubmissionDecryptLocal).getProp('state')
+            .should.be.false();
+          const rows = component.find('#submission-table2 tbody tr');
+          rows[0].hasClass('encrypted-submission').should.be.false();
+          const cells = rows[0].find('td');
+          cells[0].text().should.equal('hello');
+          cells[1].text().should.equal('3');
+          cells[2].text().should.equal('2.5000000 1.5000000 3.0');
+          component.find('#submission-list-decrypt-button').length
+            .should.equal(0);
+        }
+      });
+  });
+
+  it('shows an alert if the passphrase is incorrect', () => {
+    createData();
+    return loadSubmissionList()
+      .afterResponses(component => submit('incorrect')(component)
+        .then(() => waitUntil(() => !decrypting(component)))
+        .then(() => {
+          const modal = component.first('#submission-decrypt-local');
+          modal.should.alert('danger', 'The passphrase is incorrect.');
+          component.find('#submission-table2 .encrypted-submission').length
+            .should.equal(1);
+        }));
+  });
+
+  it('lists a submission that could not be decrypted', () => {
+    createData();
+    return loadSubmissionList()
+      .complete()
+      .request(submit(encryption.passphrase))
+      .respondWithData(() => encryption.envelope
+        .replace(/<base64EncryptedKey>.*<\/base64EncryptedKey>/, ''))
+      .respondWithData(() => base64ToArrayBuffer(encryption.encryptedXml))
+      .afterResponses({
+        pollWork: (component) => !decrypting(component),
+        callback: (component) => {
+          const modal = component.first('#submission-decrypt-local');
+          modal.should.alert('danger', '1 Submission could not be decrypted.');
+          const rows = modal.find('#submission-decrypt-local-failures tbody tr');
+          rows.length.should.equal(1);
+          rows[0].first('.instance-id').text().trim()
+            .should.equal(encryption.instanceId);
+          rows[0].first('.reason').text().should.equal('The encryption information of the Submission is incomplete.');
+        }
+      });
+  });
+
+  it('reports a submission that could not be downloaded', () => {
+    createData();
+    return loadSubmissionList()
+      .complete()
+      .request(submit(encryption.passphrase))
+      .respondWithProblem()
+      .respondWithProblem()
+      .afterResponses({
+        pollWork: (component) => !decrypting(component),
+        callback: (component) => {
+          const modal = component.first('#submission-decrypt-local');
+          modal.first('#submission-decrypt-local-failures .reason').text()
+            .should.equal('The encrypted Submission could not be downloaded.');
+        }
+      });
+  });
+});
@@ -6,11 +6,10 @@ import SubmissionList from '../../../src/components/submission/list.vue';
 import Form from '../../../src/presenters/form';
 
 import testData from '../../data';
-import { fillForm, submitForm, trigger } from '../../util/event';
+import { submitForm, trigger } from '../../util/event';
 import { mockHttp } from '../../util/http';
 import { mockLogin } from '../../util/session';
 import { mount } from '../../util/lifecycle';
-import { wait } from '../../util/util';
 
 const loadSubmissionList = (attachToDocument = false) => {
   // Create test data.
@@ -41,18 +40,6 @@ const loadSubmissionList = (attachToDocument = false) => {
     .respondWithData(() => form._fields)
     .respondWithData(testData.submissionOData);
 };
-const submitDecryptForm = (formAction) => {
-  const keys = testData.standardKeys.createPast(1, { managed: true }).sorted();
-  const modal = mount(SubmissionDecrypt, {
-    propsData: { state: true, formAction, delayBetweenChecks: 1 },
-    requestData: { keys },
-    attachToDocument: true
-  });
-  // Wait for the iframe to load.
-  return wait(200)
-    .then(() => submitForm(modal, 'form', [['input', 'passphrase']]));
-};
-
 describe('SubmissionDecrypt', () => {
   beforeEach(mockLogin);
 
@@ -105,106 +92,43 @@ describe('SubmissionDecrypt', () => {
     modal.first('input').element.value.should.equal('');
   });
 
-  /*
-  Normally, the iframe form is submitted immediately after it is created, after
-  which, at least within our tests, the iframe changes pages. However, that
-  means that it is challenging to test things about the iframe form.
-
-  Outside Karma, it seems that the iframe changes pages if a Problem is
-  returned after the form submission, but it does not change pages if the
-  submission is successful. That means that submitting a form successfully might
-  give us a way to test things about the form. However, I'm not sure how to set
-  that up in Karma: in these tests, the iframe always changes pages after the
-  form is submitted, whether successfully or not.
-
-  Instead, here, we do not submit any form, but simply call the
-  replaceIframeBody() method, then test the result.
-  */
-  it('appends a form to the iframe body and fills it', () => {
-    const keys = testData.standardKeys
-      .createPast(1, { managed: true })
-      .sorted();
-    const modal = mount(SubmissionDecrypt, {
-      propsData: {
-        state: true,
-        formAction: '/v1/projects/1/forms/f/submissions.csv.zip'
-      },
-      requestData: { keys },
-      attachToDocument: true
-    });
-    // Wait for the iframe to load.
-    return wait(200)
-      .then(() => fillForm(modal, [['input', 'secret passphrase']]))
-      .then(() => {
-        modal.vm.replaceIframeBody();
-
-        const form = modal.vm.$refs.iframe.contentWindow.document
-          .querySelector('form');
-        form.getAttribute('action').should.equal('/v1/projects/1/forms/f/submissions.csv.zip');
-
-        const inputs = form.querySelectorAll('input');
-        inputs.length.should.equal(2);
-        inputs[0].getAttribute('name').should.equal(keys[0].id.toString());
-        inputs[0].value.should.equal('secret passphrase');
-        inputs[1].value.should.equal(modal.vm.session.csrf);
-      });
-  });
-
-  describe('after the iframe form is submitted', () => {
-    it('shows a danger alert if a Problem is returned', () =>
-      submitDecryptForm('/test/files/problem.html')
-        // Wait for a Problem check.
-        .then(modal => wait(200)
-          .then(() => {
-            modal.should.alert(
-              'danger',
-              'An unknown internal problem has occurred. Please try again later.'
-            );
-          })));
-
-    // We do not actually submit the iframe form here, because that would cause
-    // the iframe to change pages. Instead, we simply create and fill the form,
-    // then call the scheduleProblemCheck() method.
-    it('continually checks for a Problem even if form submission is successful', () => {
+  describe('after the form is submitted', () => {
+    const submit = () => {
       const keys = testData.standardKeys
         .createPast(1, { managed: true })
         .sorted();
       const modal = mount(SubmissionDecrypt, {
         propsData: {
           state: true,
-          formAction: '/v1/projects/1/forms/f/submissions.csv.zip',
-          delayBetweenChecks: 1
+          formAction: '/v1/projects/1/forms/f/submissions.csv.zip'
         },
-        requestData: { keys },
-        attachToDocument: true
+        requestData: { keys }
       });
-      // Wait for the iframe to load.
-      return wait(200)
-        .then(() => {
-          modal.vm.replaceIframeBody();
-          const spy = sinon.spy(modal.vm, 'checkForProblem');
-          modal.vm.scheduleProblemCheck();
-          // Wait for a Problem check.
-          return wait(200)
-            .then(() => {
-              spy.called.should.be.true();
-              const checks = spy.callCount;
-              // Wait for another Problem check.
-              return wait(200).then(() => {
-                spy.callCount.should.be.above(checks);
-                modal.vm.cancelCalls();
-              });
-            });
-        });
+      sinon.replace(modal.vm.$store, 'dispatch', sinon.fake.resolves(null));
+      sinon.replace(modal.vm, '$emit', sinon.fake());
+      return submitForm(modal, 'form', [['input', 'secret passphrase']])
+        .then(() => ({ modal, key: keys[0] }));
+    };
+
+    it('starts a download with the passphrase', async () => {
+      const { modal, key } = await submit();
+      const { dispatch } = modal.vm.$store;
+      dispatch.calledOnce.should.be.true();
+      const [action, options] = dispatch.firstCall.args;
+      action.should.equal('download');
+      options.url.should.equal('/v1/projects/1/forms/f/submissions.csv.zip');
+      options.method.should.equal('POST');
+      options.data.toString().should.equal(`${key.id}=secret+passphrase`);
     });
 
-    // Here we actually submit the iframe form, which causes the iframe to
-    // change pages. To detect the info alert, we return /blank.html instead of
-    // a Problem.
-    it('shows an info alert', () =>
-      submitDecryptForm('/blank.html').then(modal => {
-        modal.should.alert('info');
-        modal.vm.cancelCalls();
-      }));
+    it('hides the modal', async () => {
+      const { modal } = await submit();
+      modal.vm.$emit.calledWith('hide').should.be.true();
+    });
+
+    it('shows an info alert', async () => {
+      const { modal } = await submit();
+      modal.should.alert('info', /^Your data is being decrypted and downloaded\./);
+    });
   });
 });
@@ -0,0 +1,141 @@
+import SubmissionDelete from '../../../src/components/submission/delete.vue';
+import SubmissionList from '../../../src/components/submission/list.vue';
+
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { load, mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+
+const selectRows = (component, count) => {
+  const checkboxes = component.find('#submission-table1 tbody input[type="checkbox"]');
+  return checkboxes.slice(0, count).reduce(
+    (promise, checkbox) => promise.then(() => trigger.check(checkbox)),
+    Promise.resolve()
+  )
+    .then(() => component);
+};
+const deleteSelected = (component) =>
+  trigger.click(component, '#submission-bulk-actions-delete')
+    .then(() => trigger.click(component, '#submission-delete .btn-danger'));
+
+describe('SubmissionDelete', () => {
+  beforeEach(mockLogin);
+
+  it('shows the modal after the delete button is clicked', () => {
+    testData.extendedForms.createPast(1, { submissions: 2 });
+    testData.extendedSubmissions.createPast(2);
+    return load('/projects/1/forms/f/submissions')
+      .then(app => selectRows(app, 2))
+      .then(app => trigger.click(app, '#submission-bulk-actions-delete'))
+      .then(app => {
+        const modal = app.first(SubmissionDelete);
+        modal.getProp('state').should.be.true();
+        const text = modal.first('.modal-introduction p').text();
+        text.should.equal('Are you sure you want to delete 2 Submissions?');
+      });
+  });
+
+  it('does not show the delete button if the user cannot delete', () => {
+    testData.extendedProjects.createPast(1, {
+      currentUser: testData.extendedUsers.createPast(1, { role: 'none' }).last(),
+      role: 'viewer',
+      forms: 1
+    });
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1);
+    return load('/projects/1/forms/f/submissions').then(app => {
+      app.find('#submission-list-trash-button').length.should.equal(0);
+      app.find(SubmissionDelete).length.should.equal(0);
+    });
+  });
+
+  it('deletes each selected submission', () => {
+    testData.extendedForms.createPast(1, { submissions: 3 });
+    testData.extendedSubmissions.createPast(3);
+    const instanceIds = testData.submissionOData().value
+      .map(({ __id }) => __id);
+    return load('/projects/1/forms/f/submissions')
+      .afterResponses(app => selectRows(app, 2))
+      .request(deleteSelected)
+      .beforeEachResponse((_, { method, url }, index) => {
+        method.should.equal('DELETE');
+        url.should.equal(`/v1/projects/1/forms/f/submissions/${instanceIds[index]}`);
+      })
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .afterResponses(app => {
+        app.first(SubmissionDelete).getProp('state').should.be.false();
+        app.should.alert('success', '2 Submissions have been moved to the trash.');
+        const rows = app.find('#submission-table2 tbody tr');
+        rows.length.should.equal(1);
+        const cells = rows[0].find('td');
+        cells[cells.length - 1].text().trim().should.equal(instanceIds[2]);
+        app.find('#submission-bulk-actions').length.should.equal(0);
+        app.first('#submission-table1 .row-number').text().trim()
+          .should.equal('1');
+      });
+  });
+
+  it('removes the submissions that were deleted if a request fails', () => {
+    testData.extendedForms.createPast(1, { submissions: 2 });
+    testData.extendedSubmissions.createPast(2);
+    const instanceIds = testData.submissionOData().value
+      .map(({ __id }) => __id);
+    return load('/projects/1/forms/f/submissions')
+      .afterResponses(app => selectRows(app, 2))
+      .request(deleteSelected)
+      .respondWithSuccess()
+      .respondWithProblem()
+      .afterResponses(app => {
+        app.first(SubmissionDelete).getProp('state').should.be.true();
+        app.first('#submission-delete').should.alert('danger');
+        const rows = app.find('#submission-table2 tbody tr');
+        rows.length.should.equal(1);
+        const cells = rows[0].find('td');
+        cells[cells.length - 1].text().trim().should.equal(instanceIds[1]);
+        const { selected } = app.first(SubmissionList).vm;
+        [...selected].should.eql([instanceIds[1]]);
+      });
+  });
+
+  it('skips fewer submissions when it fetches the next chunk', () => {
+    testData.extendedForms.createPast(1, { submissions: 4 });
+    testData.extendedSubmissions.createPast(4);
+    const { value } = testData.submissionOData();
+    const form = testData.extendedForms.last();
+    return mockHttp()
+      .mount(SubmissionList, {
+        propsData: {
+          baseUrl: '/v1/projects/1/forms/f',
+          formVersion: new Form(form),
+          deletable: true,
+          top: () => 2,
+          scrolledToBottom: () => true
+        },
+        requestData: { keys: [], project: testData.extendedProjects.last() }
+      })
+      .respondWithData(() => form._fields)
+      .respondWithData(() => testData.submissionOData(2, 0))
+      .afterResponses(component => selectRows(component, 1))
+      .request(deleteSelected)
+      .respondWithSuccess()
+      .afterResponse(component => {
+        component.vm.originalCount.should.equal(3);
+        component.vm.skip.should.equal(1);
+      })
+      .request(component => {
+        component.vm.onScroll();
+      })
+      .beforeEachResponse((_, { url }) => {
+        url.should.match(/[?&]%24skip=1(&|$)/);
+      })
+      .respondWithData(() => ({ '@odata.count': 3, value: value.slice(2) }))
+      .afterResponse(component => {
+        const ids = component.vm.submissions.map(({ __id }) => __id);
+        ids.should.eql(value.slice(1).map(({ __id }) => __id));
+        component.vm.canFetchMore().should.be.false();
+      });
+  });
+});
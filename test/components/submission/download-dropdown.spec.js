@@ -65,17 +65,43 @@ describe('SubmissionDownloadDropdown', () => {
 
     it('sets the correct href attributes', () => {
       testData.extendedForms.createPast(1);
-      mountComponent().find('a').map(a => a.getAttribute('href')).should.eql([
+      const links = mountComponent()
+        .find('a:not(.submission-download-dropdown-export)');
+      links.map(a => a.getAttribute('href')).should.eql([
         '/v1/projects/1/forms/f/submissions.csv.zip',
         '/v1/projects/1/forms/f/submissions.csv.zip?attachments=false',
         '/v1/projects/1/forms/f/submissions.csv'
       ]);
     });
 
-    it('sets the target attribute to _blank', () => {
+    it('starts a download', () => {
+      testData.extendedForms.createPast(1);
+      const dropdown = mountComponent();
+      const dispatch = sinon.fake();
+      sinon.replace(dropdown.vm.$store, 'dispatch', dispatch);
+      trigger.click(dropdown.find('a')[1]);
+      dispatch.getCall(0).args.should.eql([
+        'download',
+        { url: '/v1/projects/1/forms/f/submissions.csv.zip?attachments=false' }
+      ]);
+    });
+
+    it('prevents default', () => {
+      testData.extendedForms.createPast(1);
+      const dropdown = mountComponent();
+      sinon.replace(dropdown.vm.$store, 'dispatch', sinon.fake());
+      const a = dropdown.find('a')[1];
+      const event = new MouseEvent('click', {
+        bubbles: true,
+        cancelable: true
+      });
+      a.element.dispatchEvent(event).should.be.false();
+    });
+
+    it('does not set the target attribute', () => {
       testData.extendedForms.createPast(1);
       mountComponent().find('a').should.matchEach(a =>
-        a.getAttribute('target') === '_blank');
+        !a.hasAttribute('target'));
     });
 
     describe('form does not have a binary field', () => {
@@ -97,6 +123,14 @@ describe('SubmissionDownloadDropdown', () => {
         });
         a.element.dispatchEvent(event).should.be.false();
       });
+
+      it('does not start a download', () => {
+        const dropdown = mountComponent();
+        const dispatch = sinon.fake();
+        sinon.replace(dropdown.vm.$store, 'dispatch', dispatch);
+        trigger.click(dropdown, 'a');
+        dispatch.called.should.be.false();
+      });
     });
   });
 
@@ -181,13 +215,59 @@ describe('SubmissionDownloadDropdown', () => {
     });
   });
 
+  describe('exports', () => {
+    beforeEach(() => {
+      testData.extendedProjects.createPast(1, { key: null });
+      testData.extendedForms.createPast(1);
+    });
+
+    it('shows links to export the view', () => {
+      const links = mountComponent()
+        .find('.submission-download-dropdown-export');
+      links.map(a => a.text().trim()).should.eql([
+        'This view (.csv)',
+        'This view (.xlsx)'
+      ]);
+    });
+
+    it('shows links to export geodata', () => {
+      const dropdown = mountComponent({
+        propsData: { exportsGeodata: true }
+      });
+      const links = dropdown.find('.submission-download-dropdown-export');
+      links.map(a => a.getAttribute('data-format'))
+        .should.eql(['csv', 'xlsx', 'geojson', 'kml']);
+      links[3].text().trim().should.equal('Locations as KML (.kml)');
+    });
+
+    it('emits an export event', () => {
+      const dropdown = mountComponent();
+      const $emit = sinon.fake();
+      sinon.replace(dropdown.vm, '$emit', $emit);
+      trigger.click(dropdown, '.submission-download-dropdown-export[data-format="xlsx"]');
+      $emit.getCall(0).args.should.eql(['export', 'xlsx']);
+    });
+
+    it('emits an export event if the form has a managed key', () => {
+      const key = testData.standardKeys.createPast(1, { managed: true }).last();
+      testData.extendedProjects.createPast(1, { key });
+      testData.extendedForms.createPast(1);
+      const dropdown = mountComponent();
+      const $emit = sinon.fake();
+      sinon.replace(dropdown.vm, '$emit', $emit);
+      trigger.click(dropdown, '.submission-download-dropdown-export');
+      $emit.getCall(0).args.should.eql(['export', 'csv']);
+    });
+  });
+
   it('passes along the OData filter', () => {
     testData.extendedProjects.createPast(1, { key: null });
     testData.extendedForms.createPast(1);
     const dropdown = mountComponent({
       propsData: { odataFilter: '__system/submitterId eq 1' }
     });
-    dropdown.find('a').map(a => a.getAttribute('href')).should.eql([
+    const links = dropdown.find('a:not(.submission-download-dropdown-export)');
+    links.map(a => a.getAttribute('href')).should.eql([
       '/v1/projects/1/forms/f/submissions.csv.zip?%24filter=__system%2FsubmitterId+eq+1',
       '/v1/projects/1/forms/f/submissions.csv.zip?attachments=false&%24filter=__system%2FsubmitterId+eq+1',
       '/v1/projects/1/forms/f/submissions.csv?%24filter=__system%2FsubmitterId+eq+1'
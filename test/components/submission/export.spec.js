@@ -0,0 +1,212 @@
+import sinon from 'sinon';
+
+import SubmissionExport from '../../../src/components/submission/export.vue';
+
+import Field from '../../../src/presenters/field';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+
+const point = (lon, lat) => ({ type: 'Point', coordinates: [lon, lat] });
+const fields = () => testData.extendedForms.last()._fields
+  .map(field => new Field(field));
+const mountOptions = (propsData = undefined) => ({
+  propsData: {
+    state: true,
+    odataUrl: '/v1/projects/1/forms/f.svc/Submissions',
+    odataQuery: { $filter: '__system/submitterId eq 1', $orderby: '__id asc' },
+    fields: fields(),
+    geoFields: fields().filter(field => field.type === 'geopoint'),
+    baseUrl: '/v1/projects/1/forms/f',
+    showsSubmitter: true,
+    filename: 'f',
+    ...propsData
+  }
+});
+// Stubs the functions that save a file, returning a function that returns the
+// blob that was saved.
+const stubSave = () => {
+  const createObjectURL = sinon.fake.returns('blob:x');
+  sinon.replace(URL, 'createObjectURL', createObjectURL);
+  sinon.replace(URL, 'revokeObjectURL', sinon.fake());
+  sinon.replace(HTMLAnchorElement.prototype, 'click', sinon.fake());
+  return () => createObjectURL.getCall(0).args[0];
+};
+
+describe('SubmissionExport', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, {
+      fields: [
+        testData.fields.geopoint('/p1'),
+        testData.fields.geopoint('/p2'),
+        testData.fields.string('/s')
+      ],
+      submissions: 2
+    });
+    testData.extendedSubmissions
+      .createPast(1, { instanceId: 'a', p1: point(1, 2), p2: null, s: 'x' })
+      .createPast(1, { instanceId: 'b', p1: null, p2: point(3, 4), s: 'y' });
+  });
+
+  it('pages through the OData feed', () => {
+    stubSave();
+    return mockHttp()
+      .mount(SubmissionExport, mountOptions())
+      .request(trigger.submit('form'))
+      .beforeEachResponse((modal, { url }, index) => {
+        const { pathname, searchParams } = new URL(url, window.location.origin);
+        pathname.should.equal('/v1/projects/1/forms/f.svc/Submissions');
+        searchParams.get('$top').should.equal('1000');
+        searchParams.get('$skip').should.equal(index === 0 ? '0' : '1000');
+        searchParams.get('$count').should.equal('true');
+        searchParams.get('$filter').should.equal('__system/submitterId eq 1');
+        searchParams.get('$orderby').should.equal('__id asc');
+        if (index === 1) {
+          modal.first('#submission-export-progress p').text()
+            .should.equal('Loaded 1 of 1,001 records…');
+        }
+      })
+      .respondWithData(() => ({
+        '@odata.count': 1001,
+        value: testData.submissionOData(1, 0).value
+      }))
+      .respondWithData(() => ({
+        '@odata.count': 1001,
+        value: testData.submissionOData(1, 1).value
+      }));
+  });
+
+  describe('view', () => {
+    it('does not show the geo field select', () => {
+      const modal = mount(SubmissionExport, mountOptions());
+      modal.find('#submission-export-geo-field').length.should.equal(0);
+      const formats = modal.find('#submission-export-format input')
+        .map(input => input.getAttribute('value'));
+      formats.should.eql(['csv', 'xlsx']);
+    });
+
+    it('saves a CSV file of the formatted values', () => {
+      const savedBlob = stubSave();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions({
+          fields: fields().filter(field => field.path !== '/p2')
+        }))
+        .request(trigger.submit('form'))
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(async () => {
+          const blob = savedBlob();
+          blob.type.should.equal('text/csv');
+          // Blob.prototype.text() removes the byte order mark.
+          const lines = (await blob.text()).split('\r\n');
+          lines[0].should.equal('Submitted by,Submitted at,p1,s,Instance ID');
+          lines[1].should.endWith(',,y,b');
+          lines[2].should.endWith(',1.0000000 2.0000000,x,a');
+        });
+    });
+
+    it('saves the raw values', () => {
+      const savedBlob = stubSave();
+      const { createdAt } = testData.extendedSubmissions.last();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions({
+          fields: fields().filter(field => field.path === '/s')
+        }))
+        .request(async (modal) => {
+          await trigger.check(modal, '#submission-export-raw');
+          return trigger.submit(modal, 'form');
+        })
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(async () => {
+          const lines = (await savedBlob().text()).split('\r\n');
+          lines[1].split(',')[1].should.equal(createdAt);
+        });
+    });
+
+    it('saves an XLSX file', () => {
+      const savedBlob = stubSave();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions({ format: 'xlsx' }))
+        .request(trigger.submit('form'))
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(() => {
+          const blob = savedBlob();
+          blob.type.should.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+          blob.size.should.be.above(0);
+        });
+    });
+
+    it('shows a success alert', () => {
+      stubSave();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions())
+        .request(trigger.submit('form'))
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(modal => {
+          modal.should.alert('success', 'A CSV (.csv) file with 2 records has been downloaded.');
+        });
+    });
+  });
+
+  describe('geodata', () => {
+    it('shows an option for each geo field', async () => {
+      const modal = mount(SubmissionExport, mountOptions({ format: 'geojson', state: false }));
+      await modal.setProps({ state: true });
+      const options = modal.find('#submission-export-geo-field option');
+      options.map(option => option.text().trim()).should.eql(['p1', 'p2']);
+    });
+
+    it('saves a GeoJSON file', () => {
+      const savedBlob = stubSave();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions({ format: 'geojson' }))
+        .request(async (modal) => {
+          await trigger.changeValue(modal, '#submission-export-geo-field', '/p2');
+          return trigger.submit(modal, 'form');
+        })
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(async () => {
+          const blob = savedBlob();
+          blob.type.should.equal('application/geo+json');
+          const { features } = JSON.parse(await blob.text());
+          features.length.should.equal(1);
+          features[0].id.should.equal('b');
+          features[0].geometry.should.eql(point(3, 4));
+          features[0].properties.s.should.equal('y');
+        });
+    });
+
+    it('saves a KML file', () => {
+      const savedBlob = stubSave();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions({ format: 'kml' }))
+        .request(trigger.submit('form'))
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(async () => {
+          const blob = savedBlob();
+          blob.type.should.equal('application/vnd.google-earth.kml+xml');
+          const text = await blob.text();
+          text.should.containEql('<coordinates>1,2</coordinates>');
+        });
+    });
+
+    it('hides the modal and shows a success alert', () => {
+      stubSave();
+      const $emit = sinon.fake();
+      return mockHttp()
+        .mount(SubmissionExport, mountOptions({ format: 'geojson' }))
+        .request(modal => {
+          sinon.replace(modal.vm, '$emit', $emit);
+          return trigger.submit(modal, 'form');
+        })
+        .respondWithData(() => testData.submissionOData(1000, 0))
+        .afterResponse(modal => {
+          $emit.calledWith('hide').should.be.true();
+          modal.should.alert('success', 'A GeoJSON (.geojson) file with 1 location has been downloaded.');
+        });
+    });
+  });
+});
@@ -285,6 +285,100 @@ describe('SubmissionFieldDropdown', () => {
     });
   });
 
+  describe('groups', () => {
+    it('renders a checkbox for each group', () => {
+      commitFields([
+        group('/g'),
+        group('/g/h'),
+        string('/g/h/s1'),
+        string('/g/s2'),
+        string('/s3')
+      ]);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: [] }
+      });
+      const groups = dropdown.find('.field-group span');
+      groups.map(span => span.text()).should.eql(['g', 'h']);
+      groups[1].getAttribute('title').should.equal('/g/h');
+    });
+
+    it('checks all fields of the group', async () => {
+      const fields = [group('/g'), string('/g/s1'), string('/g/s2'), string('/s3')]
+        .map(present);
+      commitFields(fields);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: [] }
+      });
+      await trigger.check(dropdown, '.field-group input');
+      const checkboxes = dropdown.find('.checkbox input');
+      checkboxes.map(checkbox => checkbox.element.checked)
+        .should.eql([true, true, false]);
+    });
+
+    it('unchecks all fields of the group', async () => {
+      const fields = [group('/g'), string('/g/s1'), string('/g/s2')]
+        .map(present);
+      commitFields(fields);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: [fields[1], fields[2]] }
+      });
+      const checkbox = dropdown.first('.field-group input');
+      checkbox.element.checked.should.be.true();
+      await trigger.uncheck(dropdown, '.field-group input');
+      for (const field of dropdown.find('.checkbox input'))
+        field.element.checked.should.be.false();
+    });
+
+    it('is indeterminate if some fields of the group are checked', () => {
+      const fields = [group('/g'), string('/g/s1'), string('/g/s2')]
+        .map(present);
+      commitFields(fields);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: [fields[1]] }
+      });
+      const checkbox = dropdown.first('.field-group input');
+      checkbox.element.checked.should.be.false();
+      checkbox.element.indeterminate.should.be.true();
+    });
+
+    it('is disabled if checking it would check more than 100 fields', () => {
+      const fields = [...strings(1, 99), group('/g'), string('/g/s1'), string('/g/s2')]
+        .map(present);
+      commitFields(fields);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: fields.slice(0, 99) }
+      });
+      dropdown.first('.field-group input').element.disabled.should.be.true();
+    });
+
+    it('shows the group if one of its fields matches the search', async () => {
+      commitFields([group('/g'), string('/g/s1'), group('/h'), string('/h/x')]);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: [] }
+      });
+      await trigger.input(dropdown, '.search input', 's');
+      const matches = dropdown.find('.group-search-match');
+      matches.length.should.equal(1);
+      matches[0].first('span').text().should.equal('g');
+    });
+  });
+
+  it('keeps the order of the selected fields', async () => {
+    const fields = strings(1, 3).map(present);
+    commitFields(fields);
+    const dropdown = mount(SubmissionFieldDropdown, {
+      propsData: { value: [fields[2], fields[0]] },
+      attachToDocument: true
+    });
+    const $emit = sinon.fake();
+    sinon.replace(dropdown.vm, '$emit', $emit);
+    await trigger.click(dropdown, 'select');
+    await trigger.check(dropdown.find('.checkbox input')[1]);
+    await trigger.click(dropdown, 'select');
+    const value = $emit.getCall(0).args[1];
+    value.map(field => field.path).should.eql(['/s3', '/s1', '/s2']);
+  });
+
   describe('select all', () => {
     it('checks all checkboxes', async () => {
       commitFields(strings(1, 2));
@@ -136,6 +136,91 @@ describe('SubmissionFilters', () => {
       .respondWithData(() => testData.submissionOData(0));
   });
 
+  it('sends a request after the review state filter is changed', () => {
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1);
+    return loadSubmissionList()
+      .complete()
+      .request(trigger.changeValue(
+        '#submission-filters-review-state select',
+        'hasIssues'
+      ))
+      .beforeEachResponse((_, { url }) => {
+        url.should.match(/&%24filter=__system%2FreviewState\+eq\+%27hasIssues%27(&|$)/);
+      })
+      .respondWithData(() => testData.submissionOData(0))
+      .complete()
+      .request(trigger.changeValue(
+        '#submission-filters-review-state select',
+        'received'
+      ))
+      .beforeEachResponse((_, { url }) => {
+        url.should.match(/&%24filter=__system%2FreviewState\+eq\+null(&|$)/);
+      })
+      .respondWithData(testData.submissionOData);
+  });
+
+  describe('attachments filter', () => {
+    it('shows only submissions that are missing attachments', () => {
+      testData.extendedForms.createPast(1, { submissions: 2 });
+      testData.extendedSubmissions
+        .createPast(1, { attachmentsPresent: 0, attachmentsExpected: 1 })
+        .createPast(1, { attachmentsPresent: 1, attachmentsExpected: 1 });
+      return loadSubmissionList()
+        .afterResponses(async (component) => {
+          component.find('#submission-table1 tbody tr').length.should.equal(2);
+          await trigger.changeValue(
+            component,
+            '#submission-filters-attachments select',
+            'incomplete'
+          );
+          const rows = component.find(SubmissionRow);
+          rows.length.should.equal(2);
+          const { instanceId } = testData.extendedSubmissions.first();
+          for (const row of rows)
+            row.getProp('submission').__id.should.equal(instanceId);
+        });
+    });
+
+    it('fetches the remaining submissions without a filter', () => {
+      testData.extendedForms.createPast(1, { submissions: 3 });
+      testData.extendedSubmissions.createPast(3, {
+        attachmentsPresent: 0,
+        attachmentsExpected: 1
+      });
+      return loadSubmissionList()
+        .complete()
+        .request(trigger.changeValue(
+          '#submission-filters-attachments select',
+          'incomplete'
+        ))
+        .beforeEachResponse((_, { url }) => {
+          url.should.match(/[?&]%24skip=2(&|$)/);
+          url.should.not.containEql('%24filter=');
+        })
+        .respondWithData(() => testData.submissionOData(2, 2))
+        .afterResponse(component => {
+          component.find('#submission-table1 tbody tr').length.should.equal(3);
+        });
+    });
+
+    it('shows a message if no submission is missing attachments', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+      return loadSubmissionList()
+        .afterResponses(async (component) => {
+          await trigger.changeValue(
+            component,
+            '#submission-filters-attachments select',
+            'incomplete'
+          );
+          component.find(SubmissionRow).length.should.equal(0);
+          const message = component.first('.empty-table-message');
+          message.should.be.visible();
+        });
+    });
+  });
+
   it('numbers the rows based on the number of filtered submissions', () => {
     testData.extendedProjects.createPast(1, { forms: 1, appUsers: 2 });
     testData.extendedForms.createPast(1, { submissions: 2 });
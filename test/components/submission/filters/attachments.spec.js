@@ -0,0 +1,34 @@
+import sinon from 'sinon';
+
+import SubmissionFiltersAttachments from '../../../../src/components/submission/filters/attachments.vue';
+
+import { mount } from '../../../util/lifecycle';
+import { trigger } from '../../../util/event';
+
+const mountComponent = ({ value = '' } = {}) =>
+  mount(SubmissionFiltersAttachments, {
+    propsData: { value }
+  });
+
+describe('SubmissionFiltersAttachments', () => {
+  it('renders the correct options', () => {
+    const options = mountComponent().find('option');
+    options.map(option => option.getAttribute('value'))
+      .should.eql(['', 'incomplete']);
+    options[0].text().trim().should.equal('(Any)');
+    options[1].text().trim().should.equal('Incomplete');
+  });
+
+  it('sets the value of the select element to the value prop', () => {
+    const select = mountComponent({ value: 'incomplete' }).first('select');
+    select.element.value.should.equal('incomplete');
+  });
+
+  it('emits an input event', () => {
+    const component = mountComponent();
+    const $emit = sinon.fake();
+    sinon.replace(component.vm, '$emit', $emit);
+    trigger.changeValue(component, 'select', 'incomplete');
+    $emit.calledWith('input', 'incomplete').should.be.true();
+  });
+});
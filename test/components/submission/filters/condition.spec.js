@@ -0,0 +1,260 @@
+import SubmissionFiltersCondition from '../../../../src/components/submission/filters/condition.vue';
+import SubmissionList from '../../../../src/components/submission/list.vue';
+
+import Form from '../../../../src/presenters/form';
+
+import testData from '../../../data';
+import { mockHttp } from '../../../util/http';
+import { trigger } from '../../../util/event';
+
+const fields = [
+  testData.fields.string('/s'),
+  testData.fields.group('/g'),
+  testData.fields.int('/g/i'),
+  testData.fields.geopoint('/p'),
+  testData.fields.date('/d')
+];
+const loadSubmissionList = () => {
+  testData.extendedForms.createPast(1, { fields });
+  const form = testData.extendedForms.last();
+  return mockHttp()
+    .mount(SubmissionList, {
+      propsData: {
+        baseUrl: '/v1/projects/1/forms/f',
+        formVersion: new Form(form),
+        filterable: true
+      },
+      requestData: { keys: [] }
+    })
+    .respondWithData(() => form._fields)
+    .respondWithData(() => testData.submissionOData(0))
+    .respondWithData(() => []);
+};
+const addCondition = (component) =>
+  trigger.click(component, '#submission-filters-add-condition');
+const filterParam = (url) => new URL(url, window.location.origin)
+  .searchParams.get('$filter');
+
+describe('SubmissionFiltersCondition', () => {
+  it('adds a condition about the first field that can be filtered', () =>
+    loadSubmissionList()
+      .afterResponses(addCondition)
+      .then(component => {
+        const conditions = component.find(SubmissionFiltersCondition);
+        conditions.length.should.equal(1);
+        conditions[0].first('.condition-field').element.value.should.equal('/s');
+        conditions[0].first('.condition-operator').element.value
+          .should.equal('eq');
+      }));
+
+  it('only shows fields that can be filtered', () =>
+    loadSubmissionList()
+      .afterResponses(addCondition)
+      .then(component => {
+        const options = component.find('.condition-field option');
+        options.map(option => option.element.value)
+          .should.eql(['/s', '/g/i', '/d']);
+      }));
+
+  it('does not send a request for an incomplete condition', () =>
+    loadSubmissionList()
+      .complete()
+      .testNoRequest(async (component) => {
+        await addCondition(component);
+        return trigger.changeValue(component, '.condition-operator', 'ne');
+      }));
+
+  it('sends a request after a value is entered', () =>
+    loadSubmissionList()
+      .complete()
+      .request(async (component) => {
+        await addCondition(component);
+        return trigger.changeValue(component, '.condition-value', "a'b");
+      })
+      .beforeEachResponse((_, { url }) => {
+        filterParam(url).should.equal("s eq 'a''b'");
+      })
+      .respondWithData(() => testData.submissionOData(0)));
+
+  it('resets the operator and value after the field is changed', () =>
+    loadSubmissionList()
+      .complete()
+      .request(async (component) => {
+        await addCondition(component);
+        return trigger.changeValue(component, '.condition-value', 'foo');
+      })
+      .respondWithData(() => testData.submissionOData(0))
+      .complete()
+      .request(component =>
+        trigger.changeValue(component, '.condition-field', '/g/i'))
+      .respondWithData(() => testData.submissionOData(0))
+      .afterResponse(component => {
+        const condition = component.first(SubmissionFiltersCondition);
+        condition.first('.condition-operator').element.value
+          .should.equal('eq');
+        condition.first('.condition-value').element.value.should.equal('');
+        condition.first('.condition-value').getAttribute('type')
+          .should.equal('number');
+      }));
+
+  it('combines conditions with and', () =>
+    loadSubmissionList()
+      .complete()
+      .request(async (component) => {
+        await addCondition(component);
+        await trigger.changeValue(component, '.condition-value', 'foo');
+        await addCondition(component);
+        const condition = component.find(SubmissionFiltersCondition)[1];
+        await trigger.changeValue(condition, '.condition-field', '/g/i');
+        await trigger.changeValue(condition, '.condition-operator', 'gt');
+        return trigger.changeValue(condition, '.condition-value', '10');
+      })
+      .beforeEachResponse((_, { url }, index) => {
+        if (index === 1)
+          filterParam(url).should.equal("(s eq 'foo' and g/i gt 10)");
+      })
+      // Entering the value of the first condition sends a request. The second
+      // condition is only complete after its value is entered.
+      .respondWithData(() => testData.submissionOData(0))
+      .respondWithData(() => testData.submissionOData(0)));
+
+  it('combines conditions with or', () =>
+    loadSubmissionList()
+      .complete()
+      .request(async (component) => {
+        await addCondition(component);
+        await addCondition(component);
+        const conditions = component.find(SubmissionFiltersCondition);
+        await trigger.changeValue(conditions[0], '.condition-value', 'foo');
+        await trigger.changeValue(conditions[1], '.condition-value', 'bar');
+      })
+      .respondWithData(() => testData.submissionOData(0))
+      .respondWithData(() => testData.submissionOData(0))
+      .complete()
+      .request(component => trigger.changeValue(
+        component,
+        '#submission-filters-combinator select',
+        'or'
+      ))
+      .beforeEachResponse((_, { url }) => {
+        filterParam(url).should.equal("(s eq 'foo' or s eq 'bar')");
+      })
+      .respondWithData(() => testData.submissionOData(0)));
+
+  it('sends a request after a condition is removed', () =>
+    loadSubmissionList()
+      .complete()
+      .request(async (component) => {
+        await addCondition(component);
+        return trigger.changeValue(component, '.condition-value', 'foo');
+      })
+      .respondWithData(() => testData.submissionOData(0))
+      .complete()
+      .request(component =>
+        trigger.click(component, '.submission-filters-condition .close'))
+      .beforeEachResponse((component, { url }) => {
+        should.not.exist(filterParam(url));
+        component.find(SubmissionFiltersCondition).length.should.equal(0);
+      })
+      .respondWithData(() => testData.submissionOData(0)));
+
+  describe('select_one field', () => {
+    const xml = testData.xform({
+      model: `<itext>
+        <translation lang="English" default="true()">
+          <text id="/data/c/a:label"><value>Apple</value></text>
+          <text id="/data/c/b:label"><value>Banana</value></text>
+        </translation>
+      </itext>`,
+      body: `<input ref="/data/s"/>
+        <select1 ref="/data/c">
+          <item><label ref="jr:itext('/data/c/a:label')"/><value>a</value></item>
+          <item><label ref="jr:itext('/data/c/b:label')"/><value>b</value></item>
+        </select1>`
+    });
+    const loadWithChoices = () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s'), testData.fields.string('/c')]
+      });
+      const form = testData.extendedForms.last();
+      return mockHttp()
+        .mount(SubmissionList, {
+          propsData: {
+            baseUrl: '/v1/projects/1/forms/f',
+            formVersion: new Form(form),
+            filterable: true,
+            showsLabels: true
+          },
+          requestData: { keys: [] }
+        })
+        .respondWithData(() => form._fields)
+        .respondWithData(() => testData.submissionOData(0))
+        .respondWithData(() => [])
+        .respondWithData(() => xml);
+    };
+
+    it('shows the choice operators', () =>
+      loadWithChoices()
+        .afterResponses(async (component) => {
+          await addCondition(component);
+          await trigger.changeValue(component, '.condition-field', '/c');
+          const options = component.find('.condition-operator option');
+          options.map(option => option.element.value).should.eql(['eq', 'ne']);
+          options.map(option => option.text().trim())
+            .should.eql(['is', 'is not']);
+        }));
+
+    it('shows the labels of the choices', () =>
+      loadWithChoices()
+        .afterResponses(async (component) => {
+          await addCondition(component);
+          await trigger.changeValue(component, '.condition-field', '/c');
+          const select = component.first('.condition-value');
+          select.element.tagName.should.equal('SELECT');
+          const options = select.find('option');
+          options.map(option => option.element.value)
+            .should.eql(['', 'a', 'b']);
+          options.map(option => option.text().trim())
+            .should.eql(['(Select a choice)', 'Apple', 'Banana']);
+        }));
+
+    it('shows an input for a field without choices', () =>
+      loadWithChoices()
+        .afterResponses(async (component) => {
+          await addCondition(component);
+          component.first('.condition-value').element.tagName
+            .should.equal('INPUT');
+          const options = component.find('.condition-operator option');
+          options.map(option => option.element.value)
+            .should.eql(['eq', 'ne', 'contains']);
+        }));
+
+    it('sends a request after a choice is selected', () =>
+      loadWithChoices()
+        .complete()
+        .request(async (component) => {
+          await addCondition(component);
+          await trigger.changeValue(component, '.condition-field', '/c');
+          await trigger.changeValue(component, '.condition-operator', 'ne');
+          return trigger.changeValue(component, '.condition-value', 'b');
+        })
+        .beforeEachResponse((_, { url }) => {
+          filterParam(url).should.equal("c ne 'b'");
+        })
+        .respondWithData(() => testData.submissionOData(0)));
+  });
+
+  it('passes the filter to SubmissionDownloadDropdown', () =>
+    loadSubmissionList()
+      .complete()
+      .request(async (component) => {
+        await addCondition(component);
+        return trigger.changeValue(component, '.condition-value', 'foo');
+      })
+      .respondWithData(() => testData.submissionOData(0))
+      .afterResponse(component => {
+        const href = component.first('#submission-download-dropdown a')
+          .getAttribute('href');
+        filterParam(href).should.equal("s eq 'foo'");
+      }));
+});
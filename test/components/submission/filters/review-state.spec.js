@@ -0,0 +1,40 @@
+import sinon from 'sinon';
+
+import SubmissionFiltersReviewState from '../../../../src/components/submission/filters/review-state.vue';
+
+import { mount } from '../../../util/lifecycle';
+import { trigger } from '../../../util/event';
+
+const mountComponent = ({ value = '' } = {}) =>
+  mount(SubmissionFiltersReviewState, {
+    propsData: { value }
+  });
+
+describe('SubmissionFiltersReviewState', () => {
+  it('renders the correct options', () => {
+    const options = mountComponent().find('option');
+    options.map(option => option.getAttribute('value')).should.eql([
+      '',
+      'received',
+      'hasIssues',
+      'edited',
+      'approved',
+      'rejected'
+    ]);
+    options[0].text().trim().should.equal('(Any state)');
+    options[2].text().trim().should.equal('Has issues');
+  });
+
+  it('sets the value of the select element to the value prop', () => {
+    const select = mountComponent({ value: 'approved' }).first('select');
+    select.element.value.should.equal('approved');
+  });
+
+  it('emits an input event', () => {
+    const component = mountComponent();
+    const $emit = sinon.fake();
+    sinon.replace(component.vm, '$emit', $emit);
+    trigger.changeValue(component, 'select', 'rejected');
+    $emit.calledWith('input', 'rejected').should.be.true();
+  });
+});
@@ -0,0 +1,119 @@
+import SubmissionGallery from '../../../src/components/submission/gallery.vue';
+import SubmissionLightbox from '../../../src/components/submission/lightbox.vue';
+
+import Field from '../../../src/presenters/field';
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+
+const mountComponent = (propsData = {}) => mount(SubmissionGallery, {
+  propsData: {
+    baseUrl: '/v1/projects/1/forms/f',
+    formVersion: new Form(testData.extendedForms.last()),
+    submissions: testData.submissionOData().value,
+    fields: testData.extendedForms.last()._fields
+      .filter(field => field.binary === true)
+      .map(field => new Field(field)),
+    ...propsData
+  }
+});
+
+describe('SubmissionGallery', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.binary('/b1'), testData.fields.binary('/b2')],
+      submissions: 2
+    });
+  });
+
+  it('shows an item for each file', () => {
+    testData.extendedSubmissions
+      .createPast(1, { instanceId: 'a b', b1: 'c.jpg', b2: null })
+      .createPast(1, { instanceId: 'd', b1: 'e.mp4', b2: 'f.csv' });
+    const items = mountComponent().find('.submission-gallery-item');
+    items.length.should.equal(3);
+
+    items[0].find('video').length.should.equal(1);
+    items[0].first('video').getAttribute('src').should.equal('/v1/projects/1/forms/f/submissions/d/attachments/e.mp4');
+    items[0].first('.submission-gallery-field').text().trim().should.equal('b1');
+
+    items[1].find('.submission-gallery-preview .icon-file-o').length.should.equal(1);
+    items[1].first('.submission-gallery-filename').text().should.equal('f.csv');
+    items[1].first('.submission-gallery-field').text().trim().should.equal('b2');
+
+    const img = items[2].first('.submission-gallery-preview img');
+    img.getAttribute('src').should.equal('/v1/projects/1/forms/f/submissions/a%20b/attachments/c.jpg');
+    const a = items[2].first('.submission-gallery-submission');
+    a.getAttribute('href').should.equal('#/projects/1/forms/f/submissions/a%20b');
+    a.text().trim().should.equal('a b');
+  });
+
+  it('does not show files of an encrypted submission', () => {
+    testData.extendedSubmissions
+      .createPast(1, { b1: 'a.jpg', b2: null })
+      .createPast(1, { status: 'notDecrypted', b1: 'b.jpg', b2: null });
+    const items = mountComponent().find('.submission-gallery-item');
+    items.length.should.equal(1);
+    items[0].first('img').getAttribute('alt').should.equal('a.jpg');
+  });
+
+  it('shows a message if there are no files', () => {
+    testData.extendedSubmissions.createPast(2, { b1: null, b2: null });
+    const component = mountComponent();
+    component.find('.submission-gallery-item').length.should.equal(0);
+    component.find('.empty-table-message').length.should.equal(1);
+  });
+
+  describe('lightbox', () => {
+    beforeEach(() => {
+      testData.extendedSubmissions
+        .createPast(1, { instanceId: 'a', b1: 'c.jpg', b2: 'd.mp3' })
+        .createPast(1, { instanceId: 'b', b1: 'e.png', b2: null });
+    });
+
+    it('shows the lightbox after the field of a file is clicked', async () => {
+      const component = mountComponent();
+      const lightbox = component.first(SubmissionLightbox);
+      lightbox.getProp('state').should.be.false();
+      await trigger.click(component, '.submission-gallery-item:nth-child(3) .submission-gallery-field');
+      lightbox.getProp('state').should.be.true();
+      lightbox.getProp('index').should.equal(2);
+      lightbox.first('#submission-lightbox-media audio').getAttribute('src')
+        .should.equal('/v1/projects/1/forms/f/submissions/a/attachments/d.mp3');
+      lightbox.first('#submission-lightbox-position').text().trim()
+        .should.equal('3 of 3');
+      lightbox.first('#submission-lightbox-submission').getAttribute('href')
+        .should.equal('#/projects/1/forms/f/submissions/a');
+    });
+
+    it('steps through the files', async () => {
+      const component = mountComponent();
+      await trigger.click(component, '.submission-gallery-field');
+      const lightbox = component.first(SubmissionLightbox);
+      lightbox.getProp('index').should.equal(0);
+      const buttons = lightbox.find('#submission-lightbox-nav button');
+      buttons[0].hasAttribute('disabled').should.be.true();
+      await trigger.click(buttons[1]);
+      lightbox.getProp('index').should.equal(1);
+      lightbox.first('#submission-lightbox-media img').getAttribute('src')
+        .should.equal('/v1/projects/1/forms/f/submissions/a/attachments/c.jpg');
+      await trigger.click(buttons[1]);
+      lightbox.getProp('index').should.equal(2);
+      buttons[1].hasAttribute('disabled').should.be.true();
+      await trigger.click(buttons[0]);
+      lightbox.getProp('index').should.equal(1);
+    });
+
+    it('hides the lightbox after the close button is clicked', async () => {
+      const component = mountComponent();
+      await trigger.click(component, '.submission-gallery-preview');
+      const lightbox = component.first(SubmissionLightbox);
+      await trigger.click(lightbox, '.modal-actions .btn-link');
+      lightbox.getProp('state').should.be.false();
+    });
+  });
+});
@@ -0,0 +1,300 @@
+import sinon from 'sinon';
+
+import Field from '../../../src/presenters/field';
+import Form from '../../../src/presenters/form';
+import SubmissionImport from '../../../src/components/submission/import.vue';
+import zip from '../../../src/util/zip';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+import { waitUntil } from '../../util/util';
+
+const instanceXml = (instanceId, body = '', version = 'v1') =>
+  `<data id="f" version="${version}"><meta><instanceID>${instanceId}</instanceID></meta>${body}</data>`;
+// Returns the files of a Briefcase export with a submission for each instance
+// ID. Each submission has a single media file.
+const briefcaseFiles = (instanceIds) => instanceIds.reduce(
+  (files, instanceId, i) => [
+    ...files,
+    {
+      name: `f/instances/${i}/submission.xml`,
+      content: instanceXml(instanceId, `<photo>${i}.jpg</photo>`)
+    },
+    { name: `f/instances/${i}/${i}.jpg`, content: 'x' }
+  ],
+  []
+);
+
+const mountOptions = () => ({
+  propsData: {
+    state: true,
+    formVersion: new Form(testData.extendedForms.last()),
+    fields: testData.extendedForms.last()._fields
+      .map(field => new Field(field))
+  }
+});
+const selectZip = (modal, files) => {
+  const file = new File([zip(files)], 'export.zip');
+  const input = modal.first('input[type="file"]');
+  $(input.element).trigger($.Event('change', { target: { files: [file] } }));
+  return modal;
+};
+// Selects a zip, then responds with the submissions that are on the server.
+const preview = (files) => mockHttp()
+  .mount(SubmissionImport, mountOptions())
+  .request(modal => selectZip(modal, files))
+  .respondWithData(() => testData.submissionOData());
+// Returns options for afterResponses() that wait for the zip to be read or for
+// the upload to stop.
+const waitForStep = (step) => (callback = (modal) => modal) => ({
+  pollWork: (modal) => modal.data().step !== step,
+  callback: (modal) => modal.vm.$nextTick().then(() => callback(modal))
+});
+const afterRead = waitForStep('reading');
+const afterUpload = waitForStep('uploading');
+const itemStatuses = (modal) => modal.find('#submission-import-items tbody tr')
+  .map(tr => tr.find('td').map(td => td.text().trim()));
+
+describe('SubmissionImport', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1);
+  });
+
+  describe('preview', () => {
+    it('shows the submissions of a Briefcase export', () => {
+      testData.extendedSubmissions
+        .createPast(1, {
+          instanceId: 'uuid:2',
+          attachmentsPresent: 1,
+          attachmentsExpected: 1
+        })
+        .createPast(1, {
+          instanceId: 'uuid:3',
+          attachmentsPresent: 0,
+          attachmentsExpected: 1
+        });
+      const files = [
+        ...briefcaseFiles(['uuid:1', 'uuid:2', 'uuid:3']),
+        {
+          name: 'f/instances/other/submission.xml',
+          content: instanceXml('uuid:4', '', 'v2')
+        }
+      ];
+      return mockHttp()
+        .mount(SubmissionImport, mountOptions())
+        .request(modal => selectZip(modal, files))
+        .beforeEachResponse((_, { url }) => {
+          url.should.equal('/v1/projects/1/forms/f.svc/Submissions?%24select=__id%2C__system');
+        })
+        .respondWithData(() => testData.submissionOData())
+        .afterResponses(afterRead(modal => {
+          const summary = modal.first('#submission-import-summary');
+          summary.first('p').text().should.equal('This is an ODK Briefcase export.');
+          summary.find('li').map(li => li.text().trim()).should.eql([
+            '1 Submission will be imported.',
+            '1 Submission is already on this server but is missing media files, which will be imported.',
+            '1 Submission is already on this server and will be skipped.',
+            '1 Submission cannot be imported.'
+          ]);
+          itemStatuses(modal).should.eql([
+            ['uuid:1', '1', 'New'],
+            ['uuid:2', '1', 'Already on this server'],
+            ['uuid:3', '1', 'Missing media files']
+          ]);
+          const invalid = modal.find('#submission-import-invalid tbody td');
+          invalid.map(td => td.text().trim()).should.eql([
+            'f/instances/other',
+            'The Submission is for a different version of the Form.'
+          ]);
+          const button = modal.first('.modal-actions .btn-primary');
+          button.text().trim().should.equal('Import 2 Submissions');
+        }));
+    });
+
+    it('shows the submissions of a Central export', () =>
+      preview([
+        {
+          name: 'f.csv',
+          content: 'meta-instanceID,s,KEY,FormVersion\nuuid:1,a,uuid:1,v1\n'
+        }
+      ])
+        .afterResponses(afterRead(modal => {
+          const summary = modal.first('#submission-import-summary p');
+          summary.text().should.equal('This is a Central export.');
+          itemStatuses(modal).should.eql([['uuid:1', '0', 'New']]);
+        })));
+
+    it('shows an alert for a zip that is not an export', () =>
+      mockHttp()
+        .mount(SubmissionImport, mountOptions())
+        .testNoRequest(async (modal) => {
+          selectZip(modal, [{ name: 'a.txt', content: 'x' }]);
+          await waitUntil(() => modal.data().step === 'select');
+          modal.should.alert('danger', 'The .zip file is neither an ODK Briefcase export nor a Central export.');
+        }));
+
+    it('shows an alert for a file that is not a zip', () =>
+      mockHttp()
+        .mount(SubmissionImport, mountOptions())
+        .testNoRequest(async (modal) => {
+          const input = modal.first('input[type="file"]');
+          const target = { files: [new File(['x'], 'a.zip')] };
+          $(input.element).trigger($.Event('change', { target }));
+          await waitUntil(() => modal.data().step === 'select');
+          modal.should.alert('danger', /^The file could not be read\./);
+        }));
+
+    it('returns to the first step after the back button is clicked', () =>
+      preview(briefcaseFiles(['uuid:1']))
+        .afterResponses(afterRead(async (modal) => {
+          await trigger.click(modal, '#submission-import-back-button');
+          modal.data().step.should.equal('select');
+          modal.find('#submission-import-items').length.should.equal(0);
+        })));
+  });
+
+  describe('upload', () => {
+    it('uploads each submission that is not complete on the server', () => {
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'uuid:2',
+        attachmentsPresent: 0,
+        attachmentsExpected: 1
+      });
+      return preview(briefcaseFiles(['uuid:1', 'uuid:2']))
+        .afterResponses(afterRead())
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .beforeEachResponse((modal, { method, url, headers, data }, i) => {
+          method.should.equal('POST');
+          url.should.equal([
+            '/v1/projects/1/forms/f/submissions',
+            '/v1/projects/1/forms/f/submissions/uuid%3A1/attachments/0.jpg',
+            '/v1/projects/1/forms/f/submissions/uuid%3A2/attachments/1.jpg'
+          ][i]);
+          headers['Content-Type'].should.equal(i === 0
+            ? 'application/xml'
+            : 'image/jpeg');
+          if (i === 0)
+            data.should.equal(instanceXml('uuid:1', '<photo>0.jpg</photo>'));
+          else
+            (data instanceof Uint8Array).should.be.true();
+        })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          modal.data().step.should.equal('done');
+          itemStatuses(modal).should.eql([
+            ['uuid:1', '1', 'Imported'],
+            ['uuid:2', '1', 'Imported']
+          ]);
+          const progress = modal.first('#submission-import-progress p');
+          progress.text().should.equal('2 of 2 Submissions processed.');
+        }));
+    });
+
+    it('uploads media files if the submission already exists', () =>
+      preview(briefcaseFiles(['uuid:1']))
+        .afterResponses(afterRead())
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .respondWithProblem(409.3)
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          itemStatuses(modal).should.eql([['uuid:1', '1', 'Imported']]);
+        })));
+
+    it('continues after a Problem', () =>
+      preview(briefcaseFiles(['uuid:1', 'uuid:2']))
+        .afterResponses(afterRead())
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .respondWithProblem({ code: 400.2, message: 'Invalid XML.' })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          itemStatuses(modal).should.eql([
+            ['uuid:1', '1', 'Failed'],
+            ['uuid:2', '1', 'Imported']
+          ]);
+          const td = modal.find('#submission-import-items tbody td')[2];
+          td.getAttribute('title').should.equal('Invalid XML.');
+          const progress = modal.first('#submission-import-progress p');
+          progress.text().should.equal('2 of 2 Submissions processed. 1 Submission failed.');
+        })));
+
+    it('pauses after a request fails without a Problem, then resumes', () =>
+      preview(briefcaseFiles(['uuid:1', 'uuid:2']))
+        .afterResponses(afterRead())
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .respondWithSuccess()
+        // The response is not a Problem, because it does not have a message.
+        .respondWithProblem({ code: 500 })
+        .afterResponses(afterUpload(modal => {
+          modal.data().step.should.equal('paused');
+          modal.should.alert('danger');
+          const progress = modal.first('#submission-import-progress p');
+          progress.text().should.equal('0 of 2 Submissions processed.');
+          const button = modal.first('.modal-actions .btn-primary');
+          button.text().trim().should.equal('Resume');
+        }))
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .respondWithProblem(409.3)
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          modal.data().step.should.equal('done');
+          itemStatuses(modal).should.eql([
+            ['uuid:1', '1', 'Imported'],
+            ['uuid:2', '1', 'Imported']
+          ]);
+        })));
+
+    it('pauses after the pause button is clicked', () =>
+      preview(briefcaseFiles(['uuid:1', 'uuid:2']))
+        .afterResponses(afterRead())
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .beforeEachResponse((modal, config, i) => {
+          if (i === 0) return trigger.click(modal, '.modal-actions .btn-default');
+          return null;
+        })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          modal.data().step.should.equal('paused');
+          itemStatuses(modal).should.eql([
+            ['uuid:1', '1', 'Imported'],
+            ['uuid:2', '1', 'New']
+          ]);
+        }))
+        .request(trigger.click('.modal-actions .btn-primary'))
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          modal.data().step.should.equal('done');
+        })));
+
+    it('emits an uploaded event', () =>
+      preview(briefcaseFiles(['uuid:1']))
+        .afterResponses(afterRead())
+        .request(modal => {
+          sinon.replace(modal.vm, '$emit', sinon.fake());
+          return trigger.click(modal, '.modal-actions .btn-primary');
+        })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .afterResponses(afterUpload(modal => {
+          modal.vm.$emit.calledWith('uploaded').should.be.true();
+        })));
+  });
+
+  it('resets after the modal is hidden', () =>
+    preview(briefcaseFiles(['uuid:1']))
+      .afterResponses(afterRead(async (modal) => {
+        modal.setProps({ state: false });
+        await modal.vm.$nextTick();
+        modal.data().step.should.equal('select');
+        modal.data().items.length.should.equal(0);
+      })));
+});
@@ -0,0 +1,42 @@
+import sinon from 'sinon';
+
+import SubmissionLanguageSelect from '../../../src/components/submission/language-select.vue';
+
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+
+const mountComponent = (propsData) =>
+  mount(SubmissionLanguageSelect, { propsData });
+const optionText = (component) =>
+  component.find('option').map(option => option.text().trim());
+
+describe('SubmissionLanguageSelect', () => {
+  it('shows an option for each language', () => {
+    const component = mountComponent({
+      value: 'English',
+      languages: ['English', 'Français']
+    });
+    optionText(component).should.eql(['English', 'Français', 'Field Names']);
+    component.first('select').element.value.should.equal('English');
+  });
+
+  it('shows a single option for labels if there are no languages', () => {
+    const component = mountComponent({ value: '', languages: [] });
+    optionText(component).should.eql(['Labels', 'Field Names']);
+  });
+
+  it('emits an input event', async () => {
+    const component = mountComponent({
+      value: 'English',
+      languages: ['English', 'Français']
+    });
+    const $emit = sinon.fake();
+    sinon.replace(component.vm, '$emit', $emit);
+    await trigger.changeValue(component, 'select', 'Français');
+    $emit.calledWith('input', 'Français').should.be.true();
+    const select = component.first('select');
+    select.element.selectedIndex = 2;
+    select.trigger('change');
+    $emit.calledWith('input', null).should.be.true();
+  });
+});
@@ -1,9 +1,15 @@
+import sinon from 'sinon';
+
+import SubmissionDownloadDropdown from '../../../src/components/submission/download-dropdown.vue';
+import SubmissionExport from '../../../src/components/submission/export.vue';
 import SubmissionList from '../../../src/components/submission/list.vue';
+import SubmissionTable from '../../../src/components/submission/table.vue';
 import Spinner from '../../../src/components/spinner.vue';
 
 import Form from '../../../src/presenters/form';
 
 import testData from '../../data';
+import { fakeSetTimeout } from '../../util/util';
 import { load, mockHttp } from '../../util/http';
 import { mockLogin } from '../../util/session';
 import { trigger } from '../../util/event';
@@ -553,5 +559,793 @@ describe('SubmissionList', () => {
         });
       });
     });
+
+    describe('sort', () => {
+      const orderby = ({ url }) => new URL(url, window.location.origin)
+        .searchParams.get('$orderby');
+
+      it('sorts by a field after its header is clicked', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.group('/g'), testData.fields.int('/g/i')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { g: { i: 1 } });
+        return loadSubmissionList()
+          .complete()
+          .request(trigger.click('#submission-table2 .submission-table-sort'))
+          .beforeEachResponse((component, config) => {
+            orderby(config).should.equal('g/i asc,__id');
+            component.vm.sort.should.eql({ path: 'g/i', desc: false });
+          })
+          .respondWithData(testData.submissionOData)
+          .complete()
+          .request(trigger.click('#submission-table2 .submission-table-sort'))
+          .beforeEachResponse((_, config) => {
+            orderby(config).should.equal('g/i desc,__id');
+          })
+          .respondWithData(testData.submissionOData)
+          .complete()
+          .request(trigger.click('#submission-table2 .submission-table-sort'))
+          .beforeEachResponse((_, config) => {
+            should.not.exist(orderby(config));
+          })
+          .respondWithData(testData.submissionOData);
+      });
+
+      it('sorts by submission date in ascending order first', () => {
+        createSubmissions(1);
+        return loadSubmissionList()
+          .complete()
+          .request(component => {
+            const links = component.find('#submission-table1 .submission-table-sort');
+            return trigger.click(links[links.length - 1]);
+          })
+          .beforeEachResponse((_, config) => {
+            orderby(config).should.equal('__system/submissionDate asc,__id');
+          })
+          .respondWithData(testData.submissionOData);
+      });
+
+      it('does not specify a second sort for the instance ID', () => {
+        createSubmissions(1);
+        return loadSubmissionList()
+          .complete()
+          .request(component => {
+            const links = component.find('#submission-table2 .submission-table-sort');
+            return trigger.click(links[links.length - 1]);
+          })
+          .beforeEachResponse((_, config) => {
+            orderby(config).should.equal('__id asc');
+          })
+          .respondWithData(testData.submissionOData);
+      });
+
+      it('shows a new submission that is sorted after the shown submissions', () => {
+        createSubmissions(3);
+        return loadSubmissionList(() => 2)
+          .complete()
+          .request(component => {
+            component.vm.sortBy({ path: '__id', desc: false });
+          })
+          .respondWithData(() => testData.submissionOData(2, 0))
+          .complete()
+          .request(component => {
+            component.vm.onScroll();
+          })
+          .respondWithData(() => {
+            const submissions = testData.extendedSubmissions.sorted();
+            const newSubmission = testData.extendedSubmissions
+              .createNew({ instanceId: 'new' });
+            // A submission that is already shown, then the new submission
+            return {
+              '@odata.count': 4,
+              value: [submissions[1]._odata, newSubmission._odata]
+            };
+          })
+          .afterResponse(component => {
+            const ids = component.find('#submission-table2 tbody tr')
+              .map(row => row.find('td').pop().text().trim());
+            ids.length.should.equal(3);
+            ids[2].should.equal('new');
+            component.vm.originalCount.should.equal(4);
+          })
+          // All 4 submissions have been skipped, so no request is sent, even
+          // though only 3 are shown.
+          .testNoRequest(component => {
+            component.vm.onScroll();
+          });
+      });
+
+      it('returns to the default order after the table is changed', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.repeat('/r'), testData.fields.int('/r/i')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .complete()
+          .request(component => {
+            component.vm.sortBy({ path: '__id', desc: false });
+          })
+          .respondWithData(testData.submissionOData)
+          .complete()
+          .request(trigger.changeValue('#submission-table-select select', 'Submissions.r'))
+          .beforeEachResponse((component, config) => {
+            should.not.exist(orderby(config));
+            should.not.exist(component.vm.sort);
+          })
+          .respondWithData(() => ({ '@odata.count': 0, value: [] }));
+      });
+    });
+
+    describe('gallery', () => {
+      it('does not show the toggle if there are no binary fields', () => {
+        createSubmissions(1);
+        return loadSubmissionList().afterResponses(component => {
+          component.find('#submission-list-display').length.should.equal(0);
+        });
+      });
+
+      it('toggles between the table and the gallery', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.binary('/b')],
+          submissions: 2
+        });
+        testData.extendedSubmissions.createPast(2, { b: 'a.jpg' });
+        return loadSubmissionList()
+          .afterResponses(component => {
+            component.find('#submission-table1').length.should.equal(1);
+            component.find('#submission-gallery').length.should.equal(0);
+            return trigger.click(component, '#submission-list-display button:last-child');
+          })
+          .then(component => {
+            component.find('#submission-table1').length.should.equal(0);
+            component.find('.submission-gallery-item').length.should.equal(2);
+            return trigger.click(component, '#submission-list-display button');
+          })
+          .then(component => {
+            component.find('#submission-table1').length.should.equal(1);
+            component.find('#submission-gallery').length.should.equal(0);
+          });
+      });
+    });
+
+    describe('map', () => {
+      it('shows a toggle with each display', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.binary('/b'), testData.fields.geopoint('/p')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList().afterResponses(component => {
+          const text = component.find('#submission-list-display button')
+            .map(button => button.text().trim());
+          text.should.eql(['Table', 'Gallery', 'Map']);
+        });
+      });
+
+      it('toggles between the table and the map', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.geopoint('/p')],
+          submissions: 2
+        });
+        testData.extendedSubmissions.createPast(2);
+        return loadSubmissionList()
+          .afterResponses(component => {
+            component.find('#submission-list-display button').length
+              .should.equal(2);
+            return trigger.click(component, '#submission-list-display button:last-child');
+          })
+          .then(component => {
+            component.find('#submission-table1').length.should.equal(0);
+            component.find('#submission-map').length.should.equal(1);
+            return trigger.click(component, '#submission-list-display button');
+          })
+          .then(component => {
+            component.find('#submission-table1').length.should.equal(1);
+            component.find('#submission-map').length.should.equal(0);
+          });
+      });
+
+      it('fetches the remaining chunks', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.geopoint('/p')],
+          submissions: 3
+        });
+        testData.extendedSubmissions.createPast(3);
+        return loadSubmissionList(() => 1, false)
+          .complete()
+          .request(trigger.click('#submission-list-display button:last-child'))
+          .beforeEachResponse((component, { url }, index) => {
+            url.should.match(new RegExp(`[?&]%24skip=${index + 1}(&|$)`));
+          })
+          .respondWithData(() => testData.submissionOData(1, 1))
+          .respondWithData(() => testData.submissionOData(1, 2))
+          .afterResponses(component => {
+            component.vm.submissions.length.should.equal(3);
+          });
+      });
+    });
+
+    describe('export', () => {
+      it('passes the OData feed of the table to SubmissionExport', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.geopoint('/p')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList().afterResponses(component => {
+          component.first(SubmissionDownloadDropdown).getProp('exportsGeodata')
+            .should.be.true();
+          const modal = component.first(SubmissionExport);
+          modal.getProp('odataUrl').should.equal('/v1/projects/1/forms/f.svc/Submissions');
+          modal.getProp('odataQuery').should.eql({});
+          modal.getProp('geoFields').map(field => field.path)
+            .should.eql(['/p']);
+        });
+      });
+
+      it('shows the modal after an export link is clicked', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.geopoint('/p')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .afterResponses(component =>
+            trigger.click(component, '.submission-download-dropdown-export[data-format="kml"]'))
+          .then(component => {
+            const modal = component.first(SubmissionExport);
+            modal.getProp('state').should.be.true();
+            modal.getProp('format').should.equal('kml');
+          });
+      });
+    });
+
+    describe('analyze', () => {
+      it('emits the table and the query for SubmissionAnalyze', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [
+            testData.fields.int('/a'),
+            testData.fields.int('/b'),
+            testData.fields.group('/g'),
+            testData.fields.int('/g/c')
+          ]
+        });
+        return loadSubmissionList().afterResponses(async (component) => {
+          const $emit = sinon.fake();
+          sinon.replace(component.vm, '$emit', $emit);
+          const { vm } = component;
+          vm.selectedFields = vm.tableFields
+            .filter(field => field.path !== '/b');
+          await vm.$nextTick();
+          $emit.calledWith('analyze-table', {
+            table: 'Submissions',
+            odataQuery: { $select: '__id,__system,a,g/c' }
+          }).should.be.true();
+        });
+      });
+
+      it('does not include $select if all fields are selected', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.int('/a'), testData.fields.int('/b')]
+        });
+        return loadSubmissionList().afterResponses(component => {
+          component.vm.analyzedTable.should.eql({
+            table: 'Submissions',
+            odataQuery: {}
+          });
+        });
+      });
+    });
+
+    describe('labels', () => {
+      const xml = testData.xform({
+        model: `<itext>
+          <translation lang="English" default="true()">
+            <text id="/data/q:label"><value>Question</value></text>
+            <text id="/data/s/a:label"><value>Apple</value></text>
+            <text id="/data/s/b:label"><value>Banana</value></text>
+          </translation>
+          <translation lang="Français">
+            <text id="/data/q:label"><value>Question (fr)</value></text>
+            <text id="/data/s/a:label"><value>Pomme</value></text>
+            <text id="/data/s/b:label"><value>Banane</value></text>
+          </translation>
+        </itext>`,
+        body: `<input ref="/data/q"><label ref="jr:itext('/data/q:label')"/></input>
+          <select ref="/data/s">
+            <item><label ref="jr:itext('/data/s/a:label')"/><value>a</value></item>
+            <item><label ref="jr:itext('/data/s/b:label')"/><value>b</value></item>
+          </select>`
+      });
+      const loadWithLabels = (formXml = xml) => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.string('/q'), testData.fields.string('/s')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { q: 'x', s: 'a b' });
+        const form = testData.extendedForms.last();
+        return mockHttp()
+          .mount(SubmissionList, {
+            propsData: {
+              baseUrl: '/v1/projects/1/forms/f',
+              formVersion: new Form(form),
+              showsLabels: true
+            },
+            requestData: { keys: [] }
+          })
+          .respondWithData(() => form._fields)
+          .respondWithData(testData.submissionOData)
+          .respondWithData(() => formXml);
+      };
+      const headers = (component) => component.find('#submission-table2 th')
+        .slice(0, 2)
+        .map(th => th.text().trim());
+      const selectCell = (component) =>
+        component.find('#submission-table2 td')[1];
+      // The value of a select_multiple field is shown as a chip for each
+      // choice.
+      const chips = (component) => selectCell(component)
+        .find('.submission-chip')
+        .map(chip => chip.text());
+
+      it('fetches the form XML', () =>
+        loadWithLabels().beforeEachResponse((component, { url }, index) => {
+          if (index === 2) url.should.equal('/v1/projects/1/forms/f.xml');
+        }));
+
+      it('shows the labels of the fields in the default language', () =>
+        loadWithLabels().afterResponses(component => {
+          headers(component).should.eql(['Question', 's']);
+          const th = component.first('#submission-table2 th');
+          th.getAttribute('title').should.equal('q');
+        }));
+
+      it('shows the labels of the choices', () =>
+        loadWithLabels().afterResponses(component => {
+          chips(component).should.eql(['Apple', 'Banana']);
+          selectCell(component).getAttribute('title').should.equal('a b');
+        }));
+
+      it('shows labels in the selected language', () =>
+        loadWithLabels()
+          .afterResponses(component => trigger.changeValue(
+            component,
+            '#submission-language-select select',
+            'Français'
+          ))
+          .then(component => {
+            headers(component).should.eql(['Question (fr)', 's']);
+            chips(component).should.eql(['Pomme', 'Banane']);
+          }));
+
+      it('shows names if the user selects them', () =>
+        loadWithLabels()
+          .afterResponses(component => {
+            const select = component.first('#submission-language-select select');
+            select.element.selectedIndex = 2;
+            select.trigger('change');
+            return component.vm.$nextTick().then(() => component);
+          })
+          .then(component => {
+            headers(component).should.eql(['q', 's']);
+            chips(component).should.eql(['a', 'b']);
+          }));
+
+      it('does not show the language select if there are no labels', () =>
+        loadWithLabels(testData.xform()).afterResponses(component => {
+          component.find('#submission-language-select').length.should.equal(0);
+          headers(component).should.eql(['q', 's']);
+        }));
+
+      it('uses the controls of a repeat table', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [
+            testData.fields.int('/i'),
+            testData.fields.repeat('/r'),
+            testData.fields.int('/r/i')
+          ],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { i: 2 });
+        const form = testData.extendedForms.last();
+        const formXml = testData.xform({
+          body: `<input ref="/data/i"><label>Number</label></input>
+            <group ref="/data/r">
+              <repeat nodeset="/data/r">
+                <range ref="/data/r/i" start="1" end="5">
+                  <label>Range</label>
+                </range>
+              </repeat>
+            </group>`
+        });
+        return mockHttp()
+          .mount(SubmissionList, {
+            propsData: {
+              baseUrl: '/v1/projects/1/forms/f',
+              formVersion: new Form(form),
+              showsLabels: true
+            },
+            requestData: { keys: [] }
+          })
+          .respondWithData(() => form._fields)
+          .respondWithData(testData.submissionOData)
+          .respondWithData(() => formXml)
+          .afterResponses(component => {
+            component.find('#submission-table2 .range-meter').length
+              .should.equal(0);
+          })
+          .request(trigger.changeValue('#submission-table-select select', 'Submissions.r'))
+          .respondWithData(() => ({
+            '@odata.count': 1,
+            value: [{
+              __id: 'r1',
+              '__Submissions-id': testData.extendedSubmissions.last().instanceId,
+              i: 3
+            }]
+          }))
+          .afterResponse(component => {
+            component.find('#submission-table2 .range-meter').length
+              .should.equal(1);
+          });
+      });
+
+      it('shows the labels of a repeat table', () => {
+        // The fields of the repeat group have the same names as the top-level
+        // fields.
+        testData.extendedForms.createPast(1, {
+          fields: [
+            testData.fields.string('/q'),
+            testData.fields.string('/s'),
+            testData.fields.repeat('/r'),
+            testData.fields.string('/r/q'),
+            testData.fields.string('/r/s')
+          ],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { q: 'x', s: 'a' });
+        const form = testData.extendedForms.last();
+        const formXml = testData.xform({
+          body: `<input ref="/data/q"><label>Question</label></input>
+            <select ref="/data/s">
+              <label>Fruit</label>
+              <item><label>Apple</label><value>a</value></item>
+            </select>
+            <group ref="/data/r">
+              <repeat nodeset="/data/r">
+                <input ref="/data/r/q"><label>Repeat question</label></input>
+                <select ref="/data/r/s">
+                  <item><label>Avocado</label><value>a</value></item>
+                </select>
+              </repeat>
+            </group>`
+        });
+        return mockHttp()
+          .mount(SubmissionList, {
+            propsData: {
+              baseUrl: '/v1/projects/1/forms/f',
+              formVersion: new Form(form),
+              showsLabels: true
+            },
+            requestData: { keys: [] }
+          })
+          .respondWithData(() => form._fields)
+          .respondWithData(testData.submissionOData)
+          .respondWithData(() => formXml)
+          .afterResponses(component => {
+            headers(component).should.eql(['Question', 'Fruit']);
+            chips(component).should.eql(['Apple']);
+          })
+          .request(trigger.changeValue('#submission-table-select select', 'Submissions.r'))
+          .respondWithData(() => ({
+            '@odata.count': 1,
+            value: [{
+              __id: 'r1',
+              '__Submissions-id': testData.extendedSubmissions.last().instanceId,
+              q: 'y',
+              s: 'a'
+            }]
+          }))
+          .afterResponse(component => {
+            headers(component).should.eql(['Repeat question', 's']);
+            chips(component).should.eql(['Avocado']);
+          });
+      });
+    });
+
+    describe('column layout', () => {
+      const layoutKey = () =>
+        `submissionLayout:${testData.extendedUsers.first().id}:/v1/projects/1/forms/f`;
+      const fieldPaths = (component) => component.first(SubmissionTable)
+        .getProp('fields').map(field => field.path);
+
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [
+            testData.fields.string('/s1'),
+            testData.fields.string('/s2'),
+            testData.fields.string('/s3')
+          ],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1);
+      });
+
+      it('uses the saved layout', () => {
+        localStorage.setItem(layoutKey(), JSON.stringify({
+          fields: { Submissions: ['/s3', '/x', '/s1'] },
+          widths: { '/s1': 300 },
+          pinned: ['/s3']
+        }));
+        return loadSubmissionList().afterResponses(component => {
+          fieldPaths(component).should.eql(['/s3', '/s1']);
+          const table = component.first(SubmissionTable);
+          table.getProp('widths').should.eql({ '/s1': 300 });
+          [...table.getProp('pinned')].should.eql(['/s3']);
+        });
+      });
+
+      it('ignores an invalid layout', () => {
+        localStorage.setItem(layoutKey(), '{');
+        return loadSubmissionList().afterResponses(component => {
+          fieldPaths(component).should.eql(['/s1', '/s2', '/s3']);
+        });
+      });
+
+      it('saves the layout after a column is pinned and resized', () =>
+        loadSubmissionList().afterResponses(async (component) => {
+          const table = component.first(SubmissionTable);
+          table.vm.$emit('pin', { path: '/s2', pinned: true });
+          table.vm.$emit('resize', { path: '/s2', width: 300 });
+          await component.vm.$nextTick();
+          [...table.getProp('pinned')].should.eql(['/s2']);
+          table.getProp('widths').should.eql({ '/s2': 300 });
+          const saved = JSON.parse(localStorage.getItem(layoutKey()));
+          saved.pinned.should.eql(['/s2']);
+          saved.widths.should.eql({ '/s2': 300 });
+        }));
+
+      it('saves the metadata columns after they are selected', () =>
+        loadSubmissionList().afterResponses(async (component) => {
+          const dropdown = component.first('#submission-metadata-dropdown');
+          await trigger.check(dropdown.find('input')[1]);
+          const table = component.first(SubmissionTable);
+          [...table.getProp('metadata')].should.eql(['deviceId']);
+          const saved = JSON.parse(localStorage.getItem(layoutKey()));
+          saved.metadata.should.eql(['deviceId']);
+        }));
+
+      it('saves the order after the columns are reordered', () =>
+        loadSubmissionList()
+          .complete()
+          // Reordering the columns does not send a request.
+          .testNoRequest(async (component) => {
+            const table = component.first(SubmissionTable);
+            const fields = table.getProp('fields');
+            table.vm.$emit('reorder', [fields[2], fields[0], fields[1]]);
+            await component.vm.$nextTick();
+            fieldPaths(component).should.eql(['/s3', '/s1', '/s2']);
+            const saved = JSON.parse(localStorage.getItem(layoutKey()));
+            saved.fields.Submissions.should.eql(['/s3', '/s1', '/s2']);
+          }));
+    });
+
+    describe('new submissions', () => {
+      const param = ({ url }, name) => new URL(url, window.location.origin)
+        .searchParams.get(name);
+      const loadPollingList = (top = SubmissionList.props.top.default) => {
+        const form = testData.extendedForms.last();
+        return mockHttp()
+          .mount(SubmissionList, {
+            propsData: {
+              baseUrl: '/v1/projects/1/forms/f',
+              formVersion: new Form(form),
+              polls: true,
+              top,
+              scrolledToBottom: () => true
+            },
+            requestData: { keys: [] }
+          })
+          .respondWithData(() => form._fields)
+          .respondWithData(() => testData.submissionOData(top(0), 0));
+      };
+      // Shows one new submission whose instance ID is 'new'.
+      const showNewSubmission = (series, runAll) => series
+        .request(runAll)
+        .respondWithData(() => ({ '@odata.count': 1, value: [] }))
+        .complete()
+        .request(trigger.click('#submission-list-new-submissions a'))
+        .respondWithData(() => {
+          testData.extendedSubmissions.createNew({ instanceId: 'new' });
+          return testData.submissionOData(1, 0);
+        });
+
+      it('checks for new submissions', () => {
+        createSubmissions(2);
+        const { runAll } = fakeSetTimeout();
+        const newest = testData.submissionOData().value[0];
+        return loadPollingList()
+          .complete()
+          .request(runAll)
+          .beforeEachResponse((_, config) => {
+            config.url.should.startWith('/v1/projects/1/forms/f.svc/Submissions?');
+            param(config, '$top').should.equal('0');
+            param(config, '$count').should.equal('true');
+            param(config, '$filter').should.equal(`__system/submissionDate gt ${newest.__system.submissionDate}`);
+          })
+          .respondWithData(() => ({ '@odata.count': 0, value: [] }))
+          .afterResponse(component => {
+            component.find('#submission-list-new-submissions').length
+              .should.equal(0);
+          })
+          .request(runAll)
+          .respondWithData(() => ({ '@odata.count': 2, value: [] }))
+          .afterResponse(component => {
+            const text = component.first('#submission-list-new-submissions')
+              .text().trim();
+            text.should.equal('2 new Submissions — show them');
+          });
+      });
+
+      it('includes the filters in the check', () => {
+        createSubmissions(1);
+        const { runAll } = fakeSetTimeout();
+        return loadPollingList()
+          .complete()
+          .request(component => {
+            component.setData({
+              filters: { ...component.vm.filters, submitterId: '1' }
+            });
+          })
+          .respondWithData(testData.submissionOData)
+          .complete()
+          .request(runAll)
+          .beforeEachResponse((_, config) => {
+            param(config, '$filter').should.endWith(' and __system/submitterId eq 1');
+          })
+          .respondWithData(() => ({ '@odata.count': 0, value: [] }));
+      });
+
+      it('shows new submissions at the top of the table', () => {
+        createSubmissions(2);
+        const { runAll } = fakeSetTimeout();
+        return loadPollingList()
+          .complete()
+          .request(runAll)
+          .respondWithData(() => ({ '@odata.count': 1, value: [] }))
+          .complete()
+          .request(trigger.click('#submission-list-new-submissions a'))
+          .beforeEachResponse((_, config) => {
+            should.not.exist(param(config, '$top'));
+            param(config, '$filter').should.startWith('__system/submissionDate gt ');
+          })
+          .respondWithData(() => {
+            testData.extendedSubmissions.createNew({ instanceId: 'new' });
+            return testData.submissionOData(1, 0);
+          })
+          .afterResponse(component => {
+            component.find('#submission-list-new-submissions').length
+              .should.equal(0);
+            component.vm.originalCount.should.equal(3);
+            const rows = component.find('#submission-table2 tbody tr');
+            rows.length.should.equal(3);
+            rows[0].find('td').pop().text().trim().should.equal('new');
+            const rowNumbers = component.find('#submission-table1 .row-number')
+              .map(td => td.text());
+            rowNumbers.should.eql(['3', '2', '1']);
+          });
+      });
+
+      it('skips the new submissions when it fetches the next chunk', () => {
+        createSubmissions(3);
+        const { runAll } = fakeSetTimeout();
+        return showNewSubmission(loadPollingList(() => 2).complete(), runAll)
+          .afterResponse(component => {
+            component.vm.skip.should.equal(3);
+          })
+          .request(component => {
+            component.vm.onScroll();
+          })
+          .beforeEachResponse((_, config) => {
+            param(config, '$top').should.equal('2');
+            param(config, '$skip').should.equal('3');
+          })
+          .respondWithData(() => testData.submissionOData(2, 3))
+          .afterResponse(component => {
+            const ids = component.vm.submissions.map(({ __id }) => __id);
+            ids.should.eql(testData.extendedSubmissions.sorted()
+              .map(({ instanceId }) => instanceId));
+          });
+      });
+
+      it('skips fewer rows after a new submission is deleted', () => {
+        createSubmissions(3);
+        const { runAll } = fakeSetTimeout();
+        return showNewSubmission(loadPollingList(() => 2).complete(), runAll)
+          .afterResponse(component => {
+            component.vm.removeSubmissions(['new']);
+            component.vm.skip.should.equal(2);
+          })
+          .request(component => {
+            component.vm.onScroll();
+          })
+          .beforeEachResponse((_, config) => {
+            param(config, '$skip').should.equal('2');
+          })
+          .respondWithData(() => testData.submissionOData(1, 3));
+      });
+
+      it('counts only new submissions that are missing attachments', () => {
+        createSubmissions(1);
+        const { runAll } = fakeSetTimeout();
+        return loadPollingList()
+          .afterResponses(component => {
+            component.setData({
+              filters: { ...component.vm.filters, attachments: 'incomplete' }
+            });
+          })
+          .request(runAll)
+          .beforeEachResponse((_, config) => {
+            param(config, '$select').should.equal('__id,__system');
+            should.not.exist(param(config, '$top'));
+            param(config, '$filter').should.startWith('__system/submissionDate gt ');
+          })
+          .respondWithData(() => {
+            testData.extendedSubmissions.createNew({
+              attachmentsPresent: 0,
+              attachmentsExpected: 1
+            });
+            testData.extendedSubmissions.createNew({
+              attachmentsPresent: 1,
+              attachmentsExpected: 1
+            });
+            return testData.submissionOData(2, 0);
+          })
+          .afterResponse(component => {
+            const text = component.first('#submission-list-new-submissions')
+              .text().trim();
+            text.should.equal('1 new Submission — show it');
+          });
+      });
+
+      it('does not check for new submissions under a different sort', () => {
+        createSubmissions(1);
+        const { runAll } = fakeSetTimeout();
+        return loadPollingList()
+          .complete()
+          .request(component => {
+            component.vm.sortBy({ path: '__id', desc: false });
+          })
+          .respondWithData(testData.submissionOData)
+          .complete()
+          .testNoRequest(runAll);
+      });
+
+      it('does not check for new submissions while the page is hidden', () => {
+        createSubmissions(1);
+        const { runAll } = fakeSetTimeout();
+        return loadPollingList()
+          .afterResponses(() => {
+            Object.defineProperty(document, 'hidden', {
+              value: true,
+              configurable: true
+            });
+            document.dispatchEvent(new Event('visibilitychange'));
+          })
+          .testNoRequest(runAll)
+          .finally(() => {
+            delete document.hidden;
+          });
+      });
+
+      it('does not check for new submissions if polls is false', () => {
+        createSubmissions(1);
+        const { runAll } = fakeSetTimeout();
+        return loadSubmissionList()
+          .complete()
+          .testNoRequest(runAll);
+      });
+    });
   });
 });
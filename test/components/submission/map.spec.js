@@ -0,0 +1,190 @@
+import SubmissionMap from '../../../src/components/submission/map.vue';
+
+import Field from '../../../src/presenters/field';
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+
+const point = (lon, lat) => ({ type: 'Point', coordinates: [lon, lat] });
+const mountComponent = (propsData = {}) => {
+  const component = mount(SubmissionMap, {
+    propsData: {
+      formVersion: new Form(testData.extendedForms.last()),
+      submissions: testData.submissionOData().value,
+      fields: testData.extendedForms.last()._fields
+        .filter(field => field.type.startsWith('geo'))
+        .map(field => new Field(field)),
+      ...propsData
+    },
+    attachToDocument: true
+  });
+  // Set the size of the viewport in case the test environment does not lay
+  // out the component.
+  component.setData({ width: 600 });
+  component.vm.fit();
+  component.update();
+  return component;
+};
+// SVG elements do not have a click() method, so we use the avoriaz trigger()
+// method instead of trigger.click().
+const clickSvg = (wrapper) => {
+  wrapper.trigger('click');
+  return Promise.resolve(wrapper);
+};
+
+describe('SubmissionMap', () => {
+  beforeEach(mockLogin);
+
+  describe('points', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geopoint('/p')],
+        submissions: 4
+      });
+    });
+
+    it('shows a marker for each point', () => {
+      testData.extendedSubmissions
+        .createPast(1, { p: point(-70, 40) })
+        .createPast(1, { p: point(30, -20) })
+        .createPast(1, { p: null })
+        .createPast(1, { p: point(100, 10) });
+      const component = mountComponent();
+      component.find('.submission-map-cluster').length.should.equal(3);
+      component.find('.submission-map-cluster text').length.should.equal(0);
+      component.first('#submission-map-count').text().trim()
+        .should.equal('3 locations shown');
+    });
+
+    it('does not show points of an encrypted submission', () => {
+      testData.extendedSubmissions
+        .createPast(1, { p: point(0, 0) })
+        .createPast(1, { status: 'notDecrypted', p: null });
+      const component = mountComponent();
+      component.find('.submission-map-cluster').length.should.equal(1);
+    });
+
+    it('groups points that are close together', () => {
+      testData.extendedSubmissions
+        .createPast(1, { p: point(-70, 40) })
+        .createPast(1, { p: point(100, 10) })
+        .createPast(1, { p: point(100.0001, 10.0001) });
+      const component = mountComponent();
+      const clusters = component.find('.submission-map-cluster');
+      clusters.length.should.equal(2);
+      const counts = clusters.map(cluster => cluster.find('text').length);
+      counts.should.containEql(1);
+      component.first('.submission-map-cluster text').text().trim()
+        .should.equal('2');
+    });
+
+    it('zooms in after a cluster is clicked', async () => {
+      testData.extendedSubmissions
+        .createPast(1, { p: point(-70, 40) })
+        .createPast(1, { p: point(100, 10) })
+        .createPast(1, { p: point(100.0001, 10.0001) });
+      const component = mountComponent();
+      const { zoom } = component.vm;
+      const cluster = component.find('.submission-map-cluster')
+        .find(wrapper => wrapper.find('text').length !== 0);
+      await clickSvg(cluster);
+      component.vm.zoom.should.equal(zoom + 2);
+      component.find('#submission-map-popup').length.should.equal(0);
+    });
+
+    it('shows a popup after a point is clicked', async () => {
+      testData.extendedUsers.createPast(1, { displayName: 'Alice' });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'a b',
+        submitter: testData.extendedUsers.last(),
+        p: point(1.5, -2.5)
+      });
+      const component = mountComponent();
+      await clickSvg(component.first('.submission-map-cluster'));
+      const popup = component.first('#submission-map-popup');
+      const a = popup.first('.submission-map-popup-link');
+      a.getAttribute('href').should.equal('#/projects/1/forms/f/submissions/a%20b');
+      a.text().should.equal('a b');
+      popup.first('.submission-map-popup-submitter').text().trim()
+        .should.equal('Alice');
+      popup.first('.submission-map-popup-value').text().trim()
+        .should.equal('1.5000000 -2.5000000');
+    });
+
+    it('hides the popup after the close button is clicked', async () => {
+      testData.extendedSubmissions.createPast(1, { p: point(0, 0) });
+      const component = mountComponent();
+      await clickSvg(component.first('.submission-map-cluster'));
+      await trigger.click(component, '#submission-map-popup .close');
+      component.find('#submission-map-popup').length.should.equal(0);
+    });
+
+    it('disables the zoom buttons at the zoom limits', async () => {
+      testData.extendedSubmissions.createPast(1, { p: point(0, 0) });
+      const component = mountComponent();
+      // A single point is shown at the maximum zoom.
+      const buttons = component.find('.submission-map-controls button');
+      buttons[0].hasAttribute('disabled').should.be.true();
+      buttons[1].hasAttribute('disabled').should.be.false();
+      await trigger.click(buttons[1]);
+      component.vm.zoom.should.equal(17);
+      buttons[0].hasAttribute('disabled').should.be.false();
+    });
+
+    it('shows a grid if no tile server is configured', () => {
+      testData.extendedSubmissions.createPast(1, { p: point(0, 0) });
+      const component = mountComponent();
+      component.find('.submission-map-tiles').length.should.equal(0);
+      component.find('.submission-map-grid line').length.should.not.equal(0);
+    });
+  });
+
+  it('draws lines and shapes', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.geotrace('/t'), testData.fields.geoshape('/s')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1);
+    const component = mountComponent();
+    component.find('.submission-map-cluster').length.should.equal(0);
+    const path = component.first('.submission-map-shape');
+    path.hasClass('closed').should.be.false();
+    path.getAttribute('d').should.match(/^M\S+ L\S+ L\S+$/);
+  });
+
+  describe('field select', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geopoint('/p'), testData.fields.geoshape('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1);
+    });
+
+    it('shows the first field by default', () => {
+      const component = mountComponent();
+      const options = component.find('#submission-map-field option');
+      options.map(option => option.text().trim()).should.eql(['p', 's']);
+      component.find('.submission-map-cluster').length.should.equal(1);
+    });
+
+    it('shows a different field after it is selected', async () => {
+      const component = mountComponent();
+      await trigger.changeValue(component, '#submission-map-field select', '/s');
+      component.find('.submission-map-cluster').length.should.equal(0);
+      const path = component.first('.submission-map-shape');
+      path.hasClass('closed').should.be.true();
+      path.getAttribute('d').should.match(/ Z$/);
+    });
+
+    it('does not show the select if there is one field', () => {
+      const component = mountComponent({
+        fields: [new Field(testData.fields.geopoint('/p'))]
+      });
+      component.find('#submission-map-field').length.should.equal(0);
+    });
+  });
+});
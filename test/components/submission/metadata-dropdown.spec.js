@@ -0,0 +1,48 @@
+import sinon from 'sinon';
+
+import SubmissionMetadataDropdown from '../../../src/components/submission/metadata-dropdown.vue';
+
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+
+const mountComponent = (value = []) => mount(SubmissionMetadataDropdown, {
+  propsData: { value }
+});
+
+describe('SubmissionMetadataDropdown', () => {
+  it('renders a checkbox for each metadata column', () => {
+    const labels = mountComponent().find('.checkbox span');
+    labels.map(label => label.text()).should.eql([
+      'Media Files',
+      'Device ID',
+      'Instance Name',
+      'Edits'
+    ]);
+  });
+
+  it('checks boxes based on the value prop', () => {
+    const checkboxes = mountComponent(['deviceId']).find('input');
+    checkboxes.map(checkbox => checkbox.element.checked)
+      .should.eql([false, true, false, false]);
+  });
+
+  it('shows the number of selected columns', () => {
+    const option = mountComponent(['deviceId', 'edits']).first('option');
+    option.text().should.equal('2 of 4');
+  });
+
+  it('emits an input event after a checkbox is checked', async () => {
+    const component = mountComponent(['edits']);
+    sinon.replace(component.vm, '$emit', sinon.fake());
+    await trigger.check(component.find('input')[0]);
+    component.vm.$emit.calledWith('input', ['attachments', 'edits'])
+      .should.be.true();
+  });
+
+  it('emits an input event after a checkbox is unchecked', async () => {
+    const component = mountComponent(['deviceId', 'edits']);
+    sinon.replace(component.vm, '$emit', sinon.fake());
+    await trigger.uncheck(component.find('input')[3]);
+    component.vm.$emit.calledWith('input', ['deviceId']).should.be.true();
+  });
+});
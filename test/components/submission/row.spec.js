@@ -1,18 +1,24 @@
+import sinon from 'sinon';
 import { Settings } from 'luxon';
 
 import DateTime from '../../../src/components/date-time.vue';
 import SubmissionRow from '../../../src/components/submission/row.vue';
 
 import Field from '../../../src/presenters/field';
+import Form from '../../../src/presenters/form';
 
 import testData from '../../data';
 import { mockLogin } from '../../util/session';
 import { mount } from '../../util/lifecycle';
 import { setLuxon } from '../../util/date-time';
+import { trigger } from '../../util/event';
 
 const mountComponent = (propsData = {}) => mount(SubmissionRow, {
   propsData: {
     baseUrl: propsData.rowNumber == null ? '/base' : '',
+    formVersion: propsData.rowNumber == null
+      ? new Form(testData.extendedForms.last())
+      : null,
     submission: testData.submissionOData().value[0],
     fields: propsData.rowNumber == null
       ? testData.extendedForms.last()._fields.map(field => new Field(field))
@@ -60,6 +66,57 @@ describe('SubmissionRow', () => {
     row.first(DateTime).getProp('iso').should.equal(createdAt);
   });
 
+  describe('missing attachments', () => {
+    it('shows a warning icon if attachments are missing', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, {
+        attachmentsPresent: 1,
+        attachmentsExpected: 3
+      });
+      const icon = mountComponent({ rowNumber: 1 }).first('.missing-attachments');
+      icon.hasClass('icon-warning').should.be.true();
+      icon.getAttribute('title').should.equal('1 of 3 media files have been uploaded.');
+    });
+
+    it('does not show the icon if all attachments have been uploaded', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, {
+        attachmentsPresent: 2,
+        attachmentsExpected: 2
+      });
+      const row = mountComponent({ rowNumber: 1 });
+      row.find('.missing-attachments').length.should.equal(0);
+    });
+  });
+
+  describe('review state', () => {
+    it('shows the review state if showsReviewState is true', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { reviewState: 'hasIssues' });
+      const row = mountComponent({ rowNumber: 1, showsReviewState: true });
+      const td = row.first('.review-state');
+      td.hasClass('review-state-hasIssues').should.be.true();
+      td.first('span').hasClass('icon-exclamation-triangle').should.be.true();
+      td.text().trim().should.equal('Has issues');
+    });
+
+    it('shows Received if the submission has not been reviewed', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+      const row = mountComponent({ rowNumber: 1, showsReviewState: true });
+      const td = row.first('.review-state');
+      td.hasClass('review-state-received').should.be.true();
+      td.text().trim().should.equal('Received');
+    });
+
+    it('does not show the review state if showsReviewState is false', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+      const row = mountComponent({ rowNumber: 1 });
+      row.find('.review-state').length.should.equal(0);
+    });
+  });
+
   it('shows an empty string if the value of a field does not exist', () => {
     testData.extendedForms.createPast(1, {
       fields: [testData.fields.string('/s')],
@@ -308,6 +365,179 @@ describe('SubmissionRow', () => {
     }
   });
 
+  describe('geotrace and geoshape values', () => {
+    const trace = { type: 'LineString', coordinates: [[0, 0], [0, 0.001]] };
+
+    it('shows a summary of a line', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geotrace('/t')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { t: trace });
+      const td = mountComponent().first('td');
+      td.text().should.equal('2 points, 111 m');
+      td.getAttribute('title').should.equal('2 points, 111 m');
+    });
+
+    it('shows a summary of a shape', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geoshape('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, {
+        s: {
+          type: 'Polygon',
+          coordinates: [[[0, 0], [0.001, 0], [0.001, 0.001], [0, 0]]]
+        }
+      });
+      mountComponent().first('td').text().should.equal('3 points, 6,182 m²');
+    });
+
+    it('emits an expand event with the WKT after the cell is clicked', async () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geotrace('/t')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { t: trace });
+      const component = mountComponent();
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      await trigger.click(component, 'td');
+      const [name, { field, text, summary }] = component.vm.$emit.firstCall.args;
+      name.should.equal('expand');
+      field.path.should.equal('/t');
+      text.should.equal('LINESTRING (0 0, 0 0.001)');
+      summary.should.equal('2 points, 111 m');
+    });
+  });
+
+  describe('select_multiple values', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'a b' });
+    });
+
+    const chips = (component) => component.first('td').find('.submission-chip')
+      .map(chip => chip.text());
+
+    it('shows a chip for each choice', () => {
+      const component = mountComponent({
+        controls: new Map().set('/s', { type: 'select' })
+      });
+      chips(component).should.eql(['a', 'b']);
+      component.first('td').getAttribute('title').should.equal('a b');
+    });
+
+    it('shows chips if the field has the selectMultiple property', () => {
+      const component = mountComponent({
+        fields: [new Field({ ...testData.fields.string('/s'), selectMultiple: true })]
+      });
+      chips(component).should.eql(['a', 'b']);
+    });
+
+    it('shows the labels of the choices', () => {
+      const component = mountComponent({
+        controls: new Map().set('/s', { type: 'select' }),
+        labels: {
+          fields: new Map(),
+          choices: new Map().set('/s', new Map().set('a', 'Apple'))
+        }
+      });
+      chips(component).should.eql(['Apple', 'b']);
+      const chip = component.first('.submission-chip');
+      chip.getAttribute('title').should.equal('a');
+    });
+
+    it('numbers the choices of a rank field', () => {
+      const component = mountComponent({
+        controls: new Map().set('/s', { type: 'rank' })
+      });
+      chips(component).should.eql(['1a', '2b']);
+      component.find('.submission-chip-rank').length.should.equal(2);
+    });
+  });
+
+  describe('range values', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.int('/r')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { r: 3 });
+    });
+
+    it('shows the value and the range in the title', () => {
+      const td = mountComponent({
+        controls: new Map().set('/r', { type: 'range', start: 1, end: 5 })
+      }).first('td');
+      td.text().should.equal('3');
+      td.getAttribute('title').should.equal('3 (from 1 to 5)');
+    });
+
+    it('shows a meter', () => {
+      const meter = mountComponent({
+        controls: new Map().set('/r', { type: 'range', start: 1, end: 5 })
+      }).first('.range-meter span');
+      meter.element.style.width.should.equal('50%');
+    });
+
+    it('does not show a meter if the range is unknown', () => {
+      const component = mountComponent({
+        controls: new Map().set('/r', { type: 'range' })
+      });
+      component.find('.range-meter').length.should.equal(0);
+      component.first('td').getAttribute('title').should.equal('3');
+    });
+  });
+
+  it('shows an icon for a barcode value', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [{ path: '/b', name: 'b', type: 'barcode', binary: null }],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, { b: '123456' });
+    const td = mountComponent().first('td');
+    td.hasClass('barcode-field').should.be.true();
+    td.find('.icon-qrcode').length.should.equal(1);
+    td.text().should.equal('123456');
+  });
+
+  describe('long text', () => {
+    const long = 'a'.repeat(31);
+
+    it('emits an expand event after a long value is clicked', async () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: long });
+      const component = mountComponent();
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      const td = component.first('td');
+      td.hasClass('expandable').should.be.true();
+      await trigger.click(td);
+      const [name, { field, text, summary }] = component.vm.$emit.firstCall.args;
+      name.should.equal('expand');
+      field.path.should.equal('/s');
+      text.should.equal(long);
+      should.not.exist(summary);
+    });
+
+    it('does not emit an expand event after a short value is clicked', async () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'foo' });
+      const component = mountComponent();
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      await trigger.click(component, 'td');
+      component.vm.$emit.called.should.be.false();
+    });
+  });
+
   describe('binary field', () => {
     it("correctly renders a field of type 'binary'", () => {
       testData.extendedForms.createPast(1, {
@@ -345,6 +575,27 @@ describe('SubmissionRow', () => {
       href.should.equal('/base/submissions/foo/attachments/bar.jpg');
     });
 
+    it('shows a different icon for an audit log', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [
+          testData.fields.group('/meta'),
+          testData.fields.binary('/meta/audit')
+        ],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'foo',
+        meta: { audit: 'audit.csv' }
+      });
+      const a = mountComponent({
+        fields: [new Field(testData.fields.binary('/meta/audit'))]
+      }).first('td a');
+      a.getAttribute('href').should.equal('/base/submissions/foo/attachments/audit.csv');
+      a.getAttribute('title').should.equal('Audit log was submitted. Click to download.');
+      a.find('.icon-history').length.should.equal(1);
+      a.find('.icon-check').length.should.equal(0);
+    });
+
     it('does not render a link if the value does not exist', () => {
       testData.extendedForms.createPast(1, {
         fields: [testData.fields.binary('/b')],
@@ -369,6 +620,37 @@ describe('SubmissionRow', () => {
     td[1].getAttribute('title').should.equal('foo');
   });
 
+  it('links the instance ID to the submission', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'a b' });
+    const a = mountComponent().first('.submission-link');
+    a.getAttribute('href').should.equal('#/projects/1/forms/f/submissions/a%20b');
+  });
+
+  it('links the instance ID to a submission to a form draft', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'a b' });
+    const a = mountComponent({ draft: true }).first('.submission-link');
+    a.getAttribute('href').should.equal('#/projects/1/forms/f/draft/submissions/a%20b');
+  });
+
+  it('does not link the instance ID if there is no form version', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+    const td = mountComponent({ formVersion: null }).find('td');
+    td[1].find('a').length.should.equal(0);
+    td[1].text().should.equal('foo');
+  });
+
   it('renders a cell for each field', () => {
     testData.extendedForms.createPast(1, {
       fields: [testData.fields.string('/s1'), testData.fields.string('/s2')],
@@ -383,4 +665,40 @@ describe('SubmissionRow', () => {
     td.length.should.equal(3);
     td.map(wrapper => wrapper.text()).should.eql(['bar', 'baz', 'foo']);
   });
+
+  describe('metadata columns', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.int('/i')],
+        submissions: 1
+      });
+    });
+
+    it('renders a cell for each metadata column', () => {
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'foo',
+        i: 1,
+        attachmentsPresent: 1,
+        attachmentsExpected: 2,
+        deviceId: 'device1',
+        instanceName: 'My submission',
+        edits: 1234
+      });
+      const td = mountComponent({
+        metadata: ['attachments', 'deviceId', 'instanceName', 'edits']
+      }).find('td');
+      td.map(wrapper => wrapper.text().trim())
+        .should.eql(['1', '1 of 2', 'device1', 'My submission', '1,234', 'foo']);
+      td[1].hasClass('missing-attachments').should.be.true();
+      td[3].getAttribute('title').should.equal('My submission');
+    });
+
+    it('shows an empty cell if the metadata does not exist', () => {
+      testData.extendedSubmissions.createPast(1, { i: 1 });
+      const td = mountComponent({ metadata: ['deviceId', 'instanceName'] })
+        .find('td');
+      td[1].text().trim().should.equal('');
+      td[2].text().trim().should.equal('');
+    });
+  });
 });
@@ -0,0 +1,389 @@
+import SubmissionShow from '../../../src/components/submission/show.vue';
+import SubmissionShowData from '../../../src/components/submission/show/data.vue';
+import SubmissionUpdateReviewState from '../../../src/components/submission/update-review-state.vue';
+
+import testData from '../../data';
+import { load } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+
+describe('SubmissionShow', () => {
+  beforeEach(mockLogin);
+
+  it('sends the correct requests', () => {
+    testData.extendedForms.createPast(1, { xmlFormId: 'a b', submissions: 1 });
+    testData.extendedSubmissions.createPast(1, { instanceId: "c'd" });
+    return load("/projects/1/forms/a%20b/submissions/c'd")
+      .beforeEachResponse((app, { url }, index) => {
+        if (index === 4) {
+          url.should.equal('/v1/projects/1/forms/a%20b/fields?odata=true');
+        } else if (index === 5) {
+          url.should.equal("/v1/projects/1/forms/a%20b.svc/Submissions('c''d')?%24expand=*");
+        } else if (index === 6) {
+          url.should.equal("/v1/projects/1/forms/a%20b/submissions/c'd/comments");
+        }
+      });
+  });
+
+  it('sends requests for a form draft submission', () => {
+    testData.extendedForms.createPast(1, { draft: true });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+    // Submissions to a form draft do not have comments.
+    return load('/projects/1/forms/f/draft/submissions/foo', {}, { comments: false })
+      .beforeEachResponse((app, { url }, index) => {
+        if (index === 4) {
+          url.should.equal('/v1/projects/1/forms/f/draft/fields?odata=true');
+        } else if (index === 5) {
+          url.should.equal("/v1/projects/1/forms/f/draft.svc/Submissions('foo')?%24expand=*");
+        }
+      });
+  });
+
+  describe('back link', () => {
+    it('links to the submissions tab', async () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      const a = app.first('#submission-show-back a');
+      a.getAttribute('href').should.equal('#/projects/1/forms/f/submissions');
+    });
+
+    it('links to the draft testing tab', async () => {
+      testData.extendedForms.createPast(1, { draft: true });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load(
+        '/projects/1/forms/f/draft/submissions/foo',
+        {},
+        { comments: false }
+      );
+      const a = app.first('#submission-show-back a');
+      a.getAttribute('href').should.equal('#/projects/1/forms/f/draft/testing');
+    });
+  });
+
+  it('shows submission metadata', async () => {
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+    const app = await load('/projects/1/forms/f/submissions/foo');
+    const show = app.first(SubmissionShow);
+    show.first('.instance-id').text().should.equal('foo');
+    const { displayName } = testData.extendedUsers.first();
+    show.first('.submitter-name').text().trim().should.equal(displayName);
+  });
+
+  describe('edit', () => {
+    it('shows a link to edit the submission', async () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'a b' });
+      const app = await load('/projects/1/forms/f/submissions/a%20b');
+      const a = app.first('#submission-show-edit-button');
+      a.getAttribute('href').should.equal('/v1/projects/1/forms/f/submissions/a%20b/edit');
+      a.getAttribute('target').should.equal('_blank');
+    });
+
+    it('does not show the link to a project viewer', async () => {
+      testData.extendedProjects.createPast(1, {
+        currentUser: testData.extendedUsers.createPast(1, { role: 'none' }).last(),
+        role: 'viewer',
+        forms: 1
+      });
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      app.find('#submission-show-edit-button').length.should.equal(0);
+    });
+
+    it('does not show the link for an encrypted submission', async () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'foo',
+        status: 'NotDecrypted'
+      });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      app.find('#submission-show-edit-button').length.should.equal(0);
+    });
+
+    it('does not show the link for a form draft submission', async () => {
+      testData.extendedForms.createPast(1, { draft: true });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load(
+        '/projects/1/forms/f/draft/submissions/foo',
+        {},
+        { comments: false }
+      );
+      app.find('#submission-show-edit-button').length.should.equal(0);
+    });
+
+    it('does not show the edit history if there have been no edits', async () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      app.find('#submission-show-edit-history').length.should.equal(0);
+    });
+
+    it('shows the edit history', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'foo',
+        edits: 1
+      });
+      const actor = testData.toActor(testData.extendedUsers.first());
+      return load('/projects/1/forms/f/submissions/foo')
+        .beforeEachResponse((_, { url }, index) => {
+          if (index === 7)
+            url.should.equal('/v1/projects/1/forms/f/submissions/foo/versions');
+          else if (index === 8)
+            url.should.equal('/v1/projects/1/forms/f/submissions/foo/diffs');
+        })
+        .respondWithData(() => [
+          {
+            instanceId: 'v2',
+            submitter: actor,
+            createdAt: new Date().toISOString(),
+            current: true
+          },
+          {
+            instanceId: 'foo',
+            submitter: actor,
+            createdAt: new Date().toISOString(),
+            current: false
+          }
+        ])
+        .respondWithData(() => ({
+          v2: [{ path: ['g', 'r', 1, 's'], old: 'a', new: 'b' }]
+        }))
+        .afterResponses(app => {
+          const edits = app.find('.submission-edit');
+          edits.length.should.equal(1);
+          edits[0].first('.submission-edit-actor').text().should.equal(actor.displayName);
+          edits[0].first('.submission-edit-instance-id').text().trim()
+            .should.equal('v2');
+          const cells = edits[0].find('tbody td');
+          cells.map(td => td.text()).should.eql(['/g/r[2]/s', 'a', 'b']);
+        });
+    });
+
+    it('refreshes the submission after the user returns from Enketo', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      return load('/projects/1/forms/f/submissions/foo')
+        .complete()
+        .request(app => {
+          const show = app.first(SubmissionShow);
+          show.vm.editing = true;
+          document.dispatchEvent(new Event('visibilitychange'));
+        })
+        .beforeEachResponse((_, { url }) => {
+          url.should.equal("/v1/projects/1/forms/f.svc/Submissions('foo')?%24expand=*");
+        })
+        .respondWithData(() => ({
+          value: [testData.extendedSubmissions.last()._odata]
+        }))
+        .afterResponse(app => {
+          app.first(SubmissionShow).vm.editing.should.be.false();
+        });
+    });
+  });
+
+  describe('review state', () => {
+    it('shows the review state', async () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      const dd = app.first('#submission-show-metadata .review-state');
+      dd.text().trim().should.equal('Received');
+      dd.hasClass('review-state-received').should.be.true();
+    });
+
+    it('shows a review state other than received', async () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'foo',
+        reviewState: 'hasIssues'
+      });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      const dd = app.first('#submission-show-metadata .review-state');
+      dd.text().trim().should.equal('Has issues');
+      dd.first('span').hasClass('icon-exclamation-triangle').should.be.true();
+    });
+
+    it('does not show the review state of a form draft submission', async () => {
+      testData.extendedForms.createPast(1, { draft: true });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load(
+        '/projects/1/forms/f/draft/submissions/foo',
+        {},
+        { comments: false }
+      );
+      app.find('#submission-show-metadata .review-state').length
+        .should.equal(0);
+      app.find('#submission-show-update-review-state-button').length
+        .should.equal(0);
+      app.find('#submission-show-comments').length.should.equal(0);
+    });
+
+    it('does not show the button to a project viewer', async () => {
+      testData.extendedProjects.createPast(1, {
+        currentUser: testData.extendedUsers.createPast(1, { role: 'none' }).last(),
+        role: 'viewer',
+        forms: 1
+      });
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      app.find('#submission-show-update-review-state-button').length
+        .should.equal(0);
+      app.find('#submission-comments form').length.should.equal(0);
+    });
+
+    it('updates the review state', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      return load('/projects/1/forms/f/submissions/foo')
+        .complete()
+        .request(async (app) => {
+          await trigger.click(app, '#submission-show-update-review-state-button');
+          const modal = app.first(SubmissionUpdateReviewState);
+          await trigger.check(modal, 'input[value="approved"]');
+          return trigger.submit(modal, 'form');
+        })
+        .beforeEachResponse((_, { method, url, data }) => {
+          method.should.equal('PATCH');
+          url.should.equal('/v1/projects/1/forms/f/submissions/foo');
+          data.should.eql({ reviewState: 'approved' });
+        })
+        .respondWithSuccess()
+        .afterResponse(app => {
+          app.first(SubmissionUpdateReviewState).getProp('state')
+            .should.be.false();
+          app.first('#submission-show-metadata .review-state').text().trim()
+            .should.equal('Approved');
+          app.should.alert('success', 'The review state has been updated.');
+        });
+    });
+
+    it('adds the notes as a comment', () => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+      return load('/projects/1/forms/f/submissions/foo')
+        .complete()
+        .request(async (app) => {
+          await trigger.click(app, '#submission-show-update-review-state-button');
+          const modal = app.first(SubmissionUpdateReviewState);
+          await trigger.check(modal, 'input[value="rejected"]');
+          await trigger.input(modal, 'textarea', 'Wrong location');
+          return trigger.submit(modal, 'form');
+        })
+        .beforeEachResponse((_, { method, url, data }, index) => {
+          if (index === 1) {
+            method.should.equal('POST');
+            url.should.equal('/v1/projects/1/forms/f/submissions/foo/comments');
+            data.should.eql({ body: 'Wrong location' });
+          } else if (index === 2) {
+            method.should.equal('GET');
+            url.should.equal('/v1/projects/1/forms/f/submissions/foo/comments');
+          }
+        })
+        .respondWithSuccess()
+        .respondWithSuccess()
+        .respondWithData(() => testData.extendedComments
+          .createPast(1, { body: 'Wrong location' })
+          .sorted())
+        .afterResponses(app => {
+          const comments = app.find('.submission-comment-body');
+          comments.map(comment => comment.text()).should.eql(['Wrong location']);
+        });
+    });
+  });
+
+  it('shows a message for an encrypted submission', async () => {
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1, {
+      instanceId: 'foo',
+      status: 'NotDecrypted'
+    });
+    const app = await load('/projects/1/forms/f/submissions/foo');
+    app.find('#submission-show-data .encrypted-data').length.should.equal(1);
+    app.find(SubmissionShowData).length.should.equal(0);
+  });
+
+  describe('data', () => {
+    const fields = [
+      testData.fields.int('/i'),
+      testData.fields.group('/g'),
+      testData.fields.string('/g/s'),
+      testData.fields.repeat('/r'),
+      testData.fields.int('/r/i'),
+      testData.fields.binary('/b1'),
+      testData.fields.binary('/b2')
+    ];
+    const loadSubmission = () => {
+      testData.extendedForms.createPast(1, { fields, submissions: 1 });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'foo',
+        i: 1000,
+        g: { s: 'bar' },
+        r: [{ __id: 'r1', i: 1 }, { __id: 'r2', i: 2 }],
+        b1: 'a.jpg',
+        b2: 'b.txt'
+      });
+      return load('/projects/1/forms/f/submissions/foo');
+    };
+
+    it('shows a value for each top-level field', async () => {
+      const app = await loadSubmission();
+      const labels = app.first(SubmissionShowData)
+        .find('.submission-show-data > li > .submission-show-data-label')
+        .map(label => label.text().trim());
+      labels.should.eql(['i', 'g', 's', 'r', 'i', 'i', 'b1', 'b2']);
+    });
+
+    it('formats values', async () => {
+      const app = await loadSubmission();
+      const value = app.first('.submission-show-data-value');
+      value.text().trim().should.equal('1,000');
+    });
+
+    it('shows the fields of a group', async () => {
+      const app = await loadSubmission();
+      const group = app.first('.submission-show-data-group');
+      group.first('.submission-show-data-value').text().trim()
+        .should.equal('bar');
+    });
+
+    it('shows each instance of a repeat group', async () => {
+      const app = await loadSubmission();
+      const repeat = app.first('.submission-show-data-repeat');
+      const instances = repeat.find('.submission-show-data-repeat-instance');
+      instances.length.should.equal(2);
+      instances.map(instance => instance.first('.submission-show-data-value')
+        .text().trim()).should.eql(['1', '2']);
+      instances[1].first('.submission-show-data-instance-number').text().trim()
+        .should.equal('Instance 2');
+    });
+
+    it('shows a message for a repeat group without instances', async () => {
+      testData.extendedForms.createPast(1, { fields, submissions: 1 });
+      testData.extendedSubmissions.createPast(1, { instanceId: 'foo', r: [] });
+      const app = await load('/projects/1/forms/f/submissions/foo');
+      app.find('.submission-show-data-empty').length.should.equal(1);
+    });
+
+    it('shows a preview of an image', async () => {
+      const app = await loadSubmission();
+      const img = app.find('.submission-show-data-value img');
+      img.length.should.equal(1);
+      img[0].getAttribute('src').should.equal('/v1/projects/1/forms/f/submissions/foo/attachments/a.jpg');
+    });
+
+    it('shows a download link for each file', async () => {
+      const app = await loadSubmission();
+      const hrefs = app.find('.submission-show-data-value .binary-link')
+        .map(a => a.getAttribute('href'));
+      hrefs.should.eql([
+        '/v1/projects/1/forms/f/submissions/foo/attachments/a.jpg',
+        '/v1/projects/1/forms/f/submissions/foo/attachments/b.txt'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import SubmissionFilters from '../../../src/components/submission/filters.vue';
+import SubmissionStats from '../../../src/components/submission/stats.vue';
+import SubmissionStatsField from '../../../src/components/submission/stats/field.vue';
+
+import testData from '../../data';
+import { load, mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+
+const param = ({ url }, name) => new URL(url, window.location.origin)
+  .searchParams.get(name);
+
+const loadStats = () => mockHttp()
+  .mount(SubmissionStats, {
+    propsData: { baseUrl: '/v1/projects/1/forms/f' }
+  })
+  .respondWithData(() => testData.extendedForms.last()._fields)
+  .respondWithData(() => [])
+  .respondWithData(() => testData.submissionOData(1000, 0));
+
+describe('SubmissionStats', () => {
+  beforeEach(mockLogin);
+
+  it('sends the correct requests', () => {
+    testData.extendedForms.createPast(1);
+    return loadStats().beforeEachResponse((component, { url }, index) => {
+      if (index === 0) {
+        url.should.equal('/v1/projects/1/forms/f/fields?odata=true');
+      } else if (index === 1) {
+        url.should.equal('/v1/projects/1/forms/f/submissions/submitters');
+      } else {
+        const { pathname, searchParams } = new URL(url, window.location.origin);
+        pathname.should.equal('/v1/projects/1/forms/f.svc/Submissions');
+        searchParams.get('$top').should.equal('1000');
+        searchParams.get('$skip').should.equal('0');
+        searchParams.get('$count').should.equal('true');
+        searchParams.has('$filter').should.be.false();
+      }
+    });
+  });
+
+  it('shows the statistics for each field', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [
+        testData.fields.int('/i'),
+        testData.fields.group('/g'),
+        testData.fields.string('/g/s')
+      ],
+      submissions: 3
+    });
+    testData.extendedSubmissions
+      .createPast(1, { i: 1, g: { s: 'x' } })
+      .createPast(1, { i: 3, g: { s: 'x' } })
+      .createPast(1, { i: null, g: { s: 'y' } });
+    const component = await loadStats();
+    const fields = component.find(SubmissionStatsField);
+    fields.length.should.equal(2);
+
+    fields[0].first('.submission-stats-field-name').text().trim().should.equal('i');
+    fields[0].first('.submission-stats-field-count').text().trim()
+      .should.equal('2 of 3 Submissions have a value.');
+    const dd = fields[0].find('.submission-stats-field-range dd');
+    dd.map(wrapper => wrapper.text().trim()).should.eql(['1', '3', '2']);
+    const rows = fields[0].find('.submission-stats-chart tr');
+    rows.map(row => row.first('.submission-stats-chart-label').text().trim())
+      .should.eql(['1', '2', '3']);
+    rows.map(row => row.first('.submission-stats-chart-count').text().trim())
+      .should.eql(['1', '0', '1']);
+
+    fields[1].first('.submission-stats-field-name').text().trim()
+      .should.equal('g-s');
+    fields[1].find('.submission-stats-field-range').length.should.equal(0);
+    const labels = fields[1].find('.submission-stats-chart-label')
+      .map(td => td.text().trim());
+    labels.should.eql(['x', 'y']);
+
+    component.first('#submission-stats-analyzed').text().trim()
+      .should.equal('The statistics below are for 3 Submissions.');
+  });
+
+  it('pages through the submissions', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')],
+      submissions: 2
+    });
+    testData.extendedSubmissions
+      .createPast(1, { i: 1 })
+      .createPast(1, { i: 2 });
+    return mockHttp()
+      .mount(SubmissionStats, {
+        propsData: { baseUrl: '/v1/projects/1/forms/f' }
+      })
+      .respondWithData(() => testData.extendedForms.last()._fields)
+      .respondWithData(() => [])
+      .respondWithData(() => ({
+        '@odata.count': 1001,
+        value: testData.submissionOData(1, 0).value
+      }))
+      .respondWithData(() => ({
+        '@odata.count': 1001,
+        value: testData.submissionOData(1, 1).value
+      }))
+      .beforeEachResponse((component, config, index) => {
+        if (index === 3) {
+          param(config, '$skip').should.equal('1000');
+          component.first('#submission-stats-progress-text').text()
+            .should.equal('Analyzing 1 of 1,001 Submissions…');
+          component.find('#submission-stats-analyzed').length.should.equal(0);
+        }
+      })
+      .afterResponses(component => {
+        component.find('#submission-stats-progress').length.should.equal(0);
+        const field = component.first(SubmissionStatsField);
+        field.getProp('summary').count.should.equal(2);
+        field.getProp('total').should.equal(2);
+      });
+  });
+
+  it('starts a new analysis after the filters change', () => {
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1);
+    return loadStats()
+      .complete()
+      .request(component => component.first(SubmissionFilters)
+        .vm.$emit('update:submitterId', '1'))
+      .beforeEachResponse((component, config) => {
+        param(config, '$filter').should.equal('__system/submitterId eq 1');
+        param(config, '$skip').should.equal('0');
+      })
+      .respondWithData(() => testData.submissionOData(1000, 0))
+      .afterResponse(component => {
+        component.first('#submission-stats-analyzed').text().trim()
+          .should.equal('The statistics below are for 1 Submission that matches the filters.');
+      });
+  });
+
+  it('analyzes only submissions that are missing attachments', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')],
+      submissions: 2
+    });
+    testData.extendedSubmissions
+      .createPast(1, { i: 1, attachmentsPresent: 0, attachmentsExpected: 1 })
+      .createPast(1, { i: 2 });
+    return loadStats()
+      .complete()
+      .request(component => component.first(SubmissionFilters)
+        .vm.$emit('update:attachments', 'incomplete'))
+      .beforeEachResponse((component, config) => {
+        should.not.exist(param(config, '$filter'));
+      })
+      .respondWithData(() => testData.submissionOData(1000, 0))
+      .afterResponse(component => {
+        component.first('#submission-stats-analyzed').text().trim()
+          .should.equal('The statistics below are for 1 Submission that matches the filters.');
+        component.first(SubmissionStatsField).getProp('total').should.equal(1);
+      });
+  });
+
+  it('starts a new analysis after the refresh button is clicked', () => {
+    testData.extendedForms.createPast(1);
+    return loadStats()
+      .complete()
+      .request(trigger.click('#submission-stats-refresh-button'))
+      .beforeEachResponse((component, config) => {
+        param(config, '$skip').should.equal('0');
+      })
+      .respondWithData(() => testData.submissionOData(1000, 0))
+      .afterResponse(component => {
+        component.find('#submission-stats-analyzed').length.should.equal(1);
+      });
+  });
+
+  it('shows a message about encrypted submissions', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')],
+      submissions: 2
+    });
+    testData.extendedSubmissions
+      .createPast(1, { i: 1 })
+      .createPast(1, { status: 'notDecrypted' });
+    const component = await loadStats();
+    component.first('#submission-stats-encrypted').text().trim()
+      .should.equal('1 encrypted Submission is not included in the statistics.');
+    component.first(SubmissionStatsField).getProp('total').should.equal(1);
+  });
+
+  describe('route query', () => {
+    it('applies the filters in the query', () => {
+      testData.extendedForms.createPast(1);
+      return load('/projects/1/forms/f/analyze?submitterId=1')
+        .beforeEachResponse((app, config, index) => {
+          if (index === 6)
+            param(config, '$filter').should.equal('__system/submitterId eq 1');
+        });
+    });
+
+    it('keeps the filters in the link to the Submissions tab', () => {
+      testData.extendedForms.createPast(1);
+      return load('/projects/1/forms/f/analyze?submitterId=1&sort=__id')
+        .afterResponses(app => {
+          const hrefs = app.find('#form-head-form-tabs a')
+            .map(a => a.getAttribute('href'));
+          hrefs.should.containEql('#/projects/1/forms/f/submissions?submitterId=1');
+          hrefs.should.containEql('#/projects/1/forms/f/versions');
+        });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import SubmissionList from '../../../src/components/submission/list.vue';
+import SubmissionTable from '../../../src/components/submission/table.vue';
+import SubmissionTableSelect from '../../../src/components/submission/table-select.vue';
+
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { trigger } from '../../util/event';
+
+const { int, repeat, string } = testData.fields;
+
+const loadSubmissionList = (filterable = false) => {
+  const form = testData.extendedForms.last();
+  const series = mockHttp()
+    .mount(SubmissionList, {
+      propsData: {
+        baseUrl: '/v1/projects/1/forms/f',
+        formVersion: new Form(form),
+        filterable,
+        showsSubmitter: true,
+        scrolledToBottom: () => false
+      },
+      requestData: { keys: [] }
+    })
+    .respondWithData(() => form._fields)
+    .respondWithData(testData.submissionOData);
+  return filterable
+    ? series.respondWithData(() =>
+      testData.extendedFieldKeys.sorted().map(testData.toActor))
+    : series;
+};
+
+const repeatOData = {
+  '@odata.count': 2,
+  value: [
+    { __id: 'r1', '__Submissions-id': 's1', i: 1 },
+    { __id: 'r2', '__Submissions-id': 's1', i: 2 }
+  ]
+};
+
+describe('SubmissionTableSelect', () => {
+  it('is not rendered if the form does not have a repeat group', () => {
+    testData.extendedForms.createPast(1);
+    return loadSubmissionList().afterResponses(component => {
+      component.find(SubmissionTableSelect).length.should.equal(0);
+    });
+  });
+
+  it('shows an option for each table', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [
+        string('/s'),
+        repeat('/r'),
+        int('/r/i'),
+        repeat('/r/r2'),
+        int('/r/r2/i')
+      ]
+    });
+    return loadSubmissionList().afterResponses(component => {
+      const options = component.find('#submission-table-select option');
+      options.map(option => option.text().trim())
+        .should.eql(['Submissions', 'r', 'r-r2']);
+      options.map(option => option.getAttribute('value'))
+        .should.eql(['Submissions', 'Submissions.r', 'Submissions.r.r2']);
+    });
+  });
+
+  describe('after a repeat table is selected', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [string('/s'), repeat('/r'), int('/r/i')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { instanceId: 's1' });
+    });
+
+    const selectRepeat = (filterable = false) => loadSubmissionList(filterable)
+      .complete()
+      .request(trigger.changeValue(
+        '#submission-table-select select',
+        'Submissions.r'
+      ));
+
+    it('sends a request for the repeat table', () =>
+      selectRepeat()
+        .beforeEachResponse((_, { url }) => {
+          url.should.equal('/v1/projects/1/forms/f.svc/Submissions.r?%24top=250&%24skip=0&%24count=true');
+        })
+        .respondWithData(() => repeatOData));
+
+    it('shows the fields of the repeat group', () =>
+      selectRepeat()
+        .respondWithData(() => repeatOData)
+        .afterResponse(component => {
+          const table = component.first('#submission-table2');
+          const headers = table.find('th').map(th => th.text().trim());
+          headers.should.eql(['i', 'Instance ID']);
+          const td = table.find('td').map(wrapper => wrapper.text());
+          td.should.eql(['1', 'r1', '2', 'r2']);
+        }));
+
+    it('shows the parent ID of each row', () =>
+      selectRepeat()
+        .respondWithData(() => repeatOData)
+        .afterResponse(component => {
+          const table = component.first('#submission-table1');
+          const headers = table.find('th').map(th => th.text().trim());
+          headers.should.eql(['', 'Parent ID']);
+          const parentIds = table.find('.parent-id')
+            .map(td => td.text().trim());
+          parentIds.should.eql(['s1', 's1']);
+        }));
+
+    it('does not link a row to a submission', () =>
+      selectRepeat()
+        .respondWithData(() => repeatOData)
+        .afterResponse(component => {
+          component.first(SubmissionTable).find('.submission-link').length
+            .should.equal(0);
+        }));
+
+    it('filters the repeat table by submission metadata', () => {
+      const { id } = testData.extendedFieldKeys.createPast(1).last();
+      return selectRepeat(true)
+        .respondWithData(() => repeatOData)
+        .complete()
+        .request(trigger.changeValue(
+          '#submission-filters-submitter select',
+          id.toString()
+        ))
+        .beforeEachResponse((_, { url }) => {
+          url.should.containEql('.svc/Submissions.r?');
+          url.should.containEql(`&%24filter=%24root%2FSubmissions%2F__system%2FsubmitterId+eq+${id}`);
+        })
+        .respondWithData(() => repeatOData);
+    });
+
+    it('shows the top-level table after it is selected again', () =>
+      selectRepeat()
+        .respondWithData(() => repeatOData)
+        .complete()
+        .request(trigger.changeValue(
+          '#submission-table-select select',
+          'Submissions'
+        ))
+        .beforeEachResponse((_, { url }) => {
+          url.should.startWith('/v1/projects/1/forms/f.svc/Submissions?');
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponse(component => {
+          const table = component.first('#submission-table2');
+          const headers = table.find('th').map(th => th.text().trim());
+          headers.should.eql(['s', 'Instance ID']);
+        }));
+  });
+});
@@ -1,12 +1,16 @@
+import sinon from 'sinon';
+
 import SubmissionRow from '../../../src/components/submission/row.vue';
 import SubmissionTable from '../../../src/components/submission/table.vue';
+import SubmissionValue from '../../../src/components/submission/value.vue';
 
 import Field from '../../../src/presenters/field';
 
 import testData from '../../data';
 import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
 
-const mountComponent = (propsData = undefined) => mount(SubmissionTable, {
+const mountComponent = ({ attachToDocument = false, ...propsData } = {}) => mount(SubmissionTable, {
   propsData: {
     baseUrl: '/v1/projects/1/forms/f',
     submissions: testData.submissionOData().value,
@@ -14,7 +18,8 @@ const mountComponent = (propsData = undefined) => mount(SubmissionTable, {
       .map(field => new Field(field)),
     originalCount: testData.extendedSubmissions.size,
     ...propsData
-  }
+  },
+  attachToDocument
 });
 
 const headers = (table) => table.find('th').map(th => th.text().trim());
@@ -39,6 +44,87 @@ describe('SubmissionTable', () => {
     });
   });
 
+  describe('"Review state" header', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, { submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+    });
+
+    it('renders the header if showsReviewState is true', () => {
+      const component = mountComponent({ showsReviewState: true });
+      const table = component.first('#submission-table1');
+      headers(table).should.eql(['', 'Submitted at', 'Review state']);
+    });
+
+    it('does not render the header for a repeat table', () => {
+      const component = mountComponent({
+        showsReviewState: true,
+        parentKey: '__Submissions-id'
+      });
+      const table = component.first('#submission-table1');
+      headers(table).should.eql(['', 'Parent ID']);
+    });
+  });
+
+  describe('selection', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, { submissions: 2 });
+      testData.extendedSubmissions.createPast(2);
+    });
+
+    it('does not render checkboxes if selectable is false', () => {
+      const component = mountComponent();
+      component.find('input[type="checkbox"]').length.should.equal(0);
+    });
+
+    it('renders a checkbox for each row', () => {
+      const component = mountComponent({ selectable: true });
+      const table = component.first('#submission-table1');
+      table.find('tbody input[type="checkbox"]').length.should.equal(2);
+    });
+
+    it('checks the checkbox of each selected row', () => {
+      const [, submission] = testData.submissionOData().value;
+      const component = mountComponent({
+        selectable: true,
+        selected: [submission.__id]
+      });
+      const checkboxes = component.find('#submission-table1 tbody input');
+      checkboxes.map(input => input.element.checked).should.eql([false, true]);
+      component.first('#submission-table1 thead input').element.checked
+        .should.be.false();
+    });
+
+    it('emits a select event after a checkbox is checked', async () => {
+      const [submission] = testData.submissionOData().value;
+      const component = mountComponent({ selectable: true });
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      await trigger.check(component, '#submission-table1 tbody input');
+      component.vm.$emit.calledWith('select', [submission.__id])
+        .should.be.true();
+    });
+
+    it('emits a select event after a checkbox is unchecked', async () => {
+      const [submission1, submission2] = testData.submissionOData().value;
+      const component = mountComponent({
+        selectable: true,
+        selected: [submission1.__id, submission2.__id]
+      });
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      await trigger.uncheck(component, '#submission-table1 tbody input');
+      component.vm.$emit.calledWith('select', [submission2.__id])
+        .should.be.true();
+    });
+
+    it('selects all rows after the header checkbox is checked', async () => {
+      const ids = testData.submissionOData().value.map(({ __id }) => __id);
+      const component = mountComponent({ selectable: true });
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      await trigger.check(component, '#submission-table1 thead input');
+      component.vm.$emit.calledWith('select', ids).should.be.true();
+    });
+  });
+
   describe('field headers', () => {
     it('shows a header for each field', () => {
       testData.extendedForms.createPast(1, {
@@ -61,6 +147,32 @@ describe('SubmissionTable', () => {
       const table = component.first('#submission-table2');
       headers(table).should.eql(['g-s', 'Instance ID']);
     });
+
+    it('shows a header for each metadata column', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s1')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1);
+      const component = mountComponent({ metadata: ['deviceId', 'edits'] });
+      const table = component.first('#submission-table2');
+      headers(table).should.eql(['s1', 'Device ID', 'Edits', 'Instance ID']);
+      table.first('tbody tr').find('td').length.should.equal(4);
+    });
+
+    it('does not show metadata columns for a repeat table', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s1')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1);
+      const component = mountComponent({
+        parentKey: '__Submissions-id',
+        metadata: ['deviceId']
+      });
+      const table = component.first('#submission-table2');
+      headers(table).should.eql(['s1', 'Instance ID']);
+    });
   });
 
   it('renders the correct number of rows', () => {
@@ -84,4 +196,242 @@ describe('SubmissionTable', () => {
     rows[0].getProp('rowNumber').should.equal(10);
     rows[1].getProp('rowNumber').should.equal(9);
   });
+
+  describe('sort', () => {
+    const fields = [testData.fields.int('/i'), testData.fields.string('/s')];
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, { fields, submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+    });
+
+    const sortIcons = (component) => component.find('.sort-icon')
+      .filter(icon => icon.hasClass('icon-angle-down'));
+
+    it('indicates the default order', () => {
+      const icons = sortIcons(mountComponent());
+      icons.length.should.equal(1);
+      icons[0].hasClass('ascending').should.be.false();
+      const th = mountComponent().find('#submission-table1 th')[1];
+      th.find('.icon-angle-down').length.should.equal(1);
+    });
+
+    it('does not indicate an order for a repeat table', () => {
+      const component = mountComponent({ parentKey: '__Submissions-id' });
+      sortIcons(component).length.should.equal(0);
+    });
+
+    it('indicates the sort order', () => {
+      const component = mountComponent({ sort: { path: 's', desc: false } });
+      const icons = sortIcons(component);
+      icons.length.should.equal(1);
+      icons[0].hasClass('ascending').should.be.true();
+      const th = component.find('#submission-table2 th')[1];
+      th.find('.icon-angle-down').length.should.equal(1);
+    });
+
+    const clickHeader = (component, selector, index = 0) => {
+      const $emit = sinon.fake();
+      sinon.replace(component.vm, '$emit', $emit);
+      trigger.click(component.find(`${selector} .submission-table-sort`)[index]);
+      $emit.calledOnce.should.be.true();
+      $emit.args[0][0].should.equal('sort');
+      return $emit.args[0][1];
+    };
+
+    it('emits a sort event after a header is clicked', () => {
+      const sort = clickHeader(mountComponent(), '#submission-table2');
+      sort.should.eql({ path: 'i', desc: false });
+    });
+
+    it('sorts by the instance ID', () => {
+      const sort = clickHeader(mountComponent(), '#submission-table2', 2);
+      sort.should.eql({ path: '__id', desc: false });
+    });
+
+    it('emits descending order after an ascending column is clicked', () => {
+      const component = mountComponent({ sort: { path: 'i', desc: false } });
+      const sort = clickHeader(component, '#submission-table2');
+      sort.should.eql({ path: 'i', desc: true });
+    });
+
+    it('emits the default order after a descending column is clicked', () => {
+      const component = mountComponent({ sort: { path: 'i', desc: true } });
+      should.not.exist(clickHeader(component, '#submission-table2'));
+    });
+
+    it('returns to the default order from ascending submission date', () => {
+      const component = mountComponent({
+        sort: { path: '__system/submissionDate', desc: false }
+      });
+      should.not.exist(clickHeader(component, '#submission-table1'));
+    });
+  });
+
+  it('shows the full value after a long value is clicked', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.string('/s')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, { s: 'a'.repeat(100) });
+    const component = mountComponent();
+    await trigger.click(component, '#submission-table2 td.expandable');
+    const modal = component.first(SubmissionValue);
+    modal.getProp('state').should.be.true();
+    modal.getProp('header').should.equal('s');
+    modal.getProp('text').should.equal('a'.repeat(100));
+  });
+
+  describe('column layout', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [
+          testData.fields.string('/s1'),
+          testData.fields.string('/s2'),
+          testData.fields.string('/s3')
+        ],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1);
+    });
+
+    const fieldHeaders = (component) => component
+      .find('#submission-table2 .submission-table-field-header')
+      .map(th => th.first('.submission-table-sort').text().trim());
+
+    it('shows pinned columns first', () => {
+      const component = mountComponent({ pinned: ['/s3'] });
+      fieldHeaders(component).should.eql(['s3', 's1', 's2']);
+      const th = component.first('#submission-table2 .submission-table-field-header');
+      th.hasClass('pinned').should.be.true();
+      th.hasClass('last-pinned').should.be.true();
+    });
+
+    it('pins the cells of pinned columns', () => {
+      const component = mountComponent({ pinned: ['/s2'] });
+      const td = component.first('#submission-table2 tbody td');
+      td.hasClass('pinned').should.be.true();
+      td.element.style.left.should.equal('0px');
+    });
+
+    it('emits a pin event after the pin button is clicked', async () => {
+      const component = mountComponent({ pinned: ['/s1'] });
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      const buttons = component.find('#submission-table2 .submission-table-pin');
+      await trigger.click(buttons[0]);
+      component.vm.$emit.calledWith('pin', { path: '/s1', pinned: false })
+        .should.be.true();
+      await trigger.click(buttons[1]);
+      component.vm.$emit.calledWith('pin', { path: '/s2', pinned: true })
+        .should.be.true();
+    });
+
+    it('uses the widths prop', () => {
+      const component = mountComponent({ widths: { '/s2': 300 } });
+      const cols = component.find('#submission-table2 col');
+      cols[0].element.style.width.should.equal('200px');
+      cols[1].element.style.width.should.equal('300px');
+    });
+
+    it('emits a resize event after a column is resized', () => {
+      const component = mountComponent({ attachToDocument: true });
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      const handle = component.find('#submission-table2 .submission-table-resize')[1];
+      handle.element.dispatchEvent(new MouseEvent('mousedown', { clientX: 100 }));
+      document.dispatchEvent(new MouseEvent('mousemove', { clientX: 130 }));
+      document.dispatchEvent(new MouseEvent('mouseup', { clientX: 130 }));
+      component.vm.$emit.calledWith('resize', { path: '/s2', width: 230 })
+        .should.be.true();
+    });
+
+    it('emits a reorder event after a column is dropped on another', () => {
+      const component = mountComponent();
+      sinon.replace(component.vm, '$emit', sinon.fake());
+      const th = component.find('#submission-table2 .submission-table-field-header');
+      const dispatch = (wrapper, type) => {
+        const event = new Event(type, { bubbles: true, cancelable: true });
+        event.dataTransfer = { setData: () => {} };
+        wrapper.element.dispatchEvent(event);
+      };
+      dispatch(th[2], 'dragstart');
+      dispatch(th[0], 'dragover');
+      dispatch(th[0], 'drop');
+      const fields = component.vm.$emit.firstCall.args[1];
+      component.vm.$emit.firstCall.args[0].should.equal('reorder');
+      fields.map(field => field.path).should.eql(['/s3', '/s1', '/s2']);
+    });
+  });
+
+  describe('virtual scrolling', () => {
+    const isSpacer = (wrapper) => wrapper.hasClass('submission-table-spacer');
+
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: new Array(30).fill(null)
+          .map((_, i) => testData.fields.string(`/s${i}`)),
+        submissions: 200
+      });
+      testData.extendedSubmissions.createPast(200);
+    });
+
+    it('renders only the rows near the top of the viewport', () => {
+      const component = mountComponent();
+      const { rowRange, rowHeight } = component.vm;
+      rowRange[0].should.equal(0);
+      rowRange[1].should.be.below(200);
+      for (const selector of ['#submission-table1', '#submission-table2']) {
+        const tr = component.find(`${selector} tbody tr`);
+        tr.length.should.equal(rowRange[1] + 1);
+        isSpacer(tr[0]).should.be.false();
+        const spacer = tr[tr.length - 1];
+        isSpacer(spacer).should.be.true();
+        spacer.first('td').element.style.height
+          .should.equal(`${(200 - rowRange[1]) * rowHeight}px`);
+      }
+    });
+
+    it('renders other rows after the page is scrolled', async () => {
+      const component = mountComponent();
+      const { rowHeight } = component.vm;
+      component.vm.$refs.rows.getBoundingClientRect = () =>
+        ({ top: -100 * rowHeight });
+      document.dispatchEvent(new Event('scroll'));
+      await component.vm.$nextTick();
+      const [start, end] = component.vm.rowRange;
+      start.should.be.above(0);
+      start.should.be.belowOrEqual(100);
+      end.should.be.above(100);
+      const tr = component.find('#submission-table1 tbody tr');
+      isSpacer(tr[0]).should.be.true();
+      tr[0].first('td').element.style.height
+        .should.equal(`${start * rowHeight}px`);
+      const rows = component.find(SubmissionRow);
+      rows[0].getProp('rowNumber').should.equal(200 - start);
+      rows[0].getProp('submission').__id
+        .should.equal(testData.extendedSubmissions.sorted()[start].instanceId);
+    });
+
+    it('renders only the columns near the visible columns', async () => {
+      const component = mountComponent();
+      // Every column is rendered until the width of the container is known.
+      component.find('#submission-table2 thead th').length.should.equal(31);
+      const container = component.first('.table-container');
+      Object.defineProperty(container.element, 'clientWidth', { value: 500 });
+      Object.defineProperty(container.element, 'scrollLeft', { value: 2000 });
+      container.trigger('scroll');
+      await component.vm.$nextTick();
+      const th = component.find('#submission-table2 thead th');
+      isSpacer(th[0]).should.be.true();
+      th[1].text().trim().should.equal('s5');
+      th[15].text().trim().should.equal('s19');
+      isSpacer(th[16]).should.be.true();
+      th[17].text().trim().should.equal('Instance ID');
+      th.length.should.equal(18);
+      const col = component.find('#submission-table2 col');
+      col[0].element.style.width.should.equal('1000px');
+      col[16].element.style.width.should.equal('2000px');
+      for (const tr of component.find('#submission-table2 tbody tr')) {
+        if (!isSpacer(tr)) tr.find('td').length.should.equal(18);
+      }
+    });
+  });
 });
@@ -0,0 +1,76 @@
+import SubmissionTrash from '../../../src/components/submission/trash.vue';
+
+import testData from '../../data';
+import { load } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+
+const loadTrash = () => load('/projects/1/forms/f/submissions')
+  .complete()
+  .request(trigger.click('#submission-list-trash-button'))
+  .respondWithData(testData.deletedSubmissionOData);
+
+describe('SubmissionTrash', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions
+      .createPast(1)
+      .createPast(1, { instanceId: 'd1', deletedAt: new Date().toISOString() })
+      .createPast(1, { instanceId: 'd2', deletedAt: new Date().toISOString() });
+  });
+
+  it('shows the modal after the trash button is clicked', () =>
+    loadTrash()
+      .beforeEachResponse((app, { url }) => {
+        app.first(SubmissionTrash).getProp('state').should.be.true();
+        url.should.equal('/v1/projects/1/forms/f.svc/Submissions?deleted=true');
+      }));
+
+  it('lists the deleted submissions', () =>
+    loadTrash().afterResponse(app => {
+      const rows = app.find('#submission-trash-table tbody tr');
+      rows.map(row => row.first('.instance-id').text().trim())
+        .should.eql(['d2', 'd1']);
+    }));
+
+  it('shows a message if there are no deleted submissions', () =>
+    load('/projects/1/forms/f/submissions')
+      .complete()
+      .request(trigger.click('#submission-list-trash-button'))
+      .respondWithData(() => ({ '@odata.count': 0, value: [] }))
+      .afterResponse(app => {
+        const modal = app.first('#submission-trash');
+        modal.find('table').length.should.equal(0);
+        modal.first('.empty-table-message').text()
+          .should.equal('There are no deleted Submissions.');
+      }));
+
+  it('restores a submission', () =>
+    loadTrash()
+      .complete()
+      .request(app =>
+        trigger.click(app, '#submission-trash-table tbody tr:last-child button'))
+      .beforeEachResponse((_, { method, url }, index) => {
+        if (index === 0) {
+          method.should.equal('POST');
+          url.should.equal('/v1/projects/1/forms/f/submissions/d1/restore');
+        } else {
+          method.should.equal('GET');
+          url.should.startWith('/v1/projects/1/forms/f.svc/Submissions?');
+        }
+      })
+      .respondWithSuccess()
+      .respondWithData(() => {
+        testData.extendedSubmissions.sorted()
+          .find(submission => submission.instanceId === 'd1')
+          .deletedAt = null;
+        return testData.submissionOData();
+      })
+      .afterResponses(app => {
+        app.should.alert('success', 'The Submission d1 has been restored.');
+        const rows = app.find('#submission-trash-table tbody tr');
+        rows.length.should.equal(1);
+        app.find('#submission-table1 tbody tr').length.should.equal(2);
+      }));
+});
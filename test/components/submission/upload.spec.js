@@ -0,0 +1,249 @@
+import sinon from 'sinon';
+
+import SubmissionUpload from '../../../src/components/submission/upload.vue';
+
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+import { waitUntil } from '../../util/util';
+
+const instanceFile = (name, {
+  formId = 'f',
+  version = 'v1',
+  instanceId = name.replace(/\.xml$/, ''),
+  body = ''
+} = {}) => new File(
+  [`<data id="${formId}" version="${version}"><meta><instanceID>${instanceId}</instanceID></meta>${body}</data>`],
+  name,
+  { type: 'text/xml' }
+);
+const mediaFile = (name) => new File(['x'], name, { type: 'image/jpeg' });
+
+const mountComponent = () => mount(SubmissionUpload, {
+  propsData: {
+    formVersion: new Form(testData.extendedForms.createPast(1).last())
+  }
+});
+// Waits for the files to be read.
+const afterRead = (component) =>
+  waitUntil(() => component.data().phase === 'planned')
+    .then(() => component.vm.$nextTick())
+    .then(() => component);
+const selectFiles = (component, files) => {
+  const input = component.first('input[type="file"]');
+  $(input.element).trigger($.Event('change', { target: { files } }));
+  return afterRead(component);
+};
+const rowStatuses = (component) => component.find('tbody tr').map(tr => [
+  tr.first('td').text().trim(),
+  tr.first('.submission-upload-status').text().trim()
+]);
+
+describe('SubmissionUpload', () => {
+  beforeEach(mockLogin);
+
+  it('lists the files that were dropped', async () => {
+    const component = mountComponent();
+    await selectFiles(component, [
+      instanceFile('1.xml', { body: '<photo>a.jpg</photo>' }),
+      mediaFile('a.jpg'),
+      instanceFile('2.xml', { formId: 'g' }),
+      mediaFile('b.jpg')
+    ]);
+    rowStatuses(component).should.eql([
+      ['1.xml', 'Waiting'],
+      ['a.jpg', 'Waiting'],
+      ['2.xml', 'The Submission is for a different Form.'],
+      ['b.jpg', 'No Submission refers to this file.']
+    ]);
+    const tr = component.find('tbody tr');
+    tr[0].find('td')[1].text().trim().should.equal('1');
+    tr[1].first('td').hasClass('submission-upload-media').should.be.true();
+    const summary = component.first('#submission-upload-summary').text();
+    summary.should.equal('1 Submission is ready to upload.');
+  });
+
+  it('reads the files that were dropped', async () => {
+    const component = mountComponent();
+    await trigger.dragAndDrop(component, [instanceFile('1.xml')]);
+    await afterRead(component);
+    rowStatuses(component).should.eql([['1.xml', 'Waiting']]);
+  });
+
+  it('shows a message for an instance of a different version', async () => {
+    const component = mountComponent();
+    await selectFiles(component, [instanceFile('1.xml', { version: 'v2' })]);
+    rowStatuses(component).should.eql([
+      ['1.xml', 'The Submission is for a different version of the Form.']
+    ]);
+    const button = component.first('.submission-upload-actions .btn-primary');
+    button.getAttribute('disabled').should.equal('disabled');
+  });
+
+  it('clears the files after the cancel button is clicked', async () => {
+    const component = mountComponent();
+    await selectFiles(component, [instanceFile('1.xml')]);
+    await trigger.click(component, '.submission-upload-actions .btn-link');
+    component.find('table').length.should.equal(0);
+  });
+
+  it('uploads each instance followed by its media files', () => {
+    const uploadFiles = [
+      instanceFile('1.xml', { body: '<photo>a.jpg</photo><audio>b.m4a</audio>' }),
+      mediaFile('a.jpg'),
+      new File(['x'], 'b.m4a'),
+      instanceFile('2.xml')
+    ];
+    return mockHttp()
+      .mount(SubmissionUpload, {
+        propsData: {
+          formVersion: new Form(testData.extendedForms.createPast(1).last())
+        }
+      })
+      .request(component => selectFiles(component, uploadFiles)
+        .then(trigger.click('.submission-upload-actions .btn-primary')))
+      .beforeEachResponse((component, { method, url, headers, data }, i) => {
+        method.should.equal('POST');
+        url.should.equal([
+          '/v1/projects/1/forms/f/submissions',
+          '/v1/projects/1/forms/f/submissions/1/attachments/a.jpg',
+          '/v1/projects/1/forms/f/submissions/1/attachments/b.m4a',
+          '/v1/projects/1/forms/f/submissions'
+        ][i]);
+        headers['Content-Type'].should.equal([
+          'application/xml',
+          'image/jpeg',
+          'application/octet-stream',
+          'application/xml'
+        ][i]);
+        data.name.should.equal(uploadFiles[i].name);
+        const tr = component.find('tbody tr')[i];
+        tr.hasClass('submission-upload-uploading').should.be.true();
+        tr.find('.submission-upload-progress').length.should.equal(1);
+      })
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .afterResponses(component => {
+        rowStatuses(component).should.eql([
+          ['1.xml', 'Uploaded'],
+          ['a.jpg', 'Uploaded'],
+          ['b.m4a', 'Uploaded'],
+          ['2.xml', 'Uploaded']
+        ]);
+        const summary = component.first('#submission-upload-summary').text();
+        summary.should.equal('2 of 2 Submissions were uploaded.');
+      });
+  });
+
+  it('uploads media files for a submission that already exists', () =>
+    mockHttp()
+      .mount(SubmissionUpload, {
+        propsData: {
+          formVersion: new Form(testData.extendedForms.createPast(1).last())
+        }
+      })
+      .request(component => selectFiles(component, [
+        instanceFile('1.xml', { body: '<photo>a.jpg</photo>' }),
+        mediaFile('a.jpg')
+      ])
+        .then(trigger.click('.submission-upload-actions .btn-primary')))
+      .respondWithProblem(409.3)
+      .respondWithSuccess()
+      .afterResponses(component => {
+        rowStatuses(component).should.eql([
+          ['1.xml', 'Already exists'],
+          ['a.jpg', 'Uploaded']
+        ]);
+        const summary = component.first('#submission-upload-summary').text();
+        summary.should.equal('0 of 1 Submission was uploaded.');
+      }));
+
+  it('skips the media files of an instance that fails', () =>
+    mockHttp()
+      .mount(SubmissionUpload, {
+        propsData: {
+          formVersion: new Form(testData.extendedForms.createPast(1).last())
+        }
+      })
+      .request(component => selectFiles(component, [
+        instanceFile('1.xml', { body: '<photo>a.jpg</photo>' }),
+        mediaFile('a.jpg'),
+        instanceFile('2.xml')
+      ])
+        .then(trigger.click('.submission-upload-actions .btn-primary')))
+      .respondWithProblem({ code: 400.2, message: 'Invalid XML.' })
+      .respondWithSuccess()
+      .afterResponses(component => {
+        rowStatuses(component).should.eql([
+          ['1.xml', 'Invalid XML.'],
+          ['a.jpg', 'Not uploaded'],
+          ['2.xml', 'Uploaded']
+        ]);
+        component.vm.$store.state.alert.state.should.be.false();
+      }));
+
+  it('stops after a request fails without a Problem', () =>
+    mockHttp()
+      .mount(SubmissionUpload, {
+        propsData: {
+          formVersion: new Form(testData.extendedForms.createPast(1).last())
+        }
+      })
+      .request(component => selectFiles(component, [
+        instanceFile('1.xml'),
+        instanceFile('2.xml')
+      ])
+        .then(trigger.click('.submission-upload-actions .btn-primary')))
+      // The response is not a Problem, because it does not have a message.
+      .respondWithProblem({ code: 500 })
+      .afterResponses(component => {
+        rowStatuses(component).should.eql([
+          ['1.xml', 'Failed'],
+          ['2.xml', 'Not uploaded']
+        ]);
+        component.find('.submission-upload-actions .btn-default').length
+          .should.equal(1);
+      }));
+
+  describe('uploaded event', () => {
+    it('emits the event if a file was uploaded', () =>
+      mockHttp()
+        .mount(SubmissionUpload, {
+          propsData: {
+            formVersion: new Form(testData.extendedForms.createPast(1).last())
+          }
+        })
+        .request(component => {
+          sinon.replace(component.vm, '$emit', sinon.fake());
+          return selectFiles(component, [instanceFile('1.xml')])
+            .then(trigger.click('.submission-upload-actions .btn-primary'));
+        })
+        .respondWithSuccess()
+        .afterResponses(component => {
+          component.vm.$emit.calledWith('uploaded').should.be.true();
+        }));
+
+    it('does not emit the event if no file was uploaded', () =>
+      mockHttp()
+        .mount(SubmissionUpload, {
+          propsData: {
+            formVersion: new Form(testData.extendedForms.createPast(1).last())
+          }
+        })
+        .request(component => {
+          sinon.replace(component.vm, '$emit', sinon.fake());
+          return selectFiles(component, [instanceFile('1.xml')])
+            .then(trigger.click('.submission-upload-actions .btn-primary'));
+        })
+        .respondWithProblem(409.3)
+        .afterResponses(component => {
+          component.vm.$emit.called.should.be.false();
+        }));
+  });
+});
@@ -0,0 +1,56 @@
+import sinon from 'sinon';
+
+import SubmissionValue from '../../../src/components/submission/value.vue';
+
+import { mount } from '../../util/lifecycle';
+import { trigger } from '../../util/event';
+
+const mountComponent = (propsData = {}) => mount(SubmissionValue, {
+  propsData: {
+    state: true,
+    header: 'Some header',
+    text: 'LINESTRING (0 0, 0 0.001)',
+    ...propsData
+  }
+});
+
+describe('SubmissionValue', () => {
+  it('shows the header as the title', () => {
+    const title = mountComponent().first('.modal-title').text();
+    title.should.equal('Some header');
+  });
+
+  it('shows the full value', () => {
+    const text = mountComponent().first('pre').text();
+    text.should.equal('LINESTRING (0 0, 0 0.001)');
+  });
+
+  it('shows the summary', () => {
+    const modal = mountComponent({ summary: '2 points, 111 m' });
+    modal.first('.modal-introduction').text().should.equal('2 points, 111 m');
+  });
+
+  it('does not show a summary if there is none', () => {
+    mountComponent().find('.modal-introduction').length.should.equal(0);
+  });
+
+  it('copies the value', async () => {
+    const writeText = sinon.fake.resolves();
+    sinon.replaceGetter(navigator, 'clipboard', () => ({ writeText }));
+    const modal = mountComponent();
+    await trigger.click(modal, '.btn-default');
+    writeText.calledWith('LINESTRING (0 0, 0 0.001)').should.be.true();
+    await modal.vm.$nextTick();
+    modal.should.alert('success');
+  });
+
+  it('shows a danger alert if the value cannot be copied', async () => {
+    const writeText = sinon.fake.rejects(new Error('denied'));
+    sinon.replaceGetter(navigator, 'clipboard', () => ({ writeText }));
+    const modal = mountComponent();
+    await trigger.click(modal, '.btn-default');
+    await writeText.firstCall.returnValue.catch(() => {});
+    await modal.vm.$nextTick();
+    modal.should.alert('danger');
+  });
+});
@@ -0,0 +1,258 @@
+import SubmissionList from '../../../src/components/submission/list.vue';
+import SubmissionViewDropdown from '../../../src/components/submission/view-dropdown.vue';
+import SubmissionViewSave from '../../../src/components/submission/view-save.vue';
+
+import Form from '../../../src/presenters/form';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { trigger } from '../../util/event';
+
+const storageKey = () =>
+  `submissionViews:${testData.extendedUsers.first().id}:/v1/projects/1/forms/f`;
+const saveViews = (saved) => {
+  localStorage.setItem(storageKey(), JSON.stringify(saved));
+};
+const param = ({ url }, name) => new URL(url, window.location.origin)
+  .searchParams.get(name);
+
+// If there is a default view, the first chunk of submissions is requested
+// after the fields are received, so after the submitters.
+const loadSubmissionList = (hasDefault = false, requestData = { keys: [] }) => {
+  const form = testData.extendedForms.last();
+  const series = mockHttp()
+    .mount(SubmissionList, {
+      propsData: {
+        baseUrl: '/v1/projects/1/forms/f',
+        formVersion: new Form(form),
+        filterable: true
+      },
+      requestData
+    })
+    .respondWithData(() => form._fields);
+  return hasDefault
+    ? series
+      .respondWithData(() => [])
+      .respondWithData(() => testData.submissionOData(0))
+    : series
+      .respondWithData(() => testData.submissionOData(0))
+      .respondWithData(() => []);
+};
+
+describe('SubmissionViewDropdown', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.string('/s'), testData.fields.int('/i')]
+    });
+  });
+
+  it('shows a message if there are no saved views', async () => {
+    const component = await loadSubmissionList();
+    const dropdown = component.first(SubmissionViewDropdown);
+    dropdown.find('.submission-view-dropdown-view').length.should.equal(0);
+    dropdown.first('.dropdown-menu li').text().trim()
+      .should.equal('No saved views');
+  });
+
+  it('saves the current view', () =>
+    loadSubmissionList()
+      .complete()
+      .request(component => component.vm.sortBy({ path: 'i', desc: true }))
+      .respondWithData(() => testData.submissionOData(0))
+      .afterResponse(async (component) => {
+        await trigger.click(component, '#submission-view-dropdown-save');
+        const modal = component.first(SubmissionViewSave);
+        modal.getProp('state').should.be.true();
+        await trigger.submit(modal, 'form', [['input', 'Newest']]);
+        modal.getProp('state').should.be.false();
+        const saved = JSON.parse(localStorage.getItem(storageKey()));
+        saved.views.length.should.equal(1);
+        saved.views[0].name.should.equal('Newest');
+        saved.views[0].view.sort.should.eql({ path: 'i', desc: true });
+        should.not.exist(saved.defaultName);
+        const names = component.find('.submission-view-dropdown-view .view-name')
+          .map(a => a.text().trim());
+        names.should.eql(['Newest']);
+      }));
+
+  it('replaces a view with the same name', async () => {
+    saveViews({
+      views: [{ name: 'v', view: { sort: { path: 'i', desc: false } } }],
+      defaultName: null
+    });
+    const component = await loadSubmissionList();
+    await trigger.click(component, '#submission-view-dropdown-save');
+    const modal = component.first(SubmissionViewSave);
+    await trigger.input(modal, 'input', 'v');
+    modal.find('.help-block').length.should.equal(1);
+    await trigger.check(modal, 'input[type="checkbox"]');
+    await trigger.submit(modal, 'form');
+    const saved = JSON.parse(localStorage.getItem(storageKey()));
+    saved.views.length.should.equal(1);
+    should.not.exist(saved.views[0].view.sort);
+    saved.defaultName.should.equal('v');
+  });
+
+  it('applies a saved view', () => {
+    saveViews({
+      views: [{
+        name: 'v',
+        view: {
+          conditions: [{ field: '/i', operator: 'gt', value: '1' }],
+          sort: { path: 'i', desc: true }
+        }
+      }],
+      defaultName: null
+    });
+    return loadSubmissionList()
+      .complete()
+      .request(trigger.click('.submission-view-dropdown-view .view-name'))
+      .beforeEachResponse((component, config) => {
+        param(config, '$filter').should.equal('i gt 1');
+        param(config, '$orderby').should.equal('i desc,__id');
+        component.vm.sort.should.eql({ path: 'i', desc: true });
+      })
+      .respondWithData(() => testData.submissionOData(0));
+  });
+
+  it('applies the default view when the component is created', () => {
+    saveViews({
+      views: [
+        { name: 'v1', view: { submitterId: '1' } },
+        { name: 'v2', view: { sort: { path: '__id', desc: false } } }
+      ],
+      defaultName: 'v2'
+    });
+    return loadSubmissionList(true)
+      .beforeEachResponse((_, config, index) => {
+        if (index === 2) {
+          should.not.exist(param(config, '$filter'));
+          param(config, '$orderby').should.equal('__id asc');
+        }
+      })
+      .afterResponses(component => {
+        const views = component.find('.submission-view-dropdown-view');
+        views[0].find('.default-view').length.should.equal(0);
+        views[1].first('.default-view').text().trim().should.equal('(default)');
+      });
+  });
+
+  it('removes a saved view', async () => {
+    saveViews({
+      views: [{ name: 'v1', view: {} }, { name: 'v2', view: {} }],
+      defaultName: 'v1'
+    });
+    const component = await loadSubmissionList(true);
+    await trigger.click(component, '.submission-view-dropdown-view .close');
+    const saved = JSON.parse(localStorage.getItem(storageKey()));
+    saved.should.eql({ views: [{ name: 'v2', view: {} }], defaultName: null });
+    component.find('.submission-view-dropdown-view').length.should.equal(1);
+  });
+
+  it('clears the default view', async () => {
+    saveViews({ views: [{ name: 'v', view: {} }], defaultName: 'v' });
+    const component = await loadSubmissionList(true);
+    await trigger.click(component, '#submission-view-dropdown-clear-default');
+    const saved = JSON.parse(localStorage.getItem(storageKey()));
+    should.not.exist(saved.defaultName);
+    component.find('#submission-view-dropdown-clear-default').length
+      .should.equal(0);
+    component.find('.default-view').length.should.equal(0);
+  });
+
+  it('ignores saved views that cannot be parsed', async () => {
+    localStorage.setItem(storageKey(), '{');
+    const component = await loadSubmissionList();
+    component.find('.submission-view-dropdown-view').length.should.equal(0);
+  });
+
+  describe('shared views', () => {
+    const withProject = () => {
+      testData.extendedProjects.createPast(1, { role: 'manager' });
+      return { keys: [], project: testData.extendedProjects.last() };
+    };
+    const openDropdown = (requestData = { keys: [] }) =>
+      loadSubmissionList(false, requestData)
+        .complete()
+        .request(trigger.click('#submission-view-dropdown-toggle'));
+
+    it('fetches the shared views when the dropdown is opened', () =>
+      openDropdown()
+        .beforeEachResponse((_, { method, url }) => {
+          method.should.equal('GET');
+          url.should.equal('/v1/projects/1/forms/f/submission-views');
+        })
+        .respondWithData(() => [{ name: 'Shared', view: {} }, { name: 1 }])
+        .afterResponse(component => {
+          const names = component
+            .find('.submission-view-dropdown-shared-view .view-name')
+            .map(a => a.text().trim());
+          names.should.eql(['Shared']);
+          component.find('.submission-view-dropdown-shared-view .close')
+            .length.should.equal(0);
+        }));
+
+    it('applies a shared view', () =>
+      openDropdown()
+        .respondWithData(() => [
+          { name: 'Shared', view: { sort: { path: 'i', desc: true } } }
+        ])
+        .complete()
+        .request(trigger.click('.submission-view-dropdown-shared-view .view-name'))
+        .beforeEachResponse((_, config) => {
+          param(config, '$orderby').should.equal('i desc,__id');
+        })
+        .respondWithData(() => testData.submissionOData(0)));
+
+    it('does not show the checkbox to share a view to a user who cannot', async () => {
+      const component = await loadSubmissionList();
+      await trigger.click(component, '#submission-view-dropdown-save');
+      const modal = component.first(SubmissionViewSave);
+      modal.find('input[type="checkbox"]').length.should.equal(1);
+    });
+
+    it('shares the current view', () =>
+      openDropdown(withProject())
+        .respondWithData(() => [])
+        .afterResponse(async (component) => {
+          await trigger.click(component, '#submission-view-dropdown-save');
+          const modal = component.first(SubmissionViewSave);
+          await trigger.input(modal, 'input[type="text"], input:not([type])', 'Shared');
+          await trigger.check(modal, 'input[type="checkbox"]');
+        })
+        .request(component =>
+          trigger.submit(component.first(SubmissionViewSave), 'form'))
+        .beforeEachResponse((_, { method, url, data }) => {
+          method.should.equal('POST');
+          url.should.equal('/v1/projects/1/forms/f/submission-views');
+          data.name.should.equal('Shared');
+          data.view.table.should.equal('Submissions');
+        })
+        .respondWithSuccess()
+        .afterResponse(component => {
+          component.first(SubmissionViewSave).getProp('state').should.be.false();
+          const names = component
+            .find('.submission-view-dropdown-shared-view .view-name')
+            .map(a => a.text().trim());
+          names.should.eql(['Shared']);
+          should.not.exist(localStorage.getItem(storageKey()));
+        }));
+
+    it('removes a shared view', () =>
+      openDropdown(withProject())
+        .respondWithData(() => [{ name: 'a/b', view: {} }])
+        .complete()
+        .request(trigger.click('.submission-view-dropdown-shared-view .close'))
+        .beforeEachResponse((_, { method, url }) => {
+          method.should.equal('DELETE');
+          url.should.equal('/v1/projects/1/forms/f/submission-views/a%2Fb');
+        })
+        .respondWithSuccess()
+        .afterResponse(component => {
+          component.find('.submission-view-dropdown-shared-view').length
+            .should.equal(0);
+        }));
+  });
+});
@@ -0,0 +1,36 @@
+import faker from 'faker';
+import { comparator } from 'ramda';
+
+import { dataStore } from './data-store';
+import { extendedSubmissions } from './submissions';
+import { extendedUsers } from './users';
+import { fakePastDate, isBefore } from '../util/date-time';
+import { toActor } from './actors';
+
+// eslint-disable-next-line import/prefer-default-export
+export const extendedComments = dataStore({
+  factory: ({
+    inPast,
+    id,
+    lastCreatedAt,
+
+    submission = extendedSubmissions.last(),
+    body = faker.lorem.sentence(),
+    actor = extendedUsers.first()
+  }) => {
+    if (submission === undefined) throw new Error('submission not found');
+    if (actor === undefined) throw new Error('user not found');
+    return {
+      id,
+      body,
+      actorId: actor.id,
+      actor: toActor(actor),
+      createdAt: inPast
+        ? fakePastDate([lastCreatedAt, submission.createdAt, actor.createdAt])
+        : new Date().toISOString()
+    };
+  },
+  // Oldest first
+  sort: comparator((comment1, comment2) =>
+    isBefore(comment1.createdAt, comment2.createdAt))
+});
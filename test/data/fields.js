@@ -12,6 +12,8 @@ const types = [
   'time',
   'dateTime',
   'geopoint',
+  'geotrace',
+  'geoshape',
   'binary'
 ];
 for (const type of types) {
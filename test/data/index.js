@@ -2,6 +2,7 @@ import * as Actors from './actors';
 import * as Assignments from './assignments';
 import * as Audits from './audits';
 import * as BackupsConfigs from './backups-configs';
+import * as Comments from './comments';
 import * as FieldKeys from './field-keys';
 import * as Fields from './fields';
 import * as FormAttachments from './form-attachments';
@@ -13,6 +14,7 @@ import * as Roles from './roles';
 import * as Sessions from './sessions';
 import * as Submissions from './submissions';
 import * as Users from './users';
+import * as XForms from './xforms';
 import seed from './seed';
 import { resetDataStores } from './data-store';
 
@@ -22,6 +24,7 @@ const testData = Object.assign(
   Assignments,
   Audits,
   BackupsConfigs,
+  Comments,
   FieldKeys,
   Fields,
   FormAttachments,
@@ -32,7 +35,8 @@ const testData = Object.assign(
   Roles,
   Sessions,
   Submissions,
-  Users
+  Users,
+  XForms
 );
 
 testData.seed = seed;
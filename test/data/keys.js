@@ -4,7 +4,6 @@ import { comparator } from 'ramda';
 import { dataStore } from './data-store';
 import { fakePastDate } from '../util/date-time';
 
-// eslint-disable-next-line import/prefer-default-export
 export const standardKeys = dataStore({
   factory: ({
     inPast,
@@ -12,13 +11,89 @@ export const standardKeys = dataStore({
     lastCreatedAt,
 
     managed = faker.random.boolean(),
-    hint = managed && faker.random.boolean() ? 'helpful hint' : null
+    hint = managed && faker.random.boolean() ? 'helpful hint' : null,
+    // The encrypted private key of a managed key: see util/decrypt.js.
+    private: privateKey = null
   }) => ({
     id,
     get public() { throw new Error('not implemented'); },
     managed,
     hint,
+    private: privateKey,
     createdAt: inPast ? fakePastDate([lastCreatedAt]) : new Date().toISOString()
   }),
   sort: comparator((key1, key2) => key1.id > key2.id)
 });
+
+/*
+The private key of a managed key and a submission encrypted using the public
+key. The submission was encrypted in the same way as Collect encrypts a
+submission, using SHA-256 for OAEP and SHA-1 for MGF1. The submission has a
+single attachment, and its XML is:
+
+<data id="f"><s>hello</s><g><i>3</i><p>1.5 2.5 3 4</p></g><b>x.jpg</b><meta><instanceID>uuid:0b4b3ca9-4cb0-4b94-9b54-6a5c33c4d1b3</instanceID></meta></data>
+*/
+export const encryption = {
+  passphrase: 'supersecret',
+  private: {
+    privkey:
+      'AEcLys+aYOWxWrGx7m23aI1Qj7HTSRgtnv8qYs0RlzhYjBjXP4B9fEEQtplJXzz2' +
+      'hutd7jaErvD3IvJdBv9tBB9W6JF53xoUKDtmmd1NWGxCp+iJ2xCTdMxEv7PbbS1v' +
+      '/mAMaS6dhOCyFyOMOfex7+q9fJeYZYt8LqmxGsxzHj2cNfISIleVI4cb2Uc4dKXA' +
+      's1pq2ovTe4X1NcSIUVKXgIcKBUf78Z8/5wfiQo+UAviAW1mYZPEek7f8EGY1HXZH' +
+      '6+rjghIR7MBlVCuYyZIfDukBM/h1yMWCkNSdgIzUXLKtPXuWVceby9irDoytu2Ol' +
+      'u1uN6IAueVqVDj4w22GvCv5cEdLm4j37cO7vLj2qpFu7oTbLBoWf7dlOzh5BGcyq' +
+      '8WyYu0Z0OIFerYnnZXNyQxHi1MPjez+DlqbXXoT78OWzoc54M42cG8R0zdM8yHqd' +
+      'ohl/j1H4WvJo8JfYhLQu9hIDq0Il35mEOLKvoBotBS7Ptmbd9PNTkyBZ4z7mlQUK' +
+      'FNz+JN4/7VrMrr/GRF9QmYzypG5uKMpeNws2ejyRpdheWsg1HTAZHVpgnHOy4DgB' +
+      '0oy2gwSk5PNa2GEicaLRb3lRBQy0O7OLTqFMllAP48J9zLVeOE7EOnnpTLlE1ttU' +
+      'nQePqqniBr8VCpDxRNFdY3ZhPjdoC0pABg4PMVrte/IQiDMJ2hkYzJ9t3mb//zN0' +
+      'l6F5XxHxu5kzoPWsNjGna5Z9zY9M3bnYvnCjJzV7sU/+WaVMmHBgN9pj31IlJEuU' +
+      'ql0Qxt37XACOQvL/HakhtQmHEMtZNzdbm/fSQnDcRxHZYlxVU44xkULrRg+tGH8G' +
+      's9pT0l4WybPBXSMpNAnzsqjEUnSm4XsguMSgQt6yDUq1vVqVAqvL8OItMt4lIeih' +
+      '3c9ep+MzqstkDLO0pUhEOQrn4wLlzhGklXcAhKW+qHIln6egmsYGwx0PXYYrrGLn' +
+      'tn1RwSIFMPI50zWU7QlwogXhMXM0fHE/bBHJawUog09kmc5pPYYjyGZOuUTIoMCE' +
+      'fm0aI2/MLGU7zVxpZZ/b5l7aGkt7KCtfStQ4CYIVX0Vfv+Scs87pV67Dm1WBc0lW' +
+      'yqvBjzKEXhFFsgbqLJ4tgXI/NJH3D8OWgv7cKk/nelZuL9ltFwnWuZHJoqmw4l/E' +
+      'NCZLw7nRcqZ6nsTKsQzvWLmjH4MsonSKiMNQ7+s3FQCjx0k5FLlNSV4hKq/g4qRV' +
+      '1Ros0Q+7vTzQSuq19QXhf2ANewI47iytYMBQYqUanEXE8VXoqnh7z8QuM0HGUpul' +
+      'cHcYPmWZDFBi2ZlSm2USDbSTg3HhSjMs8KKACVPBQFHpfk1RmPqJ7hZLEIPKmcbT' +
+      'tO19T+bl5lxMTfqPWC7bgVqfp88ayVBWQEClLtwSGBG4gCQvklGqbM9jXACHVlZu' +
+      'mksdQyy+PE/PJEr49dW1vWzBVOqY19OJKWpiZdQu1EqcV3smMbFtFyHzn5yJEeqY' +
+      'wNPGCTZ0SC9kYdUB0RqaNXCCvRWR74eYxAYFj8ZtpQdNIcQyVTTQulRkFOoiBcB7' +
+      'vTzdGgoEv1MA6FZu/yGi1Ah7D57e2K/5eXoECV7/ifTtI84zfh22gEoYjJGYrSQV' +
+      '2b94nZJTvucV6f1J0w9M/vR/3pIKINihXseq4mPlQgc/2y3w0wtkqCiaIE5hCeKX' +
+      'Fi2b4UL3i/Iau3kESYNG37EPzFLo2XIZLeaURbcoHCWfAAXnQX5AcdNUPeE0QEns' +
+      'o4PMfCSu1zY8X4TNsbMCoTrkwcjBcwDa6609bWtXU5hsTsUcgLqneNT5mF/Ro2vd' +
+      '5viYaVZgAamrnsJbsEhzH12k95kMBILbiwHhiEDT85+JpDagben8YaUoB8DP4QMF' +
+      'OLDhzcQZSLwApohgJjRU/Epw2Lg+8m4SD5RFi5K4IkUsvRBI436SAVGZyiNLzFGw' +
+      '9tUzUZWIqDKIdbaX7Eg1jhPHuZlAivKUp7rFty71pOPjfywL3erVtoW2sUBgPZ+H' +
+      'TwKN/wA74hJ5X9tBKN1dXSvPkPF7p3rKRNnOrsmBlBL+a90K6qhjg+3IzxUYhp4R' +
+      'L95h3HsHmAIFTrqhIr4xPc1/hEBZ9KEQXskRtYpvW9fsgmQVVVix8OcG8DWe/Fac' +
+      'iMspjx2EMDOav4wAuGdGAAf9SEkGXqQVCRpaS9K+7sQdHAIPmrD9MTgp5QVAondR' +
+      'F5ZdpyGV8ZgA5tvYcU3+c+ZvLhuX4A+NJDYhsi61z1TAiP6ix3ophdqmgtXhbI+n' +
+      'dX+V79+2HDBFBWvmOTo2cWOw/ibKGKuvdbkKG62yzYQ=',
+    salt: 'RTB/Umn1FK9wJacUiQVnjA==',
+    iv: '3FTpSUTXXlyUtmjjsSw7Kw=='
+  },
+  instanceId: 'uuid:0b4b3ca9-4cb0-4b94-9b54-6a5c33c4d1b3',
+  envelope: '<data id="f" encrypted="yes" xmlns="http://opendatakit.org/submissions">' +
+    '<base64EncryptedKey>' +
+    'afPND7lU2+/vCMjWEXoNAua0O1kR3ebwg5fczyat7thiFoGhBH0XJxzrva0lEbVh' +
+    'zxKGxo8d0Vj+Wz8j7YWRPJ/RArvvjiO7jstb4QFgRtWAB6K+B3/y6eZxtykCVekx' +
+    '6seWrFExOgHJ/us/udM2Jhm/t4wsQ4j32rqp8Ou1E15lvHYANvq6Pvn9lzBcaV7f' +
+    'vmHaPENYw3cROy3mwLadNCPdnUB3nibCb9/wk63pHWRLjpV3scRdh6/G3rrAq0pT' +
+    'v2JWT3Wea/T/ZKv4bISQOzEvTNo3QLZpODC8xTQo/TXJ0PetwVZPYXKAbdUABMzt' +
+    'CMtgpmQeHjJGiuH4kJhgww==' +
+    '</base64EncryptedKey>' +
+    '<meta xmlns="http://openrosa.org/xforms"><instanceID>uuid:0b4b3ca9-4cb0-4b94-9b54-6a5c33c4d1b3</instanceID></meta>' +
+    '<media><file>x.jpg.enc</file></media>' +
+    '<encryptedXmlFile>submission.xml.enc</encryptedXmlFile>' +
+    '</data>',
+  // The content of submission.xml.enc, base64-encoded
+  encryptedXml:
+    'KGoyEF2mmhSkIN2ijM6F2QK9CoTfpsaNm3wLEjQHMIcMUBLE2ENXn6FT7OaSP6WY' +
+    '85dCm5Nidcq3DWoTZF+FY95WICtoj7g74bijppVpJIfu3+ILxMB1Q+08134N31LR' +
+    'kvOkYQbyyaU3L3dDjw/niCAHNC5JUqwWhuAs++aY+A31rkPxXuzmXe4zfJrWG49e' +
+    '2OuXdizcfvQVPy35eWNfPw=='
+};
@@ -32,6 +32,9 @@ export default () => {
         'submission.create',
         'submission.list',
         'submission.read',
+        'submission.update',
+        'submission.delete',
+        'submission.restore',
         'user.create',
         'user.list',
         'user.read',
@@ -68,7 +71,10 @@ export default () => {
         'session.end',
         'submission.create',
         'submission.list',
-        'submission.read'
+        'submission.read',
+        'submission.update',
+        'submission.delete',
+        'submission.restore'
       ]
     })
     .createPast(1, {
@@ -49,6 +49,20 @@ const odataValue = (field, instanceId) => {
       if (faker.random.boolean()) coordinates.push(faker.random.number());
       return { type: 'Point', coordinates };
     }
+    case 'geotrace':
+    case 'geoshape': {
+      const coordinates = [];
+      for (let i = 0; i < 3; i += 1) {
+        coordinates.push([
+          faker.random.number({ min: -180, max: 180, precision: 0.0000000001 }),
+          faker.random.number({ min: -85, max: 85, precision: 0.0000000001 })
+        ]);
+      }
+      if (field.type === 'geotrace') return { type: 'LineString', coordinates };
+      // The first and last positions of a shape are the same.
+      coordinates.push(coordinates[0]);
+      return { type: 'Polygon', coordinates: [coordinates] };
+    }
     case 'binary':
       return faker.system.commonFileName('jpg');
     case null:
@@ -58,23 +72,33 @@ const odataValue = (field, instanceId) => {
   }
 };
 
-// Returns random OData for a form submission. `partial` seeds the OData.
-const odata = ({ form, instanceId, partial }) => form._fields
-  .map(field => new Field(field))
-  .reduce(
-    (data, field) => {
-      if (field.type === 'repeat') return data;
-      // `partial` may have already specified a value for the field.
-      return hasPath(field.splitPath(), data)
-        ? data
-        : set(
-          lensPath(field.splitPath()),
-          field.type === 'structure' ? {} : odataValue(field, instanceId),
-          data
-        );
-    },
-    partial
-  );
+// Returns random OData for a form submission. `partial` seeds the OData. Data
+// is not generated for repeat groups: specify any repeat data in `partial`.
+const odata = ({ form, instanceId, partial }) => {
+  // The path of the repeat group currently being traversed
+  let repeat = null;
+  return form._fields
+    .map(field => new Field(field))
+    .reduce(
+      (data, field) => {
+        if (repeat != null && field.path.startsWith(repeat)) return data;
+        repeat = null;
+        if (field.type === 'repeat') {
+          repeat = `${field.path}/`;
+          return data;
+        }
+        // `partial` may have already specified a value for the field.
+        return hasPath(field.splitPath(), data)
+          ? data
+          : set(
+            lensPath(field.splitPath()),
+            field.type === 'structure' ? {} : odataValue(field, instanceId),
+            data
+          );
+      },
+      partial
+    );
+};
 
 // eslint-disable-next-line import/prefer-default-export
 export const extendedSubmissions = dataStore({
@@ -85,6 +109,14 @@ export const extendedSubmissions = dataStore({
     form = extendedForms.first(),
     instanceId = faker.random.uuid(),
     status = null,
+    reviewState = null,
+    deletedAt = null,
+    // The number of times that the submission has been edited
+    edits = 0,
+    deviceId = null,
+    instanceName = null,
+    attachmentsPresent = 0,
+    attachmentsExpected = 0,
     submitter = extendedUsers.first(),
     ...partialOData
   }) => {
@@ -98,6 +130,9 @@ export const extendedSubmissions = dataStore({
       submitter: toActor(submitter),
       createdAt,
       updatedAt: null,
+      reviewState,
+      deletedAt,
+      deviceId,
       // An actual submission JSON response does not have this property. We
       // include it here so that it is easy to match submission data and
       // metadata during testing.
@@ -109,9 +144,16 @@ export const extendedSubmissions = dataStore({
           __id: instanceId,
           __system: {
             status,
+            reviewState,
+            deletedAt,
+            edits,
             submissionDate: createdAt,
             submitterId: submitter.id.toString(),
-            submitterName: submitter.displayName
+            submitterName: submitter.displayName,
+            deviceId,
+            instanceName,
+            attachmentsPresent,
+            attachmentsExpected
           }
         }
       })
@@ -122,9 +164,23 @@ export const extendedSubmissions = dataStore({
 });
 
 // Converts submission response objects to OData. Returns all data even for
-// encrypted submissions.
-export const submissionOData = (top = 250, skip = 0) => ({
-  '@odata.count': extendedSubmissions.size,
-  value: extendedSubmissions.sorted().slice(skip, skip + top)
-    .map(submission => submission._odata)
-});
+// encrypted submissions. Deleted submissions are not returned.
+export const submissionOData = (top = 250, skip = 0) => {
+  const submissions = extendedSubmissions.sorted()
+    .filter(submission => submission.deletedAt == null);
+  return {
+    '@odata.count': submissions.length,
+    value: submissions.slice(skip, skip + top)
+      .map(submission => submission._odata)
+  };
+};
+
+// Returns the OData of deleted submissions.
+export const deletedSubmissionOData = () => {
+  const submissions = extendedSubmissions.sorted()
+    .filter(submission => submission.deletedAt != null);
+  return {
+    '@odata.count': submissions.length,
+    value: submissions.map(submission => submission._odata)
+  };
+};
@@ -0,0 +1,17 @@
+// Returns the XML of a form. `model` is added to the model after the primary
+// instance, for example, itext or a secondary instance. `body` is the content
+// of the body.
+// eslint-disable-next-line import/prefer-default-export
+export const xform = ({ model = '', body = '' } = {}) => `<?xml version="1.0"?>
+<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml" xmlns:jr="http://openrosa.org/javarosa" xmlns:odk="http://www.opendatakit.org/xforms">
+  <h:head>
+    <h:title>f</h:title>
+    <model>
+      <instance>
+        <data id="f"><meta><instanceID/></meta></data>
+      </instance>
+      ${model}
+    </model>
+  </h:head>
+  <h:body>${body}</h:body>
+</h:html>`;
@@ -138,6 +138,7 @@ afterEach(clearNavGuards);
 
 afterEach(() => {
   store.commit('resetAlert');
+  store.commit('resetDownloads');
   store.commit('resetRequests');
   store.commit('clearData');
 });
@@ -55,6 +55,22 @@ describe('mixins/routes', () => {
     });
   });
 
+  describe('submissionPath', () => {
+    const { submissionPath } = mixin.methods;
+
+    it('returns a path for a submission to a form', () => {
+      submissionPath(1, 'f', false, 'a b').should.equal('/projects/1/forms/f/submissions/a%20b');
+    });
+
+    it('returns a path for a submission to a form draft', () => {
+      submissionPath(1, 'f', true, 'a b').should.equal('/projects/1/forms/f/draft/submissions/a%20b');
+    });
+
+    it('encodes the form ID', () => {
+      submissionPath(1, 'f g', false, 'a').should.equal('/projects/1/forms/f%20g/submissions/a');
+    });
+  });
+
   describe('userPath', () => {
     it('returns a path if given an id', () => {
       mixin.methods.userPath(1).should.equal('/users/1/edit');
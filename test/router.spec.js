@@ -83,11 +83,13 @@ describe('router', () => {
       '/projects/1/forms/f',
       '/projects/1/forms/f/versions',
       '/projects/1/forms/f/submissions',
+      '/projects/1/forms/f/submissions/s',
       '/projects/1/forms/f/public-links',
       '/projects/1/forms/f/settings',
       '/projects/1/forms/f/draft',
       '/projects/1/forms/f/draft/attachments',
       '/projects/1/forms/f/draft/testing',
+      '/projects/1/forms/f/draft/submissions/s',
       '/users',
       // The redirect should pass through the query string and hash.
       '/users?x=y#z',
@@ -507,11 +509,13 @@ describe('router', () => {
           '/projects/1/forms/f',
           '/projects/1/forms/f/versions',
           '/projects/1/forms/f/submissions',
+          '/projects/1/forms/f/submissions/s',
           '/projects/1/forms/f/public-links',
           '/projects/1/forms/f/settings',
           '/projects/1/forms/f/draft',
           '/projects/1/forms/f/draft/attachments',
-          '/projects/1/forms/f/draft/testing'
+          '/projects/1/forms/f/draft/testing',
+          '/projects/1/forms/f/draft/submissions/s'
         ]) {
           it(`redirects the user from ${path}`, () =>
             load('/projects/1')
@@ -573,7 +577,18 @@ describe('router', () => {
           }));
 
       it('redirects the user from .../submissions', () =>
-        load('/projects/1/forms/f/submissions')
+        load('/projects/1/forms/f/submissions', {}, {
+          formVersionXml: false
+        })
+          .respondFor('/')
+          .afterResponses(app => {
+            app.vm.$route.path.should.equal('/');
+          }));
+
+      it('redirects the user from .../submissions/:instanceId', () =>
+        load('/projects/1/forms/f/submissions/s', {}, {
+          submission: () => ({ value: [] })
+        })
           .respondFor('/')
           .afterResponses(app => {
             app.vm.$route.path.should.equal('/');
@@ -643,7 +658,19 @@ describe('router', () => {
           }));
 
       it('redirects the user from .../draft/testing', () =>
-        load('/projects/1/forms/f/draft/testing')
+        load('/projects/1/forms/f/draft/testing', {}, {
+          formVersionXml: false
+        })
+          .respondFor('/')
+          .afterResponses(app => {
+            app.vm.$route.path.should.equal('/');
+          }));
+
+      it('redirects the user from .../draft/submissions/:instanceId', () =>
+        load('/projects/1/forms/f/draft/submissions/s', {}, {
+          submission: () => ({ value: [] }),
+          comments: false
+        })
           .respondFor('/')
           .afterResponses(app => {
             app.vm.$route.path.should.equal('/');
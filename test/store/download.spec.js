@@ -0,0 +1,346 @@
+import sinon from 'sinon';
+
+import store from '../../src/store';
+import { maxBlobSize } from '../../src/store/modules/download';
+
+import { mockLogin } from '../util/session';
+import { waitUntil } from '../util/util';
+
+// Replaces window.fetch() with `fetch`, which is returned.
+const stubFetch = (fetch) => {
+  sinon.replace(window, 'fetch', fetch);
+  return fetch;
+};
+
+const respond = (body, init = undefined) =>
+  sinon.fake.resolves(new Response(body, init));
+
+// Replaces window.showSaveFilePicker() with a function that returns a file
+// handle. Returns an object with the bytes written to the file and with fakes
+// for the file picker and for the stream to the file.
+const stubPicker = () => {
+  const file = { written: [] };
+  file.writable = {
+    write: sinon.fake(chunk => {
+      file.written.push(...chunk);
+      return Promise.resolve();
+    }),
+    close: sinon.fake.resolves(),
+    abort: sinon.fake.resolves()
+  };
+  file.picker = sinon.fake.resolves({
+    name: 'saved.csv',
+    createWritable: sinon.fake.resolves(file.writable)
+  });
+  window.showSaveFilePicker = file.picker;
+  return file;
+};
+const writtenText = ({ written }) =>
+  new TextDecoder().decode(new Uint8Array(written));
+
+const download = (options) => store.dispatch('download', {
+  url: '/v1/projects/1/forms/f/submissions.csv',
+  ...options
+});
+
+describe('store/modules/download', () => {
+  beforeEach(mockLogin);
+
+  // Chrome has a file picker, but the test environment may not.
+  const { showSaveFilePicker } = window;
+  afterEach(() => {
+    if (showSaveFilePicker != null)
+      window.showSaveFilePicker = showSaveFilePicker;
+    else
+      delete window.showSaveFilePicker;
+  });
+
+  describe('download action', () => {
+    beforeEach(stubPicker);
+
+    it('sends a request with the session token', async () => {
+      const fetch = stubFetch(respond('a,b'));
+      await download({ url: '/projects/1/forms/f/submissions.csv' });
+      const [url, { method, headers }] = fetch.getCall(0).args;
+      url.should.equal('/v1/projects/1/forms/f/submissions.csv');
+      method.should.equal('GET');
+      const { token } = store.state.request.data.session;
+      headers.Authorization.should.equal(`Bearer ${token}`);
+    });
+
+    it('sends the method and data', async () => {
+      const fetch = stubFetch(respond('a,b'));
+      const data = new URLSearchParams();
+      data.set('1', 'supersecret');
+      await download({ method: 'POST', data });
+      const options = fetch.getCall(0).args[1];
+      options.method.should.equal('POST');
+      options.body.toString().should.equal('1=supersecret');
+    });
+
+    it('writes the file that the user chooses', async () => {
+      const file = stubPicker();
+      stubFetch(respond('a,b'));
+      await download();
+      file.picker.calledOnce.should.be.true();
+      file.picker.firstCall.args[0].suggestedName.should.equal('submissions.csv');
+      writtenText(file).should.equal('a,b');
+      file.writable.close.calledOnce.should.be.true();
+    });
+
+    it('does not send a request if the user closes the file picker', async () => {
+      window.showSaveFilePicker = sinon.fake(() =>
+        Promise.reject(new DOMException('The user aborted a request.', 'AbortError')));
+      const fetch = stubFetch(respond('a,b'));
+      const result = await download();
+      should.not.exist(result);
+      fetch.called.should.be.false();
+      store.state.download.downloads.length.should.equal(0);
+    });
+
+    it('adds the download to the list', async () => {
+      const { downloads } = store.state.download;
+      stubFetch(sinon.fake(() => {
+        downloads.length.should.equal(1);
+        downloads[0].status.should.equal('loading');
+        store.getters.downloading.should.be.true();
+        return Promise.resolve(new Response('a,b'));
+      }));
+      const result = await download();
+      result.should.equal(downloads[0]);
+      result.status.should.equal('success');
+      result.received.should.equal(3);
+      store.getters.downloading.should.be.false();
+    });
+
+    it('uses the name of the file that the user chooses', async () => {
+      stubFetch(respond('a,b'));
+      const { filename } = await download();
+      filename.should.equal('saved.csv');
+    });
+
+    it('suggests the last segment of the URL as the filename', async () => {
+      const file = stubPicker();
+      stubFetch(respond('a,b'));
+      await download({
+        url: '/v1/projects/1/forms/f/submissions.csv.zip?attachments=false'
+      });
+      const { suggestedName } = file.picker.firstCall.args[0];
+      suggestedName.should.equal('submissions.csv.zip');
+    });
+
+    it('uses the Content-Length header for the total', async () => {
+      stubFetch(respond('a,b', { headers: { 'Content-Length': '3' } }));
+      const { total } = await download();
+      total.should.equal(3);
+    });
+
+    it('shows the message of a Problem', async () => {
+      stubFetch(respond(
+        JSON.stringify({ code: 400.12, message: 'Could not decrypt.' }),
+        { status: 400, headers: { 'Content-Type': 'application/json' } }
+      ));
+      const { status, message } = await download();
+      status.should.equal('error');
+      message.should.equal('Could not decrypt.');
+      store.state.alert.state.should.be.true();
+      store.state.alert.type.should.equal('danger');
+      store.state.alert.message.should.equal('Could not decrypt.');
+    });
+
+    it('does not open the file if the response is a Problem', async () => {
+      const file = stubPicker();
+      stubFetch(respond(
+        JSON.stringify({ code: 400.12, message: 'Could not decrypt.' }),
+        { status: 400, headers: { 'Content-Type': 'application/json' } }
+      ));
+      await download();
+      file.writable.write.called.should.be.false();
+    });
+
+    it('shows an alert if the response is not a Problem', async () => {
+      stubFetch(respond('Bad Gateway', { status: 502 }));
+      const { status } = await download();
+      status.should.equal('error');
+      store.state.alert.type.should.equal('danger');
+    });
+
+    it('shows an alert if there is no response', async () => {
+      stubFetch(sinon.fake.rejects(new TypeError('Failed to fetch')));
+      const { status, message } = await download();
+      status.should.equal('error');
+      message.should.startWith('Something went wrong: there was no response');
+    });
+  });
+
+  describe('download action without a file picker', () => {
+    const { createObjectURL, revokeObjectURL } = URL;
+    let saved;
+    beforeEach(() => {
+      window.showSaveFilePicker = undefined;
+      saved = { blobs: [], anchors: [] };
+      URL.createObjectURL = sinon.fake(blob => {
+        saved.blobs.push(blob);
+        return 'blob:download';
+      });
+      URL.revokeObjectURL = sinon.fake();
+      sinon.replace(HTMLAnchorElement.prototype, 'click', sinon.fake(function click() {
+        saved.anchors.push(this);
+      }));
+    });
+    afterEach(() => {
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = revokeObjectURL;
+      store.dispatch('cancelDownloads');
+    });
+
+    const blobText = (blob) => new Promise(resolve => {
+      const reader = new FileReader();
+      reader.addEventListener('load', () => { resolve(reader.result); });
+      reader.readAsText(blob);
+    });
+    const iframe = () => document.querySelector('body > iframe');
+    // A response that is too large to hold in memory
+    const respondTooLarge = () => respond('a', {
+      headers: { 'Content-Length': (maxBlobSize + 1).toString() }
+    });
+
+    it('tracks the download', async () => {
+      stubFetch(respond('a,b'));
+      const result = await download();
+      result.should.equal(store.state.download.downloads[0]);
+      result.status.should.equal('success');
+      result.received.should.equal(3);
+    });
+
+    it('saves the file once it has been received', async () => {
+      stubFetch(respond('a,b'));
+      await download();
+      saved.blobs.length.should.equal(1);
+      (await blobText(saved.blobs[0])).should.equal('a,b');
+      saved.anchors.length.should.equal(1);
+      const [anchor] = saved.anchors;
+      anchor.getAttribute('href').should.equal('blob:download');
+      anchor.getAttribute('download').should.equal('submissions.csv');
+      // The link is removed after it is clicked.
+      should.not.exist(document.querySelector('body > a'));
+    });
+
+    it('uses the filename of the Content-Disposition header', async () => {
+      stubFetch(respond('a,b', {
+        headers: { 'Content-Disposition': 'attachment; filename="f.csv"; filename*=UTF-8\'\'f%C3%A9.csv' }
+      }));
+      const { filename } = await download();
+      filename.should.equal('fé.csv');
+      saved.anchors[0].getAttribute('download').should.equal('fé.csv');
+    });
+
+    it('has the browser download a file that is too large', async () => {
+      stubFetch(respondTooLarge());
+      const { status } = await download();
+      status.should.equal('native');
+      saved.blobs.length.should.equal(0);
+      iframe().getAttribute('src').should.equal('/v1/projects/1/forms/f/submissions.csv');
+    });
+
+    it('stops holding a file in memory once it is too large', async () => {
+      // A response without a Content-Length header whose body is read in two
+      // chunks
+      const chunk = { length: maxBlobSize / 2 + 1 };
+      const read = sinon.stub();
+      read.onCall(0).resolves({ done: false, value: chunk });
+      read.onCall(1).resolves({ done: false, value: chunk });
+      read.resolves({ done: true });
+      stubFetch(sinon.fake.resolves({
+        ok: true,
+        headers: new Headers(),
+        body: { getReader: () => ({ read }) }
+      }));
+      const { status } = await download();
+      status.should.equal('native');
+      saved.blobs.length.should.equal(0);
+      should.exist(iframe());
+    });
+
+    it('submits a form for a POST request', async () => {
+      const submit = sinon.fake(function submitForm() {
+        this.getAttribute('method').should.equal('post');
+        this.getAttribute('action').should.equal('/v1/projects/1/forms/f/submissions.csv');
+        this.getAttribute('target').should.equal(iframe().name);
+        const inputs = [...this.querySelectorAll('input')];
+        inputs.map(input => [input.name, input.value]).should.eql([
+          ['1', 'supersecret'],
+          ['__csrf', store.state.request.data.session.csrf]
+        ]);
+      });
+      sinon.replace(HTMLFormElement.prototype, 'submit', submit);
+      stubFetch(respondTooLarge());
+      const data = new URLSearchParams();
+      data.set('1', 'supersecret');
+      await download({ method: 'POST', data });
+      submit.calledOnce.should.be.true();
+      // The form is removed after it is submitted.
+      should.not.exist(document.querySelector('body > form'));
+    });
+
+    it('shows the message of a Problem in the iframe', async () => {
+      stubFetch(respondTooLarge());
+      await download();
+      const element = iframe();
+      const doc = element.contentWindow.document;
+      doc.open();
+      doc.write('<pre>{"code":500.1,"message":"Failed."}</pre>');
+      doc.close();
+      element.dispatchEvent(new Event('load'));
+      store.state.alert.type.should.equal('danger');
+      store.state.alert.message.should.equal('Failed.');
+      should.not.exist(iframe());
+    });
+
+    it('removes the iframe after the download starts', async () => {
+      const clock = sinon.useFakeTimers();
+      stubFetch(respondTooLarge());
+      await download();
+      should.exist(iframe());
+      clock.tick(60000);
+      should.not.exist(iframe());
+    });
+  });
+
+  describe('cancelDownload action', () => {
+    beforeEach(stubPicker);
+
+    it('cancels the download', async () => {
+      stubFetch((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          reject(new DOMException('The user aborted a request.', 'AbortError'));
+        });
+      }));
+      const promise = download();
+      await waitUntil(() => store.state.download.downloads.length !== 0);
+      const { id } = store.state.download.downloads[0];
+      store.dispatch('cancelDownload', id);
+      const { status } = await promise;
+      status.should.equal('canceled');
+      store.state.alert.state.should.be.false();
+    });
+  });
+
+  describe('createDownload mutation', () => {
+    it('keeps at most 10 downloads', () => {
+      for (let i = 0; i < 11; i += 1)
+        store.commit('createDownload', { id: -i, status: 'success' });
+      store.state.download.downloads.length.should.equal(10);
+      store.state.download.downloads[0].id.should.equal(-10);
+    });
+  });
+
+  describe('clearDownloads mutation', () => {
+    it('removes the downloads that are not in progress', () => {
+      for (const status of ['success', 'loading', 'error', 'canceled'])
+        store.commit('createDownload', { id: status, status });
+      store.commit('clearDownloads');
+      store.state.download.downloads.map(d => d.id).should.eql(['loading']);
+    });
+  });
+});
@@ -1,8 +1,34 @@
-import { getters } from '../../../src/store/modules/request/keys';
+import Field from '../../../src/presenters/field';
+import { getters, transforms } from '../../../src/store/modules/request/keys';
 
 import testData from '../../data';
 
 describe('store/modules/request/keys', () => {
+  describe('transforms', () => {
+    describe('odataChunk', () => {
+      const transform = (url, table) => transforms.odataChunk(
+        { data: { value: [] }, config: { url } },
+        { table }
+      );
+
+      it('marks a chunk of the top-level table', () => {
+        const chunk = transform('/v1/projects/1/forms/f.svc/Submissions?%24top=250', 'Submissions');
+        chunk.repeat.should.be.false();
+        chunk.filtered.should.be.false();
+      });
+
+      it('marks a chunk of a repeat table', () => {
+        const chunk = transform('/v1/projects/1/forms/f.svc/Submissions.r?%24top=250', 'Submissions.r');
+        chunk.repeat.should.be.true();
+      });
+
+      it('marks a filtered chunk', () => {
+        transform('/v1/projects/1/forms/f.svc/Submissions?%24filter=true', 'Submissions')
+          .filtered.should.be.true();
+      });
+    });
+  });
+
   describe('getters', () => {
     describe('selectableFields', () => {
       const selectablePaths = (fields) =>
@@ -58,5 +84,60 @@ describe('store/modules/request/keys', () => {
         selectablePaths([repeat('/r'), int('/r/i')]).length.should.equal(0);
       });
     });
+
+    describe('selectableFieldsByTable', () => {
+      const selectablePathsByTable = (fields) => {
+        const byTable = getters.selectableFieldsByTable({
+          data: { fields: fields.map(field => new Field(field)) }
+        });
+        return Object.entries(byTable).map(([table, selectable]) =>
+          [table, selectable.map(field => field.path)]);
+      };
+      const { group, repeat, string, int } = testData.fields;
+
+      it('returns the top-level fields for the Submissions table', () => {
+        selectablePathsByTable([
+          group('/meta'),
+          string('/meta/instanceID'),
+          int('/i'),
+          group('/g'),
+          int('/g/i')
+        ]).should.eql([['Submissions', ['/i', '/g/i']]]);
+      });
+
+      it('returns a table for each repeat group', () => {
+        const byTable = selectablePathsByTable([
+          /* eslint-disable indent */
+          int('/int1'),
+          repeat('/repeat1'),
+            int('/repeat1/int2'),
+            repeat('/repeat1/repeat2'),
+              int('/repeat1/repeat2/int3'),
+            int('/repeat1/int4'),
+          int('/int5'),
+          group('/group1'),
+            repeat('/group1/repeat3'),
+              group('/group1/repeat3/group2'),
+                int('/group1/repeat3/group2/int6'),
+            int('/group1/int7')
+          /* eslint-enable indent */
+        ]);
+        byTable.should.eql([
+          ['Submissions', ['/int1', '/int5', '/group1/int7']],
+          ['Submissions.repeat1', ['/int2', '/int4']],
+          ['Submissions.repeat1.repeat2', ['/int3']],
+          ['Submissions.group1.repeat3', ['/group2/int6']]
+        ]);
+      });
+
+      it('returns an empty array for a repeat group without fields', () => {
+        selectablePathsByTable([repeat('/r'), repeat('/r/r2'), int('/r/r2/i')])
+          .should.eql([
+            ['Submissions', []],
+            ['Submissions.r', []],
+            ['Submissions.r.r2', ['/i']]
+          ]);
+      });
+    });
   });
 });
@@ -0,0 +1,87 @@
+import { DecryptionError, decryptPrivateKey, decryptSubmission } from '../../src/util/decrypt';
+
+import testData from '../data';
+
+const base64ToArrayBuffer = (base64) =>
+  Uint8Array.from(window.atob(base64), c => c.charCodeAt(0)).buffer;
+const serialize = (doc) => new XMLSerializer().serializeToString(doc);
+
+describe('util/decrypt', () => {
+  const { encryption } = testData;
+
+  describe('decryptPrivateKey()', () => {
+    it('returns the components of the key', async () => {
+      const key = await decryptPrivateKey(
+        encryption.private,
+        encryption.passphrase
+      );
+      key.length.should.equal(256);
+      (key.p * key.q).should.equal(key.n);
+    });
+
+    it('throws an error if the passphrase is incorrect', async () => {
+      const error = await decryptPrivateKey(encryption.private, 'incorrect')
+        .catch(e => e);
+      error.should.be.an.instanceof(DecryptionError);
+      error.reason.should.equal('passphrase');
+    });
+  });
+
+  describe('decryptSubmission()', () => {
+    let key;
+    before(async () => {
+      key = await decryptPrivateKey(encryption.private, encryption.passphrase);
+    });
+
+    it('decrypts the submission XML', async () => {
+      const doc = await decryptSubmission(
+        key,
+        encryption.instanceId,
+        encryption.envelope,
+        base64ToArrayBuffer(encryption.encryptedXml)
+      );
+      serialize(doc).should.equal(`<data id="f"><s>hello</s><g><i>3</i><p>1.5 2.5 3 4</p></g><b>x.jpg</b><meta><instanceID>${encryption.instanceId}</instanceID></meta></data>`);
+    });
+
+    it('throws an error if the envelope does not include the key', async () => {
+      const envelope = encryption.envelope
+        .replace(/<base64EncryptedKey>.*<\/base64EncryptedKey>/, '');
+      const error = await decryptSubmission(
+        key,
+        encryption.instanceId,
+        envelope,
+        base64ToArrayBuffer(encryption.encryptedXml)
+      )
+        .catch(e => e);
+      error.reason.should.equal('envelope');
+    });
+
+    it('throws an error if the submission key cannot be decrypted', async () => {
+      const otherKey = window.btoa(String.fromCharCode(1).repeat(256));
+      const envelope = encryption.envelope.replace(
+        /<base64EncryptedKey>.*<\/base64EncryptedKey>/,
+        `<base64EncryptedKey>${otherKey}</base64EncryptedKey>`
+      );
+      const error = await decryptSubmission(
+        key,
+        encryption.instanceId,
+        envelope,
+        base64ToArrayBuffer(encryption.encryptedXml)
+      )
+        .catch(e => e);
+      error.reason.should.equal('key');
+    });
+
+    it('throws an error if the data cannot be decrypted', async () => {
+      // The instance ID is used to derive the initialization vector.
+      const error = await decryptSubmission(
+        key,
+        'uuid:different',
+        encryption.envelope,
+        base64ToArrayBuffer(encryption.encryptedXml)
+      )
+        .catch(e => e);
+      error.reason.should.equal('data');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { clusterPoints, fitBounds, geoArea, geoLength, geometryPositions, isGeoField, project, tileUrl, unproject, wkt, worldBounds } from '../../src/util/geo';
+
+import testData from '../data';
+
+const roundPoint = (point) => point.map(n => Math.round(n * 1e6) / 1e6);
+
+describe('util/geo', () => {
+  it('isGeoField()', () => {
+    isGeoField(testData.fields.geopoint('/p')).should.be.true();
+    isGeoField(testData.fields.geotrace('/t')).should.be.true();
+    isGeoField(testData.fields.geoshape('/s')).should.be.true();
+    isGeoField(testData.fields.string('/s')).should.be.false();
+  });
+
+  describe('project()', () => {
+    it('projects the corners of the world', () => {
+      roundPoint(project([0, 0])).should.eql([0.5, 0.5]);
+      roundPoint(project([-180, 85.0511287798])).should.eql([0, 0]);
+      roundPoint(project([180, -85.0511287798])).should.eql([1, 1]);
+    });
+
+    it('clamps the latitude', () => {
+      roundPoint(project([0, 90])).should.eql([0.5, 0]);
+    });
+
+    it('is the inverse of unproject()', () => {
+      roundPoint(unproject(project([12.5, -41.25]))).should.eql([12.5, -41.25]);
+    });
+  });
+
+  describe('geometryPositions()', () => {
+    it('returns the position of a point', () => {
+      const value = { type: 'Point', coordinates: [1, 2, 3, 4] };
+      geometryPositions(value).should.eql([[1, 2]]);
+    });
+
+    it('returns the positions of a line', () => {
+      const value = { type: 'LineString', coordinates: [[1, 2], [3, 4]] };
+      geometryPositions(value).should.eql([[1, 2], [3, 4]]);
+    });
+
+    it('returns the positions of the ring of a polygon', () => {
+      const value = {
+        type: 'Polygon',
+        coordinates: [[[1, 2], [3, 4], [5, 6], [1, 2]]]
+      };
+      geometryPositions(value).should.eql([[1, 2], [3, 4], [5, 6], [1, 2]]);
+    });
+
+    it('returns null for a value that is not a geometry', () => {
+      should.not.exist(geometryPositions(null));
+      should.not.exist(geometryPositions('x'));
+      should.not.exist(geometryPositions({ type: 'MultiPoint', coordinates: [] }));
+      should.not.exist(geometryPositions({ type: 'Point', coordinates: ['x', 1] }));
+      should.not.exist(geometryPositions({ type: 'LineString', coordinates: [] }));
+    });
+  });
+
+  describe('wkt()', () => {
+    it('returns the WKT of a point', () => {
+      wkt({ type: 'Point', coordinates: [1.5, -2.5, 10, 5] })
+        .should.equal('POINT (1.5 -2.5)');
+    });
+
+    it('returns the WKT of a line', () => {
+      wkt({ type: 'LineString', coordinates: [[1, 2], [3, 4, 5]] })
+        .should.equal('LINESTRING (1 2, 3 4)');
+    });
+
+    it('returns the WKT of a polygon', () => {
+      wkt({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] })
+        .should.equal('POLYGON ((0 0, 1 0, 1 1, 0 0))');
+    });
+
+    it('returns null for a value that is not a geometry', () => {
+      should.not.exist(wkt('foo'));
+    });
+  });
+
+  describe('geoLength()', () => {
+    it('returns the length of a line', () => {
+      // One degree of latitude is about 111 km.
+      Math.round(geoLength([[0, 0], [0, 1], [0, 2]]) / 1000).should.equal(222);
+    });
+
+    it('returns 0 for a single position', () => {
+      geoLength([[1, 2]]).should.equal(0);
+    });
+  });
+
+  describe('geoArea()', () => {
+    it('returns the area of a ring', () => {
+      // A square whose sides are about 111 m
+      const ring = [[0, 0], [0.001, 0], [0.001, 0.001], [0, 0.001], [0, 0]];
+      Math.round(geoArea(ring)).should.equal(12364);
+    });
+
+    it('does not depend on the direction of the ring', () => {
+      const ring = [[0, 0], [0.001, 0], [0.001, 0.001], [0, 0]];
+      geoArea(ring).should.equal(geoArea([...ring].reverse()));
+    });
+
+    it('returns 0 for fewer than 3 positions', () => {
+      geoArea([[0, 0], [1, 1]]).should.equal(0);
+    });
+  });
+
+  it('worldBounds()', () => {
+    worldBounds([[0.5, 0.2], [0.1, 0.7], [0.3, 0.4]])
+      .should.eql([[0.1, 0.2], [0.5, 0.7]]);
+    should.not.exist(worldBounds([]));
+  });
+
+  describe('fitBounds()', () => {
+    it('returns the center of the bounds', () => {
+      fitBounds([[0.2, 0.4], [0.6, 0.5]], 500, 500).center.should.eql([0.4, 0.45]);
+    });
+
+    it('returns the largest zoom at which the bounds fit', () => {
+      // At zoom 1, the world is 512 pixels wide. Half the world fits in a
+      // viewport that is 300 pixels wide, but not at zoom 2.
+      fitBounds([[0.25, 0.5], [0.75, 0.5]], 300, 300).zoom.should.equal(1);
+      fitBounds([[0.25, 0.5], [0.75, 0.5]], 600, 300).zoom.should.equal(2);
+    });
+
+    it('returns the maximum zoom for a single point', () => {
+      fitBounds([[0.5, 0.5], [0.5, 0.5]], 300, 300).zoom.should.equal(18);
+    });
+
+    it('returns zoom 0 if the viewport is too small', () => {
+      fitBounds([[0, 0], [1, 1]], 100, 100).zoom.should.equal(0);
+    });
+  });
+
+  describe('clusterPoints()', () => {
+    it('groups points in the same cell', () => {
+      const clusters = clusterPoints([
+        { x: 5, y: 5, item: 'a' },
+        { x: 15, y: 25, item: 'b' },
+        { x: 50, y: 5, item: 'c' }
+      ]);
+      clusters.should.eql([
+        { x: 10, y: 15, items: ['a', 'b'] },
+        { x: 50, y: 5, items: ['c'] }
+      ]);
+    });
+
+    it('uses the specified cell size', () => {
+      const points = [{ x: 5, y: 5, item: 'a' }, { x: 15, y: 5, item: 'b' }];
+      clusterPoints(points, 10).length.should.equal(2);
+    });
+  });
+
+  it('tileUrl()', () => {
+    tileUrl('https://tile.example.com/{z}/{x}/{y}.png', { x: 1, y: 2, z: 3 })
+      .should.equal('https://tile.example.com/3/1/2.png');
+  });
+});
@@ -0,0 +1,21 @@
+import md5 from '../../src/util/md5';
+
+const hex = (bytes) => Array.from(bytes)
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+const digest = (text) => hex(md5(new TextEncoder().encode(text)));
+
+describe('util/md5', () => {
+  it('returns the digest of an empty message', () => {
+    digest('').should.equal('d41d8cd98f00b204e9800998ecf8427e');
+  });
+
+  it('returns the digest of a short message', () => {
+    digest('abc').should.equal('900150983cd24fb0d6963f7d28e17f72');
+  });
+
+  it('returns the digest of a message longer than a block', () => {
+    digest('12345678901234567890123456789012345678901234567890123456789012345678901234567890')
+      .should.equal('57edf4a22be3c955ac49da2e2107b67a');
+  });
+});
@@ -0,0 +1,97 @@
+import { feedUrl, powerQueryCode, pythonCode, rCode } from '../../src/util/odata-code';
+
+const serviceUrl = 'https://example.com/v1/projects/1/forms/f.svc';
+
+describe('util/odata-code', () => {
+  describe('feedUrl()', () => {
+    it('returns the URL of the table', () => {
+      feedUrl(serviceUrl, 'Submissions', {}).should.equal(`${serviceUrl}/Submissions`);
+    });
+
+    it('includes the query', () => {
+      const url = feedUrl(serviceUrl, 'Submissions', {
+        $filter: 'a eq 1',
+        $select: null
+      });
+      url.should.equal(`${serviceUrl}/Submissions?%24filter=a+eq+1`);
+    });
+  });
+
+  describe('rCode()', () => {
+    it('returns code without a query', () => {
+      rCode(serviceUrl, 'Submissions', {}).should.equal([
+        'library(httr)',
+        'library(jsonlite)',
+        '',
+        'response <- GET(',
+        `  "${serviceUrl}/Submissions",`,
+        '  authenticate(Sys.getenv("ODK_EMAIL"), Sys.getenv("ODK_PASSWORD"))',
+        ')',
+        'stop_for_status(response)',
+        'data <- fromJSON(',
+        '  content(response, as = "text", encoding = "UTF-8"),',
+        '  flatten = TRUE',
+        ')$value'
+      ].join('\n'));
+    });
+
+    it('includes the query', () => {
+      const code = rCode(serviceUrl, 'Submissions.r', {
+        $filter: "s eq 'a\"b'",
+        $select: '__id,s'
+      });
+      code.should.containEql([
+        `  "${serviceUrl}/Submissions.r",`,
+        '  query = list(',
+        '    `$filter` = "s eq \'a\\"b\'",',
+        '    `$select` = "__id,s"',
+        '  ),'
+      ].join('\n'));
+    });
+  });
+
+  describe('pythonCode()', () => {
+    it('returns code without a query', () => {
+      pythonCode(serviceUrl, 'Submissions', {}).should.equal([
+        'import os',
+        '',
+        'import pandas as pd',
+        'import requests',
+        '',
+        'response = requests.get(',
+        `    "${serviceUrl}/Submissions",`,
+        '    auth=(os.environ["ODK_EMAIL"], os.environ["ODK_PASSWORD"]),',
+        ')',
+        'response.raise_for_status()',
+        'data = pd.json_normalize(response.json()["value"])'
+      ].join('\n'));
+    });
+
+    it('includes the query', () => {
+      const code = pythonCode(serviceUrl, 'Submissions', {
+        $filter: 'a\\b eq 1'
+      });
+      code.should.containEql([
+        '    params={',
+        '        "$filter": "a\\\\b eq 1",',
+        '    },'
+      ].join('\n'));
+    });
+  });
+
+  describe('powerQueryCode()', () => {
+    it('returns code', () => {
+      powerQueryCode(serviceUrl, 'Submissions', { $filter: 'a eq 1' })
+        .should.equal([
+          'let',
+          '    Source = OData.Feed(',
+          `        "${serviceUrl}/Submissions?%24filter=a+eq+1",`,
+          '        null,',
+          '        [Implementation = "2.0"]',
+          '    )',
+          'in',
+          '    Source'
+        ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import Field from '../../src/presenters/field';
+import { attachmentPath, formatGeoSummary, formatValue, mediaType, mimeType, odataCondition, odataEntityPath, odataFromXml, odataLiteral } from '../../src/util/odata';
+
+import testData from '../data';
+
+describe('util/odata', () => {
+  describe('odataLiteral()', () => {
+    it('quotes the value', () => {
+      odataLiteral('foo').should.equal("'foo'");
+    });
+
+    it('escapes a single quote', () => {
+      odataLiteral("a'b''c").should.equal("'a''b''''c'");
+    });
+  });
+
+  describe('odataEntityPath()', () => {
+    it('returns the correct path', () => {
+      odataEntityPath('/v1/projects/1/forms/f', 'foo')
+        .should.equal("/v1/projects/1/forms/f.svc/Submissions('foo')");
+    });
+
+    it('encodes the instance ID', () => {
+      odataEntityPath('/v1/projects/1/forms/f', "a b'c")
+        .should.equal("/v1/projects/1/forms/f.svc/Submissions('a%20b''c')");
+    });
+  });
+
+  describe('attachmentPath()', () => {
+    it('encodes the instance ID and the filename', () => {
+      attachmentPath('/v1/projects/1/forms/f/draft', 'a b', 'c d.jpg')
+        .should.equal('/v1/projects/1/forms/f/draft/submissions/a%20b/attachments/c%20d.jpg');
+    });
+  });
+
+  describe('mimeType()', () => {
+    it('returns the MIME type based on the extension', () => {
+      mimeType('a.jpg').should.equal('image/jpeg');
+      mimeType('a.JPEG').should.equal('image/jpeg');
+      mimeType('a.b.m4a').should.equal('audio/mp4');
+      mimeType('a.csv').should.equal('text/csv');
+    });
+
+    it('returns a default MIME type for an unknown extension', () => {
+      mimeType('a.unknown').should.equal('application/octet-stream');
+      mimeType('a').should.equal('application/octet-stream');
+    });
+  });
+
+  describe('mediaType()', () => {
+    it('returns the type of media based on the extension', () => {
+      mediaType('a.jpg').should.equal('image');
+      mediaType('a.PNG').should.equal('image');
+      mediaType('a.b.m4a').should.equal('audio');
+      mediaType('a.mp4').should.equal('video');
+    });
+
+    it('returns null for an unknown extension', () => {
+      should.not.exist(mediaType('a.csv'));
+      should.not.exist(mediaType('a.pdf'));
+      should.not.exist(mediaType('a'));
+    });
+  });
+
+  describe('formatValue()', () => {
+    it('returns the WKT of a line', () => {
+      const trace = { type: 'LineString', coordinates: [[1, 2], [3, 4]] };
+      formatValue(trace, 'geotrace').should.equal('LINESTRING (1 2, 3 4)');
+    });
+
+    it('returns JSON for a shape that is not a geometry', () => {
+      formatValue({ type: 'Polygon' }, 'geoshape')
+        .should.equal('{"type":"Polygon"}');
+    });
+  });
+
+  describe('formatGeoSummary()', () => {
+    it('returns the number of points and the length of a line', () => {
+      const trace = { type: 'LineString', coordinates: [[0, 0], [0, 0.001]] };
+      formatGeoSummary(trace, 'geotrace').should.equal('2 points, 111 m');
+    });
+
+    it('returns the length in kilometers', () => {
+      const trace = { type: 'LineString', coordinates: [[0, 0], [0, 0.1]] };
+      formatGeoSummary(trace, 'geotrace').should.equal('2 points, 11.12 km');
+    });
+
+    it('does not count the last point of a shape', () => {
+      const shape = {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [0.001, 0], [0.001, 0.001], [0, 0.001], [0, 0]]]
+      };
+      formatGeoSummary(shape, 'geoshape').should.equal('4 points, 1.24 ha');
+    });
+
+    it('returns the area in square meters', () => {
+      const shape = {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [0.0001, 0], [0.0001, 0.0001], [0, 0]]]
+      };
+      formatGeoSummary(shape, 'geoshape').should.equal('3 points, 62 m²');
+    });
+
+    it('returns null for a value that is not a geometry', () => {
+      should.not.exist(formatGeoSummary('foo', 'geotrace'));
+    });
+  });
+
+  describe('odataCondition()', () => {
+    const field = (type, path = '/f') => new Field(testData.fields[type](path));
+
+    it('returns null for an empty value', () => {
+      should.not.exist(odataCondition(field('string'), 'eq', ''));
+    });
+
+    it('quotes a string value', () => {
+      odataCondition(field('string'), 'eq', "a'b")
+        .should.equal("f eq 'a''b'");
+    });
+
+    it('uses the contains() function', () => {
+      odataCondition(field('string'), 'contains', 'foo')
+        .should.equal("contains(f,'foo')");
+    });
+
+    it('separates the path of a field in a group with /', () => {
+      odataCondition(field('int', '/g/i'), 'gt', '1')
+        .should.equal('g/i gt 1');
+    });
+
+    it('prefixes the path with the root', () => {
+      odataCondition(field('int'), 'eq', '1', '$root/Submissions/')
+        .should.equal('$root/Submissions/f eq 1');
+    });
+
+    it('returns null for an int value that is not an integer', () => {
+      should.not.exist(odataCondition(field('int'), 'eq', '1.5'));
+      should.not.exist(odataCondition(field('int'), 'eq', 'x'));
+    });
+
+    it('allows a decimal value that is not an integer', () => {
+      odataCondition(field('decimal'), 'le', '1.50')
+        .should.equal('f le 1.5');
+    });
+
+    it('does not use exponential notation for a large number', () => {
+      odataCondition(field('int'), 'gt', '1e21')
+        .should.equal('f gt 1000000000000000000000');
+      odataCondition(field('decimal'), 'lt', '-1.25e22')
+        .should.equal('f lt -12500000000000000000000');
+    });
+
+    it('does not use exponential notation for a small number', () => {
+      odataCondition(field('decimal'), 'gt', '0.0000001')
+        .should.equal('f gt 0.0000001');
+      odataCondition(field('decimal'), 'lt', '-1.5e-8')
+        .should.equal('f lt -0.000000015');
+    });
+
+    it('does not quote a date value', () => {
+      odataCondition(field('date'), 'lt', '2021-01-02')
+        .should.equal('f lt 2021-01-02');
+    });
+
+    it('returns null for an invalid date value', () => {
+      should.not.exist(odataCondition(field('date'), 'eq', '2021-02-30'));
+      should.not.exist(odataCondition(field('date'), 'eq', '1/2/2021'));
+    });
+
+    it('uses the start of the day for a dateTime value', () => {
+      odataCondition(field('dateTime'), 'ge', '2021-01-02')
+        .should.startWith('f ge 2021-01-02T00:00:00.000');
+    });
+
+    it('uses the end of the day for le', () => {
+      odataCondition(field('dateTime'), 'le', '2021-01-02')
+        .should.startWith('f le 2021-01-02T23:59:59.999');
+    });
+  });
+
+  describe('odataFromXml()', () => {
+    const parse = (xml) => new DOMParser().parseFromString(xml, 'text/xml');
+    const fields = (...fieldsData) =>
+      fieldsData.map(fieldData => new Field(fieldData));
+
+    it('nests the values of fields within groups', () => {
+      const doc = parse('<data id="f"><s>x</s><g><t>y</t></g></data>');
+      const row = odataFromXml(doc, fields(
+        testData.fields.string('/s'),
+        testData.fields.string('/g/t')
+      ));
+      row.should.eql({ s: 'x', g: { t: 'y' } });
+    });
+
+    it('converts numbers', () => {
+      const doc = parse('<data id="f"><i>3</i><d>1.5</d><x>x</x></data>');
+      const row = odataFromXml(doc, fields(
+        testData.fields.int('/i'),
+        testData.fields.decimal('/d'),
+        testData.fields.int('/x')
+      ));
+      row.should.eql({ i: 3, d: 1.5 });
+    });
+
+    it('converts geo values to GeoJSON', () => {
+      const doc = parse('<data id="f"><p>1 2 3 4</p><t>1 2;3 4</t><a>1 2 0 0;3 4 0 0;1 2 0 0</a></data>');
+      const row = odataFromXml(doc, fields(
+        testData.fields.geopoint('/p'),
+        testData.fields.geotrace('/t'),
+        testData.fields.geoshape('/a')
+      ));
+      row.should.eql({
+        p: { type: 'Point', coordinates: [2, 1, 3], properties: { accuracy: 4 } },
+        t: { type: 'LineString', coordinates: [[2, 1], [4, 3]] },
+        a: {
+          type: 'Polygon',
+          coordinates: [[[2, 1, 0], [4, 3, 0], [2, 1, 0]]]
+        }
+      });
+    });
+
+    it('omits empty and missing values and binary fields', () => {
+      const doc = parse('<data id="f"><s></s><b>x.jpg</b></data>');
+      const row = odataFromXml(doc, fields(
+        testData.fields.string('/s'),
+        testData.fields.string('/g/t'),
+        testData.fields.binary('/b')
+      ));
+      row.should.eql({});
+    });
+  });
+});
@@ -151,6 +151,71 @@ describe('util/request', () => {
       path.should.equal('/v1/projects/1/forms/a%20b/submissions/keys');
     });
 
+    it('odataSubmissions', () => {
+      const path = apiPaths.odataSubmissions(1, 'a b', { deleted: true });
+      path.should.equal('/v1/projects/1/forms/a%20b.svc/Submissions?deleted=true');
+    });
+
+    it('submission', () => {
+      const path = apiPaths.submission(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d');
+    });
+
+    it('submissionComments', () => {
+      const path = apiPaths.submissionComments(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/comments');
+    });
+
+    it('submissionRestore', () => {
+      const path = apiPaths.submissionRestore(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/restore');
+    });
+
+    it('editSubmission', () => {
+      const path = apiPaths.editSubmission(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/edit');
+    });
+
+    it('submissionVersions', () => {
+      const path = apiPaths.submissionVersions(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/versions');
+    });
+
+    it('submissionDiffs', () => {
+      const path = apiPaths.submissionDiffs(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/diffs');
+    });
+
+    it('submissionXml', () => {
+      const path = apiPaths.submissionXml(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d.xml');
+    });
+
+    it('encryptedSubmissionXml', () => {
+      const path = apiPaths.encryptedSubmissionXml(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/attachments/submission.xml.enc');
+    });
+
+    it('submissions', () => {
+      const path = apiPaths.submissions(1, 'a b');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions');
+    });
+
+    it('submissionAttachment', () => {
+      const path = apiPaths.submissionAttachment(1, 'a b', 'c d', 'e f.jpg');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/attachments/e%20f.jpg');
+    });
+
+    it('submissionViews', () => {
+      const path = apiPaths.submissionViews(1, 'a b');
+      path.should.equal('/v1/projects/1/forms/a%20b/submission-views');
+    });
+
+    it('submissionView', () => {
+      const path = apiPaths.submissionView(1, 'a b', 'c/d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submission-views/c%2Fd');
+    });
+
     it('publicLinks', () => {
       const path = apiPaths.publicLinks(1, 'a b');
       path.should.equal('/v1/projects/1/forms/a%20b/public-links');
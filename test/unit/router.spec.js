@@ -2,7 +2,7 @@ import sinon from 'sinon';
 
 import router from '../../src/router';
 import testData from '../data';
-import { forceReplace, routeProps } from '../../src/util/router';
+import { changesRoute, forceReplace, routeProps } from '../../src/util/router';
 import { load } from '../util/http';
 import { mockLogin } from '../util/session';
 import { trigger } from '../util/event';
@@ -43,6 +43,30 @@ describe('util/router', () => {
     });
   });
 
+  describe('changesRoute()', () => {
+    const { route } = router.resolve('/projects/1/forms/f/submissions');
+
+    it('returns false for the same route', () => {
+      changesRoute(route, route).should.be.false();
+    });
+
+    it('returns false if only the query has changed', () => {
+      const to = router.resolve('/projects/1/forms/f/submissions?sort=__id').route;
+      changesRoute(route, to).should.be.false();
+    });
+
+    it('returns true if the path has changed', () => {
+      const to = router.resolve('/projects/1/forms/g/submissions').route;
+      changesRoute(route, to).should.be.true();
+    });
+
+    it('returns true if either route is null', () => {
+      changesRoute(null, route).should.be.true();
+      changesRoute(route, null).should.be.true();
+      changesRoute(null, null).should.be.false();
+    });
+  });
+
   describe('routeProps()', () => {
     const { route } = router.resolve('/projects/1');
 
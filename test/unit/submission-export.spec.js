@@ -0,0 +1,154 @@
+import Field from '../../src/presenters/field';
+import { csv, geoJson, kml, rowProperties, rowsWithLocation, xlsx } from '../../src/util/submission-export';
+import { readZip } from '../../src/util/zip';
+
+import testData from '../data';
+
+const submission = (data, status = null) => ({
+  __id: 'a',
+  ...data,
+  __system: {
+    submitterName: 'Alice',
+    submissionDate: '2021-01-01T00:00:00.000Z',
+    status
+  }
+});
+const point = { type: 'Point', coordinates: [1.5, -2.5, 10, 5] };
+const geoField = new Field(testData.fields.geopoint('/p'));
+
+describe('util/submission-export', () => {
+  describe('rowProperties()', () => {
+    it('returns the properties of a submission', () => {
+      const fields = [
+        new Field(testData.fields.int('/g/i')),
+        new Field(testData.fields.string('/s'))
+      ];
+      const row = submission({ g: { i: 1 } });
+      rowProperties(row, fields).should.eql({
+        __id: 'a',
+        SubmitterName: 'Alice',
+        SubmissionDate: '2021-01-01T00:00:00.000Z',
+        'g-i': 1,
+        s: null
+      });
+    });
+
+    it('returns the parent ID of a repeat group instance', () => {
+      const row = { __id: 'b', '__Submissions-id': 'a' };
+      rowProperties(row, [], '__Submissions-id').should.eql({
+        __id: 'b',
+        '__Submissions-id': 'a'
+      });
+    });
+  });
+
+  it('rowsWithLocation()', () => {
+    const rows = [
+      submission({ __id: 'a', p: point }),
+      submission({ __id: 'b', p: null }),
+      submission({ __id: 'c' }, 'notDecrypted')
+    ];
+    rowsWithLocation(rows, geoField).map(row => row.__id).should.eql(['a']);
+  });
+
+  describe('geoJson()', () => {
+    it('returns a feature for each row with a location', () => {
+      const rows = [submission({ p: point }), submission({ __id: 'b' })];
+      JSON.parse(geoJson(rows, geoField, [geoField])).should.eql({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          id: 'a',
+          geometry: { type: 'Point', coordinates: [1.5, -2.5, 10] },
+          properties: {
+            __id: 'a',
+            SubmitterName: 'Alice',
+            SubmissionDate: '2021-01-01T00:00:00.000Z',
+            p: point
+          }
+        }]
+      });
+    });
+
+    it('returns the geometry of a shape', () => {
+      const shape = {
+        type: 'Polygon',
+        coordinates: [[[0, 0, 1, 2], [1, 0], [1, 1], [0, 0, 1, 2]]]
+      };
+      const field = new Field(testData.fields.geoshape('/s'));
+      const { features } = JSON.parse(geoJson([submission({ s: shape })], field, []));
+      features[0].geometry.should.eql({
+        type: 'Polygon',
+        coordinates: [[[0, 0, 1], [1, 0], [1, 1], [0, 0, 1]]]
+      });
+    });
+  });
+
+  describe('kml()', () => {
+    it('returns a placemark for each row with a location', () => {
+      const fields = [new Field(testData.fields.string('/s'))];
+      const rows = [
+        submission({ p: point, s: '<b> & "c"' }),
+        submission({ __id: 'b' })
+      ];
+      const doc = new DOMParser().parseFromString(
+        kml(rows, geoField, fields, null, 'f'),
+        'text/xml'
+      );
+      doc.querySelector('Document > name').textContent.should.equal('f');
+      const placemarks = doc.querySelectorAll('Placemark');
+      placemarks.length.should.equal(1);
+      placemarks[0].querySelector('name').textContent.should.equal('a');
+      placemarks[0].querySelector('Point coordinates').textContent
+        .should.equal('1.5,-2.5,10');
+      const data = [...placemarks[0].querySelectorAll('Data')]
+        .map(element => [
+          element.getAttribute('name'),
+          element.querySelector('value').textContent
+        ]);
+      data.should.eql([
+        ['__id', 'a'],
+        ['SubmitterName', 'Alice'],
+        ['SubmissionDate', '2021-01-01T00:00:00.000Z'],
+        ['s', '<b> & "c"']
+      ]);
+    });
+
+    it('returns the geometry of a line', () => {
+      const trace = { type: 'LineString', coordinates: [[0, 0], [1, 1, 2]] };
+      const field = new Field(testData.fields.geotrace('/t'));
+      const doc = new DOMParser().parseFromString(
+        kml([submission({ t: trace })], field, []),
+        'text/xml'
+      );
+      doc.querySelector('LineString coordinates').textContent
+        .should.equal('0,0 1,1,2');
+    });
+  });
+
+  describe('csv()', () => {
+    it('quotes values', () => {
+      csv([['a', 'b,c', 'd"e'], [1, null]])
+        .should.equal('\ufeffa,"b,c","d""e"\r\n1,\r\n');
+    });
+
+    it('neutralizes text that could be evaluated as a formula', () => {
+      const text = csv([['=1+1', '+1a', '-1a', '@SUM(A1)', '\tx']]);
+      text.should.equal("\ufeff'=1+1,'+1a,'-1a,'@SUM(A1),'\tx\r\n");
+    });
+
+    it('does not change a number', () => {
+      csv([[-1, '-1.5', '+2']]).should.equal('\ufeff-1,-1.5,+2\r\n');
+    });
+  });
+
+  describe('xlsx()', () => {
+    it('stores text that looks like a formula as a string', async () => {
+      const files = await readZip(new Blob([xlsx([['=1+1', -1]], 'f')]));
+      const sheet = files.find(file => file.name === 'xl/worksheets/sheet1.xml');
+      const xml = new TextDecoder().decode(await sheet.read());
+      xml.should.containEql('<row><c t="inlineStr"><is><t xml:space="preserve">=1+1</t></is></c><c><v>-1</v></c></row>');
+      xml.should.not.containEql('<f>');
+    });
+  });
+});
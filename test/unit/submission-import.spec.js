@@ -0,0 +1,190 @@
+import Field from '../../src/presenters/field';
+import zip, { readZip } from '../../src/util/zip';
+import { parseCsv, readExport } from '../../src/util/submission-import';
+
+import testData from '../data';
+
+const formVersion = { xmlFormId: 'f', version: 'v1' };
+const readZipOf = (files) => readZip(new Blob([zip(files)]));
+const instanceXml = (instanceId, body = '', version = 'v1') =>
+  `<data id="f" version="${version}"><meta><instanceID>${instanceId}</instanceID></meta>${body}</data>`;
+const mediaNames = (instance) =>
+  instance.media.map(file => file.name.slice(file.name.lastIndexOf('/') + 1));
+
+describe('util/submission-import', () => {
+  describe('parseCsv()', () => {
+    it('parses rows', () => {
+      parseCsv('a,b\r\nc,d\n').should.eql([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('parses quoted values', () => {
+      parseCsv('"a,b","c ""d""","e\nf"\n').should.eql([
+        ['a,b', 'c "d"', 'e\nf']
+      ]);
+    });
+
+    it('parses empty values', () => {
+      parseCsv('a,,b\n,').should.eql([['a', '', 'b'], ['', '']]);
+    });
+
+    it('skips the byte order mark', () => {
+      parseCsv('\ufeffa,b').should.eql([['a', 'b']]);
+    });
+  });
+
+  describe('readExport()', () => {
+    describe('Briefcase', () => {
+      it('reads each instance and its media files', async () => {
+        const files = await readZipOf([
+          {
+            name: 'My Form/instances/uuid1/submission.xml',
+            content: instanceXml('uuid:1', '<photo>a.jpg</photo>')
+          },
+          { name: 'My Form/instances/uuid1/a.jpg', content: 'x' },
+          { name: 'My Form/instances/uuid1/other.jpg', content: 'x' },
+          {
+            name: 'My Form/instances/uuid2/submission.xml',
+            content: instanceXml('uuid:2')
+          },
+          { name: 'My Form/My Form.xml', content: '<h:html/>' }
+        ]);
+        const result = await readExport(files, formVersion, []);
+        result.format.should.equal('briefcase');
+        should.not.exist(result.error);
+        result.instances.length.should.equal(2);
+        const [instance1, instance2] = result.instances;
+        instance1.name.should.equal('My Form/instances/uuid1');
+        instance1.instanceId.should.equal('uuid:1');
+        instance1.xml.should.equal(instanceXml('uuid:1', '<photo>a.jpg</photo>'));
+        mediaNames(instance1).should.eql(['a.jpg']);
+        instance2.instanceId.should.equal('uuid:2');
+        mediaNames(instance2).should.eql([]);
+        result.invalid.should.eql([]);
+      });
+
+      it('returns the reason that an instance is invalid', async () => {
+        const files = await readZipOf([
+          {
+            name: 'f/instances/1/submission.xml',
+            content: instanceXml('uuid:1', '', 'v2')
+          },
+          { name: 'f/instances/2/a.jpg', content: 'x' },
+          { name: 'f/instances/3/submission.xml', content: instanceXml('uuid:3') },
+          { name: 'f/instances/4/submission.xml', content: instanceXml('uuid:3') }
+        ]);
+        const { instances, invalid } = await readExport(files, formVersion, []);
+        instances.map(instance => instance.instanceId).should.eql(['uuid:3']);
+        invalid.should.eql([
+          { name: 'f/instances/1', reason: 'version' },
+          { name: 'f/instances/2', reason: 'missingXml' },
+          { name: 'f/instances/4', reason: 'duplicate' }
+        ]);
+      });
+    });
+
+    describe('Central', () => {
+      const fields = [
+        testData.fields.structure('/meta'),
+        testData.fields.string('/meta/instanceID'),
+        testData.fields.string('/s'),
+        testData.fields.structure('/g'),
+        testData.fields.geopoint('/g/p'),
+        testData.fields.binary('/g/photo'),
+        testData.fields.int('/i')
+      ].map(field => new Field(field));
+      const csv = [
+        'SubmissionDate,meta-instanceID,s,g-p-Latitude,g-p-Longitude,g-p-Altitude,g-p-Accuracy,g-photo,i,KEY,FormVersion',
+        '2021-01-01,uuid:1,"a <b> & ""c""",1,2,3,4,a.jpg,5,uuid:1,v1',
+        '2021-01-02,uuid:2,,,,,,,,uuid:2,v2',
+        '2021-01-03,uuid:3,,1.5,2.5,,,b.jpg,,uuid:3,v1'
+      ].join('\n');
+
+      it('builds the XML of each submission from the CSV', async () => {
+        const files = await readZipOf([
+          { name: 'f.csv', content: csv },
+          { name: 'media/a.jpg', content: 'x' }
+        ]);
+        const result = await readExport(files, formVersion, fields);
+        result.format.should.equal('central');
+        should.not.exist(result.error);
+        result.instances.length.should.equal(2);
+        const [instance1, instance3] = result.instances;
+        instance1.name.should.equal('f.csv:2');
+        instance1.instanceId.should.equal('uuid:1');
+        instance1.xml.should.equal('<data id="f" version="v1"><meta><instanceID>uuid:1</instanceID></meta><s>a &lt;b&gt; &amp; "c"</s><g><p>1 2 3 4</p><photo>a.jpg</photo></g><i>5</i></data>');
+        mediaNames(instance1).should.eql(['a.jpg']);
+        instance3.xml.should.containEql('<p>1.5 2.5</p>');
+        // b.jpg is not in the zip.
+        mediaNames(instance3).should.eql([]);
+        result.invalid.should.eql([{ name: 'f.csv:3', reason: 'version' }]);
+      });
+
+      it('uses the CSV file named for the form', async () => {
+        const files = await readZipOf([
+          { name: 'f-other.csv', content: 'a\nb' },
+          { name: 'f.csv', content: csv }
+        ]);
+        const { instances } = await readExport(files, formVersion, fields);
+        instances.length.should.equal(2);
+      });
+
+      describe('repeat groups', () => {
+        const repeatFields = [
+          testData.fields.structure('/meta'),
+          testData.fields.string('/meta/instanceID'),
+          testData.fields.repeat('/r'),
+          testData.fields.structure('/r/g'),
+          testData.fields.string('/r/g/s'),
+          testData.fields.repeat('/r/n'),
+          testData.fields.binary('/r/n/photo'),
+          testData.fields.int('/i')
+        ].map(field => new Field(field));
+        const repeatCsv = {
+          'f.csv': [
+            'meta-instanceID,i,KEY',
+            'uuid:1,1,uuid:1',
+            'uuid:2,2,uuid:2'
+          ].join('\n'),
+          'f-r.csv': [
+            'g-s,PARENT_KEY,KEY',
+            'a,uuid:1,uuid:1/r[1]',
+            'b,uuid:1,uuid:1/r[2]'
+          ].join('\n'),
+          'f-n.csv': [
+            'photo,PARENT_KEY,KEY',
+            'a.jpg,uuid:1/r[2],uuid:1/r[2]/n[1]'
+          ].join('\n')
+        };
+        const filesOf = (names) => readZipOf([
+          ...names.map(name => ({ name, content: repeatCsv[name] })),
+          { name: 'media/a.jpg', content: 'x' }
+        ]);
+
+        it('nests the rows of each repeat group in their parent', async () => {
+          const files = await filesOf(['f.csv', 'f-r.csv', 'f-n.csv']);
+          const result = await readExport(files, formVersion, repeatFields);
+          should.not.exist(result.error);
+          const [instance1, instance2] = result.instances;
+          instance1.xml.should.equal(instanceXml('uuid:1', '<r><g><s>a</s></g></r><r><g><s>b</s></g><n><photo>a.jpg</photo></n></r><i>1</i>'));
+          mediaNames(instance1).should.eql(['a.jpg']);
+          instance2.xml.should.equal(instanceXml('uuid:2', '<i>2</i>'));
+          mediaNames(instance2).should.eql([]);
+        });
+
+        it('returns an error if the file of a repeat group is missing', async () => {
+          const files = await filesOf(['f.csv', 'f-r.csv']);
+          const result = await readExport(files, formVersion, repeatFields);
+          result.error.should.equal('repeat');
+          result.instances.should.eql([]);
+        });
+      });
+    });
+
+    it('returns an error for a zip that is not an export', async () => {
+      const files = await readZipOf([{ name: 'a.txt', content: 'x' }]);
+      const result = await readExport(files, formVersion, []);
+      should.not.exist(result.format);
+      result.error.should.equal('format');
+    });
+  });
+});
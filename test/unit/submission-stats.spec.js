@@ -0,0 +1,150 @@
+import Field from '../../src/presenters/field';
+import { addSubmissions, createStats, summarize } from '../../src/util/submission-stats';
+
+import testData from '../data';
+
+const submission = (data, status = null) => ({ ...data, __system: { status } });
+const summarizeValues = (field, values) => {
+  const stats = createStats(new Field(field));
+  addSubmissions([stats], values.map(value => submission({ f: value })));
+  return summarize(stats);
+};
+
+describe('util/submission-stats', () => {
+  it('counts the submissions with a value', () => {
+    const summary = summarizeValues(testData.fields.geopoint('/f'), [
+      { type: 'Point', coordinates: [0, 0] },
+      null,
+      { type: 'Point', coordinates: [1, 1] }
+    ]);
+    summary.should.eql({
+      field: summary.field,
+      kind: 'count',
+      count: 2
+    });
+  });
+
+  it('skips encrypted submissions', () => {
+    const stats = createStats(new Field(testData.fields.int('/f')));
+    addSubmissions([stats], [
+      submission({ f: 1 }),
+      submission({}, 'notDecrypted')
+    ]);
+    summarize(stats).count.should.equal(1);
+  });
+
+  it('uses the path of a field within a group', () => {
+    const stats = createStats(new Field(testData.fields.string('/g/f')));
+    addSubmissions([stats], [submission({ g: { f: 'x' } })]);
+    summarize(stats).top.should.eql([{ value: 'x', count: 1 }]);
+  });
+
+  describe('number', () => {
+    it('returns the minimum, maximum, and mean', () => {
+      const summary = summarizeValues(testData.fields.decimal('/f'), [
+        1.5,
+        -2,
+        3.5
+      ]);
+      summary.kind.should.equal('number');
+      summary.min.should.equal(-2);
+      summary.max.should.equal(3.5);
+      summary.mean.should.equal(1);
+    });
+
+    it('returns a bin for each value of an int field with few values', () => {
+      const summary = summarizeValues(testData.fields.int('/f'), [3, 1, 3]);
+      summary.bins.should.eql([
+        { start: 1, end: 1, count: 1 },
+        { start: 2, end: 2, count: 0 },
+        { start: 3, end: 3, count: 2 }
+      ]);
+    });
+
+    it('returns 10 bins of equal width for a wide range', () => {
+      const summary = summarizeValues(testData.fields.decimal('/f'), [
+        0,
+        0.5,
+        5,
+        10
+      ]);
+      summary.bins.length.should.equal(10);
+      summary.bins[0].should.eql({ start: 0, end: 1, count: 2 });
+      summary.bins[5].count.should.equal(1);
+      // The last bin includes the maximum.
+      summary.bins[9].should.eql({ start: 9, end: 10, count: 1 });
+    });
+
+    it('returns a single bin if all values are equal', () => {
+      const summary = summarizeValues(testData.fields.decimal('/f'), [2, 2]);
+      summary.bins.should.eql([{ start: 2, end: 2, count: 2 }]);
+    });
+
+    it('returns no bins if there are no values', () => {
+      const summary = summarizeValues(testData.fields.int('/f'), [null]);
+      should.not.exist(summary.min);
+      summary.bins.should.eql([]);
+    });
+  });
+
+  describe('date', () => {
+    it('returns a bin for each day in a short range', () => {
+      const summary = summarizeValues(testData.fields.dateTime('/f'), [
+        '2021-01-03T10:00:00.000+01:00',
+        '2021-01-01T23:00:00.000-05:00',
+        '2021-01-03T01:00:00.000Z'
+      ]);
+      summary.kind.should.equal('date');
+      summary.min.should.equal('2021-01-01');
+      summary.max.should.equal('2021-01-03');
+      summary.unit.should.equal('day');
+      summary.bins.should.eql([
+        { start: '2021-01-01', end: '2021-01-01', count: 1 },
+        { start: '2021-01-02', end: '2021-01-02', count: 0 },
+        { start: '2021-01-03', end: '2021-01-03', count: 2 }
+      ]);
+    });
+
+    it('returns a bin for each month in a long range', () => {
+      const summary = summarizeValues(testData.fields.date('/f'), [
+        '2021-01-15',
+        '2021-03-01',
+        '2021-03-31'
+      ]);
+      summary.unit.should.equal('month');
+      summary.bins.should.eql([
+        { start: '2021-01-01', end: '2021-01-31', count: 1 },
+        { start: '2021-02-01', end: '2021-02-28', count: 0 },
+        { start: '2021-03-01', end: '2021-03-31', count: 2 }
+      ]);
+    });
+  });
+
+  describe('frequency', () => {
+    it('returns the most common values', () => {
+      const values = ['a', 'b', 'b', 'c', 'c', 'c'];
+      for (let i = 0; i < 10; i += 1) values.push(`other${i}`);
+      const summary = summarizeValues(testData.fields.string('/f'), values);
+      summary.kind.should.equal('frequency');
+      summary.count.should.equal(16);
+      summary.distinct.should.equal(13);
+      summary.top.length.should.equal(10);
+      summary.top[0].should.eql({ value: 'c', count: 3 });
+      summary.top[1].should.eql({ value: 'b', count: 2 });
+      summary.other.should.equal(3);
+    });
+
+    it('counts each choice of a select_multiple field', () => {
+      const field = { ...testData.fields.string('/f'), selectMultiple: true };
+      const summary = summarizeValues(field, ['a b', 'b', 'c  a b']);
+      summary.count.should.equal(3);
+      summary.distinct.should.equal(3);
+      summary.top.should.eql([
+        { value: 'b', count: 3 },
+        { value: 'a', count: 2 },
+        { value: 'c', count: 1 }
+      ]);
+      summary.other.should.equal(0);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { parseInstance, planUpload } from '../../src/util/submission-upload';
+
+const instanceXml = ({
+  formId = 'f',
+  version = 'v1',
+  instanceId = 'abc',
+  body = ''
+} = {}) => {
+  const versionAttribute = version != null ? ` version="${version}"` : '';
+  const meta = instanceId != null
+    ? `<meta><instanceID>${instanceId}</instanceID></meta>`
+    : '';
+  return `<data id="${formId}"${versionAttribute}>${meta}${body}</data>`;
+};
+const xmlFile = (name, options = undefined) =>
+  new File([instanceXml(options)], name, { type: 'text/xml' });
+const formVersion = { xmlFormId: 'f', version: 'v1' };
+
+describe('util/submission-upload', () => {
+  describe('parseInstance()', () => {
+    it('returns null for invalid XML', () => {
+      should.not.exist(parseInstance('<data'));
+    });
+
+    it('returns the form ID, version, and instance ID', () => {
+      const instance = parseInstance(instanceXml());
+      instance.formId.should.equal('f');
+      instance.version.should.equal('v1');
+      instance.instanceId.should.equal('abc');
+    });
+
+    it('returns an empty string if there is no version', () => {
+      parseInstance(instanceXml({ version: null })).version.should.equal('');
+    });
+
+    it('returns null if there is no instance ID', () => {
+      const instance = parseInstance(instanceXml({ instanceId: null }));
+      should.not.exist(instance.instanceId);
+    });
+
+    it('reads a namespaced instance ID', () => {
+      const xml = `<data id="f" xmlns:orx="http://openrosa.org/xforms">
+        <orx:meta><orx:instanceID>abc</orx:instanceID></orx:meta>
+      </data>`;
+      parseInstance(xml).instanceId.should.equal('abc');
+    });
+
+    it('returns the values of the instance', () => {
+      const { values } = parseInstance(instanceXml({
+        body: '<g><photo> a.jpg </photo><empty/></g><audio>b.m4a</audio>'
+      }));
+      [...values].should.eql(['abc', 'a.jpg', 'b.m4a']);
+    });
+  });
+
+  describe('planUpload()', () => {
+    it('matches media files to instances', async () => {
+      const files = [
+        xmlFile('1.xml', { instanceId: '1', body: '<photo>a.jpg</photo>' }),
+        new File([''], 'a.jpg'),
+        xmlFile('2.xml', { instanceId: '2', body: '<photo>b.jpg</photo>' }),
+        new File([''], 'b.jpg'),
+        new File([''], 'c.jpg')
+      ];
+      const { instances, invalid, unmatched } = await planUpload(
+        files,
+        formVersion
+      );
+      instances.length.should.equal(2);
+      instances[0].file.name.should.equal('1.xml');
+      instances[0].instanceId.should.equal('1');
+      instances[0].media.should.eql([files[1]]);
+      instances[1].file.name.should.equal('2.xml');
+      instances[1].instanceId.should.equal('2');
+      instances[1].media.should.eql([files[3]]);
+      invalid.should.eql([]);
+      unmatched.should.eql([files[4]]);
+    });
+
+    it('matches a file with an uppercase .XML extension', async () => {
+      const file = xmlFile('1.XML');
+      const { instances } = await planUpload([file], formVersion);
+      instances.length.should.equal(1);
+    });
+
+    it('returns the reason that an instance is invalid', async () => {
+      const files = [
+        new File(['<data'], 'parse.xml'),
+        xmlFile('formId.xml', { formId: 'g' }),
+        xmlFile('version.xml', { version: 'v2' }),
+        xmlFile('instanceId.xml', { instanceId: null }),
+        xmlFile('valid.xml'),
+        xmlFile('duplicate.xml')
+      ];
+      const { instances, invalid } = await planUpload(files, formVersion);
+      instances.length.should.equal(1);
+      instances[0].file.name.should.equal('valid.xml');
+      invalid.map(({ file, reason }) => [file.name, reason]).should.eql([
+        ['parse.xml', 'parse'],
+        ['formId.xml', 'formId'],
+        ['version.xml', 'version'],
+        ['instanceId.xml', 'instanceId'],
+        ['duplicate.xml', 'duplicate']
+      ]);
+    });
+
+    it('does not match a media file to an invalid instance', async () => {
+      const files = [
+        xmlFile('1.xml', { formId: 'g', body: '<photo>a.jpg</photo>' }),
+        new File([''], 'a.jpg')
+      ];
+      const { unmatched } = await planUpload(files, formVersion);
+      unmatched.should.eql([files[1]]);
+    });
+
+    it('accepts an instance without a version for a form without one', async () => {
+      const file = xmlFile('1.xml', { version: null });
+      const { instances } = await planUpload([file], {
+        xmlFormId: 'f',
+        version: ''
+      });
+      instances.length.should.equal(1);
+    });
+  });
+});
@@ -0,0 +1,335 @@
+import { DateTime } from 'luxon';
+
+import Field from '../../src/presenters/field';
+import { defaultView, emptyLayout, filterExpression, filterQuery, filtersView, missingAttachments, parseViewQuery, readLayout, validateView, viewFilters, viewQuery, writeLayout } from '../../src/util/submission-view';
+
+import testData from '../data';
+
+describe('util/submission-view', () => {
+  describe('viewQuery()', () => {
+    it('returns an empty object for the default view', () => {
+      viewQuery(defaultView()).should.eql({});
+    });
+
+    it('encodes each part of the view', () => {
+      viewQuery({
+        table: 'Submissions.r',
+        fields: ['/a', '/g/b'],
+        submitterId: '1',
+        submissionDate: ['2021-01-01', '2021-01-31'],
+        reviewState: 'approved',
+        attachments: 'incomplete',
+        conditions: [
+          { field: '/a', operator: 'eq', value: 'x y' },
+          { field: '/g/b', operator: 'gt', value: '1' }
+        ],
+        combinator: 'or',
+        sort: { path: 'g/b', desc: true }
+      }).should.eql({
+        table: 'Submissions.r',
+        fields: '/a,/g/b',
+        submitterId: '1',
+        submissionDate: '2021-01-01,2021-01-31',
+        reviewState: 'approved',
+        attachments: 'incomplete',
+        condition: ['/a eq x y', '/g/b gt 1'],
+        combinator: 'or',
+        sort: '-g/b'
+      });
+    });
+  });
+
+  describe('parseViewQuery()', () => {
+    it('returns null if the query does not specify a view', () => {
+      should.not.exist(parseViewQuery({}));
+      should.not.exist(parseViewQuery({ x: 'y' }));
+    });
+
+    it('decodes a query returned by viewQuery()', () => {
+      const view = {
+        table: 'Submissions.r',
+        fields: ['/a', '/g/b'],
+        submitterId: '1',
+        submissionDate: ['2021-01-01', '2021-01-31'],
+        reviewState: 'received',
+        attachments: 'incomplete',
+        conditions: [{ field: '/a', operator: 'eq', value: ' x  y ' }],
+        combinator: 'or',
+        sort: { path: '__id', desc: false }
+      };
+      parseViewQuery(viewQuery(view)).should.eql(view);
+    });
+
+    it('uses the first value of a repeated parameter', () => {
+      parseViewQuery({ sort: ['-__id', '__id'] }).sort
+        .should.eql({ path: '__id', desc: true });
+    });
+
+    it('decodes a single condition', () => {
+      parseViewQuery({ condition: '/a contains b' }).conditions
+        .should.eql([{ field: '/a', operator: 'contains', value: 'b' }]);
+    });
+  });
+
+  describe('validateView()', () => {
+    const fields = [
+      testData.fields.string('/s'),
+      testData.fields.group('/g'),
+      testData.fields.int('/g/i'),
+      testData.fields.repeat('/r'),
+      testData.fields.date('/r/d')
+    ].map(field => new Field(field));
+    const byTable = {
+      Submissions: [fields[0], fields[2]],
+      'Submissions.r': [fields[4].with({ path: '/d' })]
+    };
+    const validate = (view) =>
+      validateView({ ...defaultView(), ...view }, byTable);
+
+    it('returns a valid view unchanged', () => {
+      const view = {
+        table: 'Submissions',
+        fields: ['/g/i'],
+        submitterId: '2',
+        submissionDate: ['2021-01-01', '2021-01-01'],
+        reviewState: 'hasIssues',
+        attachments: 'incomplete',
+        conditions: [{ field: '/g/i', operator: 'ge', value: '1' }],
+        combinator: 'or',
+        sort: { path: 'g/i', desc: true }
+      };
+      validate(view).should.eql(view);
+    });
+
+    it('uses the top-level table if the table does not exist', () => {
+      validate({ table: 'Submissions.x' }).table.should.equal('Submissions');
+      validate({ table: 'constructor' }).table.should.equal('Submissions');
+    });
+
+    it('removes fields that do not exist', () => {
+      validate({ fields: ['/x', '/s'] }).fields.should.eql(['/s']);
+      should.not.exist(validate({ fields: ['/x'] }).fields);
+    });
+
+    it('validates fields against the table', () => {
+      const view = validate({ table: 'Submissions.r', fields: ['/d', '/s'] });
+      view.fields.should.eql(['/d']);
+    });
+
+    it('removes an invalid submitter ID', () => {
+      validate({ submitterId: 'a' }).submitterId.should.equal('');
+    });
+
+    it('removes an invalid date range', () => {
+      validate({ submissionDate: ['2021-01-02', '2021-01-01'] }).submissionDate
+        .should.eql([]);
+      validate({ submissionDate: ['2021-02-30', '2021-03-01'] }).submissionDate
+        .should.eql([]);
+      validate({ submissionDate: ['2021-01-01'] }).submissionDate
+        .should.eql([]);
+    });
+
+    it('removes an invalid review state', () => {
+      validate({ reviewState: 'x' }).reviewState.should.equal('');
+      validate({ reviewState: null }).reviewState.should.equal('');
+    });
+
+    it('removes an invalid attachments filter', () => {
+      validate({ attachments: 'x' }).attachments.should.equal('');
+      validate({ attachments: null }).attachments.should.equal('');
+    });
+
+    it('removes invalid conditions', () => {
+      const { conditions } = validate({
+        conditions: [
+          { field: '/x', operator: 'eq', value: '1' },
+          { field: '/s', operator: 'gt', value: '1' },
+          { field: '/s', operator: 'eq' },
+          { field: '/s', operator: 'contains', value: '' }
+        ]
+      });
+      conditions.should.eql([{ field: '/s', operator: 'contains', value: '' }]);
+    });
+
+    it('removes an invalid combinator', () => {
+      validate({ combinator: 'xor' }).combinator.should.equal('and');
+    });
+
+    it('removes a sort by a field that does not exist', () => {
+      should.not.exist(validate({ sort: { path: 'x', desc: false } }).sort);
+    });
+
+    it('removes a sort by submission metadata for a repeat table', () => {
+      const view = validate({
+        table: 'Submissions.r',
+        sort: { path: '__system/submissionDate', desc: false }
+      });
+      should.not.exist(view.sort);
+    });
+
+    it('allows a sort by the instance ID of a repeat table', () => {
+      const view = validate({
+        table: 'Submissions.r',
+        sort: { path: '__id', desc: false }
+      });
+      view.sort.should.eql({ path: '__id', desc: false });
+    });
+  });
+
+  describe('filterQuery()', () => {
+    it('returns only the parts of the query that specify filters', () => {
+      filterQuery({
+        table: 'Submissions.r',
+        submitterId: '1',
+        condition: ['/a eq x'],
+        sort: '-__id'
+      }).should.eql({ submitterId: '1', condition: ['/a eq x'] });
+    });
+  });
+
+  describe('viewFilters() and filtersView()', () => {
+    it('converts between the filters and the view', () => {
+      const view = {
+        ...defaultView(),
+        submitterId: '1',
+        submissionDate: ['2021-01-01', '2021-01-31'],
+        reviewState: 'rejected',
+        attachments: 'incomplete',
+        conditions: [{ field: '/a', operator: 'eq', value: 'x' }],
+        combinator: 'or'
+      };
+      const filters = viewFilters(view);
+      filters.submissionDate[0].toISODate().should.equal('2021-01-01');
+      filters.conditions[0].should.have.property('key');
+      filtersView(filters).should.eql({
+        submitterId: '1',
+        submissionDate: ['2021-01-01', '2021-01-31'],
+        reviewState: 'rejected',
+        attachments: 'incomplete',
+        conditions: [{ field: '/a', operator: 'eq', value: 'x' }],
+        combinator: 'or'
+      });
+    });
+  });
+
+  describe('filterExpression()', () => {
+    const fields = [
+      new Field(testData.fields.string('/a')),
+      new Field(testData.fields.int('/b'))
+    ];
+
+    it('returns null if there are no filters', () => {
+      should.not.exist(filterExpression(viewFilters(defaultView()), fields));
+    });
+
+    it('combines the filters', () => {
+      const filters = {
+        submitterId: '1',
+        submissionDate: [],
+        reviewState: '',
+        conditions: [
+          { field: '/a', operator: 'eq', value: 'x' },
+          { field: '/b', operator: 'gt', value: '2' }
+        ],
+        combinator: 'or'
+      };
+      filterExpression(filters, fields).should.equal("__system/submitterId eq 1 and (a eq 'x' or b gt 2)");
+    });
+
+    it('filters by review state', () => {
+      const filters = { ...viewFilters(defaultView()), reviewState: 'approved' };
+      filterExpression(filters, fields)
+        .should.equal("__system/reviewState eq 'approved'");
+      filters.reviewState = 'received';
+      filterExpression(filters, fields)
+        .should.equal('__system/reviewState eq null');
+    });
+
+    it('does not include the attachments filter', () => {
+      const filters = {
+        ...viewFilters(defaultView()),
+        attachments: 'incomplete'
+      };
+      should.not.exist(filterExpression(filters, fields));
+    });
+
+    it('uses the root', () => {
+      const filters = {
+        ...viewFilters(defaultView()),
+        submissionDate: [
+          DateTime.fromISO('2021-01-01'),
+          DateTime.fromISO('2021-01-31')
+        ]
+      };
+      filterExpression(filters, fields, '$root/Submissions/')
+        .should.startWith('$root/Submissions/__system/submissionDate ge 2021-01-01');
+    });
+
+    it('ignores conditions if the fields have not been received', () => {
+      const filters = {
+        ...viewFilters(defaultView()),
+        conditions: [{ field: '/a', operator: 'eq', value: 'x' }]
+      };
+      should.not.exist(filterExpression(filters, null));
+    });
+  });
+
+  describe('missingAttachments()', () => {
+    const submission = (attachmentsPresent, attachmentsExpected) =>
+      ({ __system: { attachmentsPresent, attachmentsExpected } });
+
+    it('returns true if fewer attachments are present than expected', () => {
+      missingAttachments(submission(0, 1)).should.be.true();
+      missingAttachments(submission(1, 1)).should.be.false();
+    });
+
+    it('returns false if the counts are missing', () => {
+      missingAttachments(submission(null, 1)).should.be.false();
+      missingAttachments(submission(0, null)).should.be.false();
+    });
+  });
+
+  describe('readLayout() and writeLayout()', () => {
+    it('reads a layout that has been written', () => {
+      const layout = {
+        fields: { Submissions: ['/s1', '/s2'] },
+        widths: { '/s1': 300 },
+        pinned: ['/s2'],
+        metadata: ['attachments', 'edits']
+      };
+      writeLayout('layout', layout).should.be.true();
+      readLayout('layout').should.eql(layout);
+    });
+
+    it('returns an empty layout if there is no layout', () => {
+      readLayout('layout').should.eql(emptyLayout());
+    });
+
+    it('returns an empty layout if the layout is not valid JSON', () => {
+      localStorage.setItem('layout', '{');
+      readLayout('layout').should.eql(emptyLayout());
+    });
+
+    it('ignores invalid properties', () => {
+      localStorage.setItem('layout', JSON.stringify({
+        fields: { Submissions: ['/s1'], 'Submissions.r': 'x' },
+        widths: { '/s1': 'x', '/s2': -1, '/s3': 150 },
+        pinned: [1],
+        metadata: 'edits'
+      }));
+      readLayout('layout').should.eql({
+        fields: { Submissions: ['/s1'] },
+        widths: { '/s3': 150 },
+        pinned: [],
+        metadata: []
+      });
+    });
+
+    it('orders the metadata columns and removes unknown columns', () => {
+      localStorage.setItem('layout', JSON.stringify({
+        metadata: ['edits', 'x', 'deviceId']
+      }));
+      readLayout('layout').metadata.should.eql(['deviceId', 'edits']);
+    });
+  });
+});
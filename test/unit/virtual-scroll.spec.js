@@ -0,0 +1,51 @@
+import { columnRange, rowRange } from '../../src/util/virtual-scroll';
+
+describe('util/virtual-scroll', () => {
+  describe('rowRange()', () => {
+    const range = (offset, count = 1000) =>
+      rowRange({ count, rowHeight: 10, offset, height: 100, block: 5 });
+
+    it('returns the visible rows along with a block on either side', () => {
+      range(0).should.eql([0, 15]);
+      range(500).should.eql([45, 65]);
+    });
+
+    it('rounds the range to multiples of the block', () => {
+      range(515).should.eql([45, 70]);
+      range(549).should.eql([45, 70]);
+      range(550).should.eql([50, 70]);
+    });
+
+    it('does not exceed the number of rows', () => {
+      range(0, 8).should.eql([0, 8]);
+      range(9950).should.eql([990, 1000]);
+      range(20000).should.eql([1000, 1000]);
+    });
+
+    it('returns rows at the top if the rows are below the viewport', () => {
+      range(-50).should.eql([0, 10]);
+      range(-500).should.eql([0, 5]);
+    });
+  });
+
+  describe('columnRange()', () => {
+    const widths = [100, 200, 100, 100, 300, 100, 100, 100];
+    const range = (offset, width = 250) =>
+      columnRange({ widths, offset, width, block: 2 });
+
+    it('returns the visible columns along with a block on either side', () => {
+      range(0).should.eql([0, 4]);
+      range(450).should.eql([0, 8]);
+      range(550, 100).should.eql([2, 8]);
+    });
+
+    it('includes a column that is partly visible', () => {
+      range(650, 50).should.eql([2, 8]);
+      range(0, 101).should.eql([0, 4]);
+    });
+
+    it('returns all columns if they are all visible', () => {
+      range(0, 10000).should.eql([0, 8]);
+    });
+  });
+});
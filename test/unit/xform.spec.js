@@ -0,0 +1,202 @@
+import testData from '../data';
+import { parseXForm, xformControls, xformLabels } from '../../src/util/xform';
+
+const itext = `<itext>
+  <translation lang="English" default="true()">
+    <text id="/data/q:label"><value>Question</value></text>
+    <text id="/data/s/a:label"><value>Apple</value></text>
+    <text id="/data/s/b:label">
+      <value form="image">jr://images/b.png</value>
+      <value>Banana</value>
+    </text>
+  </translation>
+  <translation lang="Français">
+    <text id="/data/q:label"><value>Question (fr)</value></text>
+    <text id="/data/s/a:label"><value>Pomme</value></text>
+  </translation>
+</itext>`;
+
+describe('util/xform', () => {
+  describe('parseXForm()', () => {
+    it('returns null for invalid XML', () => {
+      should.not.exist(parseXForm('<h:html'));
+    });
+
+    it('parses a label specified in the body', () => {
+      const xform = parseXForm(testData.xform({
+        body: '<input ref="/data/q"><label>  Some\n question </label></input>'
+      }));
+      xform.languages.should.eql([]);
+      should.not.exist(xform.defaultLanguage);
+      [...xform.labels].should.eql([['/q', { '': 'Some question' }]]);
+    });
+
+    it('parses itext labels', () => {
+      const xform = parseXForm(testData.xform({
+        model: itext,
+        body: `<input ref="/data/q"><label ref="jr:itext('/data/q:label')"/></input>
+          <select1 ref="/data/s">
+            <label>Fruit</label>
+            <item><label ref="jr:itext('/data/s/a:label')"/><value>a</value></item>
+            <item><label ref="jr:itext('/data/s/b:label')"/><value>b</value></item>
+          </select1>`
+      }));
+      xform.languages.should.eql(['English', 'Français']);
+      xform.defaultLanguage.should.equal('English');
+      xform.labels.get('/q').should.eql({
+        English: 'Question',
+        Français: 'Question (fr)'
+      });
+      xform.labels.get('/s').should.eql({ '': 'Fruit' });
+      [...xform.choices.get('/s')].should.eql([
+        ['a', { English: 'Apple', Français: 'Pomme' }],
+        ['b', { English: 'Banana' }]
+      ]);
+    });
+
+    it('uses the first language if there is no default', () => {
+      const xform = parseXForm(testData.xform({
+        model: itext.replace(' default="true()"', '')
+      }));
+      xform.defaultLanguage.should.equal('English');
+    });
+
+    it('resolves refs within a group or repeat', () => {
+      const xform = parseXForm(testData.xform({
+        body: `<group ref="/data/g">
+          <label>Group</label>
+          <input ref="/data/g/i"><label>Absolute</label></input>
+          <repeat nodeset="/data/g/r">
+            <input ref="j"><label>Relative</label></input>
+          </repeat>
+        </group>`
+      }));
+      [...xform.labels].should.eql([
+        ['/g', { '': 'Group' }],
+        ['/g/i', { '': 'Absolute' }],
+        ['/g/r/j', { '': 'Relative' }]
+      ]);
+    });
+
+    it('parses the choices of an itemset that uses itext', () => {
+      const xform = parseXForm(testData.xform({
+        model: `<instance id="fruits">
+            <root>
+              <item><itextId>fruits-0</itextId><name>a</name></item>
+              <item><itextId>fruits-1</itextId><name>b</name></item>
+            </root>
+          </instance>
+          <itext>
+            <translation lang="English">
+              <text id="fruits-0"><value>Apple</value></text>
+              <text id="fruits-1"><value>Banana</value></text>
+            </translation>
+          </itext>`,
+        body: `<select ref="/data/s">
+          <itemset nodeset="instance('fruits')/root/item[name != '']">
+            <value ref="name"/>
+            <label ref="jr:itext(itextId)"/>
+          </itemset>
+        </select>`
+      }));
+      [...xform.choices.get('/s')].should.eql([
+        ['a', { English: 'Apple' }],
+        ['b', { English: 'Banana' }]
+      ]);
+    });
+
+    it('parses the choices of an itemset that does not use itext', () => {
+      const xform = parseXForm(testData.xform({
+        model: `<instance id="fruits">
+            <root><item><name>a</name><label>Apple</label></item></root>
+          </instance>`,
+        body: `<select1 ref="/data/s">
+          <itemset nodeset="instance('fruits')/root/item">
+            <value ref="name"/>
+            <label ref="label"/>
+          </itemset>
+        </select1>`
+      }));
+      [...xform.choices.get('/s')].should.eql([['a', { '': 'Apple' }]]);
+    });
+
+    it('parses the controls of the fields', () => {
+      const xform = parseXForm(testData.xform({
+        body: `<input ref="/data/q"/>
+          <select ref="/data/s"><item><value>a</value></item></select>
+          <range ref="/data/r" start="1" end="10" step="1"/>
+          <odk:rank ref="/data/k"/>`
+      }));
+      [...xform.controls].should.eql([
+        ['/q', { type: 'input' }],
+        ['/s', { type: 'select' }],
+        ['/r', { type: 'range', start: 1, end: 10 }],
+        ['/k', { type: 'rank' }]
+      ]);
+    });
+  });
+
+  describe('xformLabels()', () => {
+    const xform = () => parseXForm(testData.xform({
+      model: itext,
+      body: `<input ref="/data/q"><label ref="jr:itext('/data/q:label')"/></input>
+        <select1 ref="/data/s">
+          <label>Fruit</label>
+          <item><label ref="jr:itext('/data/s/a:label')"/><value>a</value></item>
+          <item><label ref="jr:itext('/data/s/b:label')"/><value>b</value></item>
+        </select1>`
+    }));
+
+    it('returns the labels in the specified language', () => {
+      const labels = xformLabels(xform(), 'Français');
+      [...labels.fields].should.eql([
+        ['/q', 'Question (fr)'],
+        ['/s', 'Fruit']
+      ]);
+      labels.choices.get('/s').get('a').should.equal('Pomme');
+    });
+
+    it('falls back to the default language', () => {
+      const labels = xformLabels(xform(), 'Français');
+      labels.choices.get('/s').get('b').should.equal('Banana');
+    });
+
+    it('returns the labels within a repeat group', () => {
+      const labels = xformLabels(parseXForm(testData.xform({
+        body: `<input ref="/data/q"><label>Question</label></input>
+          <group ref="/data/r">
+            <repeat nodeset="/data/r">
+              <input ref="/data/r/q"><label>Repeat question</label></input>
+              <select1 ref="/data/r/s">
+                <item><label>Apple</label><value>a</value></item>
+              </select1>
+            </repeat>
+          </group>`
+      })), '', '/r');
+      [...labels.fields].should.eql([['/q', 'Repeat question']]);
+      labels.choices.get('/s').get('a').should.equal('Apple');
+    });
+  });
+
+  describe('xformControls()', () => {
+    const xform = () => parseXForm(testData.xform({
+      body: `<input ref="/data/i"/>
+        <group ref="/data/r">
+          <repeat nodeset="/data/r">
+            <range ref="/data/r/i" start="1" end="5"/>
+          </repeat>
+        </group>`
+    }));
+
+    it('returns the controls of the form', () => {
+      const controls = xformControls(xform());
+      [...controls.keys()].should.eql(['/i', '/r/i']);
+    });
+
+    it('returns the controls within a repeat group', () => {
+      const controls = xformControls(xform(), '/r');
+      [...controls.keys()].should.eql(['/i']);
+      controls.get('/i').type.should.equal('range');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import { buf2string } from 'pako/lib/utils/strings';
+
+import zip, { readZip } from '../../src/util/zip';
+
+const zipBlob = (files) => new Blob([zip(files)], { type: 'application/zip' });
+
+describe('util/zip', () => {
+  describe('readZip()', () => {
+    it('reads the files of a zip written by zip()', async () => {
+      const files = await readZip(zipBlob([
+        { name: 'a.txt', content: 'Some text' },
+        { name: 'dir/b.xml', content: '<data>é</data>' }
+      ]));
+      files.map(file => file.name).should.eql(['a.txt', 'dir/b.xml']);
+      files[1].size.should.equal(15);
+      buf2string(await files[0].read()).should.equal('Some text');
+      buf2string(await files[1].read()).should.equal('<data>é</data>');
+    });
+
+    it('reads an empty zip', async () => {
+      const files = await readZip(zipBlob([]));
+      files.should.eql([]);
+    });
+
+    it('skips directories', async () => {
+      const files = await readZip(zipBlob([
+        { name: 'dir/', content: '' },
+        { name: 'dir/a.txt', content: 'a' }
+      ]));
+      files.map(file => file.name).should.eql(['dir/a.txt']);
+    });
+
+    it('rejects a file that is not a zip', () =>
+      readZip(new Blob(['Some text'])).should.be.rejected());
+  });
+});
@@ -16,6 +16,7 @@ const defaults = {
     testData.standardFormSummaryAssignments.sorted(),
   form: () => testData.extendedForms.last(),
   fields: () => testData.extendedForms.last()._fields,
+  formVersionXml: () => testData.xform(),
   formVersions: () => testData.extendedFormVersions.published(),
   formDraft: () => (testData.extendedFormVersions.last().publishedAt == null
     ? testData.extendedFormDrafts.last()
@@ -24,6 +25,11 @@ const defaults = {
     ? testData.standardFormAttachments.sorted()
     : { problem: 404.1 }),
   odataChunk: testData.submissionOData,
+  statsChunk: testData.submissionOData,
+  submission: () => ({
+    value: [testData.extendedSubmissions.last()._odata]
+  }),
+  comments: () => testData.extendedComments.sorted(),
   keys: () => testData.standardKeys.sorted(),
   submitters: () => testData.extendedFieldKeys
     .sorted()
@@ -70,12 +76,20 @@ const mapsByComponent = {
   FormShow: mapKeys(['project', 'form', 'formDraft', 'attachments']),
   FormOverview: new Map(),
   FormVersionList: mapKeys(['formVersions']),
-  FormSubmissions: mapKeys(['keys', 'fields', 'odataChunk', 'submitters']),
+  FormSubmissions: mapKeys([
+    'keys',
+    'fields',
+    'odataChunk',
+    'submitters',
+    'formVersionXml'
+  ]),
+  FormAnalyze: mapKeys(['fields', 'submitters', 'statsChunk']),
   PublicLinkList: mapKeys(['publicLinks']),
   FormSettings: new Map(),
   FormDraftStatus: mapKeys(['formVersions']),
   FormAttachmentList: new Map(),
-  FormDraftTesting: mapKeys(['keys', 'fields', 'odataChunk']),
+  FormDraftTesting: mapKeys(['keys', 'fields', 'odataChunk', 'formVersionXml']),
+  SubmissionShow: mapKeys(['fields', 'submission', 'comments']),
   UserHome: new Map(),
   UserList: mapKeys(['users', 'actors']),
   UserEdit: mapKeys(['user']),